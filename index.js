@@ -1,27 +1,51 @@
 require('dotenv').config();
 const http = require('http');
-const cron = require('node-cron');
 
 const IntegrationOrchestrator = require('./src/services/IntegrationOrchestrator');
+const SyncScheduler = require('./src/services/SyncScheduler');
 const ConfigValidator = require('./src/services/Configvalidator');
 const VendorDataSeeder = require('./src/services/VendorDataSeeder');
 const createLogger = require('./src/config/logger');
+const { ensureSchema } = require('./src/config/schema');
+const { assertEncryptionReady } = require('./src/utils/encryption');
+const { parseKeyLimits } = require('./src/utils/concurrency');
 
 const PORT = process.env.PORT || 30035;
 
 const logger = createLogger('main');
+
+try {
+  assertEncryptionReady();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  logger.error('Encryption key check failed', err.message);
+  process.exit(1);
+}
+
+try {
+  parseKeyLimits(process.env.INGESTION_VENDOR_LIMITS);
+} catch (err) {
+  console.error(`❌ INGESTION_VENDOR_LIMITS: ${err.message}`);
+  logger.error('Vendor limits check failed', { error: err.message });
+  process.exit(1);
+}
 const orchestrator = new IntegrationOrchestrator();
 const validator = new ConfigValidator();
 const seeder = new VendorDataSeeder();
+const scheduler = new SyncScheduler(orchestrator);
 
-let cronJob = null;
 let isValidated = false;
 
 // ================= HTTP SERVER (REQUIRED FOR WEBUZO) =================
 const server = http.createServer((req, res) => {
   if (req.url === '/health') {
     res.writeHead(200, { 'Content-Type': 'application/json' });
-    return res.end(JSON.stringify({ status: 'ok', time: new Date() }));
+    return res.end(JSON.stringify({
+      status: 'ok',
+      time: new Date(),
+      scope: orchestrator.getScope(),
+      schedules: scheduler.getStatus()
+    }));
   }
 
   res.writeHead(200, { 'Content-Type': 'text/plain' });
@@ -34,12 +58,17 @@ server.listen(PORT, () => {
 });
 // ===================================================================
 
-// ================= CRON CONFIG =================
-const syncInterval = process.env.DEFAULT_SYNC_INTERVAL || 1;
-const cronExpression = `*/${syncInterval} * * * *`;
-
 // Startup
 async function startup() {
+  // The seeder writes support tables and migrated columns, so they come first
+  try {
+    await ensureSchema();
+  } catch (err) {
+    console.log('❌ Could not create support tables. Scheduler disabled.');
+    logger.error('Support table setup failed', err.message);
+    return;
+  }
+
   console.log('🌱 Seeding vendor data...');
   try {
     await seeder.seedVendorData();
@@ -50,25 +79,25 @@ async function startup() {
   console.log('🔍 Validating configuration...');
   const validation = await validator.validateRequiredTables();
   if (!validation.isValid) {
-    console.log('❌ Validation failed. Cron disabled.');
+    console.log('❌ Validation failed. Scheduler disabled.');
     return;
   }
 
   await validator.checkActiveConfigurations();
+  await validator.checkTransformRules();
+  await validator.checkWizappStores();
 
-  cronJob = cron.schedule(cronExpression, async () => {
-    console.log(`⏰ Cron triggered at ${new Date().toISOString()}`);
-    try {
-      await orchestrator.executeIngestion();
-      console.log('✅ Ingestion successful');
-    } catch (err) {
-      console.error('❌ Ingestion failed:', err.message);
-      logger.error('Ingestion failed', err.message);
-    }
-  });
+  // Each config runs on its own cac_sync_interval_minutes timer
+  try {
+    await scheduler.start();
+  } catch (err) {
+    console.error('❌ Scheduler failed to start:', err.message);
+    logger.error('Scheduler failed to start', err.message);
+    return;
+  }
 
   isValidated = true;
-  console.log(`✅ Cron scheduled every ${syncInterval} minutes`);
+  console.log(`✅ Scheduler started for ${scheduler.getStatus().length} configuration(s)`);
 }
 
 startup();
@@ -76,7 +105,7 @@ startup();
 // ================= SHUTDOWN =================
 function gracefulShutdown(signal) {
   console.log(`🛑 ${signal} received. Shutting down...`);
-  if (cronJob) cronJob.stop();
+  scheduler.stop();
   server.close(() => process.exit(0));
 }
 
@@ -1,8 +1,18 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
 const pool = require('../../config/database');
 const createLogger = require('../../config/logger');
 const { v4: uuidv4 } = require('uuid');
+const { updateRow } = require('../../models/partialUpdate');
+const ConfigModel = require('../../models/configModel');
+const MappingPreview = require('../../services/MappingPreview');
+const MappingSuggester = require('../../services/MappingSuggester');
+const MappingVersionModel = require('../../models/mappingVersionModel');
+const MappingCloner = require('../../services/MappingCloner');
+const { MAPPING_TABLES } = require('../../utils/fieldMappings');
+const { changeMeta } = require('../../utils/changeMeta');
+const { assertJsonPath, assertMappingPath } = require('../../utils/jsonPath');
+const { assertTransformRule } = require('../../utils/transformRules');
 
 const router = express.Router();
 const logger = createLogger('api-field-mapping');
@@ -17,6 +27,11 @@ const validate = (req, res, next) => {
   next();
 };
 
+const mappingVendor = async (mappingId) => {
+  const result = await pool.query('SELECT pvfm_vendor_id FROM pos_vendor_field_mapping WHERE pvfm_mapping_id = $1', [mappingId]);
+  return result.rows[0]?.pvfm_vendor_id || null;
+};
+
 // ============================================
 // POS VENDOR FIELD MAPPING ROUTES
 // ============================================
@@ -27,16 +42,17 @@ router.post('/field-mappings',
     body('pvfm_vendor_id').isUUID().withMessage('Vendor ID must be a valid UUID'),
     body('pvfm_source_field').optional().isString(),
     body('pvfm_target_field').notEmpty().withMessage('Target field is required'),
-    body('pvfm_json_path').optional().isString(),
-    body('pvfm_transform_rule').optional().isString(),
-    body('pvfm_is_required').optional().isBoolean(),
+    body('pvfm_json_path').optional().isString().bail().custom(assertMappingPath),
+    body('pvfm_row_root_json_path').optional({ values: 'null' }).isString().bail().custom(assertJsonPath),
+    body('pvfm_transform_rule').optional().isString().bail().custom(assertTransformRule),
+    body('pvfm_is_required').optional().isBoolean().toBoolean(),
     body('pvfm_tablename').notEmpty().withMessage('Table name is required')
   ],
   validate,
   async (req, res) => {
     const {
       pvfm_vendor_id, pvfm_source_field, pvfm_target_field, pvfm_json_path,
-      pvfm_transform_rule, pvfm_is_required, pvfm_tablename
+      pvfm_row_root_json_path, pvfm_transform_rule, pvfm_is_required, pvfm_tablename
     } = req.body;
 
     const pvfm_mapping_id = uuidv4();
@@ -45,20 +61,26 @@ router.post('/field-mappings',
       const query = `
         INSERT INTO pos_vendor_field_mapping (
           pvfm_mapping_id, pvfm_vendor_id, pvfm_source_field, pvfm_target_field,
-          pvfm_json_path, pvfm_transform_rule, pvfm_is_required, pvfm_tablename
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          pvfm_json_path, pvfm_transform_rule, pvfm_is_required, pvfm_tablename,
+          pvfm_row_root_json_path
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
         RETURNING *
       `;
 
       const values = [
         pvfm_mapping_id, pvfm_vendor_id, pvfm_source_field, pvfm_target_field,
-        pvfm_json_path, pvfm_transform_rule, pvfm_is_required || false, pvfm_tablename
+        pvfm_json_path, pvfm_transform_rule, pvfm_is_required || false, pvfm_tablename,
+        pvfm_row_root_json_path || null
       ];
 
-      const result = await pool.query(query, values);
+      const { result, versions } = await MappingVersionModel.track(
+        [pvfm_vendor_id],
+        changeMeta(req, `Added ${pvfm_tablename}.${pvfm_source_field}`),
+        client => client.query(query, values)
+      );
 
-      logger.info('Field mapping created', { pvfm_mapping_id, pvfm_vendor_id });
-      res.status(201).json({ success: true, data: result.rows[0] });
+      logger.info('Field mapping created', { pvfm_mapping_id, pvfm_vendor_id, mapping_version: versions[0].fmv_version });
+      res.status(201).json({ success: true, data: result.rows[0], mapping_version: versions[0].fmv_version });
     } catch (error) {
       logger.error('Failed to create field mapping', { error: error.message });
       res.status(500).json({ success: false, message: 'Failed to create field mapping', error: error.message });
@@ -66,6 +88,266 @@ router.post('/field-mappings',
   }
 );
 
+// PREVIEW - Map a sample payload with saved or unsaved mappings (no vendor call, nothing stored)
+// The sample defaults to cac_sample_json of the config (or the vendor's config with a sample).
+router.post('/field-mappings/preview',
+  [
+    body('vendor_id').optional().isUUID().withMessage('vendor_id must be a valid UUID'),
+    body('config_id').optional().isUUID().withMessage('config_id must be a valid UUID'),
+    body('mappings').optional().isArray({ min: 1 }).withMessage('mappings must be a non-empty array'),
+    body('mappings.*.pvfm_tablename').if(body('mappings').exists())
+      .isIn(MAPPING_TABLES).withMessage(`pvfm_tablename must be one of ${MAPPING_TABLES.join(', ')}`),
+    body('mappings.*.pvfm_source_field').if(body('mappings').exists())
+      .not().isEmpty().withMessage('pvfm_source_field is required on every mapping')
+      .bail().isString().withMessage('pvfm_source_field must be a string'),
+    body('mappings.*.pvfm_target_field').optional({ values: 'null' }).isString(),
+    body('mappings.*.pvfm_json_path').optional({ values: 'null' }).isString().bail().custom(assertMappingPath),
+    body('mappings.*.pvfm_row_root_json_path').optional({ values: 'null' }).isString().bail().custom(assertJsonPath),
+    body('mappings.*.pvfm_transform_rule').optional({ values: 'null' }).isString().bail().custom(assertTransformRule),
+    body('format').optional().isIn(['json', 'xml']).withMessage('format must be json or xml'),
+    body('mode').optional().isIn(['api', 'db']).withMessage('mode must be api or db'),
+    body('limit').optional().isInt({ min: 0, max: 500 }).withMessage('limit must be between 0 and 500').toInt(),
+    body().custom(value => value.vendor_id || value.config_id || value.mappings)
+      .withMessage('Provide vendor_id, config_id or mappings')
+  ],
+  validate,
+  async (req, res) => {
+    const { vendor_id, config_id, format, mode, limit } = req.body;
+
+    try {
+      let config = null;
+      if (config_id) {
+        config = await ConfigModel.getConfigById(config_id);
+        if (!config) {
+          return res.status(404).json({ success: false, message: 'Configuration not found' });
+        }
+      } else if (vendor_id) {
+        config = await ConfigModel.getSampleConfigForVendor(vendor_id);
+      }
+
+      const vendorId = vendor_id || config?.cac_customer_id?.trim();
+      let mappings = req.body.mappings;
+      if (!mappings) {
+        const saved = await ConfigModel.getAllFieldMappings(vendorId);
+        mappings = Object.values(saved).flat();
+      }
+      if (mappings.length === 0) {
+        return res.status(400).json({ success: false, message: 'No field mappings to preview' });
+      }
+
+      const sample = req.body.sample ?? config?.cac_sample_json;
+      if (sample === undefined || sample === null || sample === '') {
+        return res.status(400).json({ success: false, message: 'No sample supplied and no cac_sample_json on the configuration' });
+      }
+
+      let data;
+      try {
+        const preview = new MappingPreview(config || { cac_customer_id: vendorId });
+        data = await preview.run({ sample, mappings, format, mode, limit });
+      } catch (error) {
+        // A bad sample or a mapping that cannot be applied is the caller's to fix
+        logger.warn('Field mapping preview failed', { error: error.message });
+        return res.status(error.code === 'INVALID_SAMPLE' ? 400 : 422).json({
+          success: false, message: 'Failed to map sample', error: error.message
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          ...data,
+          config_id: config?.cac_config_id || null,
+          sample_source: req.body.sample === undefined ? 'config' : 'request'
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to preview field mappings', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to preview field mappings', error: error.message });
+    }
+  }
+);
+
+// SUGGEST - Propose mapping rows from a sample payload, for review (nothing is stored)
+// The sample defaults to cac_sample_json of the config (or the vendor's config with a sample).
+router.post('/field-mappings/suggest',
+  [
+    body('vendor_id').optional().isUUID().withMessage('vendor_id must be a valid UUID'),
+    body('config_id').optional().isUUID().withMessage('config_id must be a valid UUID'),
+    body('format').optional().isIn(['json', 'xml']).withMessage('format must be json or xml'),
+    body('mode').optional().isIn(['api', 'db']).withMessage('mode must be api or db'),
+    body('min_confidence').optional().isFloat({ min: 0, max: 1 }).withMessage('min_confidence must be between 0 and 1').toFloat(),
+    body().custom(value => value.sample !== undefined || value.vendor_id || value.config_id)
+      .withMessage('Provide a sample, vendor_id or config_id')
+  ],
+  validate,
+  async (req, res) => {
+    const { vendor_id, config_id, format, min_confidence } = req.body;
+
+    try {
+      let config = null;
+      if (config_id) {
+        config = await ConfigModel.getConfigById(config_id);
+        if (!config) {
+          return res.status(404).json({ success: false, message: 'Configuration not found' });
+        }
+      } else if (vendor_id) {
+        config = await ConfigModel.getSampleConfigForVendor(vendor_id);
+      }
+
+      const sample = req.body.sample ?? config?.cac_sample_json;
+      if (sample === undefined || sample === null || sample === '') {
+        return res.status(400).json({ success: false, message: 'No sample supplied and no cac_sample_json on the configuration' });
+      }
+
+      const mode = req.body.mode || (config?.cac_apidbmapping?.toLowerCase() === 'db' ? 'db' : 'api');
+      let data;
+      try {
+        data = await new MappingSuggester().suggest(sample, { format, mode, minConfidence: min_confidence });
+      } catch (error) {
+        if (error.code !== 'INVALID_SAMPLE') throw error;
+        return res.status(400).json({ success: false, message: 'Failed to read sample', error: error.message });
+      }
+
+      const vendorId = vendor_id || config?.cac_customer_id?.trim() || null;
+      if (vendorId) {
+        data.suggestions = data.suggestions.map(suggestion => ({ pvfm_vendor_id: vendorId, ...suggestion }));
+      }
+
+      res.json({ success: true, data: { ...data, mode, config_id: config?.cac_config_id || null } });
+    } catch (error) {
+      logger.error('Failed to suggest field mappings', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to suggest field mappings', error: error.message });
+    }
+  }
+);
+
+// CLONE - Copy one vendor's mappings onto another, with overrides
+// dry_run: true returns the diff without writing; replace: true also deletes target-only mappings.
+router.post('/field-mappings/clone',
+  [
+    body('source_vendor_id').isUUID().withMessage('source_vendor_id must be a valid UUID'),
+    body('target_vendor_id').isUUID().withMessage('target_vendor_id must be a valid UUID')
+      .custom((target, { req }) => target !== req.body.source_vendor_id)
+      .withMessage('target_vendor_id must differ from source_vendor_id'),
+    body('overrides').optional().isArray().withMessage('overrides must be an array'),
+    body('overrides.*.pvfm_tablename').isIn(MAPPING_TABLES)
+      .withMessage(`pvfm_tablename must be one of ${MAPPING_TABLES.join(', ')}`),
+    body('overrides.*.pvfm_source_field').isString().notEmpty().withMessage('pvfm_source_field is required on every override'),
+    body('overrides.*.pvfm_target_field').optional({ values: 'null' }).isString(),
+    body('overrides.*.pvfm_json_path').optional({ values: 'null' }).isString().bail().custom(assertMappingPath),
+    body('overrides.*.pvfm_row_root_json_path').optional({ values: 'null' }).isString().bail().custom(assertJsonPath),
+    body('overrides.*.pvfm_transform_rule').optional({ values: 'null' }).isString().bail().custom(assertTransformRule),
+    body('overrides.*.pvfm_is_required').optional().isBoolean().toBoolean(),
+    body('overrides.*.remove').optional().isBoolean(),
+    body('replace').optional().isBoolean().toBoolean(),
+    body('dry_run').optional().isBoolean().toBoolean()
+  ],
+  validate,
+  async (req, res) => {
+    const { source_vendor_id, target_vendor_id, overrides = [], replace = false, dry_run = false } = req.body;
+
+    try {
+      const vendors = await pool.query(
+        'SELECT vendor_id FROM pos_vendor_master WHERE vendor_id = ANY($1::uuid[])',
+        [[source_vendor_id, target_vendor_id]]
+      );
+      const found = new Set(vendors.rows.map(row => row.vendor_id));
+      for (const vendorId of [source_vendor_id, target_vendor_id]) {
+        if (!found.has(vendorId)) {
+          return res.status(404).json({ success: false, message: `Vendor not found: ${vendorId}` });
+        }
+      }
+
+      const cloner = new MappingCloner();
+      const plan = await cloner.plan({
+        sourceVendorId: source_vendor_id,
+        targetVendorId: target_vendor_id,
+        overrides,
+        replace
+      });
+
+      let mappingVersion;
+      if (!dry_run) {
+        const { versions } = await MappingVersionModel.track(
+          [target_vendor_id],
+          changeMeta(req, `Cloned from vendor ${source_vendor_id}`),
+          client => cloner.apply(plan, client)
+        );
+        mappingVersion = versions[0].fmv_version;
+      }
+
+      res.status(dry_run ? 200 : 201).json({ success: true, dry_run, data: plan, mapping_version: mappingVersion });
+    } catch (error) {
+      logger.error('Failed to clone field mappings', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to clone field mappings', error: error.message });
+    }
+  }
+);
+
+// UPDATE - Partially update a field mapping (PUT and PATCH)
+// Send back the pvfm_updated_at you read; a newer row answers 409 instead of being overwritten.
+const updateFieldMapping = [
+  [
+    param('mapping_id').isUUID().withMessage('Invalid mapping ID format'),
+    body('pvfm_updated_at').exists().withMessage('pvfm_updated_at from the row being edited is required'),
+    body('pvfm_vendor_id').optional().isUUID().withMessage('Vendor ID must be a valid UUID'),
+    body('pvfm_source_field').optional({ values: 'null' }).isString(),
+    body('pvfm_target_field').optional().notEmpty().withMessage('Target field cannot be empty'),
+    body('pvfm_json_path').optional({ values: 'null' }).isString().bail().custom(assertMappingPath),
+    body('pvfm_row_root_json_path').optional({ values: 'null' }).isString().bail().custom(assertJsonPath),
+    body('pvfm_transform_rule').optional({ values: 'null' }).isString().bail().custom(assertTransformRule),
+    body('pvfm_is_required').optional().isBoolean().toBoolean(),
+    body('pvfm_tablename').optional().notEmpty().withMessage('Table name cannot be empty')
+  ],
+  validate,
+  async (req, res) => {
+    const { mapping_id } = req.params;
+
+    try {
+      // Version both vendors when the mapping is moved to another one
+      const vendorIds = [await mappingVendor(mapping_id), req.body.pvfm_vendor_id];
+      const { result: { status, row }, versions } = await MappingVersionModel.track(
+        vendorIds,
+        changeMeta(req, `Updated mapping ${mapping_id}`),
+        client => updateRow({
+          table: 'pos_vendor_field_mapping',
+          idColumn: 'pvfm_mapping_id',
+          id: mapping_id,
+          columns: [
+            'pvfm_vendor_id', 'pvfm_source_field', 'pvfm_target_field', 'pvfm_json_path',
+            'pvfm_row_root_json_path', 'pvfm_transform_rule', 'pvfm_is_required', 'pvfm_tablename'
+          ],
+          changes: req.body,
+          updatedAtColumn: 'pvfm_updated_at',
+          expectedUpdatedAt: req.body.pvfm_updated_at,
+          db: client
+        })
+      );
+
+      if (status === 'NO_CHANGES') {
+        return res.status(400).json({ success: false, message: 'No updatable fields supplied' });
+      }
+      if (status === 'NOT_FOUND') {
+        return res.status(404).json({ success: false, message: 'Field mapping not found' });
+      }
+      if (status === 'CONFLICT') {
+        logger.warn('Field mapping update conflict', { mapping_id });
+        return res.status(409).json({ success: false, message: 'Field mapping was modified by someone else', data: row });
+      }
+
+      const mappingVersion = versions.find(version => version.fmv_vendor_id === row.pvfm_vendor_id)?.fmv_version;
+      logger.info('Field mapping updated', { mapping_id, mapping_version: mappingVersion });
+      res.json({ success: true, data: row, mapping_version: mappingVersion });
+    } catch (error) {
+      logger.error('Failed to update field mapping', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to update field mapping', error: error.message });
+    }
+  }
+];
+
+router.put('/field-mappings/:mapping_id', updateFieldMapping);
+router.patch('/field-mappings/:mapping_id', updateFieldMapping);
+
 // DELETE - Remove field mapping
 router.delete('/field-mappings/:mapping_id',
   [
@@ -77,15 +359,24 @@ router.delete('/field-mappings/:mapping_id',
 
     try {
       const query = 'DELETE FROM pos_vendor_field_mapping WHERE pvfm_mapping_id = $1 RETURNING *';
-      const result = await pool.query(query, [mapping_id]);
+      const { result, versions } = await MappingVersionModel.track(
+        [await mappingVendor(mapping_id)],
+        changeMeta(req, `Deleted mapping ${mapping_id}`),
+        client => client.query(query, [mapping_id])
+      );
 
       if (result.rows.length === 0) {
         logger.warn('Field mapping not found', { mapping_id });
         return res.status(404).json({ success: false, message: 'Field mapping not found' });
       }
 
-      logger.info('Field mapping deleted', { mapping_id });
-      res.json({ success: true, message: 'Field mapping deleted successfully', data: result.rows[0] });
+      logger.info('Field mapping deleted', { mapping_id, mapping_version: versions[0].fmv_version });
+      res.json({
+        success: true,
+        message: 'Field mapping deleted successfully',
+        data: result.rows[0],
+        mapping_version: versions[0].fmv_version
+      });
     } catch (error) {
       logger.error('Failed to delete field mapping', { error: error.message });
       res.status(500).json({ success: false, message: 'Failed to delete field mapping', error: error.message });
@@ -122,6 +413,28 @@ router.get('/field-mappings', async (req, res) => {
   }
 });
 
+// GET - Mappings a vendor actually runs with: its template's fields overridden by its own rows
+router.get('/field-mappings/effective',
+  [
+    queryParam('vendor_id').isUUID().withMessage('vendor_id must be a valid UUID')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const grouped = await ConfigModel.getAllFieldMappings(req.query.vendor_id);
+      const data = Object.values(grouped).flat().map(mapping => ({
+        ...mapping,
+        origin: mapping.pvfm_template_id ? 'template' : 'vendor'
+      }));
+
+      res.json({ success: true, data, count: data.length });
+    } catch (error) {
+      logger.error('Failed to fetch effective field mappings', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to fetch effective field mappings', error: error.message });
+    }
+  }
+);
+
 // GET - Get single field mapping
 router.get('/field-mappings/:mapping_id',
   [
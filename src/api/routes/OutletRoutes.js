@@ -3,6 +3,7 @@ const { body, param, validationResult } = require('express-validator');
 const pool = require('../../config/database');
 const createLogger = require('../../config/logger');
 const { v4: uuidv4 } = require('uuid');
+const { updateRow } = require('../../models/partialUpdate');
 
 const router = express.Router();
 const logger = createLogger('api-outlet');
@@ -31,7 +32,7 @@ router.post('/outlets',
     body('com_terminal').optional().isString(),
     body('com_gate').optional().isString(),
     body('brand_name').optional().isString(),
-    body('com_is_active').optional().isBoolean()
+    body('com_is_active').optional().isBoolean().toBoolean()
   ],
   validate,
   async (req, res) => {
@@ -67,6 +68,62 @@ router.post('/outlets',
   }
 );
 
+// UPDATE - Partially update an outlet mapping (PUT and PATCH)
+// Send back the com_updated_at you read; a newer row answers 409 instead of being overwritten.
+const updateOutlet = [
+  [
+    param('outlet_id').isUUID().withMessage('Invalid outlet ID format'),
+    body('com_updated_at').exists().withMessage('com_updated_at from the row being edited is required'),
+    body('com_customer_id').optional().notEmpty().withMessage('Customer ID cannot be empty'),
+    body('com_outlet_code').optional().isString(),
+    body('com_outlet_id').optional({ values: 'null' }).isUUID(),
+    body('com_brand_id').optional({ values: 'null' }).isUUID(),
+    body('com_terminal').optional().isString(),
+    body('com_gate').optional().isString(),
+    body('brand_name').optional().isString(),
+    body('com_is_active').optional().isBoolean().toBoolean()
+  ],
+  validate,
+  async (req, res) => {
+    const { outlet_id } = req.params;
+
+    try {
+      const { status, row } = await updateRow({
+        table: 'customer_outlet_mapping',
+        idColumn: 'com_id',
+        id: outlet_id,
+        columns: [
+          'com_customer_id', 'com_outlet_code', 'com_outlet_id', 'com_brand_id',
+          'com_terminal', 'com_gate', 'brand_name', 'com_is_active'
+        ],
+        changes: req.body,
+        updatedAtColumn: 'com_updated_at',
+        expectedUpdatedAt: req.body.com_updated_at
+      });
+
+      if (status === 'NO_CHANGES') {
+        return res.status(400).json({ success: false, message: 'No updatable fields supplied' });
+      }
+      if (status === 'NOT_FOUND') {
+        return res.status(404).json({ success: false, message: 'Outlet mapping not found' });
+      }
+      if (status === 'CONFLICT') {
+        logger.warn('Outlet mapping update conflict', { outlet_id });
+        return res.status(409).json({ success: false, message: 'Outlet mapping was modified by someone else', data: row });
+      }
+
+      logger.info('Outlet mapping updated', { outlet_id });
+      res.json({ success: true, data: row });
+    } catch (error) {
+      logger.error('Failed to update outlet mapping', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to update outlet mapping', error: error.message });
+    }
+  }
+];
+
+router.put('/outlets/:outlet_id', updateOutlet);
+router.patch('/outlets/:outlet_id', updateOutlet);
+
 // DELETE - Remove outlet mapping
 router.delete('/outlets/:outlet_id',
   [
@@ -0,0 +1,93 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const createLogger = require('../../config/logger');
+const ConfigModel = require('../../models/configModel');
+const BackfillRunner = require('../../services/BackfillRunner');
+
+const router = express.Router();
+const logger = createLogger('api-backfill');
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('Validation failed', { errors: errors.array() });
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  next();
+};
+
+// ============================================
+// HISTORICAL BACKFILL ROUTES
+// ============================================
+
+// START - Re-ingest a date range for one configuration
+router.post('/configs/:config_id/backfill',
+  [
+    param('config_id').isUUID().withMessage('Invalid config ID format'),
+    body('from_date').isISO8601().withMessage('from_date must be a date (YYYY-MM-DD)'),
+    body('to_date').isISO8601().withMessage('to_date must be a date (YYYY-MM-DD)')
+      .custom((to, { req }) => new Date(to) >= new Date(req.body.from_date))
+      .withMessage('to_date must not be before from_date')
+      .bail()
+      .custom((to, { req }) => BackfillRunner.buildWindows(req.body.from_date, to).length > 0),
+    body('chunk_days').optional().isInt({ min: 1, max: 31 }).withMessage('chunk_days must be between 1 and 31')
+  ],
+  validate,
+  async (req, res) => {
+    const { config_id } = req.params;
+    const { from_date, to_date, chunk_days } = req.body;
+
+    try {
+      const config = await ConfigModel.getConfigById(config_id);
+      if (!config) {
+        return res.status(404).json({ success: false, message: 'Configuration not found' });
+      }
+      if (parseInt(config.terminal_count) > 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Configuration maps to several active outlet terminals; map each terminal to its own configuration'
+        });
+      }
+
+      const runner = new BackfillRunner();
+      const job = runner.start({
+        configId: config_id,
+        fromDate: from_date,
+        toDate: to_date,
+        chunkDays: chunk_days
+      });
+
+      logger.info('Backfill job queued', { jobId: job.id, config_id, from_date, to_date });
+      res.status(202).json({ success: true, message: 'Backfill started', data: job });
+    } catch (error) {
+      logger.error('Failed to start backfill', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to start backfill', error: error.message });
+    }
+  }
+);
+
+// GET - List backfill jobs started by this process
+router.get('/backfills', (req, res) => {
+  const data = BackfillRunner.listJobs();
+  res.json({ success: true, data, count: data.length });
+});
+
+// GET - Progress of a single backfill job
+router.get('/backfills/:job_id',
+  [
+    param('job_id').isUUID().withMessage('Invalid job ID format')
+  ],
+  validate,
+  (req, res) => {
+    const job = BackfillRunner.getJob(req.params.job_id);
+
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Backfill job not found' });
+    }
+
+    res.json({ success: true, data: job });
+  }
+);
+
+module.exports = router;
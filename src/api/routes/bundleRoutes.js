@@ -0,0 +1,116 @@
+const express = require('express');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
+const createLogger = require('../../config/logger');
+const VendorBundle = require('../../services/VendorBundle');
+const { changeMeta } = require('../../utils/changeMeta');
+
+const router = express.Router();
+const logger = createLogger('api-bundle');
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('Validation failed', { errors: errors.array() });
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  next();
+};
+
+// Secrets travel encrypted under this passphrase; kept out of URLs so it isn't logged
+const PASSPHRASE_HEADER = 'x-bundle-passphrase';
+const MIN_PASSPHRASE_LENGTH = 12;
+
+const isPassphrase = (value) => {
+  if (typeof value !== 'string' || value.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(`Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+  }
+  return true;
+};
+
+// ============================================
+// VENDOR ONBOARDING BUNDLE ROUTES
+// ============================================
+
+// EXPORT - Vendor, outlets, configs and field mappings as one JSON/YAML file
+// Secrets are omitted unless an X-Bundle-Passphrase header is sent to encrypt them under.
+router.get('/vendors/:vendor_id/bundle',
+  [
+    param('vendor_id').isUUID().withMessage('Invalid vendor ID format'),
+    queryParam('format').optional().isIn(['json', 'yaml']).withMessage('format must be json or yaml')
+  ],
+  validate,
+  async (req, res) => {
+    const { vendor_id } = req.params;
+    const format = req.query.format || 'json';
+    const passphrase = req.get(PASSPHRASE_HEADER) || null;
+
+    try {
+      if (passphrase) isPassphrase(passphrase);
+    } catch (error) {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+
+    try {
+      const bundle = await new VendorBundle().export(vendor_id, { passphrase });
+      if (!bundle) {
+        return res.status(404).json({ success: false, message: 'Vendor not found' });
+      }
+
+      const fileName = `${bundle.vendor.vendor_name.replace(/[^A-Za-z0-9_-]+/g, '_')}.${format === 'yaml' ? 'yaml' : 'json'}`;
+      logger.info('Vendor bundle exported', { vendor_id, format, secrets: bundle.secrets });
+      res
+        .attachment(fileName)
+        .type(format === 'yaml' ? 'application/yaml' : 'application/json')
+        .send(VendorBundle.serialize(bundle, format));
+    } catch (error) {
+      logger.error('Failed to export vendor bundle', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to export vendor bundle', error: error.message });
+    }
+  }
+);
+
+// IMPORT - Create or update a vendor from a bundle, matched on natural keys
+// bundle is the parsed object or the file's JSON/YAML text; dry_run: true only returns the preview.
+router.post('/bundles/import',
+  [
+    body('bundle').exists({ values: 'null' }).withMessage('bundle is required')
+      .custom(bundle => typeof bundle === 'string' || (typeof bundle === 'object' && !Array.isArray(bundle)))
+      .withMessage('bundle must be an object or JSON/YAML text'),
+    body('format').optional().isIn(['json', 'yaml']).withMessage('format must be json or yaml'),
+    body('passphrase').optional({ values: 'null' }).custom(isPassphrase),
+    body('dry_run').optional().isBoolean().toBoolean()
+  ],
+  validate,
+  async (req, res) => {
+    const { format = 'auto', passphrase = null, dry_run = false } = req.body;
+    const bundler = new VendorBundle();
+
+    try {
+      let plan;
+      try {
+        const bundle = typeof req.body.bundle === 'string' ? VendorBundle.parse(req.body.bundle, format) : req.body.bundle;
+        plan = await bundler.plan(bundle, { passphrase });
+      } catch (error) {
+        if (error.code === 'INVALID_BUNDLE') {
+          return res.status(400).json({ success: false, message: error.message, errors: error.errors });
+        }
+        if (/passphrase|decrypt/i.test(error.message)) {
+          return res.status(400).json({ success: false, message: error.message });
+        }
+        throw error;
+      }
+
+      if (!dry_run) {
+        await bundler.apply(plan, changeMeta(req, `Imported onboarding bundle for ${plan.preview.vendor.vendor_name}`));
+      }
+
+      res.status(dry_run ? 200 : 201).json({ success: true, dry_run, data: plan.preview });
+    } catch (error) {
+      logger.error('Failed to import vendor bundle', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to import vendor bundle', error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -1,9 +1,20 @@
 const express = require('express');
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
 const pool = require('../../config/database');
 const createLogger = require('../../config/logger');
 const { v4: uuidv4 } = require('uuid');
-const { encrypt } = require('../../utils/encryption');
+const { encryptConfigSecrets, SECRET_COLUMNS } = require('../../utils/secrets');
+const { CONFIG_COLUMNS, JSON_CONFIG_COLUMNS, toColumnValue } = require('../../utils/configColumns');
+const { updateRow } = require('../../models/partialUpdate');
+const SyncStateModel = require('../../models/syncStateModel');
+const CircuitBreakerModel = require('../../models/circuitBreakerModel');
+const ConfigModel = require('../../models/configModel');
+const ConfigDryRun = require('../../services/ConfigDryRun');
+const { assertTotalsRollup } = require('../../utils/totalsRollup');
+const { assertTimezone, assertDateFormats } = require('../../utils/dateTime');
+const dayjs = require('dayjs');
+const { isKnownSourceType, listSourceTypes, listConnectors, validateConnectorConfig } = require('../../connectors');
+const { assertJsonPath } = require('../../utils/jsonPath');
 
 const router = express.Router();
 const logger = createLogger('api-config');
@@ -22,53 +33,108 @@ const validate = (req, res, next) => {
 // CUSTOMER API CONFIGS ROUTES
 // ============================================
 
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH'];
+const BODY_TYPES = ['json', 'x-www-form-urlencoded'];
+const MAPPING_MODES = ['api', 'db'];
+
+// Field rules shared by create and update. On update every field is optional;
+// nullable fields accept null to clear them.
+const configFieldRules = ({ partial }) => {
+  const required = (field) => (partial ? body(field).optional() : body(field));
+  const nullable = (field) => body(field).optional({ values: 'null' });
+
+  return [
+    required('cac_customer_id').notEmpty().withMessage('Customer ID is required'),
+    required('cac_outlet_id').notEmpty().withMessage('Outlet ID is required'),
+    required('cac_pos_vendor').notEmpty().withMessage('POS vendor is required'),
+    required('cac_jsonordb').isString().trim().toLowerCase().custom(isKnownSourceType)
+      .withMessage(() => `Invalid source type, expected one of: ${listSourceTypes().join(', ')}`),
+    nullable('cac_api_url').isString().withMessage('API URL must be a string'),
+    nullable('cac_http_method').isString().toUpperCase().isIn(HTTP_METHODS)
+      .withMessage(`HTTP method must be one of: ${HTTP_METHODS.join(', ')}`),
+    nullable('cac_auth_type').isString(),
+    nullable('cac_auth_header_key').isString(),
+    nullable('cac_auth_header_value').isString(),
+    nullable('cac_authtokenurl').isString().withMessage('Auth token URL must be a string'),
+    nullable('cac_authtokenfieldmapping').isObject().withMessage('Auth token mapping must be an object with headers/body/params'),
+    nullable('cac_authtokenfieldmapping.headers').isObject(),
+    nullable('cac_authtokenfieldmapping.params').isObject(),
+    nullable('cac_tokenhttp').isString().toUpperCase().isIn(HTTP_METHODS)
+      .withMessage(`Token HTTP method must be one of: ${HTTP_METHODS.join(', ')}`),
+    nullable('cac_tokenresponse').isString().withMessage('Token response path must be a string'),
+    nullable('cac_authtoken_body_type').isString().toLowerCase().isIn(BODY_TYPES)
+      .withMessage(`Token body type must be one of: ${BODY_TYPES.join(', ')}`),
+    nullable('auth_body_type_no_token').isString().toLowerCase().isIn(BODY_TYPES)
+      .withMessage(`Body type must be one of: ${BODY_TYPES.join(', ')}`),
+    nullable('cac_xmlbody').isString().withMessage('XML body must be a string'),
+    nullable('cac_multiple_apis').isArray().withMessage('cac_multiple_apis must be an array'),
+    nullable('cac_soap_action').isString(),
+    nullable('cac_soap_timeout').isInt({ min: 1000 }).withMessage('SOAP timeout must be at least 1000 ms').toInt(),
+    nullable('cac_db_host').isString(),
+    nullable('cac_db_port').isInt({ min: 1, max: 65535 }).withMessage('DB port must be between 1 and 65535').toInt(),
+    nullable('cac_db_name').isString(),
+    nullable('cac_db_username').isString(),
+    nullable('cac_db_password').isString(),
+    nullable('cac_dbtype').isString().toLowerCase(),
+    nullable('cac_sql_text').isString(),
+    nullable('cac_wizapp_group_code').isString(),
+    nullable('cac_wizapp_user_id').isString(),
+    nullable('cac_wizapp_password').isString(),
+    nullable('cac_field_mapping').isObject().withMessage('Field mapping must be an object with headers/body/params'),
+    nullable('cac_field_mapping.cursor_path').isString().withMessage('Cursor path must be a string').bail().custom(assertJsonPath),
+    nullable('cac_apidbmapping').isString().toLowerCase().isIn(MAPPING_MODES)
+      .withMessage(`Mapping mode must be one of: ${MAPPING_MODES.join(', ')}`),
+    nullable('cac_calculate_totals_from_items').isBoolean().toBoolean(),
+    nullable('cac_totals_rollup').isObject().withMessage('Totals rollup must be an object of { total: rule }')
+      .bail().custom(assertTotalsRollup),
+    // Any dayjs format, e.g. YYYY-MM-DD, DD-MMM-YY, DD/MM/YYYY HH:mm:ss
+    nullable('dateformat').isString().trim().notEmpty().withMessage('Date format must be a dayjs format string'),
+    nullable('cac_source_timezone').isString().trim().bail().custom(assertTimezone),
+    nullable('cac_date_formats').custom(assertDateFormats),
+    body('cac_sync_interval_minutes').optional().isInt({ min: 1 }).withMessage('Sync interval must be positive integer'),
+    body('cac_is_active').optional().isBoolean().toBoolean()
+  ];
+};
+
+// Source-type rules need the whole config (e.g. 'soap' needs a SOAP action or
+// a Wizapp store), so they run on the merged row after the field rules.
+const sourceTypeErrors = (config) =>
+  validateConnectorConfig(config).map(error => ({ type: 'field', location: 'body', ...error }));
+
 // CREATE - Add new API configuration
 router.post('/configs',
-  [
-    body('cac_customer_id').notEmpty().withMessage('Customer ID is required'),
-    body('cac_outlet_id').notEmpty().withMessage('Outlet ID is required'),
-    body('cac_pos_vendor').notEmpty().withMessage('POS vendor is required'),
-    body('cac_jsonordb').isIn(['json', 'api', 'db', 'database']).withMessage('Invalid source type'),
-    body('cac_sync_interval_minutes').optional().isInt({ min: 1 }).withMessage('Sync interval must be positive integer'),
-    body('cac_is_active').optional().isBoolean()
-  ],
+  configFieldRules({ partial: false }),
   validate,
   async (req, res) => {
-    const {
-      cac_customer_id, cac_outlet_id, cac_pos_vendor, cac_api_url, cac_http_method,
-      cac_auth_type, cac_auth_header_key, cac_auth_header_value, cac_db_host,
-      cac_db_port, cac_db_name, cac_db_username, cac_db_password, cac_sample_json,
-      cac_field_mapping, cac_sync_interval_minutes, cac_is_active, cac_jsonordb
-    } = req.body;
+    const errors = sourceTypeErrors(req.body);
+    if (errors.length > 0) {
+      logger.warn('Validation failed', { errors });
+      return res.status(400).json({ success: false, errors });
+    }
+
+    // Encrypt sensitive fields, including secrets nested in the JSON columns
+    const config = encryptConfigSecrets({
+      ...req.body,
+      cac_sync_interval_minutes: req.body.cac_sync_interval_minutes || 5,
+      cac_is_active: req.body.cac_is_active !== false
+    });
+    const columns = CONFIG_COLUMNS.filter(column => config[column] !== undefined && config[column] !== '');
 
     const cac_config_id = uuidv4();
 
     try {
-      // Encrypt sensitive fields
-      const encrypted_auth_value = cac_auth_header_value ? encrypt(cac_auth_header_value) : null;
-      const encrypted_db_password = cac_db_password ? encrypt(cac_db_password) : null;
-
       const query = `
         INSERT INTO customer_api_configs (
-          cac_config_id, cac_customer_id, cac_outlet_id, cac_pos_vendor, cac_api_url,
-          cac_http_method, cac_auth_type, cac_auth_header_key, cac_auth_header_value,
-          cac_db_host, cac_db_port, cac_db_name, cac_db_username, cac_db_password,
-          cac_sample_json, cac_field_mapping, cac_sync_interval_minutes, cac_is_active, cac_jsonordb
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
-        RETURNING cac_config_id, cac_customer_id, cac_outlet_id, cac_pos_vendor, cac_is_active, cac_created_at
+          cac_config_id, ${columns.join(', ')}
+        ) VALUES ($1, ${columns.map((_, i) => `$${i + 2}`).join(', ')})
+        RETURNING cac_config_id, cac_customer_id, cac_outlet_id, cac_pos_vendor, cac_jsonordb, cac_is_active, cac_created_at
       `;
 
-      const values = [
-        cac_config_id, cac_customer_id, cac_outlet_id, cac_pos_vendor, cac_api_url,
-        cac_http_method, cac_auth_type, cac_auth_header_key, encrypted_auth_value,
-        cac_db_host, cac_db_port, cac_db_name, cac_db_username, encrypted_db_password,
-        JSON.stringify(cac_sample_json), JSON.stringify(cac_field_mapping),
-        cac_sync_interval_minutes || 5, cac_is_active !== false, cac_jsonordb
-      ];
+      const values = [cac_config_id, ...columns.map(column => toColumnValue(column, config[column]))];
 
       const result = await pool.query(query, values);
 
-      logger.info('API config created', { cac_config_id, cac_customer_id });
+      logger.info('API config created', { cac_config_id, cac_customer_id: config.cac_customer_id });
       res.status(201).json({ success: true, data: result.rows[0] });
     } catch (error) {
       logger.error('Failed to create API config', { error: error.message });
@@ -77,6 +143,71 @@ router.post('/configs',
   }
 );
 
+// UPDATE - Partially update an API configuration (PUT and PATCH)
+// Secrets are re-encrypted; send back the cac_updated_at you read, a newer
+// row answers 409 instead of being overwritten.
+const withoutSecrets = (row) => {
+  const safe = { ...row };
+  SECRET_COLUMNS.forEach(column => delete safe[column]);
+  return safe;
+};
+
+const updateConfig = [
+  [
+    param('config_id').isUUID().withMessage('Invalid config ID format'),
+    body('cac_updated_at').exists().withMessage('cac_updated_at from the row being edited is required'),
+    ...configFieldRules({ partial: true })
+  ],
+  validate,
+  async (req, res) => {
+    const { config_id } = req.params;
+
+    try {
+      const current = await pool.query('SELECT * FROM customer_api_configs WHERE cac_config_id = $1', [config_id]);
+      if (current.rows.length === 0) {
+        return res.status(404).json({ success: false, message: 'Configuration not found' });
+      }
+
+      const errors = sourceTypeErrors({ ...current.rows[0], ...req.body });
+      if (errors.length > 0) {
+        logger.warn('Validation failed', { errors });
+        return res.status(400).json({ success: false, errors });
+      }
+
+      const { status, row } = await updateRow({
+        table: 'customer_api_configs',
+        idColumn: 'cac_config_id',
+        id: config_id,
+        columns: CONFIG_COLUMNS,
+        changes: encryptConfigSecrets(req.body),
+        updatedAtColumn: 'cac_updated_at',
+        expectedUpdatedAt: req.body.cac_updated_at,
+        jsonColumns: JSON_CONFIG_COLUMNS
+      });
+
+      if (status === 'NO_CHANGES') {
+        return res.status(400).json({ success: false, message: 'No updatable fields supplied' });
+      }
+      if (status === 'NOT_FOUND') {
+        return res.status(404).json({ success: false, message: 'Configuration not found' });
+      }
+      if (status === 'CONFLICT') {
+        logger.warn('Config update conflict', { config_id });
+        return res.status(409).json({ success: false, message: 'Configuration was modified by someone else', data: withoutSecrets(row) });
+      }
+
+      logger.info('API config updated', { config_id, fields: CONFIG_COLUMNS.filter(c => req.body[c] !== undefined) });
+      res.json({ success: true, data: withoutSecrets(row) });
+    } catch (error) {
+      logger.error('Failed to update API config', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to update configuration', error: error.message });
+    }
+  }
+];
+
+router.put('/configs/:config_id', updateConfig);
+router.patch('/configs/:config_id', updateConfig);
+
 // DELETE - Remove API configuration
 router.delete('/configs/:config_id',
   [
@@ -156,4 +287,184 @@ router.get('/configs/:config_id',
   }
 );
 
+const DRY_RUN_MAX_DAYS = parseInt(process.env.DRY_RUN_MAX_DAYS) || 7;
+
+// A bare date covers the whole day; a date-time is taken as given
+const windowBound = (value, edge) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value) ? dayjs(value)[edge]('day') : dayjs(value);
+
+// POST - Dry run: fetch a small window and map it without inserting anything
+router.post('/configs/:config_id/test',
+  [
+    param('config_id').isUUID().withMessage('Invalid config ID format'),
+    body('from_date').isISO8601().withMessage('from_date must be an ISO 8601 date'),
+    body('to_date').isISO8601().withMessage('to_date must be an ISO 8601 date')
+      .custom((to, { req }) => !windowBound(to, 'endOf').isBefore(windowBound(req.body.from_date, 'startOf')))
+      .withMessage('to_date must not be before from_date')
+      .custom((to, { req }) =>
+        windowBound(to, 'endOf').diff(windowBound(req.body.from_date, 'startOf'), 'day', true) <= DRY_RUN_MAX_DAYS)
+      .withMessage(`The test window may span at most ${DRY_RUN_MAX_DAYS} days`),
+    body('limit').optional().isInt({ min: 0, max: 500 }).withMessage('limit must be between 0 and 500').toInt()
+  ],
+  validate,
+  async (req, res) => {
+    const { config_id } = req.params;
+    const { from_date, to_date, limit } = req.body;
+
+    try {
+      const config = await ConfigModel.getConfigById(config_id);
+      if (!config) {
+        return res.status(404).json({ success: false, message: 'Configuration not found' });
+      }
+
+      const window = {
+        from: windowBound(from_date, 'startOf').toDate(),
+        to: windowBound(to_date, 'endOf').toDate()
+      };
+      const data = await new ConfigDryRun(config).run(window, { limit });
+
+      res.json({ success: true, data });
+    } catch (error) {
+      const stage = error.stage || 'mapping';
+      logger.error('Config dry run failed', { config_id, stage, error: error.message });
+      res.status(stage === 'fetch' ? 502 : 500).json({
+        success: false,
+        message: stage === 'fetch' ? 'Vendor fetch failed' : 'Dry run failed',
+        stage,
+        error: error.message
+      });
+    }
+  }
+);
+
+// ============================================
+// SYNC STATE (WATERMARK) ROUTES
+// ============================================
+
+// GET - Read the sync watermark for a configuration
+router.get('/configs/:config_id/sync-state',
+  [
+    param('config_id').isUUID().withMessage('Invalid config ID format')
+  ],
+  validate,
+  async (req, res) => {
+    const { config_id } = req.params;
+
+    try {
+      const state = await SyncStateModel.getState(config_id);
+
+      if (!state) {
+        return res.status(404).json({ success: false, message: 'No sync state recorded for this configuration' });
+      }
+
+      res.json({ success: true, data: state });
+    } catch (error) {
+      logger.error('Failed to fetch sync state', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to fetch sync state', error: error.message });
+    }
+  }
+);
+
+// POST - Reset the sync watermark (optionally to a given window end)
+router.post('/configs/:config_id/sync-state/reset',
+  [
+    param('config_id').isUUID().withMessage('Invalid config ID format'),
+    body('last_window_end').optional({ values: 'null' }).isISO8601().withMessage('last_window_end must be an ISO 8601 date'),
+    body('cursor').optional({ values: 'null' }).isString()
+  ],
+  validate,
+  async (req, res) => {
+    const { config_id } = req.params;
+    const { last_window_end, cursor } = req.body || {};
+
+    try {
+      const state = await SyncStateModel.resetState(config_id, {
+        windowEnd: last_window_end ? new Date(last_window_end) : null,
+        cursor: cursor || null
+      });
+
+      logger.info('Sync state reset', { config_id, last_window_end: last_window_end || null });
+      res.json({ success: true, message: 'Sync state reset successfully', data: state });
+    } catch (error) {
+      logger.error('Failed to reset sync state', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to reset sync state', error: error.message });
+    }
+  }
+);
+
+// ============================================
+// CIRCUIT BREAKER ROUTES
+// ============================================
+
+// GET - List circuit breaker states (optionally ?state=OPEN)
+router.get('/circuit-breakers',
+  [
+    queryParam('state').optional().isIn(['CLOSED', 'OPEN', 'HALF_OPEN']).withMessage('Invalid breaker state')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const rows = await CircuitBreakerModel.listStates(req.query.state || null);
+      res.json({ success: true, data: rows, count: rows.length });
+    } catch (error) {
+      logger.error('Failed to fetch circuit breakers', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to fetch circuit breakers', error: error.message });
+    }
+  }
+);
+
+// GET - Circuit breaker state for a configuration
+router.get('/configs/:config_id/circuit-breaker',
+  [
+    param('config_id').isUUID().withMessage('Invalid config ID format')
+  ],
+  validate,
+  async (req, res) => {
+    const { config_id } = req.params;
+
+    try {
+      const state = await CircuitBreakerModel.getState(config_id);
+
+      if (!state) {
+        return res.status(404).json({ success: false, message: 'No circuit breaker state recorded for this configuration' });
+      }
+
+      res.json({ success: true, data: state });
+    } catch (error) {
+      logger.error('Failed to fetch circuit breaker', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to fetch circuit breaker', error: error.message });
+    }
+  }
+);
+
+// GET - Registered vendor connectors and the source types they serve
+router.get('/connectors', (req, res) => {
+  res.json({ success: true, data: listConnectors() });
+});
+
+// POST - Close the circuit breaker for a configuration
+router.post('/configs/:config_id/circuit-breaker/reset',
+  [
+    param('config_id').isUUID().withMessage('Invalid config ID format')
+  ],
+  validate,
+  async (req, res) => {
+    const { config_id } = req.params;
+
+    try {
+      const state = await CircuitBreakerModel.close(config_id);
+
+      if (!state) {
+        return res.status(404).json({ success: false, message: 'No circuit breaker state recorded for this configuration' });
+      }
+
+      logger.info('Circuit breaker reset', { config_id });
+      res.json({ success: true, message: 'Circuit breaker reset successfully', data: state });
+    } catch (error) {
+      logger.error('Failed to reset circuit breaker', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to reset circuit breaker', error: error.message });
+    }
+  }
+);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,201 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const createLogger = require('../../config/logger');
+const ConfigModel = require('../../models/configModel');
+const MappingTemplateModel = require('../../models/mappingTemplateModel');
+const MappingVersionModel = require('../../models/mappingVersionModel');
+const { MAPPING_TABLES, mappingKey } = require('../../utils/fieldMappings');
+const { changeMeta } = require('../../utils/changeMeta');
+const { assertJsonPath, assertMappingPath } = require('../../utils/jsonPath');
+const { assertTransformRule } = require('../../utils/transformRules');
+
+const router = express.Router();
+const logger = createLogger('api-mapping-template');
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('Validation failed', { errors: errors.array() });
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  next();
+};
+
+// Template fields use the pos_vendor_field_mapping names, so suggestions
+// and existing mappings can be posted as they are
+const fieldRules = [
+  body('fields').optional().isArray().withMessage('fields must be an array')
+    .custom(fields => new Set(fields.map(mappingKey)).size === fields.length)
+    .withMessage('fields must not repeat a pvfm_tablename + pvfm_source_field pair'),
+  body('fields.*.pvfm_tablename').isIn(MAPPING_TABLES)
+    .withMessage(`pvfm_tablename must be one of ${MAPPING_TABLES.join(', ')}`),
+  body('fields.*.pvfm_source_field').isString().notEmpty().withMessage('pvfm_source_field is required on every field'),
+  body('fields.*.pvfm_target_field').optional({ values: 'null' }).isString(),
+  body('fields.*.pvfm_json_path').optional({ values: 'null' }).isString().bail().custom(assertMappingPath),
+  body('fields.*.pvfm_row_root_json_path').optional({ values: 'null' }).isString().bail().custom(assertJsonPath),
+  body('fields.*.pvfm_transform_rule').optional({ values: 'null' }).isString().bail().custom(assertTransformRule),
+  body('fields.*.pvfm_is_required').optional().isBoolean().toBoolean()
+];
+
+const isUniqueViolation = (error) => error.code === '23505';
+
+// ============================================
+// MAPPING TEMPLATE ROUTES
+// ============================================
+
+// CREATE - New template from a field list, or from a vendor's current mappings (from_vendor_id)
+router.post('/mapping-templates',
+  [
+    body('name').isString().trim().notEmpty().withMessage('Template name is required'),
+    body('description').optional({ values: 'null' }).isString(),
+    body('from_vendor_id').optional().isUUID().withMessage('from_vendor_id must be a valid UUID'),
+    ...fieldRules
+  ],
+  validate,
+  async (req, res) => {
+    const { name, description, from_vendor_id } = req.body;
+
+    try {
+      let fields = req.body.fields || [];
+      if (from_vendor_id) {
+        fields = Object.values(await ConfigModel.getAllFieldMappings(from_vendor_id)).flat();
+      }
+
+      const template = await MappingTemplateModel.create({ name, description, fields });
+
+      logger.info('Mapping template created', { template_id: template.mt_template_id, name, fields: fields.length });
+      res.status(201).json({
+        success: true,
+        data: { ...template, fields: await MappingTemplateModel.getFields(template.mt_template_id) }
+      });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(409).json({ success: false, message: `A mapping template named "${name}" already exists` });
+      }
+      logger.error('Failed to create mapping template', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to create mapping template', error: error.message });
+    }
+  }
+);
+
+// UPDATE - Rename, re-describe and/or replace the field list (fields replaces all fields)
+// Replacing fields records a new mapping version for every vendor using the template.
+const updateTemplate = [
+  [
+    param('template_id').isUUID().withMessage('Invalid template ID format'),
+    body('name').optional().isString().trim().notEmpty().withMessage('Template name cannot be empty'),
+    body('description').optional({ values: 'null' }).isString(),
+    ...fieldRules
+  ],
+  validate,
+  async (req, res) => {
+    const { template_id } = req.params;
+    const { name, description, fields } = req.body;
+
+    try {
+      const vendors = fields ? await MappingTemplateModel.getVendors(template_id) : [];
+      const { result: template, versions } = await MappingVersionModel.track(
+        vendors.map(vendor => vendor.vendor_id),
+        changeMeta(req, `Mapping template ${template_id} fields replaced`),
+        client => MappingTemplateModel.update(client, template_id, { name, description, fields })
+      );
+      if (!template) {
+        return res.status(404).json({ success: false, message: 'Mapping template not found' });
+      }
+
+      logger.info('Mapping template updated', { template_id, fieldsReplaced: Boolean(fields), vendorsVersioned: versions.length });
+      res.json({
+        success: true,
+        data: {
+          ...template,
+          fields: await MappingTemplateModel.getFields(template_id),
+          mapping_versions: versions.map(version => ({ vendor_id: version.fmv_vendor_id, version: version.fmv_version }))
+        }
+      });
+    } catch (error) {
+      if (isUniqueViolation(error)) {
+        return res.status(409).json({ success: false, message: `A mapping template named "${name}" already exists` });
+      }
+      logger.error('Failed to update mapping template', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to update mapping template', error: error.message });
+    }
+  }
+];
+
+router.put('/mapping-templates/:template_id', updateTemplate);
+router.patch('/mapping-templates/:template_id', updateTemplate);
+
+// DELETE - Remove a template no vendor references any more
+router.delete('/mapping-templates/:template_id',
+  [
+    param('template_id').isUUID().withMessage('Invalid template ID format')
+  ],
+  validate,
+  async (req, res) => {
+    const { template_id } = req.params;
+
+    try {
+      const vendors = await MappingTemplateModel.getVendors(template_id);
+      if (vendors.length > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Mapping template is still referenced by vendors',
+          data: vendors
+        });
+      }
+
+      const template = await MappingTemplateModel.delete(template_id);
+      if (!template) {
+        return res.status(404).json({ success: false, message: 'Mapping template not found' });
+      }
+
+      logger.info('Mapping template deleted', { template_id });
+      res.json({ success: true, message: 'Mapping template deleted successfully', data: template });
+    } catch (error) {
+      logger.error('Failed to delete mapping template', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to delete mapping template', error: error.message });
+    }
+  }
+);
+
+// GET - List templates with field and vendor counts
+router.get('/mapping-templates', async (req, res) => {
+  try {
+    const data = await MappingTemplateModel.list();
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    logger.error('Failed to fetch mapping templates', { error: error.message });
+    res.status(500).json({ success: false, message: 'Failed to fetch mapping templates', error: error.message });
+  }
+});
+
+// GET - One template with its fields and the vendors using it
+router.get('/mapping-templates/:template_id',
+  [
+    param('template_id').isUUID().withMessage('Invalid template ID format')
+  ],
+  validate,
+  async (req, res) => {
+    const { template_id } = req.params;
+
+    try {
+      const template = await MappingTemplateModel.getById(template_id);
+      if (!template) {
+        return res.status(404).json({ success: false, message: 'Mapping template not found' });
+      }
+
+      const [fields, vendors] = await Promise.all([
+        MappingTemplateModel.getFields(template_id),
+        MappingTemplateModel.getVendors(template_id)
+      ]);
+
+      res.json({ success: true, data: { ...template, fields, vendors } });
+    } catch (error) {
+      logger.error('Failed to fetch mapping template', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to fetch mapping template', error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,194 @@
+const express = require('express');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
+const createLogger = require('../../config/logger');
+const MappingTemplateModel = require('../../models/mappingTemplateModel');
+const MappingVersionModel = require('../../models/mappingVersionModel');
+const { diffMappingSets } = require('../../utils/fieldMappings');
+const { changeMeta } = require('../../utils/changeMeta');
+
+const router = express.Router();
+const logger = createLogger('api-mapping-version');
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('Validation failed', { errors: errors.array() });
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  next();
+};
+
+// Version header without the mapping snapshots
+const describe = (version) => ({
+  version_id: version.fmv_version_id,
+  version: version.fmv_version,
+  template_id: version.fmv_template_id,
+  author: version.fmv_author,
+  reason: version.fmv_reason,
+  created_at: version.fmv_created_at
+});
+
+const summarise = (diff) => Object.fromEntries(Object.entries(diff).map(([name, rows]) => [name, rows.length]));
+
+/**
+ * Own-mapping and effective-mapping differences between two snapshots
+ * (versions, or the vendor's current state in the same shape).
+ */
+const compare = (from, to) => {
+  const vendorMappings = diffMappingSets(from.fmv_vendor_mappings, to.fmv_vendor_mappings);
+  const effectiveMappings = diffMappingSets(from.fmv_effective_mappings, to.fmv_effective_mappings);
+  return {
+    ...(from.fmv_template_id !== to.fmv_template_id && {
+      template: { from: from.fmv_template_id, to: to.fmv_template_id }
+    }),
+    summary: summarise(effectiveMappings),
+    effective_mappings: effectiveMappings,
+    vendor_mappings: vendorMappings
+  };
+};
+
+// ============================================
+// FIELD MAPPING VERSION ROUTES
+// ============================================
+// Mounted ahead of the field mapping routes so /field-mappings/versions is
+// not taken for a mapping id.
+
+// GET - Version history of a vendor, newest first
+router.get('/field-mappings/versions',
+  [
+    queryParam('vendor_id').isUUID().withMessage('vendor_id must be a valid UUID')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const data = await MappingVersionModel.list(req.query.vendor_id);
+      res.json({ success: true, data, count: data.length });
+    } catch (error) {
+      logger.error('Failed to fetch mapping versions', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to fetch mapping versions', error: error.message });
+    }
+  }
+);
+
+// DIFF - What changed between two versions of a vendor (to defaults to the latest)
+router.get('/field-mappings/versions/diff',
+  [
+    queryParam('vendor_id').isUUID().withMessage('vendor_id must be a valid UUID'),
+    queryParam('from').isInt({ min: 1 }).withMessage('from must be a version number').toInt(),
+    queryParam('to').optional().isInt({ min: 1 }).withMessage('to must be a version number').toInt()
+  ],
+  validate,
+  async (req, res) => {
+    const { vendor_id, from, to } = req.query;
+
+    try {
+      const [fromVersion, toVersion] = await Promise.all([
+        MappingVersionModel.getByNumber(vendor_id, from),
+        to ? MappingVersionModel.getByNumber(vendor_id, to) : MappingVersionModel.getLatest(vendor_id)
+      ]);
+
+      for (const [number, version] of [[from, fromVersion], [to ?? 'latest', toVersion]]) {
+        if (!version) {
+          return res.status(404).json({ success: false, message: `Mapping version ${number} not found for vendor` });
+        }
+      }
+
+      res.json({
+        success: true,
+        data: {
+          vendor_id,
+          from: describe(fromVersion),
+          to: describe(toVersion),
+          ...compare(fromVersion, toVersion)
+        }
+      });
+    } catch (error) {
+      logger.error('Failed to diff mapping versions', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to diff mapping versions', error: error.message });
+    }
+  }
+);
+
+// ROLLBACK - Restore a vendor's own mappings and template link from a prior version
+// The rollback itself is recorded as a new version; dry_run: true only returns the diff.
+router.post('/field-mappings/versions/rollback',
+  [
+    body('vendor_id').isUUID().withMessage('vendor_id must be a valid UUID'),
+    body('version').isInt({ min: 1 }).withMessage('version must be a version number').toInt(),
+    body('dry_run').optional().isBoolean().toBoolean()
+  ],
+  validate,
+  async (req, res) => {
+    const { vendor_id, version, dry_run = false } = req.body;
+
+    try {
+      const target = await MappingVersionModel.getByNumber(vendor_id, version);
+      if (!target) {
+        return res.status(404).json({ success: false, message: `Mapping version ${version} not found for vendor` });
+      }
+
+      const warnings = [];
+      let templateId = target.fmv_template_id;
+      if (templateId && !(await MappingTemplateModel.getById(templateId))) {
+        warnings.push(`Mapping template ${templateId} no longer exists; the vendor is left without a template`);
+        templateId = null;
+      }
+
+      const current = await MappingVersionModel.snapshot(vendor_id);
+      const changes = compare({
+        fmv_template_id: current.templateId,
+        fmv_vendor_mappings: current.vendorMappings,
+        fmv_effective_mappings: current.effectiveMappings
+      }, { ...target, fmv_template_id: templateId });
+
+      if (dry_run) {
+        return res.json({ success: true, dry_run, data: { vendor_id, target: describe(target), ...changes, warnings } });
+      }
+
+      const { versions: [restored] } = await MappingVersionModel.track(
+        [vendor_id],
+        changeMeta(req, `Rollback to version ${version}`),
+        client => MappingVersionModel.restore(client, target, { templateId })
+      );
+
+      // Template fields may have changed since, so the restored effective set can differ
+      const drift = diffMappingSets(target.fmv_effective_mappings, restored.fmv_effective_mappings);
+      if (drift.added.length + drift.removed.length + drift.changed.length > 0) {
+        warnings.push(`Template fields changed since version ${version}; effective mappings differ from it`);
+      }
+
+      logger.info('Field mappings rolled back', { vendor_id, to_version: version, new_version: restored.fmv_version });
+      res.json({
+        success: true,
+        dry_run,
+        data: { vendor_id, target: describe(target), version: describe(restored), ...changes, warnings }
+      });
+    } catch (error) {
+      logger.error('Failed to roll back field mappings', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to roll back field mappings', error: error.message });
+    }
+  }
+);
+
+// GET - One version with its mapping snapshots
+router.get('/field-mappings/versions/:version_id',
+  [
+    param('version_id').isUUID().withMessage('Invalid version ID format')
+  ],
+  validate,
+  async (req, res) => {
+    try {
+      const version = await MappingVersionModel.getById(req.params.version_id);
+      if (!version) {
+        return res.status(404).json({ success: false, message: 'Mapping version not found' });
+      }
+      res.json({ success: true, data: version });
+    } catch (error) {
+      logger.error('Failed to fetch mapping version', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to fetch mapping version', error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,111 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const createLogger = require('../../config/logger');
+const TransformLookupModel = require('../../models/transformLookupModel');
+
+const router = express.Router();
+const logger = createLogger('api-transform-lookup');
+
+// Validation middleware
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    logger.warn('Validation failed', { errors: errors.array() });
+    return res.status(400).json({ success: false, errors: errors.array() });
+  }
+  next();
+};
+
+const nameRule = param('name').matches(/^[A-Za-z0-9_.-]{1,100}$/)
+  .withMessage('Lookup name may only use letters, digits, _ . and - (up to 100 characters)');
+
+const isScalar = (value) => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+
+// ============================================
+// TRANSFORM LOOKUP ROUTES
+// ============================================
+// Tables used by lookup('name', fallback?) in pvfm_transform_rule
+
+// PUT - Create or replace a lookup table
+router.put('/transform-lookups/:name',
+  [
+    nameRule,
+    body('description').optional({ values: 'null' }).isString(),
+    body('entries').custom(entries => {
+      if (entries === null || typeof entries !== 'object' || Array.isArray(entries)) {
+        throw new Error('entries must be an object of key: value pairs');
+      }
+      const bad = Object.keys(entries).filter(key => !isScalar(entries[key]));
+      if (bad.length > 0) throw new Error(`entries values must be strings, numbers, booleans or null (${bad.join(', ')})`);
+      return true;
+    })
+  ],
+  validate,
+  async (req, res) => {
+    const { name } = req.params;
+    const { description, entries } = req.body;
+
+    try {
+      const { lookup, created } = await TransformLookupModel.upsert(name, { description, entries });
+
+      logger.info(created ? 'Transform lookup created' : 'Transform lookup replaced', { name, entries: Object.keys(entries).length });
+      res.status(created ? 201 : 200).json({ success: true, data: lookup });
+    } catch (error) {
+      logger.error('Failed to save transform lookup', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to save transform lookup', error: error.message });
+    }
+  }
+);
+
+// DELETE - Remove a lookup table (rules using it leave values unchanged)
+router.delete('/transform-lookups/:name',
+  [nameRule],
+  validate,
+  async (req, res) => {
+    const { name } = req.params;
+
+    try {
+      const lookup = await TransformLookupModel.delete(name);
+      if (!lookup) {
+        return res.status(404).json({ success: false, message: 'Transform lookup not found' });
+      }
+
+      logger.info('Transform lookup deleted', { name });
+      res.json({ success: true, message: 'Transform lookup deleted successfully', data: lookup });
+    } catch (error) {
+      logger.error('Failed to delete transform lookup', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to delete transform lookup', error: error.message });
+    }
+  }
+);
+
+// GET - List lookup tables with entry counts
+router.get('/transform-lookups', async (req, res) => {
+  try {
+    const data = await TransformLookupModel.list();
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    logger.error('Failed to fetch transform lookups', { error: error.message });
+    res.status(500).json({ success: false, message: 'Failed to fetch transform lookups', error: error.message });
+  }
+});
+
+// GET - One lookup table with its entries
+router.get('/transform-lookups/:name',
+  [nameRule],
+  validate,
+  async (req, res) => {
+    try {
+      const lookup = await TransformLookupModel.getByName(req.params.name);
+      if (!lookup) {
+        return res.status(404).json({ success: false, message: 'Transform lookup not found' });
+      }
+      res.json({ success: true, data: lookup });
+    } catch (error) {
+      logger.error('Failed to fetch transform lookup', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to fetch transform lookup', error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -3,6 +3,11 @@ const { body, param, validationResult } = require('express-validator');
 const pool = require('../../config/database');
 const createLogger = require('../../config/logger');
 const { v4: uuidv4 } = require('uuid');
+const { updateRow } = require('../../models/partialUpdate');
+const MappingTemplateModel = require('../../models/mappingTemplateModel');
+const MappingVersionModel = require('../../models/mappingVersionModel');
+const { changeMeta } = require('../../utils/changeMeta');
+const { assertDerivedFields } = require('../../utils/derivedFields');
 
 const router = express.Router();
 const logger = createLogger('api-vendor');
@@ -28,21 +33,22 @@ router.post('/vendors',
     body('contact_email').optional().isEmail().withMessage('Invalid email format'),
     body('contact_phone').optional().isString(),
     body('base_format').optional().isString(),
-    body('remarks').optional().isString()
+    body('remarks').optional().isString(),
+    body('derived_fields').optional({ values: 'null' }).custom(assertDerivedFields)
   ],
   validate,
   async (req, res) => {
-    const { vendor_name, contact_email, contact_phone, base_format, remarks } = req.body;
+    const { vendor_name, contact_email, contact_phone, base_format, remarks, derived_fields } = req.body;
     const vendor_id = uuidv4();
 
     try {
       const query = `
-        INSERT INTO pos_vendor_master (vendor_id, vendor_name, contact_email, contact_phone, base_format, remarks)
-        VALUES ($1, $2, $3, $4, $5, $6)
+        INSERT INTO pos_vendor_master (vendor_id, vendor_name, contact_email, contact_phone, base_format, remarks, derived_fields)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
         RETURNING *
       `;
       
-      const values = [vendor_id, vendor_name, contact_email, contact_phone, base_format, remarks];
+      const values = [vendor_id, vendor_name, contact_email, contact_phone, base_format, remarks, derived_fields ? JSON.stringify(derived_fields) : null];
       const result = await pool.query(query, values);
 
       logger.info('Vendor created', { vendor_id, vendor_name });
@@ -54,6 +60,78 @@ router.post('/vendors',
   }
 );
 
+const templateExists = async (templateId) => {
+  if (!(await MappingTemplateModel.getById(templateId))) {
+    throw new Error('Mapping template not found');
+  }
+  return true;
+};
+
+// UPDATE - Partially update a vendor (PUT and PATCH)
+// mapping_template_id links a shared mapping template (null unlinks it).
+// derived_fields sets { field: 'vendor' | 'derive' | 'derive_and_flag' } for computed fields.
+// Send back the updated_at you read; a newer row answers 409 instead of being overwritten.
+const updateVendor = [
+  [
+    param('vendor_id').isUUID().withMessage('Invalid vendor ID format'),
+    body('updated_at').exists().withMessage('updated_at from the row being edited is required'),
+    body('vendor_name').optional().notEmpty().withMessage('Vendor name cannot be empty'),
+    body('contact_email').optional().isEmail().withMessage('Invalid email format'),
+    body('contact_phone').optional().isString(),
+    body('base_format').optional().isString(),
+    body('remarks').optional().isString(),
+    body('mapping_template_id').optional({ values: 'null' }).isUUID().withMessage('mapping_template_id must be a valid UUID')
+      .bail().custom(templateExists),
+    body('derived_fields').optional({ values: 'null' }).custom(assertDerivedFields)
+  ],
+  validate,
+  async (req, res) => {
+    const { vendor_id } = req.params;
+
+    try {
+      // Switching template changes the vendor's effective mappings, so version it
+      const templateChange = req.body.mapping_template_id !== undefined;
+      const { result: { status, row }, versions } = await MappingVersionModel.track(
+        templateChange ? [vendor_id] : [],
+        changeMeta(req, req.body.mapping_template_id
+          ? `Linked mapping template ${req.body.mapping_template_id}`
+          : 'Unlinked mapping template'),
+        client => updateRow({
+          table: 'pos_vendor_master',
+          idColumn: 'vendor_id',
+          id: vendor_id,
+          columns: ['vendor_name', 'contact_email', 'contact_phone', 'base_format', 'remarks', 'mapping_template_id', 'derived_fields'],
+          changes: req.body,
+          jsonColumns: ['derived_fields'],
+          updatedAtColumn: 'updated_at',
+          expectedUpdatedAt: req.body.updated_at,
+          db: client
+        })
+      );
+
+      if (status === 'NO_CHANGES') {
+        return res.status(400).json({ success: false, message: 'No updatable fields supplied' });
+      }
+      if (status === 'NOT_FOUND') {
+        return res.status(404).json({ success: false, message: 'Vendor not found' });
+      }
+      if (status === 'CONFLICT') {
+        logger.warn('Vendor update conflict', { vendor_id });
+        return res.status(409).json({ success: false, message: 'Vendor was modified by someone else', data: row });
+      }
+
+      logger.info('Vendor updated', { vendor_id });
+      res.json({ success: true, data: row, ...(templateChange && { mapping_version: versions[0].fmv_version }) });
+    } catch (error) {
+      logger.error('Failed to update vendor', { error: error.message });
+      res.status(500).json({ success: false, message: 'Failed to update vendor', error: error.message });
+    }
+  }
+];
+
+router.put('/vendors/:vendor_id', updateVendor);
+router.patch('/vendors/:vendor_id', updateVendor);
+
 // DELETE - Remove vendor
 router.delete('/vendors/:vendor_id',
   [
@@ -2,6 +2,9 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const createLogger = require('../config/logger');
+const { ensureSchema } = require('../config/schema');
+const { assertEncryptionReady } = require('../utils/encryption');
+const { loadAgentScope, describeScope } = require('../config/agentScope');
 require('dotenv').config();
 
 // Import routes
@@ -9,6 +12,11 @@ const vendorRoutes = require('./routes/vendorRoutes');
 const configRoutes = require('./routes/configRoutes');
 const outletRoutes = require('./routes/outletRoutes');
 const fieldMappingRoutes = require('./routes/fieldMappingRoutes');
+const mappingVersionRoutes = require('./routes/mappingVersionRoutes');
+const backfillRoutes = require('./routes/backfillRoutes');
+const mappingTemplateRoutes = require('./routes/mappingTemplateRoutes');
+const bundleRoutes = require('./routes/bundleRoutes');
+const transformLookupRoutes = require('./routes/transformLookupRoutes');
 
 const app = express();
 const logger = createLogger('api-server');
@@ -32,12 +40,21 @@ app.use((req, res, next) => {
 });
 
 // Health check endpoint
-app.get('/health', (req, res) => {
+app.get('/health', async (req, res) => {
+  // The scope the agent would load now (the API runs in its own process)
+  let scope;
+  try {
+    scope = describeScope(await loadAgentScope());
+  } catch (error) {
+    scope = { error: error.message, errors: error.errors };
+  }
+
   res.json({
     success: true,
     status: 'healthy',
     timestamp: new Date().toISOString(),
-    uptime: process.uptime()
+    uptime: process.uptime(),
+    scope
   });
 });
 
@@ -45,7 +62,13 @@ app.get('/health', (req, res) => {
 app.use('/api', vendorRoutes);
 app.use('/api', configRoutes);
 app.use('/api', outletRoutes);
+// Before fieldMappingRoutes so /field-mappings/versions isn't read as a mapping id
+app.use('/api', mappingVersionRoutes);
 app.use('/api', fieldMappingRoutes);
+app.use('/api', backfillRoutes);
+app.use('/api', mappingTemplateRoutes);
+app.use('/api', bundleRoutes);
+app.use('/api', transformLookupRoutes);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -58,25 +81,72 @@ app.get('/', (req, res) => {
         create: 'POST /api/vendors',
         list: 'GET /api/vendors',
         get: 'GET /api/vendors/:vendor_id',
+        update: 'PUT|PATCH /api/vendors/:vendor_id',
         delete: 'DELETE /api/vendors/:vendor_id'
       },
+      bundles: {
+        export: 'GET /api/vendors/:vendor_id/bundle?format=json|yaml',
+        import: 'POST /api/bundles/import'
+      },
       configs: {
         create: 'POST /api/configs',
         list: 'GET /api/configs',
         get: 'GET /api/configs/:config_id',
-        delete: 'DELETE /api/configs/:config_id'
+        update: 'PUT|PATCH /api/configs/:config_id',
+        delete: 'DELETE /api/configs/:config_id',
+        test: 'POST /api/configs/:config_id/test',
+        syncState: 'GET /api/configs/:config_id/sync-state',
+        resetSyncState: 'POST /api/configs/:config_id/sync-state/reset',
+        circuitBreaker: 'GET /api/configs/:config_id/circuit-breaker',
+        resetCircuitBreaker: 'POST /api/configs/:config_id/circuit-breaker/reset'
+      },
+      circuitBreakers: {
+        list: 'GET /api/circuit-breakers'
+      },
+      connectors: {
+        list: 'GET /api/connectors'
       },
       outlets: {
         create: 'POST /api/outlets',
         list: 'GET /api/outlets',
         get: 'GET /api/outlets/:outlet_id',
+        update: 'PUT|PATCH /api/outlets/:outlet_id',
         delete: 'DELETE /api/outlets/:outlet_id'
       },
       fieldMappings: {
         create: 'POST /api/field-mappings',
+        preview: 'POST /api/field-mappings/preview',
+        suggest: 'POST /api/field-mappings/suggest',
+        clone: 'POST /api/field-mappings/clone',
+        effective: 'GET /api/field-mappings/effective?vendor_id=',
         list: 'GET /api/field-mappings',
         get: 'GET /api/field-mappings/:mapping_id',
+        update: 'PUT|PATCH /api/field-mappings/:mapping_id',
         delete: 'DELETE /api/field-mappings/:mapping_id'
+      },
+      mappingVersions: {
+        list: 'GET /api/field-mappings/versions?vendor_id=',
+        diff: 'GET /api/field-mappings/versions/diff?vendor_id=&from=&to=',
+        rollback: 'POST /api/field-mappings/versions/rollback',
+        get: 'GET /api/field-mappings/versions/:version_id'
+      },
+      mappingTemplates: {
+        create: 'POST /api/mapping-templates',
+        list: 'GET /api/mapping-templates',
+        get: 'GET /api/mapping-templates/:template_id',
+        update: 'PUT|PATCH /api/mapping-templates/:template_id',
+        delete: 'DELETE /api/mapping-templates/:template_id'
+      },
+      transformLookups: {
+        list: 'GET /api/transform-lookups',
+        get: 'GET /api/transform-lookups/:name',
+        put: 'PUT /api/transform-lookups/:name',
+        delete: 'DELETE /api/transform-lookups/:name'
+      },
+      backfills: {
+        start: 'POST /api/configs/:config_id/backfill',
+        list: 'GET /api/backfills',
+        get: 'GET /api/backfills/:job_id'
       }
     }
   });
@@ -109,6 +179,16 @@ app.use((err, req, res, next) => {
 
 // Start server
 const startServer = () => {
+  try {
+    assertEncryptionReady();
+  } catch (err) {
+    logger.error('Encryption key check failed', { error: err.message });
+    console.error(`❌ ${err.message}`);
+    process.exit(1);
+  }
+
+  ensureSchema().catch(err => logger.error('Failed to ensure support tables', { error: err.message }));
+
   app.listen(PORT, () => {
     logger.info(`API Server started on port ${PORT}`);
     console.log(`\n🚀 POS Integrator API Server running on http://localhost:${PORT}`);
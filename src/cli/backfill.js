@@ -0,0 +1,53 @@
+require('dotenv').config();
+const pool = require('../config/database');
+const BackfillRunner = require('../services/BackfillRunner');
+
+// Usage: npm run backfill -- --config <cac_config_id> --from YYYY-MM-DD --to YYYY-MM-DD [--chunk-days N]
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+};
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.config || !args.from || !args.to) {
+    console.error('Usage: npm run backfill -- --config <cac_config_id> --from YYYY-MM-DD --to YYYY-MM-DD [--chunk-days N]');
+    process.exit(1);
+  }
+
+  const runner = new BackfillRunner();
+
+  console.log(`⏪ Backfilling ${args.config} from ${args.from} to ${args.to}`);
+
+  const job = await runner.run(
+    {
+      configId: args.config,
+      fromDate: args.from,
+      toDate: args.to,
+      chunkDays: args['chunk-days']
+    },
+    (job, window) => {
+      console.log(
+        `   [${job.completedWindows}/${job.totalWindows}] ${window.from.toISOString()} → ${window.to.toISOString()}: ` +
+        `${window.status} (records: ${window.records}, skipped: ${window.skipped}, errors: ${window.errors})`
+      );
+    }
+  );
+
+  console.log(`${job.status === 'COMPLETED' ? '✅' : '⚠️ '} Backfill ${job.status}`);
+  return job.status === 'COMPLETED' ? 0 : 2;
+}
+
+main()
+  .then(code => pool.end().then(() => process.exit(code)))
+  .catch(err => {
+    console.error('❌ Backfill failed:', err.message);
+    pool.end().finally(() => process.exit(1));
+  });
@@ -0,0 +1,116 @@
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+const pool = require('../config/database');
+const VendorBundle = require('../services/VendorBundle');
+
+// Usage: npm run bundle -- export --vendor <vendor_id|vendor_name> [--format json|yaml] [--out <file>]
+//        npm run bundle -- import --file <bundle.json|.yaml> [--dry-run]
+// Secrets are encrypted under / decrypted with BUNDLE_PASSPHRASE when it is
+// set, and left out of the export otherwise.
+const USAGE = [
+  'Usage: npm run bundle -- export --vendor <vendor_id|vendor_name> [--format json|yaml] [--out <file>]',
+  '       npm run bundle -- import --file <bundle.json|.yaml> [--dry-run]'
+].join('\n');
+
+const parseArgs = (argv) => {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      args._.push(argv[i]);
+    } else if (argv[i + 1] === undefined || argv[i + 1].startsWith('--')) {
+      args[argv[i].slice(2)] = true;
+    } else {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    }
+  }
+  return args;
+};
+
+const ACTION_ICONS = { create: '➕', update: '✏️ ' };
+
+const printPreview = (preview) => {
+  const { vendor, summary, warnings } = preview;
+  console.log(`   ${ACTION_ICONS[vendor.action] || '✓'} vendor ${vendor.vendor_name}: ${vendor.action}`);
+
+  for (const section of ['outlets', 'configs', 'field_mappings']) {
+    for (const entry of preview[section].filter(item => item.action !== 'unchanged')) {
+      const fields = entry.changes ? ` (${Object.keys(entry.changes).join(', ')})` : '';
+      console.log(`   ${ACTION_ICONS[entry.action]} ${section} ${entry.key}${fields}`);
+    }
+    const counts = Object.entries(summary[section]).map(([action, count]) => `${count} ${action}`).join(', ');
+    console.log(`   ${section}: ${counts || 'none'}`);
+  }
+  for (const warning of warnings) console.log(`   ⚠️  ${warning}`);
+};
+
+async function exportBundle(args) {
+  if (!args.vendor || args.vendor === true) throw new Error(USAGE);
+  const format = args.format || (/\.ya?ml$/i.test(args.out || '') ? 'yaml' : 'json');
+
+  const vendor = await pool.query(
+    'SELECT vendor_id FROM pos_vendor_master WHERE vendor_id::text = $1 OR vendor_name = $1',
+    [args.vendor]
+  );
+  if (vendor.rows.length !== 1) {
+    throw new Error(vendor.rows.length ? `More than one vendor matches ${args.vendor}` : `Vendor not found: ${args.vendor}`);
+  }
+
+  const bundle = await new VendorBundle().export(vendor.rows[0].vendor_id, {
+    passphrase: process.env.BUNDLE_PASSPHRASE || null
+  });
+  const text = VendorBundle.serialize(bundle, format);
+
+  if (args.out) {
+    await fs.writeFile(args.out, text);
+    console.error(`📦 Exported ${bundle.vendor.vendor_name} to ${args.out} (secrets ${bundle.secrets})`);
+  } else {
+    process.stdout.write(text);
+  }
+  return 0;
+}
+
+async function importBundle(args) {
+  if (!args.file || args.file === true) throw new Error(USAGE);
+  const dryRun = Boolean(args['dry-run']);
+
+  const format = /\.ya?ml$/i.test(args.file) ? 'yaml' : path.extname(args.file) === '.json' ? 'json' : 'auto';
+  const bundle = VendorBundle.parse(await fs.readFile(args.file, 'utf-8'), format);
+
+  const bundler = new VendorBundle();
+  let plan;
+  try {
+    plan = await bundler.plan(bundle, { passphrase: process.env.BUNDLE_PASSPHRASE || null });
+  } catch (error) {
+    for (const problem of error.errors || []) console.error(`   ${problem.path}: ${problem.msg}`);
+    throw error;
+  }
+
+  console.log(`📦 ${dryRun ? 'Preview of' : 'Importing'} ${args.file}`);
+  printPreview(plan.preview);
+
+  if (!dryRun) {
+    await bundler.apply(plan, { author: process.env.USER || 'cli', reason: `Imported ${path.basename(args.file)}` });
+    console.log('✅ Bundle imported');
+  }
+  return 0;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const command = args._[0];
+
+  if (command === 'export') return exportBundle(args);
+  if (command === 'import') return importBundle(args);
+
+  console.error(USAGE);
+  return 1;
+}
+
+main()
+  .then(code => pool.end().then(() => process.exit(code)))
+  .catch(err => {
+    console.error('❌ Bundle failed:', err.message);
+    pool.end().finally(() => process.exit(1));
+  });
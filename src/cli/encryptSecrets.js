@@ -0,0 +1,65 @@
+require('dotenv').config();
+const pool = require('../config/database');
+const {
+  SECRET_COLUMNS,
+  JSON_SECRET_COLUMNS,
+  encryptConfigSecrets,
+  reencryptConfigSecrets,
+  findPlaintextSecrets,
+  findStaleSecrets
+} = require('../utils/secrets');
+
+// Usage: npm run encrypt-secrets -- [--dry-run]
+//        npm run reencrypt-secrets -- [--dry-run]
+// encrypt-secrets encrypts any secret in customer_api_configs that is still
+// stored in plaintext; reencrypt-secrets (--reencrypt) also moves legacy and
+// older-key values onto the current ENCRYPTION_KEY_ID.
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const reencrypt = process.argv.includes('--reencrypt');
+  const find = reencrypt ? findStaleSecrets : findPlaintextSecrets;
+  const transform = reencrypt ? reencryptConfigSecrets : encryptConfigSecrets;
+  const columns = [...SECRET_COLUMNS, ...JSON_SECRET_COLUMNS];
+
+  const result = await pool.query(
+    `SELECT cac_config_id, ${columns.join(', ')} FROM customer_api_configs ORDER BY cac_config_id`
+  );
+
+  let updated = 0;
+
+  for (const row of result.rows) {
+    const pending = find(row);
+    if (pending.length === 0) continue;
+
+    console.log(`🔐 ${row.cac_config_id}: ${pending.join(', ')}`);
+    updated++;
+    if (dryRun) continue;
+
+    const encrypted = transform(row);
+    const changed = columns.filter(column => JSON.stringify(encrypted[column]) !== JSON.stringify(row[column]));
+
+    // JSON columns are sent as text so arrays are not turned into PG arrays
+    const values = changed.map(column =>
+      JSON_SECRET_COLUMNS.includes(column) && typeof encrypted[column] !== 'string'
+        ? JSON.stringify(encrypted[column])
+        : encrypted[column]
+    );
+
+    await pool.query(
+      `UPDATE customer_api_configs
+       SET ${changed.map((column, i) => `${column} = $${i + 2}`).join(', ')}, cac_updated_at = NOW()
+       WHERE cac_config_id = $1`,
+      [row.cac_config_id, ...values]
+    );
+  }
+
+  console.log(`${dryRun ? '🔎 Would update' : '✅ Updated'} secrets on ${updated} of ${result.rows.length} config(s)`);
+  return 0;
+}
+
+main()
+  .then(code => pool.end().then(() => process.exit(code)))
+  .catch(err => {
+    console.error('❌ Secret migration failed:', err.message);
+    pool.end().finally(() => process.exit(1));
+  });
@@ -0,0 +1,69 @@
+const { loadVendorManifest } = require('./vendorManifest');
+const { selectorProblems, normaliseSelector, describeSelector } = require('../utils/scopeSelectors');
+
+/**
+ * Selectors from AGENT_SCOPE, a JSON list of vendor names and/or
+ * { vendor, outlet, terminal, gate } objects, e.g.
+ * AGENT_SCOPE='["HIDESIGN", {"vendor": "DC BOOKS", "outlet": "DOMESTIC 2", "terminal": "TERMINAL 2"}]'.
+ * Throws INVALID_SCOPE rather than falling back to ingesting everything.
+ */
+const parseScopeEnv = (raw) => {
+  let parsed;
+  let errors;
+  try {
+    parsed = JSON.parse(raw);
+    errors = Array.isArray(parsed)
+      ? parsed.flatMap((selector, i) => selectorProblems(selector).map(problem => ({
+        path: problem.field ? `[${i}].${problem.field}` : `[${i}]`,
+        message: problem.message
+      })))
+      : [{ path: '', message: 'Must be a JSON list of selectors' }];
+  } catch (error) {
+    errors = [{ path: '', message: `Not valid JSON: ${error.message}` }];
+  }
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid AGENT_SCOPE: ${errors.map(e => `${e.path ? `${e.path}: ` : ''}${e.message}`).join('; ')}`);
+    error.code = 'INVALID_SCOPE';
+    error.errors = errors;
+    throw error;
+  }
+  return parsed.map(normaliseSelector);
+};
+
+/**
+ * The configs this agent instance ingests, as selectors that
+ * getActiveConfigs matches in SQL. Taken from the first of:
+ *
+ *   AGENT_SCOPE env                  source 'env'
+ *   the manifest's `scope` list      source 'manifest'
+ *
+ * Resolves to { source, file, selectors }; selectors is null (every
+ * active config) when neither sets a scope. The manifest's vendors are
+ * only seeded, so listing a vendor there never narrows what is ingested.
+ */
+const loadAgentScope = async () => {
+  if (process.env.AGENT_SCOPE) {
+    return { source: 'env', file: null, selectors: parseScopeEnv(process.env.AGENT_SCOPE) };
+  }
+
+  const manifest = await loadVendorManifest();
+  if (!manifest?.scope) return { source: 'none', file: manifest?.file ?? null, selectors: null };
+
+  return { source: 'manifest', file: manifest.file, selectors: manifest.scope };
+};
+
+/**
+ * A scope as shown on /health.
+ */
+const describeScope = (scope) => ({
+  source: scope.source,
+  file: scope.file,
+  restricted: scope.selectors !== null,
+  selectors: scope.selectors ? scope.selectors.map(describeSelector) : []
+});
+
+module.exports = {
+  loadAgentScope,
+  describeScope
+};
@@ -0,0 +1,184 @@
+const pool = require('./database');
+const createLogger = require('./logger');
+const { encryptConfigSecrets } = require('../utils/secrets');
+
+const logger = createLogger('schema');
+
+// Support tables owned by the integrator itself. The core POS tables
+// (raw_transactions, customer_api_configs, ...) are managed outside this app.
+const SUPPORT_TABLES = [
+  {
+    name: 'config_sync_state',
+    ddl: `
+      CREATE TABLE IF NOT EXISTS config_sync_state (
+        css_config_id        TEXT PRIMARY KEY,
+        css_last_window_end  TIMESTAMPTZ,
+        css_cursor           TEXT,
+        css_last_status      VARCHAR(20),
+        css_last_error       TEXT,
+        css_last_attempt_at  TIMESTAMPTZ,
+        css_last_success_at  TIMESTAMPTZ,
+        css_updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `
+  },
+  {
+    name: 'config_circuit_breaker',
+    ddl: `
+      CREATE TABLE IF NOT EXISTS config_circuit_breaker (
+        ccb_config_id        TEXT PRIMARY KEY,
+        ccb_state            VARCHAR(10) NOT NULL DEFAULT 'CLOSED',
+        ccb_failure_count    INTEGER NOT NULL DEFAULT 0,
+        ccb_last_error       TEXT,
+        ccb_last_failure_at  TIMESTAMPTZ,
+        ccb_opened_at        TIMESTAMPTZ,
+        ccb_open_until       TIMESTAMPTZ,
+        ccb_updated_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `
+  },
+  {
+    name: 'mapping_templates',
+    ddl: `
+      CREATE TABLE IF NOT EXISTS mapping_templates (
+        mt_template_id   UUID PRIMARY KEY,
+        mt_name          VARCHAR(100) NOT NULL UNIQUE,
+        mt_description   TEXT,
+        mt_created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        mt_updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `
+  },
+  {
+    name: 'mapping_template_fields',
+    ddl: `
+      CREATE TABLE IF NOT EXISTS mapping_template_fields (
+        mtf_field_id             UUID PRIMARY KEY,
+        mtf_template_id          UUID NOT NULL REFERENCES mapping_templates(mt_template_id) ON DELETE CASCADE,
+        mtf_tablename            VARCHAR(50) NOT NULL,
+        mtf_source_field         VARCHAR(100) NOT NULL,
+        mtf_target_field         TEXT,
+        mtf_json_path            TEXT,
+        mtf_row_root_json_path   TEXT,
+        mtf_transform_rule       TEXT,
+        mtf_is_required          BOOLEAN NOT NULL DEFAULT false,
+        UNIQUE (mtf_template_id, mtf_tablename, mtf_source_field)
+      )
+    `
+  },
+  {
+    name: 'field_mapping_versions',
+    ddl: `
+      CREATE TABLE IF NOT EXISTS field_mapping_versions (
+        fmv_version_id          UUID PRIMARY KEY,
+        fmv_vendor_id           TEXT NOT NULL,
+        fmv_version             INTEGER NOT NULL,
+        fmv_template_id         UUID,
+        fmv_vendor_mappings     JSONB NOT NULL,
+        fmv_effective_mappings  JSONB NOT NULL,
+        fmv_checksum            TEXT NOT NULL,
+        fmv_author              TEXT NOT NULL,
+        fmv_reason              TEXT,
+        fmv_created_at          TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (fmv_vendor_id, fmv_version)
+      )
+    `
+  },
+  {
+    // Named { key: value } tables for the lookup() transform rule function
+    name: 'transform_lookups',
+    ddl: `
+      CREATE TABLE IF NOT EXISTS transform_lookups (
+        tl_name          VARCHAR(100) PRIMARY KEY,
+        tl_description   TEXT,
+        tl_entries       JSONB NOT NULL DEFAULT '{}'::jsonb,
+        tl_created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        tl_updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      )
+    `
+  }
+];
+
+// Columns this app relies on in the core tables. Additive only.
+const COLUMN_MIGRATIONS = [
+  // Wizapp service credentials (see connectors/wizappSoapConnector.js)
+  'ALTER TABLE customer_api_configs ADD COLUMN IF NOT EXISTS cac_wizapp_group_code TEXT',
+  'ALTER TABLE customer_api_configs ADD COLUMN IF NOT EXISTS cac_wizapp_user_id TEXT',
+  'ALTER TABLE customer_api_configs ADD COLUMN IF NOT EXISTS cac_wizapp_password TEXT',
+  // Optimistic concurrency for the update endpoints
+  'ALTER TABLE pos_vendor_master ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW()',
+  'ALTER TABLE customer_outlet_mapping ADD COLUMN IF NOT EXISTS com_updated_at TIMESTAMPTZ DEFAULT NOW()',
+  'ALTER TABLE pos_vendor_field_mapping ADD COLUMN IF NOT EXISTS pvfm_updated_at TIMESTAMPTZ DEFAULT NOW()',
+  'ALTER TABLE customer_api_configs ADD COLUMN IF NOT EXISTS cac_updated_at TIMESTAMPTZ DEFAULT NOW()',
+  // Shared mapping template a vendor inherits (its own mappings override it)
+  'ALTER TABLE pos_vendor_master ADD COLUMN IF NOT EXISTS mapping_template_id UUID',
+  // Rules for rolling header totals up from items (see utils/totalsRollup.js)
+  'ALTER TABLE customer_api_configs ADD COLUMN IF NOT EXISTS cac_totals_rollup JSONB',
+  // Source timezone and date formats vendor values are parsed with (see utils/dateTime.js)
+  'ALTER TABLE customer_api_configs ADD COLUMN IF NOT EXISTS cac_source_timezone TEXT',
+  'ALTER TABLE customer_api_configs ADD COLUMN IF NOT EXISTS cac_date_formats JSONB',
+  // Per-field policies for computed transaction fields (see utils/derivedFields.js)
+  'ALTER TABLE pos_vendor_master ADD COLUMN IF NOT EXISTS derived_fields JSONB',
+  // Mapping version each ingestion batch ran with
+  'ALTER TABLE ingestion_log ADD COLUMN IF NOT EXISTS mapping_version_id UUID',
+  'ALTER TABLE ingestion_log ADD COLUMN IF NOT EXISTS mapping_version INTEGER'
+];
+
+/**
+ * Wizapp stores onboarded before the cac_wizapp_* columns kept their
+ * credentials in cac_db_host, cac_db_username and cac_db_password. Copy
+ * whatever those hold, encrypting a password still stored in plaintext.
+ * Nothing is made up: a store with no credentials stays empty and is
+ * reported by ConfigValidator. Returns the number of stores migrated.
+ */
+const migrateWizappCredentials = async () => {
+  const result = await pool.query(`
+    SELECT cac_config_id, cac_db_host, cac_db_username, cac_db_password
+    FROM customer_api_configs
+    WHERE LOWER(cac_jsonordb) = 'soap'
+      AND NULLIF(cac_db_name, '') IS NOT NULL
+      AND cac_wizapp_group_code IS NULL
+      AND cac_wizapp_user_id IS NULL
+      AND cac_wizapp_password IS NULL
+      AND COALESCE(NULLIF(cac_db_host, ''), NULLIF(cac_db_username, ''), NULLIF(cac_db_password, '')) IS NOT NULL
+  `);
+
+  for (const row of result.rows) {
+    const { cac_wizapp_password } = encryptConfigSecrets({ cac_wizapp_password: row.cac_db_password || null });
+    await pool.query(
+      `UPDATE customer_api_configs SET
+         cac_wizapp_group_code = $2,
+         cac_wizapp_user_id = $3,
+         cac_wizapp_password = $4
+       WHERE cac_config_id = $1`,
+      [
+        row.cac_config_id,
+        row.cac_db_host || null,
+        row.cac_db_username || null,
+        cac_wizapp_password
+      ]
+    );
+  }
+
+  return result.rows.length;
+};
+
+const ensureSchema = async () => {
+  for (const table of SUPPORT_TABLES) {
+    await pool.query(table.ddl);
+  }
+
+  for (const ddl of COLUMN_MIGRATIONS) {
+    await pool.query(ddl);
+  }
+
+  const wizappStores = await migrateWizappCredentials();
+
+  logger.info('Support tables ensured', {
+    tables: SUPPORT_TABLES.map(t => t.name),
+    columnMigrations: COLUMN_MIGRATIONS.length,
+    wizappStoresMigrated: wizappStores
+  });
+};
+
+module.exports = { ensureSchema, migrateWizappCredentials };
@@ -0,0 +1,298 @@
+const fs = require('fs').promises;
+const path = require('path');
+const YAML = require('yaml');
+const { isKnownSourceType, validateConnectorConfig } = require('../connectors');
+const { CONFIG_COLUMNS } = require('../utils/configColumns');
+const { selectorProblems, normaliseSelector, describeSelector } = require('../utils/scopeSelectors');
+const { derivedFieldProblems, isMissing } = require('../utils/derivedFields');
+const { rollupProblems } = require('../utils/totalsRollup');
+const { isValidTimezone, dateFormatProblems } = require('../utils/dateTime');
+
+/**
+ * vendor_details/vendors.yaml (or .yml / .json, or the file named by
+ * VENDOR_MANIFEST) lists the vendors this agent onboards:
+ *
+ *   version: 1
+ *   vendors:
+ *     - name: DC BOOKS                 # pos_vendor_master.vendor_name
+ *       contact_email, contact_phone, base_format, remarks   (optional)
+ *       mapping_template: Retail POS   # link a mapping template by name (optional)
+ *       derived_fields:                # computed field policies (optional)
+ *         net_amount: derive_and_flag  # vendor | derive | derive_and_flag
+ *       outlets:
+ *         - code: DOM2                 # com_outlet_code / cac_outlet_id
+ *           brand_name: DC BOOKS       # defaults to the vendor name
+ *           gate: GATE01               # default gate for the terminals
+ *           active: true
+ *           terminals:                 # one customer_outlet_mapping row each;
+ *             - TERMINAL 2             # a name, or { name, gate, active }.
+ *                                      # One active terminal when config is set
+ *           config:                    # customer_api_configs columns (optional)
+ *             cac_jsonordb: api
+ *             cac_api_url: https://...
+ *             cac_source_timezone: Asia/Dubai   # zone vendor times are in
+ *             cac_date_formats: [DD/MM/YYYY hh:mm:ss A, epoch]
+ *   scope:                             # what this agent ingests (optional)
+ *     - DC BOOKS                       # a vendor name, or
+ *     - { vendor: DC BOOKS, outlet: DOM2, terminal: TERMINAL 2, gate: GATE01 }
+ *
+ * The seeder creates what is missing and updates what differs. Listing a
+ * vendor does not restrict ingestion: without a `scope` (or AGENT_SCOPE)
+ * the agent ingests every active config (see agentScope.js).
+ */
+const MANIFEST_VERSION = 1;
+
+const DEFAULT_PATHS = ['vendors.yaml', 'vendors.yml', 'vendors.json']
+  .map(name => path.join(__dirname, '../../vendor_details', name));
+
+const ROOT_KEYS = ['version', 'vendors', 'scope'];
+const VENDOR_KEYS = ['name', 'contact_email', 'contact_phone', 'base_format', 'remarks', 'mapping_template', 'derived_fields', 'outlets'];
+const OUTLET_KEYS = ['code', 'brand_name', 'gate', 'active', 'terminals', 'config'];
+const TERMINAL_KEYS = ['name', 'gate', 'active'];
+// The vendor id and outlet code come from where the config sits in the manifest
+const CONFIG_KEYS = CONFIG_COLUMNS.filter(column => !['cac_customer_id', 'cac_outlet_id'].includes(column));
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+// Codes and terminal names are often numeric; YAML would read them as numbers
+const asText = (value) => (typeof value === 'number' ? String(value) : value);
+
+const formatPath = (nodePath) =>
+  nodePath.reduce((text, key) => (typeof key === 'number' ? `${text}[${key}]` : text ? `${text}.${key}` : key), '');
+
+const resolveManifestPath = async () => {
+  if (process.env.VENDOR_MANIFEST) return path.resolve(process.env.VENDOR_MANIFEST);
+
+  for (const candidate of DEFAULT_PATHS) {
+    try {
+      await fs.access(candidate);
+      return candidate;
+    } catch {
+      // try the next name
+    }
+  }
+  return null;
+};
+
+/**
+ * Schema problems as [{ line, path, message }]; `lineOf(nodePath)` gives
+ * the source line of a node (or of its nearest parent that exists).
+ */
+const validateManifest = (data, lineOf) => {
+  const errors = [];
+  const error = (nodePath, message) => errors.push({ line: lineOf(nodePath), path: formatPath(nodePath), message });
+
+  const checkKeys = (value, allowed, nodePath) => {
+    for (const key of Object.keys(value)) {
+      if (!allowed.includes(key)) error([...nodePath, key], `Unknown field "${key}"`);
+    }
+  };
+  const checkText = (value, nodePath, { required = false } = {}) => {
+    if (isBlank(value)) {
+      if (required) error(nodePath, 'Is required');
+    } else if (typeof asText(value) !== 'string') {
+      error(nodePath, 'Must be a string');
+    }
+  };
+  const checkBoolean = (value, nodePath) => {
+    if (value !== undefined && typeof value !== 'boolean') error(nodePath, 'Must be true or false');
+  };
+  const checkList = (value, nodePath, checkItem, keyOf) => {
+    if (!Array.isArray(value)) {
+      error(nodePath, 'Must be a list');
+      return;
+    }
+    const seen = new Map();
+    value.forEach((item, i) => {
+      checkItem(item, [...nodePath, i]);
+      const key = keyOf(item);
+      if (key === null) return;
+      if (seen.has(key)) error([...nodePath, i], `Duplicates ${formatPath([...nodePath, seen.get(key)])} (${key})`);
+      else seen.set(key, i);
+    });
+  };
+
+  const checkConfig = (config, nodePath) => {
+    if (!isObject(config)) {
+      error(nodePath, 'Must be a mapping of customer_api_configs columns');
+      return;
+    }
+    checkKeys(config, CONFIG_KEYS, nodePath);
+    if (!isKnownSourceType(config.cac_jsonordb)) {
+      error([...nodePath, 'cac_jsonordb'], 'Is required and must be a known source type');
+      return;
+    }
+    for (const problem of validateConnectorConfig(config)) {
+      error([...nodePath, ...problem.path.split('.')], problem.msg);
+    }
+    for (const problem of rollupProblems(config.cac_totals_rollup)) {
+      error(problem.field ? [...nodePath, 'cac_totals_rollup', problem.field] : [...nodePath, 'cac_totals_rollup'], problem.message);
+    }
+    if (!isMissing(config.cac_source_timezone) && !isValidTimezone(config.cac_source_timezone)) {
+      error([...nodePath, 'cac_source_timezone'], 'Must be an IANA timezone such as Asia/Kolkata');
+    }
+    for (const problem of dateFormatProblems(config.cac_date_formats)) {
+      error(problem.index === null ? [...nodePath, 'cac_date_formats'] : [...nodePath, 'cac_date_formats', problem.index], problem.message);
+    }
+  };
+
+  const checkTerminal = (terminal, nodePath) => {
+    if (!isObject(terminal)) {
+      checkText(terminal, nodePath, { required: true });
+      return;
+    }
+    checkKeys(terminal, TERMINAL_KEYS, nodePath);
+    checkText(terminal.name, [...nodePath, 'name'], { required: true });
+    checkText(terminal.gate, [...nodePath, 'gate']);
+    checkBoolean(terminal.active, [...nodePath, 'active']);
+  };
+
+  const checkOutlet = (outlet, nodePath) => {
+    if (!isObject(outlet)) {
+      error(nodePath, 'Must be a mapping');
+      return;
+    }
+    checkKeys(outlet, OUTLET_KEYS, nodePath);
+    checkText(outlet.code, [...nodePath, 'code'], { required: true });
+    checkText(outlet.brand_name, [...nodePath, 'brand_name']);
+    checkText(outlet.gate, [...nodePath, 'gate']);
+    checkBoolean(outlet.active, [...nodePath, 'active']);
+    if (outlet.terminals === undefined || (Array.isArray(outlet.terminals) && outlet.terminals.length === 0)) {
+      error([...nodePath, 'terminals'], 'At least one terminal is required');
+    } else {
+      checkList(outlet.terminals, [...nodePath, 'terminals'], checkTerminal,
+        terminal => asText(isObject(terminal) ? terminal.name : terminal) ?? null);
+    }
+    if (outlet.config !== undefined) {
+      checkConfig(outlet.config, [...nodePath, 'config']);
+      // The agent stamps every bill with the config's one terminal and does
+      // not schedule a config that several active terminals share
+      const active = Array.isArray(outlet.terminals)
+        ? outlet.terminals.filter(terminal => !isObject(terminal) || terminal.active !== false)
+        : [];
+      if (outlet.active !== false && active.length > 1) {
+        error([...nodePath, 'terminals'], 'An outlet with a config can have only one active terminal');
+      }
+    }
+  };
+
+  const checkVendor = (vendor, nodePath) => {
+    if (!isObject(vendor)) {
+      error(nodePath, 'Must be a mapping');
+      return;
+    }
+    checkKeys(vendor, VENDOR_KEYS, nodePath);
+    checkText(vendor.name, [...nodePath, 'name'], { required: true });
+    for (const key of ['contact_email', 'contact_phone', 'base_format', 'remarks', 'mapping_template']) {
+      checkText(vendor[key], [...nodePath, key]);
+    }
+    for (const problem of derivedFieldProblems(vendor.derived_fields)) {
+      error(problem.field ? [...nodePath, 'derived_fields', problem.field] : [...nodePath, 'derived_fields'], problem.message);
+    }
+    if (vendor.outlets !== undefined) {
+      checkList(vendor.outlets, [...nodePath, 'outlets'], checkOutlet, outlet => asText(outlet?.code) ?? null);
+    }
+  };
+
+  const checkSelector = (selector, nodePath) => {
+    for (const problem of selectorProblems(selector)) {
+      error(problem.field ? [...nodePath, problem.field] : nodePath, problem.message);
+    }
+  };
+
+  if (!isObject(data)) {
+    error([], 'Manifest must be a mapping with version and vendors');
+    return errors;
+  }
+  checkKeys(data, ROOT_KEYS, []);
+  if (data.version !== MANIFEST_VERSION) error(['version'], `Must be ${MANIFEST_VERSION}`);
+  if (data.vendors === undefined) {
+    error(['vendors'], 'Is required');
+  } else {
+    // Vendor names are matched case-insensitively by the agent's filter
+    checkList(data.vendors, ['vendors'], checkVendor, vendor => (isBlank(vendor?.name) ? null : String(vendor.name).toUpperCase()));
+  }
+  if (data.scope !== undefined) {
+    checkList(data.scope, ['scope'], checkSelector,
+      selector => (selectorProblems(selector).length > 0 ? null : describeSelector(normaliseSelector(selector)).toUpperCase()));
+  }
+
+  return errors;
+};
+
+const normaliseVendor = (vendor) => ({
+  ...vendor,
+  outlets: (vendor.outlets || []).map(outlet => ({
+    ...outlet,
+    code: asText(outlet.code),
+    terminals: outlet.terminals.map(terminal => {
+      const entry = isObject(terminal) ? terminal : { name: terminal };
+      return { ...entry, name: asText(entry.name) };
+    })
+  }))
+});
+
+/**
+ * Read and validate the vendor manifest. Resolves to { file, vendors, scope }
+ * (scope null unless the manifest sets one), or null when there is no
+ * manifest. Throws INVALID_MANIFEST with `errors` ([{ line, path, message }])
+ * when the file does not parse or validate.
+ */
+const loadVendorManifest = async (file = null) => {
+  const manifestPath = file || await resolveManifestPath();
+  if (!manifestPath) return null;
+
+  let text;
+  try {
+    text = await fs.readFile(manifestPath, 'utf-8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  // JSON is valid YAML, so one parser covers both and keeps line numbers
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(text, { lineCounter, prettyErrors: false });
+
+  let errors = doc.errors.map(error => ({
+    line: error.linePos?.[0]?.line ?? lineCounter.linePos(error.pos[0]).line,
+    path: '',
+    message: error.message.split('\n')[0]
+  }));
+
+  if (errors.length === 0) {
+    const lineOf = (nodePath) => {
+      for (let depth = nodePath.length; depth > 0; depth--) {
+        const node = doc.getIn(nodePath.slice(0, depth), true);
+        if (node?.range) return lineCounter.linePos(node.range[0]).line;
+      }
+      return doc.contents?.range ? lineCounter.linePos(doc.contents.range[0]).line : 1;
+    };
+    errors = validateManifest(doc.toJS(), lineOf).sort((a, b) => a.line - b.line);
+  }
+
+  if (errors.length > 0) {
+    const name = path.basename(manifestPath);
+    const error = new Error(
+      `Invalid vendor manifest ${name}:\n` +
+      errors.map(e => `  ${name}:${e.line}: ${e.path ? `${e.path}: ` : ''}${e.message}`).join('\n')
+    );
+    error.code = 'INVALID_MANIFEST';
+    error.file = manifestPath;
+    error.errors = errors;
+    throw error;
+  }
+
+  const data = doc.toJS();
+  return {
+    file: manifestPath,
+    vendors: data.vendors.map(normaliseVendor),
+    scope: data.scope ? data.scope.map(normaliseSelector) : null
+  };
+};
+
+module.exports = {
+  MANIFEST_VERSION,
+  loadVendorManifest,
+  validateManifest
+};
@@ -0,0 +1,23 @@
+const { requireFields, validateAuthToken } = require('./validation');
+
+/* =========================
+   GENERIC REST API
+   Request built from cac_api_url / cac_http / cac_body with runtime
+   placeholders, rows picked with cac_response_path.
+========================= */
+module.exports = {
+  name: 'api',
+  types: ['api', 'json'],
+  description: 'Generic JSON REST endpoint with optional auth token',
+
+  validate(config) {
+    return [
+      ...requireFields(config, ['cac_api_url'], 'for an API source'),
+      ...validateAuthToken(config)
+    ];
+  },
+
+  async fetch(fetcher, window) {
+    return fetcher.fetchFromAPI(window.from);
+  }
+};
@@ -0,0 +1,46 @@
+const { requireFields } = require('./validation');
+const { missingWindowPlaceholders } = require('../utils/sqlWindow');
+
+const DB_TYPES = ['mssql', 'mysql', 'oracle', 'pgsql'];
+
+/* =========================
+   DIRECT DATABASE
+   MSSQL / MySQL / Oracle / Postgres, detected from the config. The query
+   is bounded by the fetch window through {{FROM_DATE}} / {{TO_DATE}}
+   (see utils/sqlWindow).
+========================= */
+module.exports = {
+  name: 'database',
+  types: ['db', 'database'],
+  description: 'Direct query against the vendor database (MSSQL, MySQL, Oracle, Postgres)',
+
+  validate(config) {
+    const errors = requireFields(
+      config,
+      ['cac_dbtype', 'cac_db_host', 'cac_db_name', 'cac_db_username'],
+      'for a database source'
+    );
+
+    if (config.cac_dbtype && !DB_TYPES.includes(config.cac_dbtype)) {
+      errors.push({ path: 'cac_dbtype', msg: `cac_dbtype must be one of: ${DB_TYPES.join(', ')}` });
+    }
+    // Postgres runs cac_sql_text as-is; the others fall back to cac_sample_json.query
+    if (config.cac_dbtype === 'pgsql') {
+      errors.push(...requireFields(config, ['cac_sql_text'], 'for a pgsql source'));
+    }
+
+    // Custom SQL must take the window, or every run re-reads the whole table
+    const [path, sqlText] = config.cac_sql_text
+      ? ['cac_sql_text', config.cac_sql_text]
+      : ['cac_sample_json.query', config.cac_sample_json?.query];
+    const missing = sqlText ? missingWindowPlaceholders(sqlText) : [];
+    if (missing.length > 0) {
+      errors.push({ path, msg: `${path} must use ${missing.map(name => `{{${name}}}`).join(' and ')} to bound the fetch window` });
+    }
+    return errors;
+  },
+
+  async fetch(fetcher, window) {
+    return fetcher.fetchFromDatabase(window);
+  }
+};
@@ -0,0 +1,208 @@
+const fs = require('fs');
+const { parseSoapResponse } = require('../services/xmlParser');
+const { requireFields } = require('./validation');
+
+/* =========================
+   ESHOPAID SOAP
+   Three GetResponseAsDataSet calls (transaction, item, payment segments)
+   grouped by RECEIPT_NO.
+========================= */
+module.exports = {
+  name: 'eshopaid-soap',
+  types: ['soap'],
+  description: 'eShopaid .asmx services (TransactionSegment / ItemSegment / PaymentSegment)',
+
+  // A soap config without a Wizapp store code lands here
+  validate(config) {
+    return requireFields(
+      config,
+      ['cac_api_url', 'cac_soap_action', 'cac_db_username', 'cac_db_password'],
+      'for an eShopaid SOAP source (or set cac_db_name for a Wizapp store)'
+    );
+  },
+
+  async fetch(fetcher, window) {
+    const context = fetcher.buildRuntimeContext(window.from);
+    return this.getAllSegments(fetcher, context.FROM_DATE, context.TO_DATE);
+  },
+
+  async getAllSegments(fetcher, fromDate, toDate) {
+    const [
+      transactionSegment,
+      itemSegment,
+      paymentSegment
+    ] = await Promise.all([
+      this.callSoapMethod(fetcher, 'TransactionSegment', fromDate, toDate),
+      this.callSoapMethod(fetcher, 'ItemSegment', fromDate, toDate),
+      this.callSoapMethod(fetcher, 'PaymentSegment', fromDate, toDate)
+    ]);
+
+    return this.groupByReceiptNoFromSoap({
+      transactionSegment,
+      itemSegment,
+      paymentSegment
+    });
+  },
+
+  /* =========================
+     SOAP CALLER
+  ========================= */
+  async callSoapMethod(fetcher, methodName, fromDate, toDate) {
+    const { config } = fetcher;
+
+    try {
+      const soapEnvelope = this.buildSoapEnvelope(config, methodName, fromDate, toDate);
+
+      const response = await fetcher.http.post(
+        config.cac_api_url,
+        soapEnvelope,
+        {
+          headers: {
+            'Content-Type': 'text/xml; charset=utf-8',
+            'SOAPAction': config.cac_soap_action || ''
+          },
+          timeout: config.cac_soap_timeout || 30000,
+          responseType: 'text'
+        }
+      );
+
+      // Optional logging
+      if (config.cac_log_soap) {
+        fs.appendFileSync(
+          'logs/soap.log',
+          `===== ${methodName} =====\n${response.data}\n\n`
+        );
+      }
+
+      // Parse SOAP XML → JSON
+      return await parseSoapResponse(response.data);
+
+    } catch (error) {
+      const wrapped = new Error(`[SOAP:${methodName}] ${error.response?.data || error.message}`);
+      wrapped.code = error.code;
+      throw wrapped;
+    }
+  },
+
+  groupByReceiptNoFromSoap(data) {
+    const { transactions, items, payments } =
+      this.extractArraysFromSoapResponse(data);
+
+    const grouped = {};
+
+    // 🔹 Transactions (base)
+    for (const tx of transactions) {
+      const receipt = tx.RECEIPT_NO;
+      if (!receipt) continue;
+
+      grouped[receipt] = {
+        receipt_no: receipt,
+        transaction: tx,
+        items: [],
+        payments: []
+      };
+    }
+
+    // 🔹 Items
+    for (const item of items) {
+      const receipt = item.RECEIPT_NO;
+      if (!receipt) continue;
+
+      if (!grouped[receipt]) {
+        grouped[receipt] = {
+          receipt_no: receipt,
+          transaction: null,
+          items: [],
+          payments: []
+        };
+      }
+
+      grouped[receipt].items.push(item);
+    }
+
+    // 🔹 Payments
+    for (const pay of payments) {
+      const receipt = pay.RECEIPT_NO;
+      if (!receipt) continue;
+
+      if (!grouped[receipt]) {
+        grouped[receipt] = {
+          receipt_no: receipt,
+          transaction: null,
+          items: [],
+          payments: []
+        };
+      }
+
+      grouped[receipt].payments.push(pay);
+    }
+    console.log(
+      'Grouped SOAP data by receipt no:\n',
+      JSON.stringify(Object.values(grouped), null, 2)
+    );
+    return Object.values(grouped);
+  },
+
+  extractArraysFromSoapResponse(data) {
+    const transactions =
+      data?.transactionSegment
+        ?.['soap:Envelope']
+        ?.['soap:Body']
+        ?.GetResponseAsDataSetResponse
+        ?.GetResponseAsDataSetResult
+        ?.['diffgr:diffgram']
+        ?.eShopaidTransactionSegment
+        ?.TransactionSegment || [];
+
+    const items =
+      data?.itemSegment
+        ?.['soap:Envelope']
+        ?.['soap:Body']
+        ?.GetResponseAsDataSetResponse
+        ?.GetResponseAsDataSetResult
+        ?.['diffgr:diffgram']
+        ?.eShopaidItemSegment
+        ?.ItemSegment || [];
+
+    const payments =
+      data?.paymentSegment
+        ?.['soap:Envelope']
+        ?.['soap:Body']
+        ?.GetResponseAsDataSetResponse
+        ?.GetResponseAsDataSetResult
+        ?.['diffgr:diffgram']
+        ?.NewDataSet
+        ?.Table || [];
+
+    return {
+      transactions: Array.isArray(transactions) ? transactions : [transactions],
+      items: Array.isArray(items) ? items : [items],
+      payments: Array.isArray(payments) ? payments : [payments]
+    };
+  },
+
+  buildSoapEnvelope(config, methodName, fromDate, toDate, optionalData = '') {
+    return `<?xml version="1.0" encoding="utf-8"?>
+<soapenv:Envelope
+  xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
+  xmlns:esh="http://eshopaid.in">
+
+  <soapenv:Header>
+    <esh:eShopaidSoapHeader>
+      <esh:UserName>${config.cac_db_username}</esh:UserName>
+      <esh:Password>${config.cac_db_password}</esh:Password>
+      
+      <esh:MethodName>${methodName}</esh:MethodName>
+      <esh:FromDate>${fromDate}</esh:FromDate>
+      <esh:ToDate>${toDate}</esh:ToDate>
+      <esh:OptionalData>${optionalData}</esh:OptionalData>
+    </esh:eShopaidSoapHeader>
+  </soapenv:Header>
+
+  <soapenv:Body>
+    <esh:GetResponseAsDataSet />
+  </soapenv:Body>
+
+</soapenv:Envelope>`;
+  }
+};
@@ -0,0 +1,75 @@
+/**
+ * Vendor connector registry.
+ *
+ * A connector is a plain object:
+ *   name         unique id, used in logs and the /api/connectors listing
+ *   types        cac_jsonordb values it serves (lower case)
+ *   description  one line for operators
+ *   matches      optional (config) => boolean, to pick between connectors
+ *                sharing a type (e.g. Wizapp vs eShopaid for 'soap')
+ *   validate     optional (config) => [{ path, msg }], run by the configs API
+ *   fetch        async (fetcher, { from, to }) => raw rows / grouped bills
+ *
+ * The fetcher passed in provides the shared plumbing: config, http
+ * (OutboundClient), logger, formatDate, buildRuntimeContext,
+ * throwIfAnyFailed and captureCursor. A connector that merges several
+ * responses must pass each one to captureCursor; otherwise the cursor is
+ * looked up in the data fetch returns. Connectors are tried in registration order, so the
+ * more specific ones must be registered first.
+ */
+const connectors = [];
+
+const registerConnector = (connector) => {
+  if (!connector?.name || !Array.isArray(connector.types) || typeof connector.fetch !== 'function') {
+    throw new Error('Connector must have a name, a types array and a fetch function');
+  }
+  if (connectors.some(c => c.name === connector.name)) {
+    throw new Error(`Connector already registered: ${connector.name}`);
+  }
+
+  connectors.push({ ...connector, types: connector.types.map(t => t.toLowerCase()) });
+};
+
+const resolveConnector = (config) => {
+  const sourceType = config.cac_jsonordb?.toLowerCase();
+
+  return connectors.find(c =>
+    c.types.includes(sourceType) && (!c.matches || c.matches(config))
+  ) || null;
+};
+
+const listSourceTypes = () => [...new Set(connectors.flatMap(c => c.types))];
+
+const isKnownSourceType = (sourceType) =>
+  listSourceTypes().includes(String(sourceType || '').toLowerCase());
+
+/**
+ * Source-type specific problems with a config, as [{ path, msg }].
+ */
+const validateConnectorConfig = (config) => {
+  const connector = resolveConnector(config);
+  if (!connector) {
+    return [{ path: 'cac_jsonordb', msg: `Invalid source type, expected one of: ${listSourceTypes().join(', ')}` }];
+  }
+  return connector.validate ? connector.validate(config) : [];
+};
+
+const listConnectors = () => connectors.map(({ name, types, description }) => ({ name, types, description }));
+
+// Built-in connectors
+registerConnector(require('./apiConnector'));
+registerConnector(require('./xmlApiConnector'));
+registerConnector(require('./multiApiConnector'));
+registerConnector(require('./zohoCreatorConnector'));
+registerConnector(require('./wizappSoapConnector'));
+registerConnector(require('./eshopaidSoapConnector'));
+registerConnector(require('./databaseConnector'));
+
+module.exports = {
+  registerConnector,
+  resolveConnector,
+  listSourceTypes,
+  isKnownSourceType,
+  validateConnectorConfig,
+  listConnectors
+};
@@ -0,0 +1,116 @@
+const { requireFields } = require('./validation');
+
+/* =========================
+   MULTI API (KADASAM)
+   ItemdetailsGet / PaymentdetailsGet / TransactiondetailsGet under one
+   base URL, grouped by RCPT_NUM.
+========================= */
+module.exports = {
+  name: 'multiapi',
+  types: ['multiapi'],
+  description: 'Three REST endpoints (items, payments, transactions) grouped by RCPT_NUM',
+
+  validate(config) {
+    return requireFields(config, ['cac_api_url'], 'for a multiapi source');
+  },
+
+  async fetch(fetcher, window) {
+    const context = fetcher.buildRuntimeContext(window.from);
+    return this.getCombinedDetails(fetcher, context.FROM_DATE, context.TO_DATE);
+  },
+
+  async getCombinedDetails(fetcher, Fromdate, Todate) {
+    const { cac_api_url } = fetcher.config;
+
+    const baseUrl = cac_api_url
+      .trim()
+      .replace(/\/+$/, '');
+
+    const results = { items: [], payments: [], transactions: [] };
+    const failures = [];
+
+    const callApi = async (path) => {
+      const response = await fetcher.http.get(`${baseUrl}/${path}`, { params: { Fromdate, Todate } });
+      fetcher.captureCursor(response.data);
+      return response;
+    };
+
+    try {
+      results.items = (await callApi('ItemdetailsGet')).data;
+    } catch (e) {
+      failures.push(e);
+      fetcher.logger.error('❌ ItemdetailsGet failed', e.response?.data || e.message);
+    }
+
+    try {
+      results.payments = (await callApi('PaymentdetailsGet')).data;
+    } catch (e) {
+      failures.push(e);
+      fetcher.logger.error('❌ PaymentdetailsGet failed', e.response?.data || e.message);
+    }
+
+    try {
+      results.transactions = (await callApi('TransactiondetailsGet')).data;
+    } catch (e) {
+      failures.push(e);
+      fetcher.logger.error('❌ TransactiondetailsGet failed', e.response?.data || e.message);
+    }
+
+    // A partial window would advance the watermark past missing rows
+    fetcher.throwIfAnyFailed(failures);
+
+    return this.groupByReceiptmultiapi(
+      results.items,
+      results.payments,
+      results.transactions
+    );
+  },
+
+  groupByReceiptmultiapi(items, payments, transactions) {
+    const grouped = {};
+
+    // Transactions (1 per receipt usually)
+    transactions.forEach(txn => {
+      const rcpt = txn.RCPT_NUM;
+      if (!grouped[rcpt]) {
+        grouped[rcpt] = {
+          RCPT_NUM: rcpt,
+          transaction: null,
+          items: [],
+          payments: []
+        };
+      }
+      grouped[rcpt].transaction = txn;
+    });
+
+    // Items (many per receipt)
+    items.forEach(item => {
+      const rcpt = item.RCPT_NUM;
+      if (!grouped[rcpt]) {
+        grouped[rcpt] = {
+          RCPT_NUM: rcpt,
+          transaction: null,
+          items: [],
+          payments: []
+        };
+      }
+      grouped[rcpt].items.push(item);
+    });
+
+    // Payments (many per receipt)
+    payments.forEach(pay => {
+      const rcpt = pay.RCPT_NUM;
+      if (!grouped[rcpt]) {
+        grouped[rcpt] = {
+          RCPT_NUM: rcpt,
+          transaction: null,
+          items: [],
+          payments: []
+        };
+      }
+      grouped[rcpt].payments.push(pay);
+    });
+
+    return Object.values(grouped);
+  }
+};
@@ -0,0 +1,23 @@
+/**
+ * Helpers for connector `validate(config)` hooks. Each returns a list of
+ * { path, msg } problems, the same shape the API reports for field errors.
+ */
+const isBlank = (value) =>
+  value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+
+const requireFields = (config, columns, reason) =>
+  columns
+    .filter(column => isBlank(config[column]))
+    .map(column => ({ path: column, msg: `${column} is required ${reason}` }));
+
+// DataFetcher only requests a token when all three token columns are set
+const validateAuthToken = (config) => {
+  const tokenColumns = ['cac_authtokenurl', 'cac_authtokenfieldmapping', 'cac_tokenhttp'];
+  const given = tokenColumns.filter(column => !isBlank(config[column]));
+
+  return given.length > 0 && given.length < tokenColumns.length
+    ? requireFields(config, tokenColumns, 'when an auth token is configured')
+    : [];
+};
+
+module.exports = { isBlank, requireFields, validateAuthToken };
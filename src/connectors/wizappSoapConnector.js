@@ -0,0 +1,152 @@
+const xml2js = require('xml2js');
+const { requireFields } = require('./validation');
+
+/* =========================
+   WIZAPP (VIDVEDA) SOAP
+   GetSaleDataForMall_V1 returns a header row followed by value rows,
+   either as raw JSON or wrapped in a SOAP envelope.
+
+   Config columns:
+     cac_api_url            mirror service URL (…/mirrorservice/Service.asmx)
+     cac_wizapp_group_code  group code (cGrpCode)
+     cac_wizapp_user_id     user id (cUserId)
+     cac_wizapp_password    password (encrypted at rest, decrypted by ConfigModel)
+     cac_db_name            store code (cStoreCode); selects this connector
+========================= */
+const SOAP_ACTION = 'http://tempuri.org/GetSaleDataForMall_V1';
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+module.exports = {
+  name: 'wizapp-soap',
+  types: ['soap'],
+  description: 'Wizapp mirror service (GetSaleDataForMall_V1), selected when cac_db_name holds the store code',
+
+  matches(config) {
+    return Boolean(config.cac_db_name);
+  },
+
+  validate(config) {
+    return requireFields(
+      config,
+      ['cac_api_url', 'cac_wizapp_group_code', 'cac_wizapp_user_id', 'cac_wizapp_password'],
+      'for a Wizapp store (URL, group code, user id and password)'
+    );
+  },
+
+  async fetch(fetcher, window) {
+    const context = fetcher.buildRuntimeContext(window.from);
+    return this.getMyJOSoap(fetcher, context.FROM_DATE, context.TO_DATE);
+  },
+
+  async getMyJOSoap(fetcher, fromDate, toDate) {
+    const credentials = this.getCredentials(fetcher.config);
+    const soapBody = this.buildSoapEnvelopemyjo(credentials, fromDate, toDate);
+
+    const headers = {
+      "Content-Type": "text/xml",
+      "SOAPAction": SOAP_ACTION,
+      "Accept": "*/*" // IMPORTANT: allow JSON or XML
+    };
+
+    try {
+      const response = await fetcher.http.post(credentials.url, soapBody, {
+        headers,
+        timeout: 15000,
+        transformResponse: res => res // prevent axios auto parsing
+      });
+
+      const raw = response.data.trim();
+
+      let tRecordJson;
+
+      // 🧠 CASE 1: Server returned JSON directly
+      if (raw.startsWith("{")) {
+        tRecordJson = JSON.parse(raw);
+      }
+      // 🧠 CASE 2: Server returned SOAP XML
+      else if (raw.startsWith("<")) {
+        const parsed = await xml2js.parseStringPromise(raw, {
+          explicitArray: false
+        });
+
+        const body =
+          parsed["soap:Envelope"]["soap:Body"]["GetSaleDataForMall_V1Response"];
+
+        const result = body["GetSaleDataForMall_V1Result"];
+        tRecordJson = JSON.parse(result);
+      }
+      else {
+        throw new Error("Unknown response format from POS API");
+      }
+
+      return this.rowsToObjects(tRecordJson.tRecord);
+
+    } catch (err) {
+      console.error("❌ POS API Error");
+      console.error("Message:", err.message);
+      throw err;
+    }
+  },
+
+  // 🧾 Convert header-row array → objects
+  rowsToObjects(tRecord) {
+    const headerRow = tRecord[0];
+    const rows = tRecord.slice(1);
+
+    return rows.map(row => {
+      const obj = {};
+      headerRow.forEach((key, index) => {
+        obj[key.replace(/\s+/g, "_")] = row[index];
+      });
+      return obj;
+    });
+  },
+
+  /**
+   * Wizapp parameters from the config row. Throws when any is missing so a
+   * half-onboarded store fails loudly instead of calling with blanks.
+   */
+  getCredentials(config) {
+    const credentials = {
+      url: config.cac_api_url?.trim(),
+      groupCode: config.cac_wizapp_group_code,
+      userId: config.cac_wizapp_user_id,
+      password: config.cac_wizapp_password,
+      storeCode: config.cac_db_name
+    };
+
+    const missing = Object.entries(credentials)
+      .filter(([, value]) => !value)
+      .map(([key]) => key);
+
+    if (missing.length) {
+      throw new Error(`Wizapp config ${config.cac_config_id} is missing: ${missing.join(', ')}`);
+    }
+
+    return credentials;
+  },
+
+  buildSoapEnvelopemyjo({ groupCode, userId, password, storeCode }, fromDate, toDate) {
+    return `<?xml version="1.0" encoding="utf-8"?>
+<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+               xmlns:xsd="http://www.w3.org/2001/XMLSchema"
+               xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
+  <soap:Body>
+    <GetSaleDataForMall_V1 xmlns="http://tempuri.org/">
+      <cGrpCode>${escapeXml(groupCode)}</cGrpCode>
+      <cUserId>${escapeXml(userId)}</cUserId>
+      <cPassword>${escapeXml(password)}</cPassword>
+      <cStoreCode>${escapeXml(storeCode)}</cStoreCode>
+      <cFromDt>${fromDate}</cFromDt>
+      <ToDt>${toDate}</ToDt>
+    </GetSaleDataForMall_V1>
+  </soap:Body>
+</soap:Envelope>`;
+  }
+};
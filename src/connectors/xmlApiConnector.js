@@ -0,0 +1,18 @@
+const { requireFields } = require('./validation');
+
+/* =========================
+   GENERIC XML API
+========================= */
+module.exports = {
+  name: 'xml',
+  types: ['xml'],
+  description: 'Generic XML endpoint, parsed with xml2js',
+
+  validate(config) {
+    return requireFields(config, ['cac_api_url'], 'for an XML source');
+  },
+
+  async fetch(fetcher, window) {
+    return fetcher.fetchFromXMLAPI(window.from);
+  }
+};
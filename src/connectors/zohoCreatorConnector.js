@@ -0,0 +1,168 @@
+const { requireFields } = require('./validation');
+
+const ZOHO_API_NAMES = ['transactions', 'items', 'payments'];
+
+/* =========================
+   ZOHO CREATOR MULTI API
+   One report per entry in cac_multiple_apis ({ path, api_name, public_key }),
+   grouped by billNumber.
+========================= */
+module.exports = {
+  name: 'zoho-creator',
+  types: ['multiapizoho'],
+  description: 'Zoho Creator published reports listed in cac_multiple_apis, grouped by billNumber',
+
+  validate(config) {
+    const errors = requireFields(config, ['cac_api_url'], 'for a Zoho source');
+    let apis = config.cac_multiple_apis;
+    // Older rows hold the list as text wrapped in { cac_multiple_apis: [...] }
+    if (typeof apis === 'string') {
+      try {
+        apis = JSON.parse(apis).cac_multiple_apis;
+      } catch {
+        apis = null;
+      }
+    }
+
+    if (!Array.isArray(apis) || apis.length === 0) {
+      errors.push({ path: 'cac_multiple_apis', msg: 'cac_multiple_apis must be a non-empty array for a Zoho source' });
+      return errors;
+    }
+
+    apis.forEach((api, i) => {
+      ['path', 'api_name', 'public_key'].forEach(key => {
+        if (!api?.[key]) {
+          errors.push({ path: `cac_multiple_apis[${i}].${key}`, msg: `${key} is required` });
+        }
+      });
+      if (api?.api_name && !ZOHO_API_NAMES.includes(api.api_name)) {
+        errors.push({ path: `cac_multiple_apis[${i}].api_name`, msg: `api_name must be one of: ${ZOHO_API_NAMES.join(', ')}` });
+      }
+    });
+    return errors;
+  },
+
+  async fetch(fetcher, window) {
+    const context = fetcher.buildRuntimeContext(window.from);
+    return this.getCombinedDetailszoho(fetcher, context.FROM_DATE, context.TO_DATE);
+  },
+
+  async getCombinedDetailszoho(fetcher, Fromdate, Todate) {
+    let apis = fetcher.config.cac_multiple_apis;
+    if (typeof apis === 'string') {
+      apis = JSON.parse(apis).cac_multiple_apis;
+    }
+
+    const baseUrl = fetcher.config.cac_api_url
+      .replace(/\s+/g, '')   // 🔥 CRITICAL
+      .replace(/\/+$/, '');
+
+    const results = {
+      transactions: [],
+      items: [],
+      payments: []
+    };
+    const failures = [];
+
+    for (const api of apis) {
+      try {
+        const url = `${baseUrl}/${api.path}`;
+        const params = {
+          dFrmDate: fetcher.formatDate(Fromdate, 'DD-MMM-YYYY'), // 🔥 Zoho format
+          dToDate: fetcher.formatDate(Todate, 'DD-MMM-YYYY'),
+          publickey: api.public_key
+        };
+
+        fetcher.logger.info('Calling Zoho API', { url, params });
+
+        const res = await fetcher.http.get(url, { params });
+        fetcher.captureCursor(res.data);
+
+        results[api.api_name] = this.normalizeZohoResponse(res.data);
+
+      } catch (err) {
+        failures.push(err);
+        fetcher.logger.error(`❌ ${api.api_name} failed`, {
+          error: err.response?.data || err.message
+        });
+      }
+    }
+
+    // A partial window would advance the watermark past missing rows
+    fetcher.throwIfAnyFailed(failures);
+
+    return this.groupByReceiptmultiapizoho(
+      results.items,
+      results.payments,
+      results.transactions, 'billNumber'
+    );
+  },
+
+  groupByReceiptmultiapizoho(items, payments, transactions, billnoKey) {
+    const grouped = {};
+
+    // 🔹 Transactions
+    transactions.forEach(txn => {
+      const billNo = txn[billnoKey];
+      if (!billNo) return;
+
+      if (!grouped[billNo]) {
+        grouped[billNo] = {
+          billNumber: billNo,
+          transaction: null,
+          items: [],
+          payments: []
+        };
+      }
+      grouped[billNo].transaction = txn;
+    });
+
+    // 🔹 Items
+    items.forEach(item => {
+      const billNo = item.billNumber;
+      if (!billNo) return;
+
+      if (!grouped[billNo]) {
+        grouped[billNo] = {
+          billNumber: billNo,
+          transaction: null,
+          items: [],
+          payments: []
+        };
+      }
+      grouped[billNo].items.push(item);
+    });
+
+    // 🔹 Payments
+    payments.forEach(pay => {
+      const billNo = pay.billNumber;
+      if (!billNo) return;
+
+      if (!grouped[billNo]) {
+        grouped[billNo] = {
+          billNumber: billNo,
+          transaction: null,
+          items: [],
+          payments: []
+        };
+      }
+      grouped[billNo].payments.push(pay);
+    });
+
+    return Object.values(grouped);
+  },
+
+  normalizeZohoResponse(res) {
+    if (!res) return [];
+
+    // ✅ ZOHO CREATOR FORMAT
+    if (Array.isArray(res?.result?.Data)) {
+      return res.result.Data;
+    }
+
+    // fallback safety
+    if (Array.isArray(res)) return res;
+
+    return [];
+  }
+};
@@ -0,0 +1,86 @@
+const pool = require('../config/database');
+
+class CircuitBreakerModel {
+  static async getState(configId) {
+    const query = 'SELECT * FROM config_circuit_breaker WHERE ccb_config_id = $1';
+    const result = await pool.query(query, [configId]);
+    return result.rows[0] || null;
+  }
+
+  static async listStates(state = null) {
+    let query = 'SELECT * FROM config_circuit_breaker';
+    const params = [];
+
+    if (state) {
+      query += ' WHERE ccb_state = $1';
+      params.push(state);
+    }
+
+    query += ' ORDER BY ccb_updated_at DESC';
+    const result = await pool.query(query, params);
+    return result.rows;
+  }
+
+  static async recordFailure(configId, errorMessage) {
+    const query = `
+      INSERT INTO config_circuit_breaker (
+        ccb_config_id, ccb_state, ccb_failure_count, ccb_last_error, ccb_last_failure_at, ccb_updated_at
+      ) VALUES ($1, 'CLOSED', 1, $2, NOW(), NOW())
+      ON CONFLICT (ccb_config_id) DO UPDATE SET
+        ccb_failure_count = config_circuit_breaker.ccb_failure_count + 1,
+        ccb_last_error = EXCLUDED.ccb_last_error,
+        ccb_last_failure_at = NOW(),
+        ccb_updated_at = NOW()
+      RETURNING *
+    `;
+    const result = await pool.query(query, [configId, errorMessage]);
+    return result.rows[0];
+  }
+
+  static async open(configId, cooldownMinutes) {
+    const query = `
+      UPDATE config_circuit_breaker SET
+        ccb_state = 'OPEN',
+        ccb_opened_at = NOW(),
+        ccb_open_until = NOW() + ($2::int * INTERVAL '1 minute'),
+        ccb_updated_at = NOW()
+      WHERE ccb_config_id = $1
+      RETURNING *
+    `;
+    const result = await pool.query(query, [configId, cooldownMinutes]);
+    return result.rows[0];
+  }
+
+  static async halfOpen(configId) {
+    const query = `
+      UPDATE config_circuit_breaker SET
+        ccb_state = 'HALF_OPEN',
+        ccb_updated_at = NOW()
+      WHERE ccb_config_id = $1 AND ccb_state = 'OPEN'
+      RETURNING *
+    `;
+    const result = await pool.query(query, [configId]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Close the breaker and clear the failure count. Used both on a successful
+   * call and for a manual reset.
+   */
+  static async close(configId) {
+    const query = `
+      UPDATE config_circuit_breaker SET
+        ccb_state = 'CLOSED',
+        ccb_failure_count = 0,
+        ccb_opened_at = NULL,
+        ccb_open_until = NULL,
+        ccb_updated_at = NOW()
+      WHERE ccb_config_id = $1
+      RETURNING *
+    `;
+    const result = await pool.query(query, [configId]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = CircuitBreakerModel;
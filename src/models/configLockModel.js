@@ -0,0 +1,44 @@
+const pool = require('../config/database');
+
+/**
+ * One run per config at a time, across processes: scheduled syncs and
+ * backfill windows (API or CLI) all take this lock. It is a Postgres
+ * session advisory lock, held on its own connection for the whole run, so
+ * a crashed process drops it with its connection.
+ */
+class ConfigLockModel {
+  /**
+   * Resolves to a release function, or null when another run of the config
+   * holds the lock.
+   */
+  static async tryAcquire(configId) {
+    const key = `config-run:${configId}`;
+    const client = await pool.connect();
+
+    let locked = false;
+    try {
+      const result = await client.query('SELECT pg_try_advisory_lock(hashtext($1)) AS locked', [key]);
+      locked = result.rows[0].locked === true;
+    } catch (error) {
+      client.release();
+      throw error;
+    }
+
+    if (!locked) {
+      client.release();
+      return null;
+    }
+
+    return async () => {
+      try {
+        await client.query('SELECT pg_advisory_unlock(hashtext($1))', [key]);
+        client.release();
+      } catch (error) {
+        // Dropping the connection drops the lock with it
+        client.release(error);
+      }
+    };
+  }
+}
+
+module.exports = ConfigLockModel;
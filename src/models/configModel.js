@@ -1,9 +1,12 @@
 const pool = require('../config/database');
-const { decrypt } = require('../utils/encryption');
+const createLogger = require('../config/logger');
+const { decryptConfigSecrets } = require('../utils/secrets');
+const { mergeMappings } = require('../utils/fieldMappings');
+const MappingTemplateModel = require('./mappingTemplateModel');
 
-class ConfigModel {
-  static async getActiveConfigs(vendorFilter = null) {
-    let query = `
+const logger = createLogger('config-model');
+
+const CONFIG_SELECT = `
       SELECT 
         cac.*,
         com.com_outlet_id,
@@ -12,13 +15,45 @@ class ConfigModel {
         com.com_gate,
         com.brand_name,
         pvm.vendor_name,
-        pvm.vendor_id
+        pvm.vendor_id,
+        pvm.derived_fields,
+        -- Counted apart from the join so that a scope naming one terminal
+        -- still sees the others
+        (SELECT COUNT(*) FROM customer_outlet_mapping terminals
+          WHERE terminals.com_customer_id = cac.cac_customer_id
+            AND terminals.com_outlet_code = cac.cac_outlet_id
+            AND terminals.com_is_active) AS terminal_count
       FROM customer_api_configs cac
       LEFT JOIN customer_outlet_mapping com 
         ON cac.cac_customer_id = com.com_customer_id 
         AND cac.cac_outlet_id = com.com_outlet_code
       LEFT JOIN pos_vendor_master pvm 
-        ON cac.cac_customer_id = pvm.vendor_id::text
+        ON cac.cac_customer_id = pvm.vendor_id::text`;
+
+// A config joins one row per outlet terminal. A config runs as one terminal
+// (see IntegrationOrchestrator.processConfig), so callers that want one row
+// per config take the first: the active terminal, always the same one
+const TERMINAL_ORDER = 'com.com_is_active DESC NULLS LAST, com.com_terminal NULLS LAST, com.com_gate NULLS LAST';
+
+// Columns the agent scope selectors (see config/agentScope.js) match on
+const SCOPE_COLUMNS = {
+  vendor: 'pvm.vendor_name',
+  outlet: 'cac.cac_outlet_id',
+  terminal: 'com.com_terminal',
+  gate: 'com.com_gate'
+};
+
+class ConfigModel {
+  /**
+   * Active configs, one row per outlet terminal, ordered by config then
+   * terminal. terminal_count is the number of active terminals the config
+   * maps to. `scope` is a list of selectors (vendor names or
+   * { vendor, outlet, terminal, gate }): a row is kept when it matches any
+   * selector, i.e. every field that selector sets (case-insensitively).
+   * null means no restriction, [] matches nothing.
+   */
+  static async getActiveConfigs(scope = null) {
+    let query = `${CONFIG_SELECT}
       WHERE cac.cac_is_active = true 
       and com.com_is_active = true
       AND cac.cac_jsonordb IS NOT NULL
@@ -27,20 +62,66 @@ class ConfigModel {
     // AND com.com_is_active = true
     const params = [];
     
-    // Filter by vendor if provided
-    if (vendorFilter && vendorFilter.length > 0) {
-      query += ` AND UPPER(pvm.vendor_name) = ANY($1::text[])`;
-      params.push(vendorFilter.map(v => v.toUpperCase()));
+    if (scope) {
+      const alternatives = scope.map(selector => {
+        const entry = typeof selector === 'string' ? { vendor: selector } : selector;
+        const conditions = Object.entries(SCOPE_COLUMNS)
+          .filter(([field]) => entry[field] !== undefined && entry[field] !== null)
+          .map(([field, column]) => {
+            params.push(String(entry[field]).trim().toUpperCase());
+            return `UPPER(TRIM(${column})) = $${params.length}`;
+          });
+        return conditions.length > 0 ? `(${conditions.join(' AND ')})` : 'TRUE';
+      });
+      query += ` AND (${alternatives.length > 0 ? alternatives.join(' OR ') : 'FALSE'})`;
     }
+    query += ` ORDER BY cac.cac_config_id, ${TERMINAL_ORDER}`;
     
     const result = await pool.query(query, params);
-    
-    // Decrypt sensitive fields
-    return result.rows.map(config => ({
-      ...config,
-      cac_auth_header_value: config.cac_auth_header_value,
-      cac_db_password: config.cac_db_password
-    }));
+
+    // Decrypt sensitive fields row by row: a secret that can't be opened
+    // (e.g. its key was rotated out) takes only its own config offline
+    return result.rows.flatMap(row => {
+      try {
+        return [decryptConfigSecrets(row)];
+      } catch (error) {
+        logger.error('Skipping config with undecryptable secrets', {
+          configId: row.cac_config_id,
+          vendor: row.vendor_name,
+          error: error.message
+        });
+        return [];
+      }
+    });
+  }
+
+  /**
+   * Load one config with its outlet and vendor joins, active or not.
+   */
+  static async getConfigById(configId) {
+    const query = `${CONFIG_SELECT}
+      WHERE cac.cac_config_id::text = $1
+      ORDER BY ${TERMINAL_ORDER}
+      LIMIT 1
+    `;
+
+    const result = await pool.query(query, [configId]);
+    return result.rows[0] ? decryptConfigSecrets(result.rows[0]) : null;
+  }
+
+  /**
+   * A vendor's most useful config for previews: one with a sample payload
+   * first, then the most recently changed.
+   */
+  static async getSampleConfigForVendor(vendorId) {
+    const query = `${CONFIG_SELECT}
+      WHERE cac.cac_customer_id = $1
+      ORDER BY (cac.cac_sample_json IS NOT NULL) DESC, cac.cac_updated_at DESC NULLS LAST
+      LIMIT 1
+    `;
+
+    const result = await pool.query(query, [vendorId]);
+    return result.rows[0] ? decryptConfigSecrets(result.rows[0]) : null;
   }
 
   static async getFieldMapping(vendorId, tableName = null) {
@@ -63,14 +144,28 @@ class ConfigModel {
     return result.rows;
   }
 
-  static async getAllFieldMappings(vendorId) {
+  /**
+   * The vendor's own mappings, without any inherited template fields.
+   */
+  static async getVendorFieldMappings(vendorId) {
     const query = `
       SELECT * FROM pos_vendor_field_mapping
       WHERE pvfm_vendor_id = $1
       ORDER BY pvfm_tablename, pvfm_is_required DESC
     `;
-    //  console.log('Vendor ID for field mapping:', query);
     const result = await pool.query(query, [vendorId]);
+    return result.rows;
+  }
+
+  /**
+   * Effective mappings for a vendor grouped by table: the fields of its
+   * mapping template (if any) overridden by its own rows.
+   */
+  static async getAllFieldMappings(vendorId) {
+    const [vendorRows, templateRows] = await Promise.all([
+      this.getVendorFieldMappings(vendorId),
+      MappingTemplateModel.getVendorTemplateFields(vendorId)
+    ]);
     
     // Group by table name
     const mappings = {
@@ -79,7 +174,7 @@ class ConfigModel {
       raw_payment: []
     };
     
-    result.rows.forEach(row => {
+    mergeMappings(templateRows, vendorRows).forEach(row => {
       if (mappings[row.pvfm_tablename]) {
         mappings[row.pvfm_tablename].push(row);
       }
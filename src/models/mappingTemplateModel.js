@@ -0,0 +1,140 @@
+const { v4: uuidv4 } = require('uuid');
+const pool = require('../config/database');
+
+// Template fields are read back under pos_vendor_field_mapping names so the
+// mappers, preview and clone code can treat them like vendor mappings.
+const FIELD_SELECT = `
+  SELECT
+    mtf.mtf_field_id           AS pvfm_mapping_id,
+    mtf.mtf_template_id        AS pvfm_template_id,
+    mtf.mtf_tablename          AS pvfm_tablename,
+    mtf.mtf_source_field       AS pvfm_source_field,
+    mtf.mtf_target_field       AS pvfm_target_field,
+    mtf.mtf_json_path          AS pvfm_json_path,
+    mtf.mtf_row_root_json_path AS pvfm_row_root_json_path,
+    mtf.mtf_transform_rule     AS pvfm_transform_rule,
+    mtf.mtf_is_required        AS pvfm_is_required
+  FROM mapping_template_fields mtf`;
+
+class MappingTemplateModel {
+  static async list() {
+    const query = `
+      SELECT mt.*,
+        (SELECT COUNT(*)::int FROM mapping_template_fields f WHERE f.mtf_template_id = mt.mt_template_id) AS field_count,
+        (SELECT COUNT(*)::int FROM pos_vendor_master v WHERE v.mapping_template_id = mt.mt_template_id) AS vendor_count
+      FROM mapping_templates mt
+      ORDER BY mt.mt_name
+    `;
+    const result = await pool.query(query);
+    return result.rows;
+  }
+
+  static async getById(templateId) {
+    const result = await pool.query('SELECT * FROM mapping_templates WHERE mt_template_id = $1', [templateId]);
+    return result.rows[0] || null;
+  }
+
+  static async getFields(templateId, db = pool) {
+    const query = `${FIELD_SELECT}
+      WHERE mtf.mtf_template_id = $1
+      ORDER BY mtf.mtf_tablename, mtf.mtf_is_required DESC, mtf.mtf_source_field
+    `;
+    const result = await db.query(query, [templateId]);
+    return result.rows;
+  }
+
+  /**
+   * Fields of the template a vendor references; [] when it has none.
+   */
+  static async getVendorTemplateFields(vendorId) {
+    const query = `${FIELD_SELECT}
+      JOIN pos_vendor_master pvm ON pvm.mapping_template_id = mtf.mtf_template_id
+      WHERE pvm.vendor_id::text = $1
+    `;
+    const result = await pool.query(query, [vendorId]);
+    return result.rows;
+  }
+
+  static async getVendors(templateId) {
+    const query = 'SELECT vendor_id, vendor_name FROM pos_vendor_master WHERE mapping_template_id = $1 ORDER BY vendor_name';
+    const result = await pool.query(query, [templateId]);
+    return result.rows;
+  }
+
+  static async create({ name, description = null, fields = [] }) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      const templateId = uuidv4();
+      const result = await client.query(
+        `INSERT INTO mapping_templates (mt_template_id, mt_name, mt_description)
+         VALUES ($1, $2, $3) RETURNING *`,
+        [templateId, name, description]
+      );
+      await this.insertFields(client, templateId, fields);
+      await client.query('COMMIT');
+      return result.rows[0];
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Rename / re-describe a template and, when `fields` is given, replace
+   * its field list. Runs on the caller's client so the change can be
+   * versioned for the vendors using the template in the same transaction.
+   * Returns null when the template does not exist.
+   */
+  static async update(client, templateId, { name, description, fields }) {
+    const result = await client.query(
+      `UPDATE mapping_templates SET
+         mt_name = COALESCE($2, mt_name),
+         mt_description = CASE WHEN $3::boolean THEN $4 ELSE mt_description END,
+         mt_updated_at = NOW()
+       WHERE mt_template_id = $1
+       RETURNING *`,
+      [templateId, name ?? null, description !== undefined, description ?? null]
+    );
+
+    if (result.rows.length === 0) return null;
+
+    if (fields) {
+      await client.query('DELETE FROM mapping_template_fields WHERE mtf_template_id = $1', [templateId]);
+      await this.insertFields(client, templateId, fields);
+    }
+
+    return result.rows[0];
+  }
+
+  static async delete(templateId) {
+    const result = await pool.query('DELETE FROM mapping_templates WHERE mt_template_id = $1 RETURNING *', [templateId]);
+    return result.rows[0] || null;
+  }
+
+  static async insertFields(client, templateId, fields) {
+    for (const field of fields) {
+      await client.query(
+        `INSERT INTO mapping_template_fields (
+           mtf_field_id, mtf_template_id, mtf_tablename, mtf_source_field, mtf_target_field,
+           mtf_json_path, mtf_row_root_json_path, mtf_transform_rule, mtf_is_required
+         ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+        [
+          uuidv4(),
+          templateId,
+          field.pvfm_tablename,
+          field.pvfm_source_field,
+          field.pvfm_target_field ?? null,
+          field.pvfm_json_path ?? null,
+          field.pvfm_row_root_json_path ?? null,
+          field.pvfm_transform_rule ?? null,
+          Boolean(field.pvfm_is_required)
+        ]
+      );
+    }
+  }
+}
+
+module.exports = MappingTemplateModel;
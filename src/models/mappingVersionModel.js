@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const pool = require('../config/database');
+const MappingTemplateModel = require('./mappingTemplateModel');
+const { MAPPING_FIELDS, mappingKey, mergeMappings, pickMapping } = require('../utils/fieldMappings');
+
+// Author recorded for versions the API did not make (seeding, edits made
+// straight in the database and picked up at the next sync)
+const SYSTEM_AUTHOR = 'system';
+
+const LIST_COLUMNS = `
+  fmv_version_id, fmv_vendor_id, fmv_version, fmv_template_id, fmv_checksum,
+  fmv_author, fmv_reason, fmv_created_at,
+  jsonb_array_length(fmv_vendor_mappings) AS vendor_mapping_count,
+  jsonb_array_length(fmv_effective_mappings) AS effective_mapping_count`;
+
+const byKey = (rows) => [...rows].sort((a, b) => mappingKey(a).localeCompare(mappingKey(b)));
+
+/**
+ * Immutable, numbered snapshots of a vendor's field mappings: its own rows,
+ * the template it used and the merged set the mappers ran with. A new
+ * version is only written when that state actually changed.
+ */
+class MappingVersionModel {
+  /**
+   * Current mapping state of a vendor, read on `db` so it sees the
+   * caller's uncommitted changes.
+   */
+  static async snapshot(vendorId, db = pool) {
+    const own = await db.query('SELECT * FROM pos_vendor_field_mapping WHERE pvfm_vendor_id = $1', [vendorId]);
+    const vendor = await db.query('SELECT mapping_template_id FROM pos_vendor_master WHERE vendor_id::text = $1', [vendorId]);
+    const templateId = vendor.rows[0]?.mapping_template_id || null;
+    const templateFields = templateId ? await MappingTemplateModel.getFields(templateId, db) : [];
+
+    const vendorMappings = byKey(own.rows).map(pickMapping);
+    const effectiveMappings = mergeMappings(byKey(templateFields).map(pickMapping), vendorMappings);
+    const checksum = crypto.createHash('sha256')
+      .update(JSON.stringify({ templateId, vendorMappings, effectiveMappings }))
+      .digest('hex');
+
+    return { templateId, vendorMappings, effectiveMappings, checksum };
+  }
+
+  /**
+   * Record the vendor's current state as a new version unless it matches
+   * the latest one. Must run on a client inside a transaction; returns
+   * { version, created }.
+   */
+  static async record(client, vendorId, { author, reason = null }) {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`field-mapping-version:${vendorId}`]);
+
+    const snapshot = await this.snapshot(vendorId, client);
+    const latest = await this.getLatest(vendorId, client);
+    if (latest && latest.fmv_checksum === snapshot.checksum) {
+      return { version: latest, created: false };
+    }
+
+    const result = await client.query(
+      `INSERT INTO field_mapping_versions (
+         fmv_version_id, fmv_vendor_id, fmv_version, fmv_template_id,
+         fmv_vendor_mappings, fmv_effective_mappings, fmv_checksum, fmv_author, fmv_reason
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        uuidv4(),
+        vendorId,
+        (latest?.fmv_version || 0) + 1,
+        snapshot.templateId,
+        JSON.stringify(snapshot.vendorMappings),
+        JSON.stringify(snapshot.effectiveMappings),
+        snapshot.checksum,
+        author,
+        reason ?? (latest ? 'Changed outside the API' : 'Initial version')
+      ]
+    );
+    return { version: result.rows[0], created: true };
+  }
+
+  /**
+   * Run `change(client)` in a transaction that first versions the current
+   * state of each vendor (so edits made outside the API are not folded into
+   * this one) and afterwards records the result as a new version by
+   * `author`. Returns { result, versions }.
+   */
+  static async track(vendorIds, { author, reason }, change) {
+    const ids = [...new Set(vendorIds.filter(Boolean).map(String))].sort();
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      for (const vendorId of ids) {
+        await this.record(client, vendorId, { author: SYSTEM_AUTHOR });
+      }
+
+      const result = await change(client);
+
+      const versions = [];
+      for (const vendorId of ids) {
+        versions.push((await this.record(client, vendorId, { author, reason })).version);
+      }
+
+      await client.query('COMMIT');
+      return { result, versions };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * The version a sync should run with: the latest one, after recording
+   * any change made since outside the API.
+   */
+  static async current(vendorId) {
+    const { versions } = await this.track([vendorId], { author: SYSTEM_AUTHOR }, async () => null);
+    return versions[0];
+  }
+
+  /**
+   * Put back a version's own mappings (under their original ids) and its
+   * template link; `templateId` overrides the link, e.g. null when the
+   * template has since been deleted.
+   */
+  static async restore(client, version, { templateId = version.fmv_template_id } = {}) {
+    const vendorId = version.fmv_vendor_id;
+    await client.query('DELETE FROM pos_vendor_field_mapping WHERE pvfm_vendor_id = $1', [vendorId]);
+
+    for (const mapping of version.fmv_vendor_mappings) {
+      await client.query(
+        `INSERT INTO pos_vendor_field_mapping (
+           pvfm_mapping_id, pvfm_vendor_id, pvfm_tablename, pvfm_source_field,
+           ${MAPPING_FIELDS.join(', ')}
+         ) VALUES ($1, $2, $3, $4, ${MAPPING_FIELDS.map((_, i) => `$${i + 5}`).join(', ')})`,
+        [
+          mapping.pvfm_mapping_id || uuidv4(),
+          vendorId,
+          mapping.pvfm_tablename,
+          mapping.pvfm_source_field,
+          ...MAPPING_FIELDS.map(field => mapping[field])
+        ]
+      );
+    }
+
+    await client.query(
+      `UPDATE pos_vendor_master SET mapping_template_id = $2, updated_at = NOW()
+       WHERE vendor_id::text = $1 AND mapping_template_id IS DISTINCT FROM $2`,
+      [vendorId, templateId]
+    );
+  }
+
+  static async getLatest(vendorId, db = pool) {
+    const result = await db.query(
+      'SELECT * FROM field_mapping_versions WHERE fmv_vendor_id = $1 ORDER BY fmv_version DESC LIMIT 1',
+      [vendorId]
+    );
+    return result.rows[0] || null;
+  }
+
+  static async list(vendorId) {
+    const result = await pool.query(
+      `SELECT ${LIST_COLUMNS} FROM field_mapping_versions WHERE fmv_vendor_id = $1 ORDER BY fmv_version DESC`,
+      [vendorId]
+    );
+    return result.rows;
+  }
+
+  static async getById(versionId) {
+    const result = await pool.query('SELECT * FROM field_mapping_versions WHERE fmv_version_id = $1', [versionId]);
+    return result.rows[0] || null;
+  }
+
+  static async getByNumber(vendorId, version, db = pool) {
+    const result = await db.query(
+      'SELECT * FROM field_mapping_versions WHERE fmv_vendor_id = $1 AND fmv_version = $2',
+      [vendorId, version]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = MappingVersionModel;
@@ -0,0 +1,62 @@
+const pool = require('../config/database');
+
+/**
+ * Partial UPDATE with an optimistic concurrency check.
+ *
+ * Only the `changes` keys listed in `columns` are written; `updatedAtColumn`
+ * is bumped to NOW(). The row is only updated while its `updatedAtColumn`
+ * still equals `expectedUpdatedAt` (compared to the millisecond, as that is
+ * what the API hands out), so a stale edit cannot overwrite a newer one.
+ *
+ * Pass `db` (a checked-out client) to run inside a caller's transaction.
+ *
+ * Returns { status: 'UPDATED' | 'NOT_FOUND' | 'CONFLICT' | 'NO_CHANGES', row }.
+ */
+const updateRow = async ({
+  table,
+  idColumn,
+  id,
+  columns,
+  changes,
+  updatedAtColumn,
+  expectedUpdatedAt,
+  jsonColumns = [],
+  db = pool
+}) => {
+  const fields = columns.filter(column => changes[column] !== undefined);
+  if (fields.length === 0) {
+    return { status: 'NO_CHANGES', row: null };
+  }
+
+  // JSON values go in as text so arrays are not turned into PG arrays
+  const values = fields.map(column =>
+    jsonColumns.includes(column) && changes[column] !== null && typeof changes[column] !== 'string'
+      ? JSON.stringify(changes[column])
+      : changes[column]
+  );
+
+  const expectedParam = `$${fields.length + 2}`;
+  const query = `
+    UPDATE ${table} SET
+      ${fields.map((column, i) => `${column} = $${i + 2}`).join(',\n      ')},
+      ${updatedAtColumn} = NOW()
+    WHERE ${idColumn} = $1
+      AND (
+        (${expectedParam}::timestamptz IS NULL AND ${updatedAtColumn} IS NULL)
+        OR date_trunc('milliseconds', ${updatedAtColumn}) = ${expectedParam}::timestamptz
+      )
+    RETURNING *
+  `;
+
+  const result = await db.query(query, [id, ...values, expectedUpdatedAt ?? null]);
+  if (result.rows.length > 0) {
+    return { status: 'UPDATED', row: result.rows[0] };
+  }
+
+  const current = await db.query(`SELECT * FROM ${table} WHERE ${idColumn} = $1`, [id]);
+  return current.rows.length > 0
+    ? { status: 'CONFLICT', row: current.rows[0] }
+    : { status: 'NOT_FOUND', row: null };
+};
+
+module.exports = { updateRow };
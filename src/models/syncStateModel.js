@@ -0,0 +1,87 @@
+const pool = require('../config/database');
+
+class SyncStateModel {
+  static async getState(configId) {
+    const query = 'SELECT * FROM config_sync_state WHERE css_config_id = $1';
+    const result = await pool.query(query, [configId]);
+    return result.rows[0] || null;
+  }
+
+  static async markAttempt(configId) {
+    const query = `
+      INSERT INTO config_sync_state (css_config_id, css_last_status, css_last_attempt_at, css_updated_at)
+      VALUES ($1, 'RUNNING', NOW(), NOW())
+      ON CONFLICT (css_config_id) DO UPDATE SET
+        css_last_status = 'RUNNING',
+        css_last_attempt_at = NOW(),
+        css_updated_at = NOW()
+    `;
+    await pool.query(query, [configId]);
+  }
+
+  /**
+   * Advance the watermark. Only called once the fetched window has been
+   * committed (or came back empty), so a failed run re-pulls the same window.
+   * `lastError` notes bills the window left behind in raw_exceptions.
+   */
+  static async markSuccess(configId, { windowEnd, cursor = null, lastError = null }) {
+    const query = `
+      INSERT INTO config_sync_state (
+        css_config_id, css_last_window_end, css_cursor, css_last_status,
+        css_last_error, css_last_attempt_at, css_last_success_at, css_updated_at
+      ) VALUES ($1, $2, $3, 'SUCCESS', $4, NOW(), NOW(), NOW())
+      ON CONFLICT (css_config_id) DO UPDATE SET
+        css_last_window_end = EXCLUDED.css_last_window_end,
+        css_cursor = COALESCE(EXCLUDED.css_cursor, config_sync_state.css_cursor),
+        css_last_status = 'SUCCESS',
+        css_last_error = EXCLUDED.css_last_error,
+        css_last_success_at = NOW(),
+        css_updated_at = NOW()
+    `;
+    await pool.query(query, [configId, windowEnd, cursor, lastError]);
+  }
+
+  static async markFailure(configId, errorMessage) {
+    const query = `
+      INSERT INTO config_sync_state (
+        css_config_id, css_last_status, css_last_error, css_last_attempt_at, css_updated_at
+      ) VALUES ($1, 'FAILED', $2, NOW(), NOW())
+      ON CONFLICT (css_config_id) DO UPDATE SET
+        css_last_status = 'FAILED',
+        css_last_error = EXCLUDED.css_last_error,
+        css_updated_at = NOW()
+    `;
+    await pool.query(query, [configId, errorMessage]);
+  }
+
+  /**
+   * Reset the watermark. Without a window end the row is dropped and the next
+   * run bootstraps from MAX(transaction_date) again.
+   */
+  static async resetState(configId, { windowEnd = null, cursor = null } = {}) {
+    if (!windowEnd) {
+      const result = await pool.query(
+        'DELETE FROM config_sync_state WHERE css_config_id = $1 RETURNING *',
+        [configId]
+      );
+      return result.rows[0] || null;
+    }
+
+    const query = `
+      INSERT INTO config_sync_state (
+        css_config_id, css_last_window_end, css_cursor, css_last_status, css_updated_at
+      ) VALUES ($1, $2, $3, 'RESET', NOW())
+      ON CONFLICT (css_config_id) DO UPDATE SET
+        css_last_window_end = EXCLUDED.css_last_window_end,
+        css_cursor = EXCLUDED.css_cursor,
+        css_last_status = 'RESET',
+        css_last_error = NULL,
+        css_updated_at = NOW()
+      RETURNING *
+    `;
+    const result = await pool.query(query, [configId, windowEnd, cursor]);
+    return result.rows[0];
+  }
+}
+
+module.exports = SyncStateModel;
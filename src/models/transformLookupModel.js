@@ -0,0 +1,51 @@
+const pool = require('../config/database');
+
+class TransformLookupModel {
+  static async list() {
+    const query = `
+      SELECT tl_name, tl_description,
+        (SELECT COUNT(*)::int FROM jsonb_object_keys(tl_entries)) AS entry_count,
+        tl_created_at, tl_updated_at
+      FROM transform_lookups
+      ORDER BY tl_name
+    `;
+    const result = await pool.query(query);
+    return result.rows;
+  }
+
+  static async getByName(name) {
+    const result = await pool.query('SELECT * FROM transform_lookups WHERE tl_name = $1', [name]);
+    return result.rows[0] || null;
+  }
+
+  /**
+   * Every table as { name: { key: value } }, the shape the mappers take.
+   */
+  static async getAll() {
+    const result = await pool.query('SELECT tl_name, tl_entries FROM transform_lookups');
+    return Object.fromEntries(result.rows.map(row => [row.tl_name, row.tl_entries]));
+  }
+
+  // Create or replace a table; resolves to the row and whether it was new
+  static async upsert(name, { description = null, entries }) {
+    const query = `
+      INSERT INTO transform_lookups (tl_name, tl_description, tl_entries)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (tl_name) DO UPDATE SET
+        tl_description = EXCLUDED.tl_description,
+        tl_entries = EXCLUDED.tl_entries,
+        tl_updated_at = NOW()
+      RETURNING *, (xmax = 0) AS created
+    `;
+    const result = await pool.query(query, [name, description, JSON.stringify(entries)]);
+    const { created, ...row } = result.rows[0];
+    return { lookup: row, created };
+  }
+
+  static async delete(name) {
+    const result = await pool.query('DELETE FROM transform_lookups WHERE tl_name = $1 RETURNING *', [name]);
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = TransformLookupModel;
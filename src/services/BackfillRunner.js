@@ -0,0 +1,205 @@
+const { v4: uuidv4 } = require('uuid');
+const dayjs = require('dayjs');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+const ConfigModel = require('../models/configModel');
+const IntegrationOrchestrator = require('./IntegrationOrchestrator');
+const createLogger = require('../config/logger');
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+const DEFAULT_CHUNK_DAYS = parseInt(process.env.BACKFILL_CHUNK_DAYS) || 1;
+const MAX_RANGE_DAYS = parseInt(process.env.BACKFILL_MAX_DAYS) || 90;
+const MAX_TRACKED_JOBS = 50;
+// Days are business days in the zone bills are stored in, whatever the host's zone
+const BACKFILL_TIMEZONE = 'Asia/Kolkata';
+// How long a window waits for another run of the same config to finish
+const SYNC_WAIT_MS = (parseInt(process.env.BACKFILL_SYNC_WAIT_SECONDS) || 300) * 1000;
+const SYNC_POLL_MS = 5000;
+
+// A YYYY-MM-DD date as that calendar day in BACKFILL_TIMEZONE
+const calendarDay = (value) => {
+  const date = dayjs(value);
+  return date.isValid() ? dayjs.tz(date.format('YYYY-MM-DD'), BACKFILL_TIMEZONE) : date;
+};
+
+// Backfill jobs started in this process, newest last
+const jobs = new Map();
+
+class BackfillRunner {
+  constructor() {
+    this.logger = createLogger('backfill');
+    this.orchestrator = new IntegrationOrchestrator();
+  }
+
+  /**
+   * Split [fromDate, toDate] (inclusive, YYYY-MM-DD) into windows of chunkDays
+   * days. Each window runs from 00:00:00.000 of its first day to
+   * 23:59:59.999 of its last day, Asia/Kolkata time. The range is capped at
+   * BACKFILL_MAX_DAYS.
+   */
+  static buildWindows(fromDate, toDate, chunkDays = DEFAULT_CHUNK_DAYS) {
+    const start = calendarDay(fromDate).startOf('day');
+    const end = calendarDay(toDate).endOf('day');
+    const step = Math.max(parseInt(chunkDays) || 1, 1);
+
+    if (!start.isValid() || !end.isValid()) {
+      throw new Error('from_date and to_date must be valid dates');
+    }
+    if (start.isAfter(end)) {
+      throw new Error('from_date must not be after to_date');
+    }
+    if (end.diff(start, 'day') + 1 > MAX_RANGE_DAYS) {
+      throw new Error(`A backfill covers at most ${MAX_RANGE_DAYS} days; split the range into several jobs`);
+    }
+
+    const windows = [];
+    let cursor = start;
+
+    while (!cursor.isAfter(end)) {
+      const windowEnd = cursor.add(step, 'day').subtract(1, 'millisecond');
+      windows.push({
+        from: cursor.toDate(),
+        to: (windowEnd.isAfter(end) ? end : windowEnd).toDate()
+      });
+      cursor = cursor.add(step, 'day');
+    }
+
+    return windows;
+  }
+
+  /**
+   * Register a job and run it in the background. Returns the job record
+   * immediately so callers can poll getJob(jobId).
+   */
+  start(params) {
+    const job = this.createJob(params);
+    this.execute(job).catch(error => {
+      job.status = 'FAILED';
+      job.error = error.message;
+      job.finishedAt = new Date();
+      this.logger.error('Backfill job crashed', { jobId: job.id, error: error.message });
+    });
+    return job;
+  }
+
+  /**
+   * Run a job to completion. onProgress is called after every window.
+   */
+  async run(params, onProgress = null) {
+    const job = this.createJob(params);
+    await this.execute(job, onProgress);
+    return job;
+  }
+
+  createJob({ configId, fromDate, toDate, chunkDays = DEFAULT_CHUNK_DAYS }) {
+    const windows = BackfillRunner.buildWindows(fromDate, toDate, chunkDays);
+
+    const job = {
+      id: uuidv4(),
+      configId,
+      fromDate,
+      toDate,
+      chunkDays: Math.max(parseInt(chunkDays) || 1, 1),
+      status: 'PENDING',
+      totalWindows: windows.length,
+      completedWindows: 0,
+      windows: windows.map(w => ({ ...w, status: 'PENDING' })),
+      createdAt: new Date(),
+      startedAt: null,
+      finishedAt: null,
+      error: null
+    };
+
+    jobs.set(job.id, job);
+    // Forget the oldest finished jobs; running ones stay visible until they end
+    for (const [id, tracked] of jobs) {
+      if (jobs.size <= MAX_TRACKED_JOBS) break;
+      if (tracked.finishedAt) jobs.delete(id);
+    }
+
+    return job;
+  }
+
+  async execute(job, onProgress = null) {
+    const config = await ConfigModel.getConfigById(job.configId);
+    if (!config) {
+      throw new Error(`Configuration not found: ${job.configId}`);
+    }
+
+    job.status = 'RUNNING';
+    job.startedAt = new Date();
+
+    this.logger.info('Backfill started', {
+      jobId: job.id,
+      configId: job.configId,
+      vendor: config.vendor_name,
+      fromDate: job.fromDate,
+      toDate: job.toDate,
+      windows: job.totalWindows
+    });
+
+    for (const window of job.windows) {
+      window.status = 'RUNNING';
+
+      const result = await this.processWindow(config, window);
+
+      Object.assign(window, {
+        status: result.status,
+        batchId: result.batchId,
+        records: result.records,
+        errors: result.errors,
+        skipped: result.skipped,
+        ...(result.error && { error: result.error })
+      });
+      job.completedWindows++;
+
+      this.logger.info('Backfill window processed', {
+        jobId: job.id,
+        progress: `${job.completedWindows}/${job.totalWindows}`,
+        from: window.from,
+        to: window.to,
+        status: window.status,
+        records: window.records,
+        skipped: window.skipped
+      });
+
+      if (onProgress) onProgress(job, window);
+    }
+
+    const failed = job.windows.filter(w => w.status === 'FAILED' || w.status === 'SKIPPED').length;
+    job.status = failed === 0 ? 'COMPLETED' : 'COMPLETED_WITH_ERRORS';
+    job.finishedAt = new Date();
+
+    this.logger.info('Backfill finished', { jobId: job.id, status: job.status, failedWindows: failed });
+    return job;
+  }
+
+  /**
+   * Run one window. While another run of the config (usually its scheduled
+   * sync) holds the config lock, retry until BACKFILL_SYNC_WAIT_SECONDS
+   * have passed; after that the window stays SKIPPED.
+   */
+  async processWindow(config, window) {
+    const deadline = Date.now() + SYNC_WAIT_MS;
+
+    for (;;) {
+      const result = await this.orchestrator.processConfig(config, {
+        window: { from: window.from, to: window.to }
+      });
+      if (result.status !== 'SKIPPED' || Date.now() >= deadline) return result;
+      await new Promise(resolve => setTimeout(resolve, SYNC_POLL_MS));
+    }
+  }
+
+  static getJob(jobId) {
+    return jobs.get(jobId) || null;
+  }
+
+  static listJobs() {
+    return [...jobs.values()].reverse();
+  }
+}
+
+module.exports = BackfillRunner;
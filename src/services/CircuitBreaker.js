@@ -0,0 +1,71 @@
+const CircuitBreakerModel = require('../models/circuitBreakerModel');
+const createLogger = require('../config/logger');
+
+const FAILURE_THRESHOLD = parseInt(process.env.BREAKER_FAILURE_THRESHOLD) || 5;
+const COOLDOWN_MINUTES = parseInt(process.env.BREAKER_COOLDOWN_MINUTES) || 15;
+
+/**
+ * Per-config circuit breaker backed by config_circuit_breaker, so the state is
+ * shared between the agent and the API process and can be queried.
+ *
+ * CLOSED → OPEN after FAILURE_THRESHOLD consecutive failed vendor calls.
+ * OPEN → HALF_OPEN once the cool-down has passed; the next call is a trial.
+ * HALF_OPEN → CLOSED on success, back to OPEN on failure.
+ */
+class CircuitBreaker {
+  constructor(config) {
+    this.configId = config.cac_config_id;
+    this.logger = createLogger(config.vendor_name || 'circuit-breaker');
+  }
+
+  /**
+   * Throws an error with code CIRCUIT_OPEN while the breaker is open.
+   */
+  async assertClosed() {
+    if (!this.configId) return;
+
+    const state = await CircuitBreakerModel.getState(this.configId);
+    if (!state || state.ccb_state !== 'OPEN') return;
+
+    if (state.ccb_open_until && new Date(state.ccb_open_until) <= new Date()) {
+      await CircuitBreakerModel.halfOpen(this.configId);
+      this.logger.info('Circuit half-open, allowing trial call', { configId: this.configId });
+      return;
+    }
+
+    const error = new Error(`Circuit open for config ${this.configId} until ${new Date(state.ccb_open_until).toISOString()}`);
+    error.code = 'CIRCUIT_OPEN';
+    error.openUntil = state.ccb_open_until;
+    throw error;
+  }
+
+  async recordSuccess() {
+    if (!this.configId) return;
+
+    const state = await CircuitBreakerModel.getState(this.configId);
+    if (state && (state.ccb_state !== 'CLOSED' || state.ccb_failure_count > 0)) {
+      await CircuitBreakerModel.close(this.configId);
+      if (state.ccb_state !== 'CLOSED') {
+        this.logger.info('Circuit closed', { configId: this.configId });
+      }
+    }
+  }
+
+  async recordFailure(error) {
+    if (!this.configId) return;
+
+    const state = await CircuitBreakerModel.recordFailure(this.configId, error.message);
+
+    if (state.ccb_state === 'HALF_OPEN' || state.ccb_failure_count >= FAILURE_THRESHOLD) {
+      const opened = await CircuitBreakerModel.open(this.configId, COOLDOWN_MINUTES);
+      this.logger.warn('Circuit opened', {
+        configId: this.configId,
+        failures: state.ccb_failure_count,
+        openUntil: opened?.ccb_open_until,
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,169 @@
+const ConfigModel = require('../models/configModel');
+const TransformLookupModel = require('../models/transformLookupModel');
+const DataFetcher = require('./DataFetcher');
+const IntegrationOrchestrator = require('./IntegrationOrchestrator');
+const MappingTracer = require('./MappingTracer');
+const TransactionDeriver = require('./TransactionDeriver');
+const createLogger = require('../config/logger');
+const { loadColumnTypes, checkColumnValue } = require('../utils/pgTypes');
+
+const TABLES = ['raw_transactions', 'raw_transaction_items', 'raw_payment'];
+const MAX_VIOLATIONS = 200;
+
+// Fields that reach a column under another name. received_at is cast to
+// timestamptz for transaction_date on every table.
+const COLUMN_ALIASES = {
+  raw_transactions: { received_at: 'transaction_date' },
+  raw_transaction_items: {
+    received_at: 'transaction_date',
+    sku_title: 'item_name',
+    sku_category: 'category',
+    transaction_type: 'transtype'
+  },
+  raw_payment: { received_at: 'transaction_date', transaction_type: 'transtype' }
+};
+
+/**
+ * Runs fetch + mapping for one config over an explicit window without
+ * touching the sync watermark, the circuit breaker or any raw_* table, and
+ * reports what an ingestion would have produced.
+ */
+class ConfigDryRun {
+  constructor(config) {
+    this.config = config;
+    this.logger = createLogger(config.vendor_name || 'dry-run');
+  }
+
+  async run(window, { limit = 20 } = {}) {
+    const startedAt = Date.now();
+    const fetcher = new DataFetcher(this.config, { breaker: false });
+    let rawData;
+    try {
+      rawData = await fetcher.fetchData(window);
+    } catch (error) {
+      // Lets the API tell a vendor failure apart from a mapping bug
+      error.stage = 'fetch';
+      throw error;
+    }
+
+    const allMappings = await ConfigModel.getAllFieldMappings(this.config.cac_customer_id.trim());
+    const lookups = await TransformLookupModel.getAll();
+    const mapper = new IntegrationOrchestrator().createMapper(this.config, allMappings, { lookups });
+    const tracer = new MappingTracer(mapper, { maxEntries: 0 });
+
+    const transactions = this.isEmpty(rawData) ? [] : await mapper.mapTransactions(rawData);
+    new TransactionDeriver(this.config).derive(transactions);
+
+    const columnTypes = await loadColumnTypes(TABLES);
+    const violations = this.findTypeViolations(transactions, columnTypes);
+
+    this.logger.info('Config dry run finished', {
+      configId: this.config.cac_config_id,
+      transactions: transactions.length,
+      typeViolations: violations.length
+    });
+
+    return {
+      config_id: this.config.cac_config_id,
+      window: { from: fetcher.syncWindow.from, to: fetcher.syncWindow.to },
+      duration_ms: Date.now() - startedAt,
+      payload: this.describePayload(rawData),
+      mapper: mapper.constructor.name,
+      counts: {
+        transactions: transactions.length,
+        items: transactions.reduce((sum, tx) => sum + (tx.items?.length || 0), 0),
+        payments: transactions.reduce((sum, tx) => sum + (tx.payments?.length || 0), 0)
+      },
+      mapping_misses: tracer.misses,
+      mappings: tracer.summary,
+      type_violations: violations.slice(0, MAX_VIOLATIONS),
+      type_violation_count: violations.length,
+      transactions: transactions.slice(0, limit),
+      truncated: transactions.length > limit
+    };
+  }
+
+  isEmpty(rawData) {
+    return !rawData || (Array.isArray(rawData) && rawData.length === 0);
+  }
+
+  /**
+   * Shape of the fetched payload: top-level keys and the length of every
+   * array found up to two levels down.
+   */
+  describePayload(rawData) {
+    const shape = {
+      type: Array.isArray(rawData) ? 'array' : rawData === null ? 'null' : typeof rawData,
+      top_level_keys: [],
+      row_counts: {}
+    };
+
+    if (typeof rawData === 'string') {
+      shape.length = rawData.length;
+      return shape;
+    }
+
+    if (Array.isArray(rawData)) {
+      shape.row_counts.$ = rawData.length;
+      const first = rawData.find(row => row && typeof row === 'object');
+      shape.top_level_keys = first ? Object.keys(first) : [];
+      return shape;
+    }
+
+    if (rawData && typeof rawData === 'object') {
+      shape.top_level_keys = Object.keys(rawData);
+      for (const [key, value] of Object.entries(rawData)) {
+        if (Array.isArray(value)) {
+          shape.row_counts[key] = value.length;
+        } else if (value && typeof value === 'object') {
+          for (const [child, nested] of Object.entries(value)) {
+            if (Array.isArray(nested)) shape.row_counts[`${key}.${child}`] = nested.length;
+          }
+        }
+      }
+    }
+
+    return shape;
+  }
+
+  findTypeViolations(transactions, columnTypes) {
+    const violations = [];
+
+    const check = (table, row, transaction) => {
+      const aliases = COLUMN_ALIASES[table];
+      for (const [field, value] of Object.entries(row)) {
+        if (field === 'items' || field === 'payments') continue;
+        // Header values copied onto items/payments are reported once, on the header
+        if (row !== transaction && transaction[field] === value) continue;
+
+        const column = aliases[field] || field;
+        const type = column === 'transaction_date'
+          ? { type: 'timestamptz', maxLength: null }
+          : columnTypes[table][column];
+
+        const reason = checkColumnValue(value, type);
+        if (reason) {
+          violations.push({
+            table,
+            field,
+            column,
+            column_type: type.type,
+            value,
+            reason,
+            invoice_no: transaction.invoice_no
+          });
+        }
+      }
+    };
+
+    for (const tx of transactions) {
+      check('raw_transactions', tx, tx);
+      for (const item of tx.items || []) check('raw_transaction_items', item, tx);
+      for (const payment of tx.payments || []) check('raw_payment', payment, tx);
+    }
+
+    return violations;
+  }
+}
+
+module.exports = ConfigDryRun;
@@ -1,5 +1,6 @@
 const pool = require('../config/database');
 const createLogger = require('../config/logger');
+const { compileTransform } = require('../utils/transformRules');
 
 class ConfigValidator {
   constructor() {
@@ -126,7 +127,7 @@ class ConfigValidator {
         this.logger.warn('No active configurations found');
         console.log('\n⚠️  Warning: No ACTIVE configurations found in customer_api_configs');
         console.log('   All configurations have cac_is_active = false');
-        console.log('   The cron job will run but may not process any data.\n');
+        console.log('   The scheduler will run but may not process any data.\n');
       }
 
       return activeCount;
@@ -135,6 +136,89 @@ class ConfigValidator {
       return 0;
     }
   }
+
+  /**
+   * Active Wizapp stores (soap with a store code) missing any of their
+   * service URL, group code, user id or password. Their runs fail, so they
+   * are reported at startup rather than on every scheduled run.
+   */
+  async checkWizappStores() {
+    try {
+      const result = await pool.query(`
+        SELECT cac_config_id, cac_outlet_id,
+               ARRAY_REMOVE(ARRAY[
+                 CASE WHEN NULLIF(TRIM(cac_api_url), '') IS NULL THEN 'cac_api_url' END,
+                 CASE WHEN NULLIF(cac_wizapp_group_code, '') IS NULL THEN 'cac_wizapp_group_code' END,
+                 CASE WHEN NULLIF(cac_wizapp_user_id, '') IS NULL THEN 'cac_wizapp_user_id' END,
+                 CASE WHEN NULLIF(cac_wizapp_password, '') IS NULL THEN 'cac_wizapp_password' END
+               ], NULL) AS missing
+        FROM customer_api_configs
+        WHERE cac_is_active = true
+          AND LOWER(cac_jsonordb) = 'soap'
+          AND NULLIF(cac_db_name, '') IS NOT NULL
+      `);
+
+      const incomplete = result.rows.filter(row => row.missing.length > 0);
+      if (incomplete.length > 0) {
+        this.logger.error('Wizapp stores without service credentials', { stores: incomplete });
+        console.log(`\n❌ ${incomplete.length} active Wizapp store(s) cannot run until their credentials are set:`);
+        incomplete.forEach(row => console.log(`   ${row.cac_config_id} (${row.cac_outlet_id}): missing ${row.missing.join(', ')}`));
+      }
+
+      return incomplete;
+    } catch (error) {
+      this.logger.error('Failed to check Wizapp stores', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Lists vendor and template transform rules that no longer compile, and
+   * those that only run through the legacy single-name matching, so they
+   * can be rewritten; a rule that does not compile leaves its value as is.
+   */
+  async checkTransformRules() {
+    try {
+      const result = await pool.query(`
+        SELECT 'vendor' AS owner, pvfm_vendor_id::text AS owner_id, pvfm_tablename AS tablename,
+               pvfm_source_field AS source_field, pvfm_transform_rule AS rule
+        FROM pos_vendor_field_mapping
+        WHERE COALESCE(pvfm_transform_rule, '') <> ''
+        UNION ALL
+        SELECT 'template', mtf_template_id::text, mtf_tablename, mtf_source_field, mtf_transform_rule
+        FROM mapping_template_fields
+        WHERE COALESCE(mtf_transform_rule, '') <> ''
+      `);
+
+      const invalid = [];
+      const legacy = [];
+      for (const row of result.rows) {
+        const field = { owner: row.owner, ownerId: row.owner_id, table: row.tablename, field: row.source_field, rule: row.rule };
+        try {
+          const compiled = compileTransform(row.rule, { legacy: true });
+          if (compiled.legacy) legacy.push({ ...field, runsAs: compiled.legacy });
+        } catch (error) {
+          invalid.push({ ...field, error: error.message });
+        }
+      }
+
+      if (legacy.length > 0) {
+        this.logger.warn('Transform rules running through legacy matching', { rules: legacy });
+        console.log(`\n⚠️  ${legacy.length} transform rule(s) only run as the function they name:`);
+        legacy.forEach(rule => console.log(`   ${rule.owner} ${rule.ownerId} ${rule.table}.${rule.field}: "${rule.rule}" runs as ${rule.runsAs}`));
+      }
+      if (invalid.length > 0) {
+        this.logger.warn('Transform rules that do not compile', { rules: invalid });
+        console.log(`\n⚠️  ${invalid.length} transform rule(s) do not compile; their fields are stored untransformed:`);
+        invalid.forEach(rule => console.log(`   ${rule.owner} ${rule.ownerId} ${rule.table}.${rule.field}: ${rule.error}`));
+      }
+
+      return { invalid, legacy };
+    } catch (error) {
+      this.logger.error('Failed to check transform rules', { error: error.message });
+      return { invalid: [], legacy: [] };
+    }
+  }
 }
 
 module.exports = ConfigValidator;
\ No newline at end of file
@@ -1,4 +1,3 @@
-const axios = require('axios');
 const sql = require('mssql');
 const mysql = require('mysql2/promise');
 const oracledb = require('oracledb');
@@ -6,358 +5,26 @@ const createLogger = require('../config/logger');
 const xml2js = require('xml2js');
 const { Pool } = require('pg');
 const pool = require('../config/database');
-const { parseSoapResponse } = require('../services/xmlParser');
+const SyncStateModel = require('../models/syncStateModel');
+const OutboundClient = require('./OutboundClient');
+const { resolveConnector } = require('../connectors');
+const { formatForSource, splitDateTime, dateOptions } = require('../utils/dateTime');
+const { extractByJsonPath } = require('../utils/jsonPath');
+const { DEFAULT_WINDOW_QUERY, bindWindow } = require('../utils/sqlWindow');
 
 class DataFetcher {
-  constructor(config) {
+  constructor(config, options = {}) {
     this.config = config;
     this.logger = createLogger(config.vendor_name || 'unknown');
+    // Every vendor call goes through here (retries + circuit breaker)
+    this.http = new OutboundClient(config, { breaker: options.breaker !== false });
   }
 
   /* ================= DATE FORMATTER ================= */
+  // A window date for a vendor request: any dayjs format, in the vendor's timezone
   formatDate(date, format) {
-    if (!date) return null;
-
-    const d = new Date(date);
-
-    const dd = String(d.getDate()).padStart(2, '0');
-    const mm = String(d.getMonth() + 1).padStart(2, '0');
-    const yyyy = d.getFullYear();
-    const yy = String(yyyy).slice(-2);
-
-// ⭐ ADD TIME PARTS
-    const HH = String(d.getHours()).padStart(2, '0');
-    const min = String(d.getMinutes()).padStart(2, '0');
-    const ss = String(d.getSeconds()).padStart(2, '0');
-  
-    
-    const monthNames = [
-      'JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN',
-      'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'
-    ];
-    const mmm = monthNames[d.getMonth()];
-
-    switch (format) {
-      case 'DD-MMM-YY':
-        return `${dd}-${mmm}-${yy}`;     // 10-DEC-25
-      case 'DD-MMM-YYYY':
-        return `${dd}-${mmm}-${yyyy}`;   // 10-DEC-2025
-      case 'DD/MM/YYYY':
-        return `${dd}/${mm}/${yyyy}`;    // 10/12/2025
-      case 'YYYY-DD-MM':
-        return `${yyyy}-${dd}-${mm}`;
-      case 'MM/DD/YYYY':
-        return `${mm}/${dd}/${yyyy}`;
-      case 'YYYY/DD/MM':
-        return `${yyyy}/${dd}/${mm}`;  // 2025/12/10
-
-       // ⭐ NEW CASE FOR UNIQUE COLORS
-      case 'YYYY-MM-DD HH:mm:ss':
-        return `${yyyy}-${mm}-${dd} ${HH}:${min}:${ss}`;  
-      case 'YYYY-MM-DD':
-      default:
-        return `${yyyy}-${mm}-${dd}`;    // 2025-12-10
-    }
-  }
-
-  /* =========================
-   VIDVEDA SOAP CALL
-========================= */
-async getMyJOSoap(fromDate, toDate) {
-  const url = "https://wizapp.in/mirrorservice/Service.asmx";
-
-  const soapBody = `<?xml version="1.0" encoding="utf-8"?>
-<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-               xmlns:xsd="http://www.w3.org/2001/XMLSchema"
-               xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
-  <soap:Body>
-    <GetSaleDataForMall_V1 xmlns="http://tempuri.org/">
-      <cGrpCode>BJ@WZBJ000001</cGrpCode>
-      <cUserId>ONLINE</cUserId>
-      <cPassword>123</cPassword>
-      <cStoreCode>${this.config.cac_db_name}</cStoreCode>
-      <cFromDt>${fromDate}</cFromDt>
-      <ToDt>${toDate}</ToDt>
-    </GetSaleDataForMall_V1>
-  </soap:Body>
-</soap:Envelope>`;
-
-  const headers = {
-    "Content-Type": "text/xml",
-    "SOAPAction": "http://tempuri.org/GetSaleDataForMall_V1",
-    "Accept": "*/*" // IMPORTANT: allow JSON or XML
-  };
-
-  try {
-    const response = await axios.post(url, soapBody, {
-      headers,
-      timeout: 15000,
-      transformResponse: res => res // prevent axios auto parsing
-    });
-
-    const raw = response.data.trim();
-
-    let tRecordJson;
-
-    // 🧠 CASE 1: Server returned JSON directly
-    if (raw.startsWith("{")) {
-      tRecordJson = JSON.parse(raw);
-    }
-    // 🧠 CASE 2: Server returned SOAP XML
-    else if (raw.startsWith("<")) {
-      const parsed = await xml2js.parseStringPromise(raw, {
-        explicitArray: false
-      });
-
-      const body =
-        parsed["soap:Envelope"]["soap:Body"]["GetSaleDataForMall_V1Response"];
-
-      const result = body["GetSaleDataForMall_V1Result"];
-      tRecordJson = JSON.parse(result);
-    }
-    else {
-      throw new Error("Unknown response format from POS API");
-    }
-
-    // 🧾 Convert header-row array → objects
-    const headerRow = tRecordJson.tRecord[0];
-    const rows = tRecordJson.tRecord.slice(1);
-
-    const sales = rows.map(row => {
-      const obj = {};
-      headerRow.forEach((key, index) => {
-        obj[key.replace(/\s+/g, "_")] = row[index];
-      });
-      return obj;
-    });
-
-    return sales;
-
-  } catch (err) {
-    console.error("❌ POS API Error");
-    console.error("Message:", err.message);
-    throw err;
+    return formatForSource(date, format || 'YYYY-MM-DD', dateOptions(this.config).timezone);
   }
-}
-
-
-
-
-
-  async getAllSegments(fromDate, toDate) {
-    // console.log('Fetching all segments from SOAP API for dates:', fromDate, toDate);
-    const [
-      transactionSegment,
-      itemSegment,
-      paymentSegment
-    ] = await Promise.all([
-      this.callSoapMethod('TransactionSegment', fromDate, toDate),
-      this.callSoapMethod('ItemSegment', fromDate, toDate),
-      this.callSoapMethod('PaymentSegment', fromDate, toDate)
-    ]);
-
-    return this.groupByReceiptNoFromSoap({
-      transactionSegment,
-      itemSegment,
-      paymentSegment
-    });
-  }
-
-
-  /* =========================
-     SOAP CALLER
-  ========================= */
-  async callSoapMethod(methodName, fromDate, toDate) {
-    try {
-      
-       const soapEnvelope = this.buildSoapEnvelope(methodName, fromDate, toDate);
-       
-
-      const response = await axios.post(
-        this.config.cac_api_url,
-        // 'https://hidesign.eshopaid.com/ADSR/eShopaidservices.asmx',
-        soapEnvelope,
-        {
-          headers: {
-            'Content-Type': 'text/xml; charset=utf-8',
-            'SOAPAction': this.config.cac_soap_action || ''
-          },
-          timeout: this.config.cac_soap_timeout || 30000,
-          responseType: 'text'
-        }
-      );
-      // console.log(`SOAP response for ${methodName}:`, response.data);
-
-      // Optional logging
-      if (this.config.cac_log_soap) {
-        const fs = require('fs');
-        fs.appendFileSync(
-          'logs/soap.log',
-          `===== ${methodName} =====\n${response.data}\n\n`
-        );
-      }
-
-      // Parse SOAP XML → JSON
-      const parser = new xml2js.Parser({ explicitArray: false });
-      const parsed = await parser.parseStringPromise(response.data);
-
-return await parseSoapResponse(response.data);
-      
-     
-//  console.log('Parsed SOAP response for method', methodName, JSON.stringify(parsed, null, 2));
-
-      
-
-    } catch (error) {
-      throw new Error(`[SOAP:${methodName}] ${error.response?.data || error.message}`);
-    }
-  }
-
-  groupByReceiptNoFromSoap(data) {
-    const { transactions, items, payments } =
-      this.extractArraysFromSoapResponse(data);
-
-    const grouped = {};
-
-    // 🔹 Transactions (base)
-    for (const tx of transactions) {
-      const receipt = tx.RECEIPT_NO;
-      if (!receipt) continue;
-
-      grouped[receipt] = {
-        receipt_no: receipt,
-        transaction: tx,
-        items: [],
-        payments: []
-      };
-    }
-
-    // 🔹 Items
-    for (const item of items) {
-      const receipt = item.RECEIPT_NO;
-      if (!receipt) continue;
-
-      if (!grouped[receipt]) {
-        grouped[receipt] = {
-          receipt_no: receipt,
-          transaction: null,
-          items: [],
-          payments: []
-        };
-      }
-
-      grouped[receipt].items.push(item);
-    }
-
-    // 🔹 Payments
-    for (const pay of payments) {
-      const receipt = pay.RECEIPT_NO;
-      if (!receipt) continue;
-
-      if (!grouped[receipt]) {
-        grouped[receipt] = {
-          receipt_no: receipt,
-          transaction: null,
-          items: [],
-          payments: []
-        };
-      }
-
-      grouped[receipt].payments.push(pay);
-    }
-    // console.log('Grouped SOAP data by receipt no:', Object.values(grouped));
-    console.log(
-  'Grouped SOAP data by receipt no:\n',
-  JSON.stringify(Object.values(grouped), null, 2)
-);
-    return Object.values(grouped);
-  }
-
-
-  extractArraysFromSoapResponse(data) {
-    const transactions =
-      data?.transactionSegment
-        ?.['soap:Envelope']
-        ?.['soap:Body']
-        ?.GetResponseAsDataSetResponse
-        ?.GetResponseAsDataSetResult
-        ?.['diffgr:diffgram']
-        ?.eShopaidTransactionSegment
-        ?.TransactionSegment || [];
-
-    const items =
-      data?.itemSegment
-        ?.['soap:Envelope']
-        ?.['soap:Body']
-        ?.GetResponseAsDataSetResponse
-        ?.GetResponseAsDataSetResult
-        ?.['diffgr:diffgram']
-        ?.eShopaidItemSegment
-        ?.ItemSegment || [];
-
-    const payments =
-      data?.paymentSegment
-        ?.['soap:Envelope']
-        ?.['soap:Body']
-        ?.GetResponseAsDataSetResponse
-        ?.GetResponseAsDataSetResult
-        ?.['diffgr:diffgram']
-        ?.NewDataSet
-        ?.Table || [];
-
-    return {
-      transactions: Array.isArray(transactions) ? transactions : [transactions],
-      items: Array.isArray(items) ? items : [items],
-      payments: Array.isArray(payments) ? payments : [payments]
-    };
-  }
-
-  buildSoapEnvelope(methodName, fromDate, toDate, optionalData = '') {
-    return `<?xml version="1.0" encoding="utf-8"?>
-<soapenv:Envelope
-  xmlns:soapenv="http://schemas.xmlsoap.org/soap/envelope/"
-  xmlns:esh="http://eshopaid.in">
-
-  
-
-  <soapenv:Header>
-    <esh:eShopaidSoapHeader>
-      <esh:UserName>${this.config.cac_db_username}</esh:UserName>
-      <esh:Password>${this.config.cac_db_password}</esh:Password>
-      
-      <esh:MethodName>${methodName}</esh:MethodName>
-      <esh:FromDate>${fromDate}</esh:FromDate>
-      <esh:ToDate>${toDate}</esh:ToDate>
-      <esh:OptionalData>${optionalData}</esh:OptionalData>
-    </esh:eShopaidSoapHeader>
-  </soapenv:Header>
-
-  <soapenv:Body>
-    <esh:GetResponseAsDataSet />
-  </soapenv:Body>
-
-</soapenv:Envelope>`;
-  }
-
-
- buildSoapEnvelopemyjo(methodName, fromDate, toDate, optionalData = '') {
-    return `<?xml version="1.0" encoding="utf-8"?>
-<soap:Envelope xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
-               xmlns:xsd="http://www.w3.org/2001/XMLSchema"
-               xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/">
-  <soap:Body>
-    <GetSaleDataForMall_V1 xmlns="http://tempuri.org/">
-      <cGrpCode>BJ@WZBJ000001</cGrpCode>
-      <cUserId>ONLINE</cUserId>
-      <cPassword>123</cPassword>
-      <cStoreCode>M3</cStoreCode>
-      <cFromDt>2026-02-01</cFromDt>
-      <cToDt>2026-02-07</cToDt>
-    </GetSaleDataForMall_V1>
-  </soap:Body>
-</soap:Envelope>`;
-  } 
-
 
   async fetchThreeApisInLoop(maxDate) {
     if (!Array.isArray(this.config.cac_multiple_apis)) {
@@ -399,280 +66,48 @@ return await parseSoapResponse(response.data);
     return combinedResponse;
   }
 
-  async getCombinedDetails(Fromdate, Todate) {
-    const { cac_api_url } = this.config;
-
-    const baseUrl = cac_api_url
-      .trim()
-      .replace(/\/+$/, '');
-
-    // this.logger.info('Fetching multi-API data', { baseUrl });
-    // this.logger.info('params', {Fromdate, Todate});
-
-    const results = { items: [], payments: [], transactions: [] };
-
-    const callApi = async (path) =>
-      axios.get(`${baseUrl}/${path}`, { params: { Fromdate, Todate } });
-
-    try {
-      results.items = (await callApi('ItemdetailsGet')).data;
-    } catch (e) {
-      this.logger.error('❌ ItemdetailsGet failed', e.response?.data || e.message);
-    }
-
-    try {
-      results.payments = (await callApi('PaymentdetailsGet')).data;
-    } catch (e) {
-      this.logger.error('❌ PaymentdetailsGet failed', e.response?.data || e.message);
-    }
-
-    try {
-      results.transactions = (await callApi('TransactiondetailsGet')).data;
-    } catch (e) {
-      this.logger.error('❌ TransactiondetailsGet failed', e.response?.data || e.message);
-    }
-
-    return this.groupByReceiptmultiapi(
-      results.items,
-      results.payments,
-      results.transactions
-    );
-  }
-  
-
-
-  groupByReceiptmultiapi(items, payments, transactions) {
-    const grouped = {};
-
-    // Transactions (1 per receipt usually)
-    transactions.forEach(txn => {
-      const rcpt = txn.RCPT_NUM;
-      if (!grouped[rcpt]) {
-        grouped[rcpt] = {
-          RCPT_NUM: rcpt,
-          transaction: null,
-          items: [],
-          payments: []
-        };
-      }
-      grouped[rcpt].transaction = txn;
-    });
-
-    // Items (many per receipt)
-    items.forEach(item => {
-      const rcpt = item.RCPT_NUM;
-      if (!grouped[rcpt]) {
-        grouped[rcpt] = {
-          RCPT_NUM: rcpt,
-          transaction: null,
-          items: [],
-          payments: []
-        };
-      }
-      grouped[rcpt].items.push(item);
-    });
-
-    // Payments (many per receipt)
-    payments.forEach(pay => {
-      const rcpt = pay.RCPT_NUM;
-      if (!grouped[rcpt]) {
-        grouped[rcpt] = {
-          RCPT_NUM: rcpt,
-          transaction: null,
-          items: [],
-          payments: []
-        };
-      }
-      grouped[rcpt].payments.push(pay);
-    });
-
-    // console.log('Grouped multi-API data by receipt no:', Object.values(grouped));
-    return Object.values(grouped);
-  }
-
-
-
-  async fetchData() {
+  /**
+   * Fetch one window of vendor data. Without `window` the start comes from the
+   * sync watermark and the end is now; a backfill passes an explicit { from, to }.
+   */
+  async fetchData(window = null) {
     const sourceType = this.config.cac_jsonordb?.toLowerCase();
 
     try {
       // 🔹 STEP 1: Get max transaction date from database
       // console.log('Fetching max transaction date for config:', this.config.dateformat);
-      const maxDate = await this.getMaxTransactionDate(this.config.dateformat || 'YYYY-MM-DD');
-      // this.logger.info('Max transaction date retrieved', { maxDate });
-
-
-      if (sourceType === 'json' || sourceType === 'api') {
-        return await this.fetchFromAPI(maxDate);
-
-
-      } else if (sourceType == 'multiapi') {//KADASAM CUSTOMER..
-        //  return await this.getCombinedDetails(maxDate, this.buildRuntimeContext(maxDate).TO_DATE);
-        // console.log('Fetching multi-API data for dates:', maxDate, this.buildRuntimeContext(maxDate).TO_DATE);
-        return await this.getCombinedDetails((this.buildRuntimeContext(maxDate).FROM_DATE), (this.buildRuntimeContext(maxDate).TO_DATE));
-      }
-      else if (sourceType == 'multiapizoho') {//KADASAM CUSTOMER..
-        //  return await this.getCombinedDetails(maxDate, this.buildRuntimeContext(maxDate).TO_DATE);
-        // console.log('Fetching multi-API data for dates:', maxDate, this.buildRuntimeContext(maxDate).TO_DATE);
-        return await this.getCombinedDetailszoho((this.buildRuntimeContext(maxDate).FROM_DATE), (this.buildRuntimeContext(maxDate).TO_DATE));
-      }
-      else if (sourceType === 'soap') {
-        if (this.config.cac_db_name ){
-           return await this.getMyJOSoap((this.buildRuntimeContext(maxDate).FROM_DATE), (this.buildRuntimeContext(maxDate).TO_DATE));
-         }
-         else{
-        return await this.getAllSegments((this.buildRuntimeContext(maxDate).FROM_DATE), this.buildRuntimeContext(maxDate).TO_DATE);
-        // return await this.getAllSegments('2026-02-14', this.buildRuntimeContext(maxDate).TO_DATE);
-        // }
-      }
-    }
-      else if (sourceType === 'xml') {
-        return await this.fetchFromXMLAPI(maxDate);
-        // } else if (sourceType === 'db' || sourceType === 'database') {
-        // return await this.fetchFromDatabase(maxDate);
-      } else {
+      const maxDate = window
+        ? new Date(window.from)
+        : await this.getMaxTransactionDate(this.config.dateformat || 'YYYY-MM-DD');
+      // Pin the window end so every placeholder and the watermark agree on it
+      this.syncWindow = { from: maxDate, to: window ? new Date(window.to) : new Date() };
+      this.nextCursor = null;
+
+      const connector = resolveConnector(this.config);
+      if (!connector) {
         throw new Error(`Unknown source type: ${sourceType}`);
       }
+
+      const data = await connector.fetch(this, this.syncWindow);
+      // Connectors that merge several responses capture the cursor per call;
+      // for the rest it sits in the data they return
+      if (this.nextCursor === null) this.captureCursor(data);
+      this.checkCursor();
+      return data;
     } catch (error) {
       this.logger.error('Data fetch failed', { error: error.message, config: this.config.cac_config_id });
       throw error;
     }
   }
 
-  groupByReceiptmultiapizoho(items, payments, transactions,billnoKey) {
-  const grouped = {};
-
-  // 🔹 Transactions
-  transactions.forEach(txn => {
-    const billNo = txn[billnoKey];
-    if (!billNo) return;
-
-    if (!grouped[billNo]) {
-      grouped[billNo] = {
-        billNumber: billNo,
-        transaction: null,
-        items: [],
-        payments: []
-      };
-    }
-    // console.log('Mapping transaction for bill no:', billNo, txn);
-    grouped[billNo].transaction = txn;
-  });
-
-  // 🔹 Items
-  items.forEach(item => {
-    const billNo = item.billNumber;
-    if (!billNo) return;
-
-    if (!grouped[billNo]) {
-      grouped[billNo] = {
-        billNumber: billNo,
-        transaction: null,
-        items: [],
-        payments: []
-      };
-    }
-    grouped[billNo].items.push(item);
-  });
-
-  // 🔹 Payments
-  payments.forEach(pay => {
-    const billNo = pay.billNumber;
-    if (!billNo) return;
-
-    if (!grouped[billNo]) {
-      grouped[billNo] = {
-        billNumber: billNo,
-        transaction: null,
-        items: [],
-        payments: []
-      };
-    }
-    grouped[billNo].payments.push(pay);
-  });
+  throwIfAnyFailed(failures) {
+    if (!failures.length) return;
 
-  // console.log('Grouped multi-API Zoho data by bill number:', Object.values(grouped));
-  return Object.values(grouped);
-}
-
-
- async getCombinedDetailszoho(Fromdate, Todate) {
-
-  let apis = this.config.cac_multiple_apis;
-  if (typeof apis === 'string') {
-    apis = JSON.parse(apis).cac_multiple_apis;
+    const error = new Error(`${failures.length} vendor call(s) failed: ${failures.map(f => f.message).join('; ')}`);
+    error.code = failures.find(f => f.code === 'CIRCUIT_OPEN')?.code || failures[0].code;
+    throw error;
   }
 
-  const baseUrl = this.config.cac_api_url
-    .replace(/\s+/g, '')   // 🔥 CRITICAL
-    .replace(/\/+$/, '');
-
-  const results = {
-    transactions: [],
-    items: [],
-    payments: []
-  };
-// console.log('APIs to call:', apis);
-  for (const api of apis) {
-    try {
-      const url = `${baseUrl}/${api.path}`;
-
-      this.logger.info('Calling Zoho API', {
-        url,
-        params: {
-          dFrmDate: this.formatDate(Fromdate, 'DD-MMM-YYYY'),
-          dToDate: this.formatDate(Todate, 'DD-MMM-YYYY'),
-          publickey: api.public_key
-        }
-      });
-
-      const res = await axios.get(url, {
-        params: {
-          // dFrmDate: this.formatDate(Fromdate, 'DD-MMM-YYYY'), // 🔥 Zoho format
-          // dToDate: this.formatDate(Todate, 'DD-MMM-YYYY'),
-          dFrmDate: this.formatDate(Fromdate, 'DD-MMM-YYYY'),
-          dToDate: this.formatDate(Todate, 'DD-MMM-YYYY'),
-          publickey: api.public_key
-        }
-      });
-
-      results[api.api_name] = this.normalizeZohoResponse(res.data);
-      //  console.log(
-      // `Zoho ${api.api_name} records count:`,
-      // results[api.api_name].length
-    // );
-
-    } catch (err) {
-      this.logger.error(`❌ ${api.api_name} failed`, {
-        error: err.response?.data || err.message
-      });
-    }
-  }
-
-  return this.groupByReceiptmultiapizoho(
-    results.items,
-    results.payments,
-    results.transactions,'billNumber'
-  );
-}
-
-  normalizeZohoResponse(res) {
-  if (!res) return [];
-
-  // ✅ ZOHO CREATOR FORMAT
-  if (Array.isArray(res?.result?.Data)) {
-    return res.result.Data;
-  }
-
-  // fallback safety
-  if (Array.isArray(res)) return res;
-
-  return [];
-}
-
-
-
-
   /* =========================
     TOKEN CHECK
  ========================= */
@@ -729,7 +164,7 @@ return await parseSoapResponse(response.data);
 
     // console.log('Auth token request params:', params);
 
-    const response = await axios({
+    const response = await this.http.request({
       method: this.config.cac_tokenhttp || 'POST',
       url: this.config.cac_authtokenurl,
       headers,
@@ -759,10 +194,18 @@ return await parseSoapResponse(response.data);
   }
 
   /**
-   * Get the maximum transaction_date from raw_transactions for this configuration
+   * Resolve the start of the next fetch window. The persisted watermark in
+   * config_sync_state wins; MAX(transaction_date) only bootstraps configs that
+   * have never completed a sync. Throws when either cannot be read.
    */
   async getMaxTransactionDate(dateFormat = 'YYYY-MM-DD') {
     try {
+      this.syncState = await SyncStateModel.getState(this.config.cac_config_id);
+
+      if (this.syncState?.css_last_window_end) {
+        return new Date(this.syncState.css_last_window_end);
+      }
+
       const query = `
         SELECT MAX(transaction_date) as max_date
         FROM raw_transactions
@@ -801,14 +244,11 @@ return await parseSoapResponse(response.data);
       }
       // console.log('Max transaction date from DB:', dateFormat);
       return new Date(date);
-      return this.formatDate(date, dateFormat);
 
     } catch (error) {
+      // Guessing a start here would silently skip or re-pull data
       this.logger.error('Failed to get max transaction date', { error: error.message });
-      // Return yesterday as fallback
-      const yesterday = new Date();
-      yesterday.setDate(yesterday.getDate() - 1);
-      return yesterday.toISOString().slice(0, 10);
+      throw error;
     }
   }
 
@@ -893,7 +333,7 @@ let data;
     // console.log('API request body after placeholder replacement:', headers);
 
     // console.log('API request body after placeholder replacement:',  cac_http_method || 'POST', body);
-    const response = await axios({
+    const response = await this.http.request({
       method: cac_http_method || 'POST',
       url: cac_api_url,
       headers,
@@ -914,12 +354,40 @@ if (typeof response.data === 'string' && contentType.includes('xml')) {
   const parser = new xml2js.Parser({ explicitArray: false });
   const parsedXml = await parser.parseStringPromise(response.data);
   console.log('Parsed XML API response:', JSON.stringify(parsedXml, null, 2));
+  this.captureCursor(parsedXml);
   return parsedXml;
 }
 
+    this.captureCursor(response.data);
     return response.data;
   }
 
+  /**
+   * cac_field_mapping.cursor_path names where the vendor puts the token for
+   * the next window; it becomes the watermark cursor ({{CURSOR}}) once the
+   * window is committed.
+   */
+  captureCursor(data) {
+    const path = this.config.cac_field_mapping?.cursor_path;
+    if (!path || !data || typeof data !== 'object') return;
+
+    const cursor = extractByJsonPath(data, path);
+    if (cursor !== null && cursor !== '' && typeof cursor !== 'object') {
+      this.nextCursor = String(cursor);
+    }
+  }
+
+  // A cursor_path no response matched would silently fall back to the date watermark
+  checkCursor() {
+    const path = this.config.cac_field_mapping?.cursor_path;
+    if (path && this.nextCursor === null) {
+      this.logger.warn('No cursor found in the vendor response; the next run starts from the date watermark', {
+        configId: this.config.cac_config_id,
+        cursorPath: path
+      });
+    }
+  }
+
   replacePlaceholders(obj, context) {
     const str = JSON.stringify(obj);
     const replaced = str.replace(/{{(.*?)}}/g, (_, key) => {
@@ -933,7 +401,7 @@ if (typeof response.data === 'string' && contentType.includes('xml')) {
      RUNTIME CONTEXT
   ========================= */
   buildRuntimeContext(maxDate) {
-    const today = new Date();
+    const today = this.syncWindow?.to || new Date();
     const fromEpochMs = maxDate.getTime();
   const toEpochMs = today.getTime();
     // console.log('format date :',this.config.dateformat);  
@@ -953,50 +421,19 @@ if (typeof response.data === 'string' && contentType.includes('xml')) {
      
  FROM_EPOCHCRAFT: Math.floor(fromEpochMs / 1000),
     TO_EPOCHCRAFT: Math.floor(toEpochMs / 1000) ,
-      LOCATION_CODE: this.config.cac_outlet_id
+      LOCATION_CODE: this.config.cac_outlet_id,
+      CURSOR: this.syncState?.css_cursor || ''
     };
 //  console.log('format date :',maxDate);
-    // 🔥 GIVA ONLY → epoch millis
-    if (this.isGivaVendor()) {
-      context.FROM_EPOCH = new Date(maxDate).getTime();
-      context.TO_EPOCH = today.getTime();
-    }
-
     return context;
   }
 
-  isGivaVendor() {
-    return this.config.cac_customer_id === 'VVC00046';
-  }
-
-
   splitTransactionDateTime(timestamp) {
-    if (!timestamp) {
-      return {
-        transaction_date: null,
-        transaction_time: null
-      };
-    }
-
-    // Convert "2025-12-31 06:05:31+05:30" → ISO
-    const isoTs = timestamp.includes('T')
-      ? timestamp
-      : timestamp.replace(' ', 'T');
-
-    const d = new Date(isoTs);
-
-    if (isNaN(d.getTime())) {
+    const parts = splitDateTime(timestamp, dateOptions(this.config));
+    if (timestamp && !parts.transaction_date) {
       this.logger.warn('Invalid transaction timestamp', { timestamp });
-      return {
-        transaction_date: null,
-        transaction_time: null
-      };
     }
-
-    return {
-      transaction_date: d.toISOString().slice(0, 10), // YYYY-MM-DD
-      transaction_time: d.toTimeString().slice(0, 8)  // HH:mm:ss
-    };
+    return parts;
   }
 
 
@@ -1043,7 +480,7 @@ console.log('Final XML API request body:', params);
 console.log('Final XML API request headers:', headers);
 
 
-    const response = await axios({
+    const response = await this.http.request({
       method: cac_http_method || 'POST',
       url: cac_api_url,
       headers,
@@ -1058,29 +495,38 @@ console.log('Final XML API request headers:', headers);
     const parser = new xml2js.Parser({ explicitArray: false, mergeAttrs: true });
     const result = await parser.parseStringPromise(response.data);
 
+    this.captureCursor(result);
     this.logger.info('XML/SOAP data fetched and parsed successfully');
     // console.log('Parsed XML/SOAP response:', JSON.stringify(result, null, 2));
     return result;
   }
 
-  async fetchFromDatabase(maxDate) {
+  /**
+   * Query the vendor database for one fetch window. The SQL is cac_sql_text,
+   * else cac_sample_json.query, else DEFAULT_WINDOW_QUERY, with the window
+   * bound through {{FROM_DATE}} / {{TO_DATE}} (see utils/sqlWindow).
+   */
+  async fetchFromDatabase(window) {
     const dbType = this.detectDatabaseType();
 
     this.logger.info('Fetching data from database', {
       dbType,
       host: this.config.cac_db_host,
-      fromDate: maxDate
+      fromDate: window.from,
+      toDate: window.to
     });
 
+    const query = this.buildDatabaseQuery(dbType, window);
+
     switch (dbType) {
       case 'mssql':
-        return await this.fetchFromMSSQL(maxDate);
+        return await this.fetchFromMSSQL(query);
       case 'mysql':
-        return await this.fetchFromMySQL(maxDate);
+        return await this.fetchFromMySQL(query);
       case 'oracle':
-        return await this.fetchFromOracle(maxDate);
+        return await this.fetchFromOracle(query);
       case 'pgsql':
-        return await this.fetchFromPostgres(maxDate);
+        return await this.fetchFromPostgres(query);
       default:
         throw new Error(`Unsupported database type: ${dbType}`);
     }
@@ -1102,7 +548,7 @@ console.log('Final XML API request headers:', headers);
     // return 'mssql'; // Default
   }
 
-  async fetchFromMSSQL(maxDate) {
+  async fetchFromMSSQL(query) {
     const config = {
       server: this.config.cac_db_host,
       port: this.config.cac_db_port,
@@ -1116,14 +562,19 @@ console.log('Final XML API request headers:', headers);
     };
 
     const pool = await sql.connect(config);
-    const query = this.buildDatabaseQuery(maxDate);
-    const result = await pool.request().query(query);
-    await pool.close();
-
-    return result.recordset;
+    try {
+      const request = pool.request();
+      for (const [name, value] of Object.entries(query.named)) {
+        request.input(name, sql.VarChar, value);
+      }
+      const result = await request.query(query.text);
+      return result.recordset;
+    } finally {
+      await pool.close();
+    }
   }
 
-  async fetchFromMySQL(maxDate) {
+  async fetchFromMySQL(query) {
     const connection = await mysql.createConnection({
       host: this.config.cac_db_host,
       port: this.config.cac_db_port,
@@ -1132,28 +583,30 @@ console.log('Final XML API request headers:', headers);
       password: this.config.cac_db_password
     });
 
-    const query = this.buildDatabaseQuery(maxDate);
-    const [rows] = await connection.execute(query);
-    await connection.end();
-
-    return rows;
+    try {
+      const [rows] = await connection.execute(query.text, query.values);
+      return rows;
+    } finally {
+      await connection.end();
+    }
   }
 
-  async fetchFromOracle(maxDate) {
+  async fetchFromOracle(query) {
     const connection = await oracledb.getConnection({
       user: this.config.cac_db_username,
       password: this.config.cac_db_password,
       connectString: `${this.config.cac_db_host}:${this.config.cac_db_port}/${this.config.cac_db_name}`
     });
 
-    const query = this.buildDatabaseQuery(maxDate);
-    const result = await connection.execute(query);
-    await connection.close();
-
-    return result.rows;
+    try {
+      const result = await connection.execute(query.text, query.named);
+      return result.rows;
+    } finally {
+      await connection.close();
+    }
   }
 
-  async fetchFromPostgres(maxDate) {
+  async fetchFromPostgres(query) {
     const pool = new Pool({
       user: this.config.cac_db_username,
       password: this.config.cac_db_password,
@@ -1161,35 +614,23 @@ console.log('Final XML API request headers:', headers);
       port: this.config.cac_db_port,
       database: this.config.cac_db_name
     });
-    // console.log('Postgres connection config:', {
-    // user: this.config.cac_db_username,
-    // host: this.config.cac_db_host,
-    // });
-    const query = this.config.cac_sql_text;
-    const result = await pool.query(query);
-    // console.log('Postgres query result:', result.rows);
-    await pool.end(); // close pool (optional if global)
-
-    return result.rows;
-  }
-
-  buildDatabaseQuery(maxDate) {
-    // Build query based on field mapping
-    const sampleJson = this.config.cac_sample_json;
 
-    if (sampleJson && sampleJson.query) {
-      return sampleJson.query;
+    try {
+      const result = await pool.query(query.text, query.values);
+      return result.rows;
+    } finally {
+      await pool.end();
     }
+  }
 
-    const today = new Date().toISOString().slice(0, 10);
+  buildDatabaseQuery(dbType, window) {
+    const sqlText = this.config.cac_sql_text || this.config.cac_sample_json?.query || DEFAULT_WINDOW_QUERY;
+    const format = 'YYYY-MM-DD HH:mm:ss';
 
-    // Query to get data from maxDate to current date
-    return `
-      SELECT * FROM transactions 
-      WHERE CAST(transaction_date AS DATE) >= '${maxDate}'
-        AND CAST(transaction_date AS DATE) <= '${today}'
-      ORDER BY transaction_time DESC
-    `;
+    return bindWindow(sqlText, dbType, {
+      FROM_DATE: this.formatDate(window.from, format),
+      TO_DATE: this.formatDate(window.to, format)
+    });
   }
 }
 
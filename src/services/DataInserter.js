@@ -21,10 +21,9 @@ class DataInserter {
 
       for (const transaction of transactions) {
         try {
-          // 🔹 Check if transaction already exists
-          const exists = await this.checkTransactionExists(client, transaction);
-          
-          if (exists) {
+          const inserted = await this.insertTransactionUnit(client, transaction);
+
+          if (!inserted) {
             skippedCount++;
             this.logger.info('Transaction already exists, skipping', {
               transaction_id: transaction.transaction_id,
@@ -33,7 +32,6 @@ class DataInserter {
             continue;
           }
 
-          await this.insertTransaction(client, transaction);
           successCount++;
         } catch (error) {
           errorCount++;
@@ -42,7 +40,7 @@ class DataInserter {
             transaction_id: transaction.transaction_id 
           });
           
-          await this.logException(client, {
+          await this.logExceptionSafe({
             transaction_id: transaction.transaction_id,
             brand_id: transaction.brand_id,
             brand_name: transaction.brand_name,
@@ -75,6 +73,37 @@ class DataInserter {
     }
   }
 
+  /**
+   * Insert one bill (header, items and payments) behind its own savepoint.
+   * A failure rolls back only this bill, so the outer transaction stays usable
+   * for the rest of the batch. Returns false when the bill already exists.
+   */
+  async insertTransactionUnit(client, transaction) {
+    await client.query('SAVEPOINT transaction_unit');
+
+    try {
+      const exists = await this.checkTransactionExists(client, transaction);
+
+      if (!exists) {
+        await this.insertTransaction(client, transaction);
+
+        if (transaction.items && transaction.items.length > 0) {
+          await this.insertTransactionItems(client, transaction.items, transaction);
+        }
+
+        if (transaction.payments && transaction.payments.length > 0) {
+          await this.insertPayments(client, transaction.payments, transaction);
+        }
+      }
+
+      await client.query('RELEASE SAVEPOINT transaction_unit');
+      return !exists;
+    } catch (error) {
+      await client.query('ROLLBACK TO SAVEPOINT transaction_unit');
+      throw error;
+    }
+  }
+
   /**
    * Check if a transaction already exists in the database
    */
@@ -405,13 +434,32 @@ line_tax: items.map(i =>
     await client.query(query, values);
   }
 
+  /**
+   * Write raw_exceptions on its own pooled connection so the row lands even
+   * when the batch transaction is rolled back. Never throws; resolves to
+   * whether the row was written.
+   */
+  async logExceptionSafe(exception) {
+    try {
+      await this.logException(this.pool, exception);
+      return true;
+    } catch (error) {
+      this.logger.error('Failed to log exception', {
+        transaction_id: exception.transaction_id,
+        error: error.message
+      });
+      return false;
+    }
+  }
+
   async logIngestion(logData) {
     const query = `
       INSERT INTO ingestion_log (
         agent_id, batch_id, source_system, outlet_id, outlet_name,
         brand_id, brand_name, terminal, gate, records_count, errors_count,
-        first_received_at, last_received_at, status, meta
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+        first_received_at, last_received_at, status, meta,
+        mapping_version_id, mapping_version
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
     `;
 
     const values = [
@@ -429,11 +477,26 @@ line_tax: items.map(i =>
       logData.first_received_at,
       logData.last_received_at,
       logData.status,
-      JSON.stringify(logData.meta)
+      JSON.stringify(logData.meta),
+      logData.mapping_version_id ?? null,
+      logData.mapping_version ?? null
     ];
 
     await pool.query(query, values);
   }
+
+  // logIngestion that never throws: a failed audit row must not fail a committed
+  // run, or hide the error of one that failed.
+  async logIngestionSafe(logData) {
+    try {
+      await this.logIngestion(logData);
+    } catch (error) {
+      this.logger.error('Failed to log ingestion', {
+        batch_id: logData.batch_id,
+        error: error.message
+      });
+    }
+  }
 }
 
 module.exports = DataInserter;
\ No newline at end of file
@@ -1,10 +1,19 @@
 const { v4: uuidv4 } = require('uuid');
+const createLogger = require('../config/logger');
+const { extractByJsonPath } = require('../utils/jsonPath');
+const { runTransform } = require('../utils/transformRules');
+const { rollupTotals } = require('../utils/totalsRollup');
+const { formatDateTime, combineDateTime, dateOptions } = require('../utils/dateTime');
 
 class DbTransactionMapper {
-  constructor(config, fieldMappings) {
+  constructor(config, fieldMappings, { lookups = {} } = {}) {
     this.config = config;
     this.fieldMappings = fieldMappings;
+    this.lookups = lookups;
+    this.logger = createLogger(config.vendor_name || 'DbTransactionMapper');
     this.sourceType = config.cac_apidbmapping?.toLowerCase() || 'db';
+    // Source timezone and formats (see utils/dateTime)
+    this.dateOptions = dateOptions(config);
   }
 
   /* ========================= PUBLIC ========================== */
@@ -61,16 +70,14 @@ class DbTransactionMapper {
       // 1️⃣ Build HEADER (canonical)
       const tx = this.mapTransactionHeader(headerRow);
 
-      console.log("calculate_totals_from_items:", this.config.cac_calculate_totals_from_items, typeof this.config.calculate_totals_from_items);
-
-      if (this.config.cac_calculate_totals_from_items === true) {
-  const totals = this.calculateTransactionTotals(rows);
-  Object.assign(tx, totals);
-}
-
       // 2️⃣ Build ITEMS (read ONLY from header)
       tx.items = rows.map(row => this.mapItem(row, tx));
 
+      // Header totals from the mapped items, not from vendor column names
+      if (this.config.cac_calculate_totals_from_items === true) {
+        Object.assign(tx, this.calculateTransactionTotals(tx.items));
+      }
+
       // 3️⃣ Build PAYMENTS (read ONLY from header)
       tx.payments = this.mapPayment(headerRow, tx);
 
@@ -81,24 +88,16 @@ class DbTransactionMapper {
   }
 
 
-  calculateTransactionTotals(rows) {
-  return rows.reduce(
-    (acc, r) => {
-      acc.net_amount += parseFloat(r.GrossAmount) || 0;
-     acc.gross_amount=acc.net_amount;
-      acc.discount_amount += parseFloat(r.TotalDisc) || 0;
-      acc.tax_amount += parseFloat(r.GST_VALUE) || 0;
-
-      return acc;
-    },
-    {
-      net_amount: 0,
-      gross_amount: 0,
-      discount_amount: 0,
-      tax_amount: 0
-    }
-  );
-}
+  /**
+   * Header totals summed from the mapped items, using the config's
+   * cac_totals_rollup rules over the defaults (see utils/totalsRollup).
+   */
+  calculateTransactionTotals(items) {
+    return rollupTotals(items, this.config.cac_totals_rollup, {
+      lookups: this.lookups,
+      onError: (field, error) => this.logger.warn('Totals rollup failed', { field, error: error.message })
+    });
+  }
 
 
   /* ========================= HEADER ========================== */
@@ -230,9 +229,8 @@ class DbTransactionMapper {
     }
 
     // 🔹 Transform
-    if (mapping.pvfm_transform_rule && value != null) {
-      value = this.applyTransformation(value, mapping.pvfm_transform_rule);
-
+    if (mapping.pvfm_transform_rule) {
+      value = this.applyTransformation(value, mapping.pvfm_transform_rule, record);
     }
 
     if (typeof value === 'string') {
@@ -247,126 +245,71 @@ class DbTransactionMapper {
   }
 
   /* ========================= DATE ========================== */
+  // DATE|TIME column pair (e.g. 05/01/2024 + 01:30:00 PM) as one Asia/Kolkata timestamp
   buildTimestamp(date, time) {
-    // if (!date || !time) return null;
-    // return new Date(`${date}T${time}`);
     if (!date || !time) return null;
 
-    // Handle DD/MM/YYYY
-    const [day, month, year] = date.split('/').map(Number);
-
-    // Handle HH:MM:SS AM/PM
-    const [timePart, meridian] = time.split(' ');
-    let [hours, minutes, seconds] = timePart.split(':').map(Number);
-
-    if (meridian === 'PM' && hours !== 12) hours += 12;
-    if (meridian === 'AM' && hours === 12) hours = 0;
-
-    // ✅ Return ISO-safe value
-    return new Date(
-      year,
-      month - 1,
-      day,
-      hours,
-      minutes,
-      seconds
-    ).toISOString();
+    const value = combineDateTime(date, time, this.dateOptions);
+    if (!value) {
+      this.logger.warn('Invalid date/time pair', { date, time });
+    }
+    return value;
   }
 
 
+  // A vendor timestamp in Asia/Kolkata, parsed with the config's formats
   parseApiDateTime(dateTimeStr) {
     if (!dateTimeStr) return null;
 
-    // Handles "01/01/2026 03:08:08 PM" (DD/MM/YYYY hh:mm:ss A)
-    const dt = dayjs(dateTimeStr, 'DD/MM/YYYY hh:mm:ss A', true);
-
-    if (!dt.isValid()) {
+    const value = formatDateTime(dateTimeStr, undefined, this.dateOptions);
+    if (!value) {
       this.logger.warn('Invalid API datetime', { dateTimeStr });
-      return null;
     }
-
-    // Convert to IST timezone explicitly (same as your DB)
-    // return dt.tz('Asia/Kolkata').toDate(); // JS Date object
-    // return dt
-    // .tz('Asia/Kolkata')
-    // .format('YYYY-MM-DD HH:mm:ss');
-
-    return dt(
-      year,
-      month - 1,
-      day,
-      hh,
-      mm,
-      ss
-    ).toISOString();
+    return value;
   }
 
   /* ========================= TRANSFORM ========================== */
-  applyTransformation(value, rule) {
+  applyTransformation(value, rule, record = null) {
     try {
-      if (rule.includes('normalizeVendorDate'))
-        return this.normalizeVendorDate(value);
-
-      if (rule.includes('normalizeVendorDateTime'))
-        return this.normalizeVendorDateTime(value);
-
-      if (rule.includes('toUpperCase')) return String(value).toUpperCase();
-      if (rule.includes('toLowerCase')) return String(value).toLowerCase();
-      if (rule.includes('parseFloat')) return parseFloat(value);
-      if (rule.includes('parseInt')) return parseInt(value);
-      if (rule.includes('toISOString')) return new Date(value).toISOString();
-      if (rule.includes('parseDateTime')) return this.parseApiDateTime(value);
-      // 🛡️ Absolute safety: never send vendor dates to DB
-
-      // console.log('value', value);
-      return value;
-    } catch {
+      return runTransform(rule, value, {
+        record,
+        lookups: this.lookups,
+        functions: {
+          normalizeVendorDate: (text) => this.normalizeVendorDate(text),
+          normalizeVendorDateTime: (text) => this.normalizeVendorDateTime(text),
+          parseDateTime: (text) => this.parseApiDateTime(text)
+        }
+      });
+    } catch (error) {
+      this.logger.warn('Transformation failed', { rule, value, error: error.message });
       return value;
     }
   }
 
+
+  // DD/MM/YYYY hh:mm:ss AM|PM in the source timezone → Asia/Kolkata timestamp
   normalizeVendorDateTime(value) {
     if (!value || typeof value !== 'string') return value;
 
-    // Match: DD/MM/YYYY HH:MM:SS AM|PM
-    const match = value.match(
-      /^(\d{2})\/(\d{2})\/(\d{4}) (\d{2}):(\d{2}):(\d{2}) (AM|PM)$/i
-    );
-
-    if (!match) return value; // not a datetime
-
-    let [, day, month, year, hh, mm, ss, meridian] = match;
-
-    hh = parseInt(hh, 10);
-    if (meridian.toUpperCase() === 'PM' && hh !== 12) hh += 12;
-    if (meridian.toUpperCase() === 'AM' && hh === 12) hh = 0;
-
-    return new Date(
-      year,
-      month - 1,
-      day,
-      hh,
-      mm,
-      ss
-    ).toISOString();
-    // return dayjs(value, 'DD/MM/YYYY hh:mm:ss A')
-    // .format('YYYY-MM-DD HH:mm:ss');
+    return formatDateTime(value, undefined, { ...this.dateOptions, formats: ['DD/MM/YYYY hh:mm:ss A'] }) ?? value;
   }
 
   normalizeVendorDate(value) {
     if (!value || typeof value !== 'string') return value;
 
-    // Match DD/MM/YYYY
-    const match = value.match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
-    if (!match) return value;
-
-    const [, day, month, year] = match;
-    return `${year}-${month}-${day}`; // ISO date
+    // DD/MM/YYYY → YYYY-MM-DD
+    return formatDateTime(value, 'YYYY-MM-DD', { formats: ['DD/MM/YYYY'] }) ?? value;
   }
 
+
   /* ========================= JSON PATH ========================== */
   extractByJsonPath(obj, path) {
-    return path.split('.').reduce((o, k) => (o ? o[k] : undefined), obj);
+    try {
+      return extractByJsonPath(obj, path) ?? undefined;
+    } catch (error) {
+      this.logger.warn('Invalid JSON path in mapping', { path, error: error.message });
+      return undefined;
+    }
   }
 
   getInvoiceMapping() {
@@ -1,39 +1,30 @@
 const { v4: uuidv4 } = require('uuid');
 const createLogger = require('../config/logger');
 const xml2js = require('xml2js');
-const dayjs = require('dayjs');
-const customParseFormat = require('dayjs/plugin/customParseFormat');
-const utc = require('dayjs/plugin/utc');
-const timezone = require('dayjs/plugin/timezone');
-
-dayjs.extend(customParseFormat);
-dayjs.extend(utc);
-dayjs.extend(timezone);
+const { extractByJsonPath, splitMappingPath, xmlAttributePath } = require('../utils/jsonPath');
+const { runTransform } = require('../utils/transformRules');
+const { parseDateTime, formatDateTime, splitDateTime, combineDateTime, dateOptions } = require('../utils/dateTime');
 
 class FieldMapper {
-  constructor(config, fieldMappings) {
+  constructor(config, fieldMappings, { lookups = {} } = {}) {
     this.config = config;
     this.fieldMappings = fieldMappings;
+    this.lookups = lookups;
     this.logger = createLogger(config.vendor_name || 'FieldMapper');
     this.sourceType = config.cac_jsonordb?.toLowerCase();
+    // Source timezone and formats (see utils/dateTime)
+    this.dateOptions = dateOptions(config);
   }
 
-parseApiDateTime(dateTimeStr) {
+  // A vendor timestamp in Asia/Kolkata, parsed with the config's formats
+  parseApiDateTime(dateTimeStr) {
     if (!dateTimeStr) return null;
 
-    // Handles "01/01/2026 03:08:08 PM" (DD/MM/YYYY hh:mm:ss A)
-    const dt = dayjs(dateTimeStr, 'DD/MM/YYYY hh:mm:ss A', true);
-
-    if (!dt.isValid()) {
+    const value = formatDateTime(dateTimeStr, undefined, this.dateOptions);
+    if (!value) {
       this.logger.warn('Invalid API datetime', { dateTimeStr });
-      return null;
     }
-
-    // Convert to IST timezone explicitly (same as your DB)
-    // return dt.tz('Asia/Kolkata').toDate(); // JS Date object
-    return dt
-    .tz('Asia/Kolkata')
-    .format('YYYY-MM-DD HH:mm:ss');
+    return value;
   }
 
 
@@ -284,68 +275,17 @@ let rows;
     return deepestPath;
   }
 
-  /* ---- FULL NESTED ARRAY JSON PATH RESOLVER ---- */
+  /* ---- JSON PATH (see utils/jsonPath for the supported syntax) ---- */
   extractByJsonPath(obj, path) {
-  if (!obj || !path) {
-    // console.log('[JSONPATH] Invalid input', { obj, path });
-    return null;
-  }
-
-  const parts = path.split('.');
-
-  const walk = (current, index) => {
-    // console.log('[JSONPATH] Walk', {
-      // index,
-      // part: parts[index],
-      // currentType: Array.isArray(current) ? 'array' : typeof current,
-      // currentValue: current
-    // });
-
-    if (current === null || current === undefined) {
-      // console.log('[JSONPATH] ❌ Current is null/undefined');
-      return [];
-    }
-
-    if (index === parts.length) {
-      // console.log('[JSONPATH] ✅ End reached:', current);
-      return [current];
-    }
-
-    const part = parts[index];
-
-    // Handle array wildcard
-    if (part.endsWith('[*]')) {
-      const key = part.replace('[*]', '');
-      const arr = key ? current[key] : current;
-
-      if (!Array.isArray(arr)) {
-        // console.log('[JSONPATH] ❌ Expected array but got:', arr);
-        return [];
-      }
-
-      // console.log('[JSONPATH] 🔁 Array found, length:', arr.length);
-      return arr.flatMap((item, i) => {
-        // console.log(`[JSONPATH] → Array item ${i}`, item);
-        return walk(item, index + 1);
-      });
-    }
-
-    // Normal object key
-    if (!(part in current)) {
-      // console.log('[JSONPATH] ❌ Key not found:', part);
-      return [];
+    try {
+      const resolved = ['xml', 'soap'].includes(this.sourceType) ? xmlAttributePath(path) : path;
+      return extractByJsonPath(obj, resolved);
+    } catch (error) {
+      // Paths are checked when mappings are saved; older rows may still be invalid
+      this.logger.warn('Invalid JSON path in mapping', { path, error: error.message });
+      return null;
     }
-
-    return walk(current[part], index + 1);
-  };
-
-  const result = walk(obj, 0);
-
-  // console.log('[JSONPATH] 🔚 Final result:', result);
-
-  if (!result.length) return null;
-  return result.length === 1 ? result[0] : result;
-}
+  }
 
 
   applyMapping(record, mapping) {
@@ -355,7 +295,7 @@ let rows;
   // 🔹 CASE: Combined date|time fields (DB or JSON flat record)
   if (
     mapping.pvfm_json_path &&
-    mapping.pvfm_json_path.includes('|')
+    splitMappingPath(mapping.pvfm_json_path).length > 1
   ) {
     return this.buildTimestamp(record, mapping);
   }
@@ -417,24 +357,23 @@ let rows;
       : undefined;
   }
 
-  if (mapping.pvfm_transform_rule && value != null) {
-    value = this.applyTransformation(value, mapping.pvfm_transform_rule);
+  // Rules run on missing values too, so default() and field arithmetic work
+  if (mapping.pvfm_transform_rule) {
+    value = this.applyTransformation(value, mapping.pvfm_transform_rule, record);
   }
 // console.log('Applied mapping ', { mapping, value });
   return value;
 }
 
 /**
- * Build timestamp from separate date & time fields
- * Supports:
- *  - Date: YYYYMMDD, YYYY-MM-DD
- *  - Time: HHMMSS, HH:mm:ss, HH:mm:ss.micro
+ * Build timestamp from separate date & time fields, e.g. 20240105 + 133000
+ * or 2024-01-05 + 13:30:00.000123 (see utils/dateTime combineDateTime).
  *
  * Output:
- *  - YYYY-MM-DD HH:mm:ss
+ *  - YYYY-MM-DD HH:mm:ss+05:30
  */
 buildTimestamp(record, mapping) {
-  const [dateKey, timeKey] = mapping.pvfm_json_path.split('|');
+  const [dateKey, timeKey] = splitMappingPath(mapping.pvfm_json_path);
 
  const dt = dateKey.includes('.')
     ? this.extractByJsonPath(record, dateKey)
@@ -448,57 +387,19 @@ buildTimestamp(record, mapping) {
 
   if (!dt || !tm) return null;
 
-  let datePart;
-  let timePart;
-
-  // -----------------------------
-  // DATE FORMAT HANDLING
-  // -----------------------------
-  if (/^\d{8}$/.test(dt)) {
-    // YYYYMMDD
-    datePart = `${dt.slice(0, 4)}-${dt.slice(4, 6)}-${dt.slice(6, 8)}`;
-  } else if (/^\d{4}-\d{2}-\d{2}$/.test(dt)) {
-    // YYYY-MM-DD
-    datePart = dt;
-  } 
-  
-else {
-    this.logger.warn(`Invalid date format: ${dt}`);
+  let value = combineDateTime(dt, tm, this.dateOptions);
+  if (!value) {
+    this.logger.warn('Invalid date/time pair', { dateKey, timeKey, date: dt, time: tm });
     return null;
   }
 
-  // -----------------------------
-  // TIME FORMAT HANDLING
-  // -----------------------------
-  if (/^\d{6}$/.test(tm)) {
-    // HHMMSS
-    timePart = `${tm.slice(0, 2)}:${tm.slice(2, 4)}:${tm.slice(4, 6)}`;
-  } else if (/^\d{2}:\d{2}:\d{2}/.test(tm)) {
-    // HH:mm:ss or HH:mm:ss.micro
-    timePart = tm.slice(0, 8);
-  }  else if (/^\d{1,2}:\d{1,2}:\d{1,2}$/.test(tm)) {
-  const [h, m, s] = tm.split(':');
-  timePart = `${h.padStart(2, '0')}:${m.padStart(2, '0')}:${s.padStart(2, '0')}`;
-}
-else if (/^\d{1,2}:\d{2}$/.test(tm)) {
-  // HH:mm → convert to HH:mm:00
-  const [h, m] = tm.split(':');
-  timePart = `${h.padStart(2, '0')}:${m.padStart(2, '0')}:00`;
-}
-  else {
-    this.logger.warn(`Invalid time format: ${tm}`);
-    return null;
-  }
-
-  let value = `${datePart} ${timePart}`;
-
   // -----------------------------
   // TRANSFORMATION RULE
   // -----------------------------
   if (mapping.pvfm_transform_rule) {
-    value = this.applyTransformation(value, mapping.pvfm_transform_rule);
+    value = this.applyTransformation(value, mapping.pvfm_transform_rule, record);
   }
-console.log('Built timestamp', { dateKey, timeKey, datePart, timePart, value });
+  this.logger.debug('Built timestamp', { dateKey, timeKey, value });
   return value;
 }
 
@@ -522,24 +423,21 @@ console.log('Applied mapping 1 ', { mapping, value });
     
   }*/
 
-  applyTransformation(value, rule) {
+  /**
+   * Run a pvfm_transform_rule (see utils/transformRules). Names in the rule
+   * read `record`; a rule that fails leaves the value unchanged.
+   */
+  applyTransformation(value, rule, record = null) {
     try {
-      if (rule.includes('epochToDate')) {
-      return dayjs.unix(Number(value)).tz('Asia/Kolkata').format('YYYY-MM-DD');
-    }
-
-    if (rule.includes('epochToTimestamp')) {
-      return dayjs.unix(Number(value)).tz('Asia/Kolkata').toDate();
-    }
-      if (rule.includes('toUpperCase')) return String(value).toUpperCase();
-      if (rule.includes('toLowerCase')) return String(value).toLowerCase();
-      if (rule.includes('parseFloat')) return parseFloat(value);
-      if (rule.includes('parseInt')) return parseInt(value);
-      if (rule.includes('toISOString')) return new Date(value).toISOString();
-      // 🔹 Handle parseDateTime dynamically
-    if (rule.includes('parseDateTime')) return this.parseApiDateTime(value);
-
-      return value;
+      return runTransform(rule, value, {
+        record,
+        lookups: this.lookups,
+        functions: {
+          epochToDate: (epoch) => formatDateTime(epoch, 'YYYY-MM-DD', { formats: ['epoch_s'] }),
+          epochToTimestamp: (epoch) => parseDateTime(epoch, { formats: ['epoch_s'] })?.toDate() ?? null,
+          parseDateTime: (text) => this.parseApiDateTime(text)
+        }
+      });
     } catch (err) {
       this.logger.warn('Transformation failed', { rule, value, error: err.message });
       return value;
@@ -547,34 +445,13 @@ console.log('Applied mapping 1 ', { mapping, value });
   }
 
   splitTransactionDateTime(timestamp) {
-  if (!timestamp) {
-    return {
-      transaction_date: null,
-      transaction_time: null
-    };
-  }
-
-  // Convert "2025-12-31 06:05:31+05:30" → ISO-safe
-  const isoTs = timestamp.includes('T')
-    ? timestamp
-    : timestamp.replace(' ', 'T');
-
-  const d = new Date(isoTs);
-
-  if (isNaN(d.getTime())) {
-    this.logger.warn('Invalid transaction timestamp', { timestamp });
-    return {
-      transaction_date: null,
-      transaction_time: null
-    };
+    const parts = splitDateTime(timestamp, this.dateOptions);
+    if (timestamp && !parts.transaction_date) {
+      this.logger.warn('Invalid transaction timestamp', { timestamp });
+    }
+    return parts;
   }
 
-  return {
-    transaction_date: d.toISOString().slice(0, 10), // YYYY-MM-DD
-    transaction_time: d.toTimeString().slice(0, 8)  // HH:mm:ss
-  };
-}
-
 
   async parseXml(xmlString) {
     return new Promise((resolve, reject) => {
@@ -4,65 +4,98 @@ const DataFetcher = require('./DataFetcher');
 const FieldMapper = require('./FieldMapper');
 const dbfieldMApper = require('./DbTransactionMapper');
 const DataInserter = require('./DataInserter');
+const TransactionDeriver = require('./TransactionDeriver');
+const SyncStateModel = require('../models/syncStateModel');
+const ConfigLockModel = require('../models/configLockModel');
+const MappingVersionModel = require('../models/mappingVersionModel');
+const TransformLookupModel = require('../models/transformLookupModel');
+const CircuitBreaker = require('./CircuitBreaker');
 const createLogger = require('../config/logger');
-const fs = require('fs').promises;
-const path = require('path');
+const { ConcurrencyLimiter, parseKeyLimits } = require('../utils/concurrency');
+const { groupByTable } = require('../utils/fieldMappings');
+const { loadAgentScope, describeScope } = require('../config/agentScope');
 const { raw } = require('mysql2');
 
 class IntegrationOrchestrator {
   constructor() {
     this.logger = createLogger('orchestrator');
+    this.scope = null;
+    // Shared by every run in this process so one slow vendor can't starve the rest
+    this.limiter = new ConcurrencyLimiter({
+      limit: process.env.INGESTION_CONCURRENCY || 4,
+      keyLimits: this.vendorLimits()
+    });
   }
 
-  async executeIngestion() {
-    this.logger.info('Starting data ingestion cycle');
-
+  // The agent refuses to start on a malformed INGESTION_VENDOR_LIMITS (index.js);
+  // other processes (API, CLI) run without per-vendor limits
+  vendorLimits() {
     try {
-      // Load vendor filter from vendordetails.txt
-      const vendorFilter = await this.loadVendorFilter();
-
-      const configs = await ConfigModel.getActiveConfigs(vendorFilter);
-      this.logger.info(`Found ${configs.length} active configurations`);
-
-      for (const config of configs) {
-        await this.processConfig(config);
-      }
-
-      this.logger.info('Data ingestion cycle completed');
+      return parseKeyLimits(process.env.INGESTION_VENDOR_LIMITS);
     } catch (error) {
-      this.logger.error('Ingestion cycle failed', { error: error.message, stack: error.stack });
+      this.logger.warn('Ignoring INGESTION_VENDOR_LIMITS', { error: error.message });
+      return {};
     }
   }
 
-  async loadVendorFilter() {
+  /**
+   * processConfig behind the shared pool, limited globally by
+   * INGESTION_CONCURRENCY and per vendor by INGESTION_VENDOR_LIMITS.
+   */
+  runConfig(config) {
+    const vendorKey = config.vendor_name || config.cac_pos_vendor;
+    return this.limiter.run(vendorKey, () => this.processConfig(config));
+  }
+
+  /**
+   * Active configs for this agent, narrowed to its scope. An invalid scope
+   * throws rather than widening the agent to every vendor.
+   */
+  async loadActiveConfigs() {
+    let scope;
     try {
-      const vendorFilePath = path.join(__dirname, '../../vendordetails.txt');
-      const content = await fs.readFile(vendorFilePath, 'utf-8');
+      scope = await loadAgentScope();
+    } catch (error) {
+      this.scope = { error: error.message, errors: error.errors, loadedAt: new Date() };
+      this.logger.error('Could not load agent scope', { error: error.message, errors: error.errors });
+      throw error;
+    }
 
-      const lines = content.split('\n');
-      const vendorLine = lines.find(line => line.startsWith('001|vendor:'));
+    const described = describeScope(scope);
+    if (JSON.stringify(described) !== JSON.stringify(this.scope?.described)) {
+      this.logger.info('Agent scope loaded', described);
+    }
+    this.scope = { described, loadedAt: new Date() };
 
-      if (vendorLine) {
-        const vendorName = vendorLine.split('vendor:')[1]?.trim();
-        if (vendorName) {
-          this.logger.info('Vendor filter loaded', { vendor: vendorName });
-          return [vendorName];
-        }
-      }
+    return ConfigModel.getActiveConfigs(scope.selectors);
+  }
 
-      this.logger.warn('No vendor filter found in vendordetails.txt');
-      return null;
-    } catch (error) {
-      this.logger.warn('Could not load vendor filter', { error: error.message });
-      return null;
-    }
+  /**
+   * The scope the last config load ran with, for /health; null before the first.
+   */
+  getScope() {
+    if (!this.scope) return null;
+    const { described, error, errors, loadedAt } = this.scope;
+    return error ? { error, errors, loaded_at: loadedAt } : { ...described, loaded_at: loadedAt };
   }
 
-  async processConfig(config) {
+  /**
+   * Fetch, map and insert one config. With `options.window` ({ from, to }) the
+   * run is a backfill: it fetches exactly that window and leaves the sync
+   * watermark alone so the regular schedule is not disturbed.
+   * Resolves to a summary of the run; failures are logged, never thrown.
+   * A config another run is still processing is SKIPPED (see ConfigLockModel);
+   * one that maps to several active outlet terminals FAILS without running.
+   */
+  async processConfig(config, options = {}) {
     const batchId = uuidv4();
     const startTime = new Date();
+    const window = options.window || null;
+    const mode = window ? 'BACKFILL' : 'SYNC';
+    const summary = { configId: config.cac_config_id, batchId, mode, status: 'SUCCESS', records: 0, errors: 0, skipped: 0 };
 
     this.logger.info('Processing configuration', {
+      mode,
       configId: config.cac_config_id,
       vendor: config.vendor_name,
       outlet: config.cac_outlet_id,
@@ -73,11 +106,34 @@ class IntegrationOrchestrator {
 
     const inserter = new DataInserter(config);
     let client = null;
+    let releaseLock = null;
+    let mappingVersion = null;
 
     try {
-      // Step 1: Fetch data (with max date logic inside DataFetcher)
+      // Bills are stamped with the config's terminal, so one config cannot
+      // stand for several terminals
+      if (parseInt(config.terminal_count) > 1) {
+        const error = new Error(`Configuration maps to ${parseInt(config.terminal_count)} active outlet terminals; map each terminal to its own configuration`);
+        error.code = 'MULTIPLE_TERMINALS';
+        throw error;
+      }
+
+      releaseLock = await ConfigLockModel.tryAcquire(config.cac_config_id);
+      if (!releaseLock) {
+        this.logger.warn('Configuration is already being processed, skipped', { mode, configId: config.cac_config_id });
+        Object.assign(summary, { status: 'SKIPPED', error: 'Another run of this configuration is in progress' });
+        return summary;
+      }
+
+      if (!window) {
+        // Throws CIRCUIT_OPEN while the vendor is cooling down
+        await new CircuitBreaker(config).assertClosed();
+        await SyncStateModel.markAttempt(config.cac_config_id);
+      }
+
+      // Step 1: Fetch data (window start comes from config_sync_state unless given)
       const fetcher = new DataFetcher(config);
-      const rawData = await fetcher.fetchData();
+      const rawData = await fetcher.fetchData(window);
 
       // this.logger.info('RAW API RESPONSE STRUCTURE123', {
   // type: typeof rawData,
@@ -97,16 +153,22 @@ class IntegrationOrchestrator {
 
       if (!rawData || (Array.isArray(rawData) && rawData.length === 0)) {
         this.logger.warn('No data fetched', { configId: config.cac_config_id });
-        return;
+        // The window was queried successfully, so don't re-pull it forever
+        if (!window) await this.advanceSyncState(config, fetcher);
+        summary.status = 'NO_DATA';
+        return summary;
       }
 
       this.logger.info('Data fetched successfully', {
         recordCount: Array.isArray(rawData) ? rawData.length : 1
       });
 
-      // Step 2: Get ALL field mappings for this vendor
+      // Step 2: Get ALL field mappings for this vendor, pinned to a version
+      // so the batch can be traced back to the mappings it ran with
       // console.log('Fetching field mappings for vendor ID:', config.cac_customer_id);
-      const allMappings = await ConfigModel.getAllFieldMappings(config.cac_customer_id.trim());
+      mappingVersion = await MappingVersionModel.current(config.cac_customer_id.trim());
+      const allMappings = groupByTable(mappingVersion.fmv_effective_mappings);
+      const lookups = await TransformLookupModel.getAll();
 
       // console.log('Total field mappings retrieved:', config.vendor_id);
 
@@ -118,11 +180,7 @@ let transactions = [];
       if (config.cac_apidbmapping?.toLowerCase() === 'db') {
 
         // DB Mapping
-      const dbMapper = new dbfieldMApper(config, [
-        ...allMappings.raw_transactions,
-        ...allMappings.raw_transaction_items,
-        ...allMappings.raw_payment
-      ]);
+      const dbMapper = this.createMapper(config, allMappings, { lookups });
       // console.log('Using DB field mapper for transactions',rawData);
        transactions = await dbMapper.mapTransactions(rawData);
 
@@ -132,11 +190,7 @@ let transactions = [];
 
          
     } else {
-       const mapper = new FieldMapper(config, [
-        ...allMappings.raw_transactions,
-        ...allMappings.raw_transaction_items,
-        ...allMappings.raw_payment
-      ]);
+       const mapper = this.createMapper(config, allMappings, { lookups });
       // console.log('Raw data to be mapped:', JSON.stringify(rawData, null, 2));
        transactions = await mapper.mapTransactions(rawData);
 
@@ -145,43 +199,29 @@ let transactions = [];
       });
     }
 
+      // Step 3b: Fill computed fields (net_amount, tender_types, ...) the vendor left out
+      new TransactionDeriver(config).derive(transactions);
+
       // Step 4: Insert data in transaction with duplicate checking
       client = await inserter.pool.connect();
 
       let totalRecords = 0;
       let totalErrors = 0;
       let totalSkipped = 0;
+      let unloggedErrors = 0;
 
       await client.query('BEGIN');
 //  console.log('Checking transaction exists', 1);
       try {
         for (const transaction of transactions) {
           try {
-          //  console.log('Checking transaction exists', transaction.invoice_no);
-            // 🔹 Check if transaction already exists
-            const exists = await inserter.checkTransactionExists(client, transaction);
+            // 🔹 Header, items and payments behind one savepoint per bill
+            const inserted = await inserter.insertTransactionUnit(client, transaction);
 
-            if (exists) {
+            if (!inserted) {
               totalSkipped++;
-              // this.logger.info('Transaction already exists, skipping', {
-                // transaction_id: transaction.transaction_id,
-                // invoice_no: transaction.invoice_no
-              // });
               continue;
             }
-// console.log('Inserted transaction', {payments: transaction.payments.length});
-            // Insert transaction
-            await inserter.insertTransaction(client, transaction);
-
-            // Insert items if available
-            if (transaction.items && transaction.items.length > 0) {
-              await inserter.insertTransactionItems(client, transaction.items, transaction);
-            }
-            
-            // Insert payments if available
-            if (transaction.payments && transaction.payments.length > 0) {
-              await inserter.insertPayments(client, transaction.payments, transaction);
-            }
 
             totalRecords++;
           } catch (error) {
@@ -192,8 +232,8 @@ let transactions = [];
               stack: error.stack
             });
 
-            // Log exception
-            await inserter.logException(client, {
+            // Log exception on a separate connection so it survives the batch
+            const logged = await inserter.logExceptionSafe({
               transaction_id: transaction.transaction_id,
               brand_id: transaction.brand_id,
               brand_name: transaction.brand_name,
@@ -206,13 +246,24 @@ let transactions = [];
               reason: error.message,
               details: { transaction, error: error.stack }
             });
+            if (!logged) unloggedErrors++;
           }
         }
 
         await client.query('COMMIT');
+        if (!window) {
+          if (unloggedErrors === 0) {
+            // Failed bills are kept in raw_exceptions, so the window is done
+            // with; re-pulling it would only fail them again
+            await this.advanceSyncState(config, fetcher, totalErrors);
+          } else {
+            await this.holdSyncState(config, unloggedErrors);
+          }
+        }
 
-        // Step 5: Log successful ingestion
-        await inserter.logIngestion({
+        // Step 5: Log successful ingestion; the window is already committed,
+        // so a missing audit row must not turn the run into a failure
+        await inserter.logIngestionSafe({
           agent_id: config.cac_config_id,
           batch_id: batchId,
           source_system: config.cac_pos_vendor,
@@ -222,6 +273,8 @@ let transactions = [];
           brand_name: config.brand_name,
           terminal: config.com_terminal,
           gate: config.com_gate,
+          mapping_version_id: mappingVersion.fmv_version_id,
+          mapping_version: mappingVersion.fmv_version,
           records_count: totalRecords,
           errors_count: totalErrors,
           first_received_at: startTime,
@@ -230,10 +283,14 @@ let transactions = [];
           meta: {
             batchId,
             configId: config.cac_config_id,
-            skippedCount: totalSkipped
+            skippedCount: totalSkipped,
+            mode,
+            ...(window && { window })
           }
         });
 
+        Object.assign(summary, { records: totalRecords, errors: totalErrors, skipped: totalSkipped });
+
         this.logger.info('Configuration processed successfully', {
           configId: config.cac_config_id,
           records: totalRecords,
@@ -247,6 +304,15 @@ let transactions = [];
       }
 
     } catch (error) {
+      if (error.code === 'CIRCUIT_OPEN') {
+        this.logger.warn('Circuit open, skipping configuration', {
+          configId: config.cac_config_id,
+          vendor: config.vendor_name,
+          openUntil: error.openUntil
+        });
+        return { ...summary, status: 'SKIPPED', reason: error.message };
+      }
+
       this.logger.error('Configuration processing failed', {
         configId: config.cac_config_id,
         error: error.message,
@@ -254,7 +320,7 @@ let transactions = [];
       });
 
       // Log failure
-      await inserter.logIngestion({
+      await inserter.logIngestionSafe({
         agent_id: config.cac_config_id,
         batch_id: batchId,
         source_system: config.cac_pos_vendor,
@@ -264,18 +330,90 @@ let transactions = [];
         brand_name: config.brand_name,
         terminal: config.com_terminal,
         gate: config.com_gate,
+        mapping_version_id: mappingVersion?.fmv_version_id ?? null,
+        mapping_version: mappingVersion?.fmv_version ?? null,
         records_count: 0,
         errors_count: 1,
         first_received_at: startTime,
         last_received_at: new Date(),
         status: 'FAILED',
-        meta: { error: error.message, stack: error.stack }
+        meta: { error: error.message, stack: error.stack, mode, ...(window && { window }) }
       });
+
+      if (!window) {
+        await SyncStateModel.markFailure(config.cac_config_id, error.message).catch(err =>
+          this.logger.error('Failed to record sync failure', { configId: config.cac_config_id, error: err.message })
+        );
+      }
+
+      Object.assign(summary, { status: 'FAILED', errors: 1, error: error.message });
     } finally {
       if (client) {
         client.release();
       }
+      if (releaseLock) await releaseLock();
     }
+
+    return summary;
+  }
+
+  /**
+   * DB-style configs (cac_apidbmapping = 'db') map through
+   * DbTransactionMapper, everything else through FieldMapper. options:
+   * { lookups } for the lookup() transform rule function.
+   */
+  createMapper(config, allMappings, options = {}) {
+    const mappings = [
+      ...allMappings.raw_transactions,
+      ...allMappings.raw_transaction_items,
+      ...allMappings.raw_payment
+    ];
+
+    return config.cac_apidbmapping?.toLowerCase() === 'db'
+      ? new dbfieldMApper(config, mappings, options)
+      : new FieldMapper(config, mappings, options);
+  }
+
+  /**
+   * Move the config's watermark to the end of the window just fetched,
+   * noting how many of its bills went to raw_exceptions instead.
+   * Never throws: a missed update only means the next run re-pulls the
+   * window, which duplicate checking already absorbs.
+   */
+  async advanceSyncState(config, fetcher, failedCount = 0) {
+    if (!fetcher.syncWindow) return;
+
+    try {
+      await SyncStateModel.markSuccess(config.cac_config_id, {
+        windowEnd: fetcher.syncWindow.to,
+        cursor: fetcher.nextCursor || null,
+        lastError: failedCount > 0 ? `${failedCount} bill(s) failed to insert; see raw_exceptions` : null
+      });
+
+      this.logger.info('Sync watermark advanced', {
+        configId: config.cac_config_id,
+        windowEnd: fetcher.syncWindow.to
+      });
+    } catch (error) {
+      this.logger.error('Failed to advance sync watermark', {
+        configId: config.cac_config_id,
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Leave the watermark where it is when failed bills could not be written
+   * to raw_exceptions either, and record why, so the next run re-pulls the
+   * window instead of losing them.
+   */
+  async holdSyncState(config, errorCount) {
+    const reason = `${errorCount} failed bill(s) could not be logged to raw_exceptions; window will be retried`;
+    this.logger.warn('Sync watermark held', { configId: config.cac_config_id, reason });
+
+    await SyncStateModel.markFailure(config.cac_config_id, reason).catch(err =>
+      this.logger.error('Failed to record sync failure', { configId: config.cac_config_id, error: err.message })
+    );
   }
 }
 
@@ -0,0 +1,137 @@
+const { v4: uuidv4 } = require('uuid');
+const ConfigModel = require('../models/configModel');
+const createLogger = require('../config/logger');
+const { MAPPING_FIELDS, mappingKey, diffMapping } = require('../utils/fieldMappings');
+
+const flatten = (grouped) => Object.values(grouped).flat();
+
+/**
+ * Copies one vendor's effective field mappings (own rows + template) onto
+ * another vendor, with per-field overrides. plan() only computes the diff;
+ * apply() writes it.
+ */
+class MappingCloner {
+  constructor() {
+    this.logger = createLogger('mapping-clone');
+  }
+
+  /**
+   * overrides: [{ pvfm_tablename, pvfm_source_field, ...fields }] are merged
+   * onto the copied mapping (or added when the source has none); `remove:
+   * true` drops that field from the copy. With `replace`, target mappings
+   * the source does not have are deleted, otherwise they are kept.
+   */
+  async plan({ sourceVendorId, targetVendorId, overrides = [], replace = false }) {
+    const [source, targetEffective, targetOwn] = await Promise.all([
+      ConfigModel.getAllFieldMappings(sourceVendorId).then(flatten),
+      ConfigModel.getAllFieldMappings(targetVendorId).then(flatten),
+      ConfigModel.getVendorFieldMappings(targetVendorId)
+    ]);
+
+    const desired = new Map(source.map(mapping => [mappingKey(mapping), this.pick(mapping)]));
+    for (const override of overrides) {
+      const key = mappingKey(override);
+      if (override.remove) {
+        desired.delete(key);
+        continue;
+      }
+      desired.set(key, { ...(desired.get(key) || this.pick(override)), ...this.pickFields(override) });
+    }
+
+    const effectiveByKey = new Map(targetEffective.map(mapping => [mappingKey(mapping), mapping]));
+    const ownByKey = new Map(targetOwn.map(mapping => [mappingKey(mapping), mapping]));
+
+    const diff = { added: [], changed: [], unchanged: [], removed: [], kept: [] };
+
+    for (const [key, mapping] of desired) {
+      const current = effectiveByKey.get(key);
+      const own = ownByKey.get(key);
+
+      if (!current) {
+        diff.added.push({ key, mapping });
+        continue;
+      }
+
+      const changes = diffMapping(current, mapping);
+      if (Object.keys(changes).length === 0) {
+        diff.unchanged.push({ key });
+      } else if (own) {
+        diff.changed.push({ key, mapping_id: own.pvfm_mapping_id, changes, mapping });
+      } else {
+        // Inherited from the target's template: add a vendor row that overrides it
+        diff.added.push({ key, mapping, overrides_template: current.pvfm_template_id, changes });
+      }
+    }
+
+    for (const [key, own] of ownByKey) {
+      if (desired.has(key)) continue;
+      (replace ? diff.removed : diff.kept).push({ key, mapping_id: own.pvfm_mapping_id, mapping: this.pick(own) });
+    }
+
+    return {
+      source_vendor_id: sourceVendorId,
+      target_vendor_id: targetVendorId,
+      replace,
+      summary: Object.fromEntries(Object.entries(diff).map(([name, rows]) => [name, rows.length])),
+      diff
+    };
+  }
+
+  /**
+   * Write a plan on the caller's client (the route versions the target
+   * vendor in the same transaction).
+   */
+  async apply(plan, client) {
+    for (const { mapping } of plan.diff.added) {
+      await client.query(
+        `INSERT INTO pos_vendor_field_mapping (
+           pvfm_mapping_id, pvfm_vendor_id, pvfm_tablename, pvfm_source_field,
+           ${MAPPING_FIELDS.join(', ')}
+         ) VALUES ($1, $2, $3, $4, ${MAPPING_FIELDS.map((_, i) => `$${i + 5}`).join(', ')})`,
+        [uuidv4(), plan.target_vendor_id, mapping.pvfm_tablename, mapping.pvfm_source_field, ...this.values(mapping)]
+      );
+    }
+
+    for (const { mapping_id, mapping } of plan.diff.changed) {
+      await client.query(
+        `UPDATE pos_vendor_field_mapping SET
+           ${MAPPING_FIELDS.map((field, i) => `${field} = $${i + 2}`).join(', ')},
+           pvfm_updated_at = NOW()
+         WHERE pvfm_mapping_id = $1`,
+        [mapping_id, ...this.values(mapping)]
+      );
+    }
+
+    for (const { mapping_id } of plan.diff.removed) {
+      await client.query('DELETE FROM pos_vendor_field_mapping WHERE pvfm_mapping_id = $1', [mapping_id]);
+    }
+
+    this.logger.info('Field mappings cloned', {
+      source: plan.source_vendor_id,
+      target: plan.target_vendor_id,
+      ...plan.summary
+    });
+  }
+
+  pick(mapping) {
+    return {
+      pvfm_tablename: mapping.pvfm_tablename,
+      pvfm_source_field: mapping.pvfm_source_field,
+      ...Object.fromEntries(MAPPING_FIELDS.map(field => [
+        field,
+        field === 'pvfm_is_required' ? Boolean(mapping[field]) : mapping[field] ?? null
+      ]))
+    };
+  }
+
+  // Only the fields an override actually sets
+  pickFields(override) {
+    return Object.fromEntries(MAPPING_FIELDS.filter(field => override[field] !== undefined).map(field => [field, override[field]]));
+  }
+
+  values(mapping) {
+    return MAPPING_FIELDS.map(field => field === 'pvfm_is_required' ? Boolean(mapping[field]) : mapping[field] ?? null);
+  }
+}
+
+module.exports = MappingCloner;
@@ -0,0 +1,94 @@
+const IntegrationOrchestrator = require('./IntegrationOrchestrator');
+const MappingTracer = require('./MappingTracer');
+const TransactionDeriver = require('./TransactionDeriver');
+const TransformLookupModel = require('../models/transformLookupModel');
+const createLogger = require('../config/logger');
+const { groupByTable } = require('../utils/fieldMappings');
+
+/**
+ * Maps a sample payload with saved or unsaved field mappings, without any
+ * vendor call or database write, and traces every mapping it applied.
+ */
+class MappingPreview {
+  constructor(config) {
+    this.config = config;
+    this.logger = createLogger('mapping-preview');
+  }
+
+  /**
+   * sample: object/array, or JSON/XML text. format ('json' | 'xml') is
+   * guessed from text samples when omitted; mode ('api' | 'db') overrides
+   * the config's cac_apidbmapping.
+   */
+  async run({ sample, mappings, format, mode, limit = 20, traceLimit = 500 }) {
+    const payload = MappingPreview.parseSample(sample, format);
+    const config = {
+      ...this.config,
+      cac_jsonordb: this.sourceTypeFor(payload.format),
+      cac_apidbmapping: mode ?? this.config.cac_apidbmapping
+    };
+
+    const lookups = await TransformLookupModel.getAll();
+    const mapper = new IntegrationOrchestrator().createMapper(config, groupByTable(mappings), { lookups });
+    const tracer = new MappingTracer(mapper, { maxEntries: traceLimit });
+    const transactions = await mapper.mapTransactions(payload.data);
+    const { stats: derivation } = new TransactionDeriver(config).derive(transactions);
+
+    this.logger.info('Mapping preview finished', {
+      vendorId: config.cac_customer_id,
+      mapper: mapper.constructor.name,
+      transactions: transactions.length,
+      misses: tracer.misses.length
+    });
+
+    return {
+      mapper: mapper.constructor.name,
+      source_type: config.cac_jsonordb,
+      mode: config.cac_apidbmapping || 'api',
+      format: payload.format,
+      counts: {
+        transactions: transactions.length,
+        items: transactions.reduce((sum, tx) => sum + (tx.items?.length || 0), 0),
+        payments: transactions.reduce((sum, tx) => sum + (tx.payments?.length || 0), 0)
+      },
+      transactions: transactions.slice(0, limit),
+      truncated: transactions.length > limit,
+      derivation,
+      mappings: tracer.summary,
+      mapping_misses: tracer.misses,
+      trace: tracer.entries,
+      trace_truncated: tracer.droppedEntries > 0
+    };
+  }
+
+  // XML stays text; FieldMapper parses it when the source type is xml/soap
+  static parseSample(sample, format) {
+    if (typeof sample !== 'string') {
+      return { data: sample, format: 'json' };
+    }
+
+    const text = sample.trim();
+    const detected = format || (text.startsWith('<') ? 'xml' : 'json');
+    if (detected === 'xml') {
+      return { data: text, format: 'xml' };
+    }
+
+    try {
+      return { data: JSON.parse(text), format: 'json' };
+    } catch (error) {
+      const err = new Error(`Sample is not valid JSON: ${error.message}`);
+      err.code = 'INVALID_SAMPLE';
+      throw err;
+    }
+  }
+
+  sourceTypeFor(format) {
+    const current = this.config.cac_jsonordb?.toLowerCase();
+    if (format === 'xml') {
+      return ['xml', 'soap'].includes(current) ? current : 'xml';
+    }
+    return current && !['xml', 'soap'].includes(current) ? current : 'json';
+  }
+}
+
+module.exports = MappingPreview;
@@ -0,0 +1,364 @@
+const xml2js = require('xml2js');
+const MappingPreview = require('./MappingPreview');
+const { appendKey, compileJsonPath, lastKey } = require('../utils/jsonPath');
+
+const SAMPLE_ROWS = 20;
+
+// Kinds of value a column accepts (see valueKind)
+const AMOUNT = ['amount', 'integer'];
+const INTEGER = ['integer', 'amount'];
+const DATE = ['date'];
+const ID = ['code', 'integer'];
+const TEXT = ['text', 'code'];
+
+/**
+ * Canonical columns per table with the (normalised) vendor key names that
+ * usually feed them. `byValue` columns may also be matched on value kind
+ * alone when no key name fits. Items/payments read off the bill record
+ * itself (no array of their own) are only proposed when an `anchor`
+ * column matched by name, so bill totals are not offered as line fields.
+ */
+const CANONICAL_COLUMNS = {
+  raw_transactions: [
+    { column: 'invoice_no', kinds: ID, required: true, byValue: true,
+      names: ['invoiceno', 'invoice', 'invoicenumber', 'billno', 'billnumber', 'receiptno', 'receiptnumber', 'docno', 'documentno', 'voucherno', 'orderno', 'ordernumber', 'txnno'] },
+    { column: 'source_transaction_ref', kinds: ID,
+      names: ['transactionid', 'txnid', 'id', 'billid', 'orderid', 'saleid', 'invoiceid', 'receiptid'] },
+    { column: 'received_at', kinds: DATE, required: true, byValue: true,
+      names: ['billdate', 'billdatetime', 'invoicedate', 'invoicedatetime', 'transactiondate', 'transactiontime', 'txndate', 'orderdate', 'date', 'datetime', 'createdat', 'createdon', 'timestamp'] },
+    { column: 'transaction_time', kinds: DATE, sharesKey: 'received_at',
+      names: ['billtime', 'transactiontime', 'txntime', 'time', 'datetime', 'timestamp'] },
+    { column: 'gross_amount', kinds: AMOUNT,
+      names: ['grossamount', 'gross', 'grossamt', 'subtotal', 'totalamount', 'billamount', 'mrpvalue', 'totalbeforediscount'] },
+    { column: 'discount_amount', kinds: AMOUNT,
+      names: ['discountamount', 'discount', 'disc', 'totaldisc', 'totaldiscount', 'discamt'] },
+    { column: 'tax_amount', kinds: AMOUNT,
+      names: ['taxamount', 'tax', 'totaltax', 'gst', 'gstvalue', 'gstamount', 'vat', 'taxvalue'] },
+    { column: 'service_charge', kinds: AMOUNT, names: ['servicecharge', 'servicechargeamount', 'sc'] },
+    { column: 'net_amount', kinds: AMOUNT, required: true,
+      names: ['netamount', 'net', 'netamt', 'nettotal', 'netpayable', 'grandtotal', 'total', 'billvalue', 'amount', 'payable', 'finalamount'] },
+    { column: 'transaction_type', kinds: TEXT,
+      names: ['transactiontype', 'transtype', 'txntype', 'billtype', 'doctype', 'type'] },
+    { column: 'shift', kinds: [...TEXT, 'integer'], names: ['shift', 'shiftno', 'shiftid'] },
+    { column: 'shiftdate', kinds: DATE, names: ['shiftdate', 'businessdate'] },
+    { column: 'currency', kinds: TEXT, names: ['currency', 'currencycode'] },
+    { column: 'customer_type', kinds: TEXT, names: ['customertype', 'custtype'] },
+    { column: 'closed_by', kinds: TEXT, names: ['cashier', 'cashiername', 'closedby', 'user', 'username'] },
+    { column: 'device_id', kinds: TEXT, names: ['deviceid', 'terminalid', 'posid', 'counter'] }
+  ],
+  raw_transaction_items: [
+    { column: 'sku', kinds: ID, required: true, anchor: true,
+      names: ['sku', 'itemcode', 'productcode', 'barcode', 'code', 'ean', 'articlecode', 'itemid', 'productid'] },
+    { column: 'item_name', kinds: TEXT,
+      names: ['itemname', 'productname', 'name', 'description', 'itemdescription', 'item', 'title', 'skutitle'] },
+    { column: 'category', kinds: TEXT, names: ['category', 'categoryname', 'group', 'itemgroup', 'department'] },
+    { column: 'subcategory', kinds: TEXT, names: ['subcategory', 'subcategoryname', 'subgroup'] },
+    { column: 'quantity', kinds: INTEGER, required: true, anchor: true, names: ['quantity', 'qty', 'units', 'soldqty'] },
+    { column: 'unit_price', kinds: AMOUNT, names: ['unitprice', 'rate', 'price', 'mrp', 'sellingprice', 'itemrate'] },
+    { column: 'line_total', kinds: AMOUNT, names: ['linetotal', 'netamount', 'amount', 'total', 'value', 'itemtotal', 'netvalue'] },
+    { column: 'line_discount', kinds: AMOUNT, names: ['linediscount', 'discount', 'disc', 'discountamount', 'discamt'] },
+    { column: 'line_tax', kinds: AMOUNT, names: ['linetax', 'tax', 'taxamount', 'gst', 'gstamount', 'gstvalue'] },
+    { column: 'hsncode', kinds: ID, names: ['hsncode', 'hsn', 'hsnsac', 'saccode'] },
+    { column: 'taxpercentage', kinds: AMOUNT, names: ['taxpercentage', 'taxpercent', 'taxrate', 'gstrate', 'gstpercent'] },
+    { column: 'cgst', kinds: AMOUNT, names: ['cgst', 'cgstamount', 'cgstvalue'] },
+    { column: 'sgst', kinds: AMOUNT, names: ['sgst', 'sgstamount', 'sgstvalue'] },
+    { column: 'cess', kinds: AMOUNT, names: ['cess', 'cessamount'] }
+  ],
+  raw_payment: [
+    { column: 'payment_type', kinds: TEXT, required: true, anchor: true,
+      names: ['paymenttype', 'paymentmode', 'paymode', 'mode', 'tender', 'tendertype', 'tendername', 'method', 'paymentmethod'] },
+    { column: 'amount', kinds: AMOUNT, required: true,
+      names: ['amount', 'paidamount', 'paymentamount', 'tenderamount', 'value', 'amt'] },
+    { column: 'card_scheme', kinds: TEXT, names: ['cardscheme', 'cardtype', 'scheme', 'cardname'] },
+    { column: 'issuer_bank', kinds: TEXT, names: ['issuerbank', 'bank', 'bankname', 'issuer'] },
+    { column: 'currency', kinds: TEXT, names: ['currency', 'currencycode'] }
+  ]
+};
+
+const DATE_PATTERNS = [
+  /^\d{4}-\d{2}-\d{2}([ T]\d{2}:\d{2}(:\d{2}(\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/,
+  /^\d{1,2}[/-]\d{1,2}[/-]\d{2,4}( \d{1,2}:\d{2}(:\d{2})?( ?[AP]M)?)?$/i,
+  /^\d{1,2}-[A-Za-z]{3}-\d{2,4}( \d{1,2}:\d{2}(:\d{2})?)?$/
+];
+
+const normalise = (key) => String(key).toLowerCase().replace(/[^a-z0-9]/g, '');
+const lastSegment = (path) => lastKey(path) ?? '';
+// DbTransactionMapper reads DB rows by column name, not by path
+const columnName = (path) => (compileJsonPath(path).segments.length === 1 ? lastKey(path) : path);
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const valueKind = (value) => {
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'amount';
+  if (typeof value === 'boolean') return 'boolean';
+  if (typeof value !== 'string') return 'other';
+
+  const text = value.trim();
+  if (!text) return 'empty';
+  if (DATE_PATTERNS.some(pattern => pattern.test(text))) return 'date';
+  if (/^[+-]?\d+\.\d+$/.test(text)) return 'amount';
+  if (/^[+-]?\d+$/.test(text)) return 'integer';
+  if (text.length <= 40 && /\d/.test(text) && /^[A-Za-z0-9][A-Za-z0-9/_-]*$/.test(text)) return 'code';
+  return 'text';
+};
+
+// Most common non-empty kind among the sampled values
+const dominantKind = (values) => {
+  const counts = {};
+  for (const value of values) {
+    const kind = valueKind(value);
+    if (kind !== 'empty') counts[kind] = (counts[kind] || 0) + 1;
+  }
+  const [kind] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0] || ['empty'];
+  return kind;
+};
+
+/**
+ * Proposes pos_vendor_field_mapping rows for a sample vendor payload. Paths
+ * are utils/jsonPath paths: dot-separated keys (quoted when they are not
+ * plain names) with `key[*]` to fan out over an array. Nothing is stored.
+ */
+class MappingSuggester {
+  /**
+   * mode 'db' (DbTransactionMapper) reads the vendor key from
+   * pvfm_target_field; 'api' (FieldMapper) from pvfm_json_path.
+   */
+  async suggest(sample, { format, mode = 'api', minConfidence = 0.3 } = {}) {
+    const { data: payload, format: detected } = await this.parse(sample, format);
+
+    const txRoot = this.findTransactionRoot(payload);
+    if (!txRoot) {
+      const error = new Error('No array of records or record object found in the sample');
+      error.code = 'INVALID_SAMPLE';
+      throw error;
+    }
+
+    const txRows = txRoot.rows.slice(0, SAMPLE_ROWS);
+    const children = this.collectArrays(txRows);
+    const itemRoot = this.bestArray(children, 'raw_transaction_items');
+    const paymentRoot = this.bestArray(children.filter(child => child !== itemRoot), 'raw_payment');
+
+    const headerLeaves = this.collectLeaves(txRows);
+    const tables = {
+      raw_transactions: { root: txRoot.path, leaves: headerLeaves },
+      raw_transaction_items: itemRoot
+        ? { root: itemRoot.path, leaves: this.collectLeaves(itemRoot.rows.slice(0, SAMPLE_ROWS)) }
+        : { root: null, leaves: headerLeaves },
+      raw_payment: paymentRoot
+        ? { root: paymentRoot.path, leaves: this.collectLeaves(paymentRoot.rows.slice(0, SAMPLE_ROWS)) }
+        : { root: null, leaves: headerLeaves }
+    };
+
+    const suggestions = [];
+    const used = new Set();
+
+    for (const [table, { root, leaves }] of Object.entries(tables)) {
+      const matches = this.assign(table, leaves);
+      if (table !== 'raw_transactions' && !root && !this.hasAnchor(table, matches)) continue;
+
+      for (const match of matches) {
+        if (match.confidence < minConfidence) continue;
+        if (leaves === headerLeaves) used.add(match.path);
+
+        suggestions.push({
+          pvfm_tablename: table,
+          pvfm_source_field: match.column,
+          pvfm_target_field: mode === 'db' ? columnName(match.path) : match.column,
+          pvfm_json_path: match.path,
+          pvfm_row_root_json_path: root || null,
+          pvfm_is_required: Boolean(match.required),
+          confidence: Number(match.confidence.toFixed(2)),
+          reason: match.reason,
+          sample_value: leaves.get(match.path)[0]
+        });
+      }
+    }
+
+    return {
+      format: detected,
+      row_roots: {
+        raw_transactions: txRoot.path || null,
+        raw_transaction_items: tables.raw_transaction_items.root,
+        raw_payment: tables.raw_payment.root
+      },
+      transaction_count: txRoot.rows.length,
+      suggestions,
+      unmatched_keys: [...headerLeaves.keys()].filter(path => !used.has(path))
+    };
+  }
+
+  async parse(sample, format) {
+    const parsed = MappingPreview.parseSample(sample, format);
+    if (parsed.format !== 'xml') return parsed;
+
+    try {
+      // Same options FieldMapper.parseXml uses, so paths line up
+      return { data: await xml2js.parseStringPromise(parsed.data, { explicitArray: false }), format: 'xml' };
+    } catch (error) {
+      const err = new Error(`Sample is not valid XML: ${error.message}`);
+      err.code = 'INVALID_SAMPLE';
+      throw err;
+    }
+  }
+
+  /**
+   * The array of records whose keys look most like bill headers. A bare
+   * top-level array has no row root (''); a single object is one record.
+   */
+  findTransactionRoot(payload) {
+    const candidates = this.collectArrays([payload], '');
+    if (Array.isArray(payload) && payload.some(isPlainObject)) {
+      candidates.unshift({ path: '', rows: payload.filter(isPlainObject) });
+    }
+
+    const best = this.bestArray(candidates, 'raw_transactions');
+    if (best) return best;
+    return isPlainObject(payload) ? { path: '', rows: [payload] } : null;
+  }
+
+  /**
+   * Every array of objects under the given rows, keyed by its `[*]` path
+   * relative to a row. Rows of the same path are merged across records.
+   */
+  collectArrays(rows, prefix = '') {
+    const found = new Map();
+
+    const walk = (node, path) => {
+      if (!isPlainObject(node)) return;
+      for (const [key, value] of Object.entries(node)) {
+        const childPath = appendKey(path, key);
+        if (Array.isArray(value)) {
+          const objects = value.filter(isPlainObject);
+          if (objects.length === 0) continue;
+          const arrayPath = `${childPath}[*]`;
+          if (!found.has(arrayPath)) found.set(arrayPath, { path: arrayPath, rows: [] });
+          found.get(arrayPath).rows.push(...objects);
+          for (const object of objects.slice(0, SAMPLE_ROWS)) walk(object, arrayPath);
+        } else {
+          walk(value, childPath);
+        }
+      }
+    };
+
+    for (const row of rows) walk(row, prefix);
+    return [...found.values()];
+  }
+
+  /**
+   * Scalar leaves under the rows (arrays excluded), as path -> sample values.
+   */
+  collectLeaves(rows) {
+    const leaves = new Map();
+
+    const walk = (node, path) => {
+      for (const [key, value] of Object.entries(node)) {
+        const childPath = appendKey(path, key);
+        if (Array.isArray(value)) continue;
+        if (isPlainObject(value)) {
+          walk(value, childPath);
+        } else if (value !== null && value !== undefined) {
+          if (!leaves.has(childPath)) leaves.set(childPath, []);
+          leaves.get(childPath).push(value);
+        }
+      }
+    };
+
+    for (const row of rows) {
+      if (isPlainObject(row)) walk(row, '');
+    }
+    return leaves;
+  }
+
+  // Array whose first rows best fit a table; shallower wins a tie
+  bestArray(candidates, table) {
+    let best = null;
+    let bestScore = 0;
+
+    for (const candidate of candidates) {
+      const leaves = this.collectLeaves(candidate.rows.slice(0, SAMPLE_ROWS));
+      const score = this.assign(table, leaves)
+        .filter(match => match.reason.startsWith('name'))
+        .reduce((sum, match) => sum + match.confidence, 0);
+      const depth = candidate.path.split('[*]').length;
+      const bestDepth = best ? best.path.split('[*]').length : Infinity;
+
+      if (score > bestScore || (score === bestScore && score > 0 && depth < bestDepth)) {
+        best = candidate;
+        bestScore = score;
+      }
+    }
+
+    return bestScore >= 1 ? best : null;
+  }
+
+  /**
+   * Greedy best-first pairing of canonical columns with leaf paths. A path
+   * feeds one column per table, except columns declared to share a key.
+   */
+  assign(table, leaves) {
+    const candidates = [];
+
+    for (const spec of CANONICAL_COLUMNS[table]) {
+      for (const [path, values] of leaves) {
+        const match = this.score(spec, path, values);
+        if (match) candidates.push({ ...match, column: spec.column, required: spec.required, path });
+      }
+    }
+
+    candidates.sort((a, b) => b.confidence - a.confidence);
+
+    const byColumn = new Map();
+    const pathOwner = new Map();
+    for (const candidate of candidates) {
+      if (byColumn.has(candidate.column)) continue;
+
+      const owner = pathOwner.get(candidate.path);
+      const spec = CANONICAL_COLUMNS[table].find(s => s.column === candidate.column);
+      if (owner && spec.sharesKey !== owner) continue;
+
+      byColumn.set(candidate.column, candidate);
+      if (!owner) pathOwner.set(candidate.path, candidate.column);
+    }
+
+    return [...byColumn.values()];
+  }
+
+  hasAnchor(table, matches) {
+    return matches.some(match =>
+      match.reason.startsWith('name') &&
+      CANONICAL_COLUMNS[table].find(spec => spec.column === match.column).anchor);
+  }
+
+  score(spec, path, values) {
+    const key = normalise(lastSegment(path));
+    const kind = dominantKind(values);
+    const kindFits = spec.kinds.includes(kind);
+
+    let confidence = 0;
+    let reason = null;
+
+    if (spec.names.includes(key)) {
+      confidence = 1;
+      reason = 'name';
+    } else if (spec.names.some(name => name.length >= 4 && key.includes(name))) {
+      confidence = 0.6;
+      reason = 'name (partial)';
+    } else if (spec.byValue && kindFits) {
+      confidence = 0.35;
+      reason = 'value';
+    }
+
+    if (!reason) return null;
+    if (reason.startsWith('name')) {
+      if (!kindFits) confidence *= 0.3;
+      reason += kindFits ? `, ${kind} value` : `, but ${kind} value`;
+    } else {
+      reason += ` (${kind})`;
+    }
+
+    return { confidence, reason };
+  }
+}
+
+MappingSuggester.CANONICAL_COLUMNS = CANONICAL_COLUMNS;
+
+module.exports = MappingSuggester;
@@ -0,0 +1,127 @@
+const DbTransactionMapper = require('./DbTransactionMapper');
+const { splitMappingPath } = require('../utils/jsonPath');
+
+const JSON_SOURCE_TYPES = ['api', 'json', 'xml', 'soap', 'multiapi', 'multiapizoho'];
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Instruments a FieldMapper / DbTransactionMapper instance so every
+ * applyMapping call is recorded: the path it resolved, the raw value found
+ * there, the transform rule applied and the final value. Also keeps
+ * per-mapping attempt/miss counts. Only the given instance is patched.
+ */
+class MappingTracer {
+  constructor(mapper, { maxEntries = 500 } = {}) {
+    this.mapper = mapper;
+    this.maxEntries = maxEntries;
+    this.entries = [];
+    this.droppedEntries = 0;
+    this.stats = new Map();
+
+    for (const mapping of mapper.fieldMappings) {
+      this.stats.set(mapping, {
+        mapping_id: mapping.pvfm_mapping_id ?? null,
+        table: mapping.pvfm_tablename,
+        field: mapping.pvfm_source_field,
+        json_path: mapping.pvfm_json_path,
+        target_field: mapping.pvfm_target_field,
+        required: mapping.pvfm_is_required,
+        attempts: 0,
+        misses: 0
+      });
+    }
+
+    this.attach();
+  }
+
+  attach() {
+    const mapper = this.mapper;
+    const applyMapping = mapper.applyMapping.bind(mapper);
+    const applyTransformation = mapper.applyTransformation.bind(mapper);
+    let transform = null;
+
+    mapper.applyTransformation = (value, rule, record) => {
+      const result = applyTransformation(value, rule, record);
+      if (transform && !transform.applied) {
+        transform.applied = true;
+        transform.input = value;
+      }
+      return result;
+    };
+
+    mapper.applyMapping = (record, mapping) => {
+      transform = { applied: false, input: undefined };
+      const value = applyMapping(record, mapping);
+      this.record(record, mapping, value, transform);
+      transform = null;
+      return value;
+    };
+  }
+
+  record(record, mapping, value, transform) {
+    const stat = this.stats.get(mapping);
+    if (stat) {
+      stat.attempts++;
+      if (isMissing(value)) stat.misses++;
+    }
+
+    if (this.entries.length >= this.maxEntries) {
+      this.droppedEntries++;
+      return;
+    }
+
+    const path = this.pathOf(mapping);
+    this.entries.push({
+      mapping_id: mapping.pvfm_mapping_id ?? null,
+      table: mapping.pvfm_tablename,
+      field: mapping.pvfm_source_field,
+      path,
+      raw_value: transform.applied ? transform.input : this.resolveRaw(record, path),
+      transform: mapping.pvfm_transform_rule || null,
+      transform_applied: transform.applied,
+      final_value: value,
+      missed: isMissing(value)
+    });
+  }
+
+  // The record key / JSON path this mapper reads for a mapping
+  pathOf(mapping) {
+    const sourceType = this.mapper.sourceType;
+
+    if (this.mapper instanceof DbTransactionMapper) {
+      if (mapping.pvfm_target_field?.includes('|')) return mapping.pvfm_target_field;
+      return ['api', 'json', 'xml', 'soap'].includes(sourceType)
+        ? mapping.pvfm_json_path
+        : mapping.pvfm_target_field;
+    }
+
+    if (mapping.pvfm_json_path && splitMappingPath(mapping.pvfm_json_path).length > 1) return mapping.pvfm_json_path;
+    return JSON_SOURCE_TYPES.includes(sourceType)
+      ? mapping.pvfm_json_path
+      : mapping.pvfm_source_field;
+  }
+
+  resolveRaw(record, path) {
+    if (!path || !record || typeof record !== 'object') return undefined;
+
+    // date|time pairs are reported part by part
+    const parts = splitMappingPath(path);
+    if (parts.length > 1) {
+      return Object.fromEntries(parts.map(part => [part, this.resolveRaw(record, part)]));
+    }
+
+    if (record[path] !== undefined) return record[path];
+    return this.mapper.extractByJsonPath(record, path) ?? undefined;
+  }
+
+  get summary() {
+    return [...this.stats.values()];
+  }
+
+  get misses() {
+    return this.summary.filter(stat => stat.misses > 0);
+  }
+}
+
+module.exports = MappingTracer;
@@ -0,0 +1,119 @@
+const axios = require('axios');
+const CircuitBreaker = require('./CircuitBreaker');
+const createLogger = require('../config/logger');
+
+// 0 is a valid setting (no retries), so only a non-number falls back to 2
+const configuredRetries = Number.parseInt(process.env.OUTBOUND_MAX_RETRIES);
+const MAX_RETRIES = Number.isFinite(configuredRetries) && configuredRetries >= 0 ? configuredRetries : 2;
+const RETRY_BASE_MS = parseInt(process.env.OUTBOUND_RETRY_BASE_MS) || 1000;
+const RETRY_MAX_MS = parseInt(process.env.OUTBOUND_RETRY_MAX_MS) || 30000;
+
+const RETRYABLE_CODES = new Set([
+  'ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'ENOTFOUND',
+  'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'ERR_NETWORK'
+]);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * The single path for every vendor HTTP/SOAP call. Wraps axios with
+ * jittered exponential backoff for retryable failures and a per-config
+ * circuit breaker. Mirrors the axios call shapes used by DataFetcher.
+ * Pass { breaker: false } for calls that must not affect the breaker state
+ * (config dry runs).
+ */
+class OutboundClient {
+  constructor(config, { breaker = true } = {}) {
+    this.config = config;
+    this.breaker = breaker ? new CircuitBreaker(config) : null;
+    this.logger = createLogger(config.vendor_name || 'outbound');
+  }
+
+  get(url, options = {}) {
+    return this.request({ ...options, method: 'GET', url });
+  }
+
+  post(url, data, options = {}) {
+    return this.request({ ...options, method: 'POST', url, data });
+  }
+
+  async request(options) {
+    await this.checkBreaker();
+
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const response = await axios(options);
+        await this.safely(() => this.breaker.recordSuccess());
+        return response;
+      } catch (error) {
+        if (attempt >= MAX_RETRIES || !this.isRetryable(error)) {
+          await this.safely(() => this.breaker.recordFailure(error));
+          throw error;
+        }
+
+        const delay = this.retryDelay(error, attempt);
+        this.logger.warn('Vendor call failed, retrying', {
+          configId: this.config.cac_config_id,
+          url: options.url,
+          attempt: attempt + 1,
+          maxRetries: MAX_RETRIES,
+          delayMs: delay,
+          status: error.response?.status,
+          code: error.code,
+          error: error.message
+        });
+        await sleep(delay);
+      }
+    }
+  }
+
+  isRetryable(error) {
+    const status = error.response?.status;
+    if (status) {
+      return status === 429 || status === 408 || status >= 500;
+    }
+    return RETRYABLE_CODES.has(error.code);
+  }
+
+  /**
+   * Honour Retry-After on 429/503, otherwise exponential backoff with
+   * "equal jitter": half the window fixed, half random.
+   */
+  retryDelay(error, attempt) {
+    const retryAfter = error.response?.headers?.['retry-after'];
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const ms = Number.isFinite(seconds)
+        ? seconds * 1000
+        : new Date(retryAfter).getTime() - Date.now();
+      if (ms > 0) return Math.min(ms, RETRY_MAX_MS);
+    }
+
+    const window = Math.min(RETRY_BASE_MS * 2 ** attempt, RETRY_MAX_MS);
+    return Math.round(window / 2 + Math.random() * (window / 2));
+  }
+
+  async checkBreaker() {
+    if (!this.breaker) return;
+
+    try {
+      await this.breaker.assertClosed();
+    } catch (error) {
+      if (error.code === 'CIRCUIT_OPEN') throw error;
+      this.logger.error('Circuit breaker lookup failed', { error: error.message });
+    }
+  }
+
+  // Breaker bookkeeping must never turn a vendor result into a failure
+  async safely(fn) {
+    if (!this.breaker) return;
+
+    try {
+      await fn();
+    } catch (error) {
+      this.logger.error('Circuit breaker update failed', { error: error.message });
+    }
+  }
+}
+
+module.exports = OutboundClient;
@@ -0,0 +1,239 @@
+const createLogger = require('../config/logger');
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Per-config scheduler. Every active config gets its own timer based on
+ * cac_sync_interval_minutes. The config list is re-read on a refresh loop so
+ * configs created, changed or deactivated through the API are picked up
+ * without restarting the agent (the API runs in a separate process).
+ * Each refresh also logs a summary of the runs since the previous one.
+ */
+class SyncScheduler {
+  constructor(orchestrator, options = {}) {
+    this.orchestrator = orchestrator;
+    this.logger = createLogger('scheduler');
+    this.defaultIntervalMinutes = parseInt(options.defaultIntervalMinutes ?? process.env.DEFAULT_SYNC_INTERVAL) || 5;
+    this.refreshMs = (parseInt(options.refreshSeconds ?? process.env.SCHEDULER_REFRESH_SECONDS) || 60) * 1000;
+    this.schedules = new Map();
+    // Config ids with a run in flight; survives a schedule being dropped and re-added
+    this.inFlight = new Set();
+    // Config ids left unscheduled on the last refresh, so each is reported once
+    this.rejected = new Set();
+    this.refreshTimer = null;
+    this.stopped = true;
+    this.cycle = this.newCycle();
+  }
+
+  // Run outcomes since the last summary; a cycle is one refresh period
+  newCycle() {
+    return { startedAt: Date.now(), total: 0, succeeded: 0, failed: 0, skipped: 0 };
+  }
+
+  recordRun(status) {
+    this.cycle.total++;
+    if (status === 'SUCCESS' || status === 'NO_DATA') this.cycle.succeeded++;
+    else if (status === 'SKIPPED') this.cycle.skipped++;
+    else this.cycle.failed++;
+  }
+
+  logCycleSummary() {
+    const { startedAt, ...counts } = this.cycle;
+    this.cycle = this.newCycle();
+    if (counts.total === 0) return;
+
+    this.logger.info('Sync cycle summary', { durationMs: Date.now() - startedAt, ...counts });
+  }
+
+  /**
+   * Start the refresh loop, then run the first refresh. A failed refresh
+   * (database not up yet, say) is logged and retried on the next tick rather
+   * than leaving the agent idle.
+   */
+  async start() {
+    this.stopped = false;
+    this.refreshTimer = setInterval(() => this.refreshSafely(), this.refreshMs);
+    await this.refreshSafely();
+
+    this.logger.info('Scheduler started', {
+      configs: this.schedules.size,
+      refreshSeconds: this.refreshMs / 1000
+    });
+  }
+
+  refreshSafely() {
+    return this.refresh().catch(error =>
+      this.logger.error('Schedule refresh failed', { error: error.message })
+    );
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.refreshTimer) clearInterval(this.refreshTimer);
+    this.refreshTimer = null;
+
+    for (const entry of this.schedules.values()) {
+      clearTimeout(entry.timer);
+    }
+    this.schedules.clear();
+
+    this.logger.info('Scheduler stopped');
+  }
+
+  /**
+   * Reconcile timers with the current set of active configs. A config that
+   * maps to several active outlet terminals is not scheduled: its bills
+   * would be stamped with one terminal only (see processConfig).
+   */
+  async refresh() {
+    this.logCycleSummary();
+
+    const configs = await this.orchestrator.loadActiveConfigs();
+    const seen = new Set();
+    const rejected = new Map();
+
+    for (const config of configs) {
+      const configId = config.cac_config_id;
+      if (seen.has(configId) || rejected.has(configId)) continue;
+
+      if (parseInt(config.terminal_count) > 1) {
+        rejected.set(configId, config);
+        continue;
+      }
+
+      const intervalMinutes = this.resolveInterval(config);
+      const entry = this.schedules.get(configId);
+      seen.add(configId);
+
+      if (!entry) {
+        this.addSchedule(config, intervalMinutes);
+        continue;
+      }
+
+      // Always run with the freshest row (URLs, credentials, mappings flags)
+      entry.config = config;
+
+      if (entry.intervalMinutes !== intervalMinutes) {
+        this.logger.info('Schedule interval changed', {
+          configId,
+          from: entry.intervalMinutes,
+          to: intervalMinutes
+        });
+        entry.intervalMinutes = intervalMinutes;
+        const lastStart = entry.lastRunAt ? entry.lastRunAt.getTime() : Date.now();
+        this.arm(entry, Math.max(lastStart + intervalMinutes * MINUTE_MS, Date.now()));
+      }
+    }
+
+    for (const [configId, config] of rejected) {
+      if (!this.rejected.has(configId)) {
+        this.logger.error('Config maps to several outlet terminals, not scheduled', {
+          configId,
+          vendor: config.vendor_name,
+          outlet: config.cac_outlet_id,
+          terminals: parseInt(config.terminal_count)
+        });
+      }
+    }
+    this.rejected = new Set(rejected.keys());
+
+    for (const [configId, entry] of this.schedules) {
+      if (!seen.has(configId)) {
+        clearTimeout(entry.timer);
+        this.schedules.delete(configId);
+        this.logger.info('Schedule removed', { configId, vendor: entry.config.vendor_name });
+      }
+    }
+  }
+
+  resolveInterval(config) {
+    const minutes = parseInt(config.cac_sync_interval_minutes);
+    return minutes > 0 ? minutes : this.defaultIntervalMinutes;
+  }
+
+  addSchedule(config, intervalMinutes) {
+    const entry = {
+      config,
+      intervalMinutes,
+      running: false,
+      timer: null,
+      nextDueAt: null,
+      lastRunAt: null,
+      lastFinishedAt: null,
+      lastStatus: null,
+      skippedOverlaps: 0
+    };
+
+    this.schedules.set(config.cac_config_id, entry);
+    // First run is due as soon as the config is picked up
+    this.arm(entry, Date.now());
+
+    this.logger.info('Schedule added', {
+      configId: config.cac_config_id,
+      vendor: config.vendor_name,
+      intervalMinutes
+    });
+  }
+
+  arm(entry, dueAt) {
+    clearTimeout(entry.timer);
+    entry.nextDueAt = new Date(dueAt);
+    entry.timer = setTimeout(() => this.fire(entry), Math.max(dueAt - Date.now(), 0));
+  }
+
+  async fire(entry) {
+    const configId = entry.config.cac_config_id;
+
+    // Dropped while the timer was pending
+    if (this.stopped || this.schedules.get(configId) !== entry) return;
+
+    const now = Date.now();
+    this.arm(entry, now + entry.intervalMinutes * MINUTE_MS);
+
+    if (this.inFlight.has(configId)) {
+      entry.skippedOverlaps++;
+      this.recordRun('SKIPPED');
+      this.logger.warn('Previous run still in progress, skipping', {
+        configId,
+        vendor: entry.config.vendor_name,
+        runningSince: entry.lastRunAt
+      });
+      return;
+    }
+
+    entry.running = true;
+    this.inFlight.add(configId);
+    entry.lastRunAt = new Date(now);
+
+    try {
+      const result = await this.orchestrator.runConfig(entry.config);
+      entry.lastStatus = result?.status || null;
+    } catch (error) {
+      entry.lastStatus = 'FAILED';
+      this.logger.error('Scheduled run failed', { configId, error: error.message });
+    } finally {
+      this.recordRun(entry.lastStatus);
+      entry.running = false;
+      this.inFlight.delete(configId);
+      entry.lastFinishedAt = new Date();
+    }
+  }
+
+  getStatus() {
+    return [...this.schedules.values()].map(entry => ({
+      configId: entry.config.cac_config_id,
+      vendor: entry.config.vendor_name,
+      outlet: entry.config.cac_outlet_id,
+      terminal: entry.config.com_terminal,
+      intervalMinutes: entry.intervalMinutes,
+      running: entry.running,
+      nextDueAt: entry.nextDueAt,
+      lastRunAt: entry.lastRunAt,
+      lastFinishedAt: entry.lastFinishedAt,
+      lastStatus: entry.lastStatus,
+      skippedOverlaps: entry.skippedOverlaps
+    }));
+  }
+}
+
+module.exports = SyncScheduler;
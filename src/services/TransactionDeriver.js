@@ -0,0 +1,72 @@
+const createLogger = require('../config/logger');
+const {
+  DERIVED_FIELDS,
+  DEFAULT_POLICY,
+  isMissing,
+  sameValue
+} = require('../utils/derivedFields');
+
+/**
+ * Runs after mapping: fills the computed raw_transactions columns
+ * (net_amount, item_count, avg_item_price, tender_types, payment_summary,
+ * tax_breakdown) from the mapped header, items and payments, following the
+ * vendor's derived_fields policies (see utils/derivedFields).
+ *
+ * Mismatches under derive_and_flag are kept on the transaction's meta as
+ * derivation_mismatches: [{ field, vendor_value, derived_value }].
+ */
+class TransactionDeriver {
+  constructor(config) {
+    this.config = config;
+    this.policies = config.derived_fields || {};
+    this.logger = createLogger(config.vendor_name || 'TransactionDeriver');
+  }
+
+  policyFor(field) {
+    return this.policies[field] || DEFAULT_POLICY;
+  }
+
+  /**
+   * Derive fields on every transaction in place. Returns the transactions
+   * and stats: { derived: { field: count }, mismatches: { field: count } }.
+   */
+  derive(transactions) {
+    const stats = { derived: {}, mismatches: {} };
+    const count = (group, field) => { stats[group][field] = (stats[group][field] || 0) + 1; };
+
+    for (const transaction of transactions) {
+      const mismatches = [];
+
+      for (const [field, compute] of Object.entries(DERIVED_FIELDS)) {
+        const policy = this.policyFor(field);
+        const vendorValue = transaction[field];
+        if (policy === 'vendor' && !isMissing(vendorValue)) continue;
+
+        const derived = compute(transaction);
+        if (derived === null) continue;
+
+        if (policy === 'derive_and_flag' && !isMissing(vendorValue) && !sameValue(vendorValue, derived)) {
+          mismatches.push({ field, vendor_value: vendorValue, derived_value: derived });
+          count('mismatches', field);
+        }
+        transaction[field] = derived;
+        count('derived', field);
+      }
+
+      if (mismatches.length > 0) {
+        transaction.meta = { ...(transaction.meta || {}), derivation_mismatches: mismatches };
+        this.logger.warn('Vendor values differ from derived values', {
+          invoice_no: transaction.invoice_no,
+          mismatches
+        });
+      }
+    }
+
+    if (Object.keys(stats.derived).length > 0) {
+      this.logger.info('Derived transaction fields', stats);
+    }
+    return { transactions, stats };
+  }
+}
+
+module.exports = TransactionDeriver;
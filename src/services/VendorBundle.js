@@ -0,0 +1,490 @@
+const YAML = require('yaml');
+const { v4: uuidv4 } = require('uuid');
+const pool = require('../config/database');
+const createLogger = require('../config/logger');
+const ConfigModel = require('../models/configModel');
+const MappingVersionModel = require('../models/mappingVersionModel');
+const { isKnownSourceType, validateConnectorConfig } = require('../connectors');
+const { CONFIG_COLUMNS, JSON_CONFIG_COLUMNS, toColumnValue } = require('../utils/configColumns');
+const { MAPPING_FIELDS, MAPPING_TABLES, mappingKey, diffMapping } = require('../utils/fieldMappings');
+const { assertJsonPath, assertMappingPath } = require('../utils/jsonPath');
+const { assertTransformRule } = require('../utils/transformRules');
+const { derivedFieldProblems, isMissing } = require('../utils/derivedFields');
+const { rollupProblems } = require('../utils/totalsRollup');
+const { isValidTimezone, dateFormatProblems } = require('../utils/dateTime');
+const {
+  decryptConfigSecrets,
+  encryptConfigSecrets,
+  exportConfigSecrets,
+  importConfigSecrets
+} = require('../utils/secrets');
+
+const BUNDLE_VERSION = 1;
+
+const VENDOR_FIELDS = ['vendor_name', 'contact_email', 'contact_phone', 'base_format', 'remarks', 'derived_fields'];
+const OUTLET_FIELDS = ['com_outlet_code', 'com_terminal', 'com_gate', 'brand_name', 'com_is_active'];
+// Stamped on every ingested transaction: carried over on create, never changed on update
+const OUTLET_IDENTITY_FIELDS = ['com_outlet_id', 'com_brand_id'];
+// cac_customer_id is the vendor id, which differs between databases
+const CONFIG_FIELDS = CONFIG_COLUMNS.filter(column => column !== 'cac_customer_id');
+
+// Same defaults as POST /configs, for configs that leave them out
+const CONFIG_DEFAULTS = { cac_sync_interval_minutes: 5, cac_is_active: true };
+
+// Written in place of the vendor's own id (e.g. in cac_pos_vendor) so a
+// bundle can be imported into a database where the vendor has another id
+const VENDOR_ID_PLACEHOLDER = '{{VENDOR_ID}}';
+
+const pick = (row, fields) =>
+  Object.fromEntries(fields.filter(field => row[field] !== undefined).map(field => [field, row[field]]));
+
+const parseJson = (value) => {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+};
+
+// Key order and number/string/boolean representation differ between JSON,
+// YAML and pg, so values are compared in a canonical text form
+const canonical = (value) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return String(value);
+};
+
+const diffValues = (current, incoming, fields, display = (values) => values) => {
+  const changed = fields.filter(field => incoming[field] !== undefined && canonical(current[field]) !== canonical(incoming[field]));
+  if (changed.length === 0) return {};
+
+  const from = display(pick(current, changed));
+  const to = display(pick(incoming, changed));
+  return Object.fromEntries(changed.map(field => [field, { from: from[field] ?? null, to: to[field] ?? null }]));
+};
+
+const outletKey = (outlet) => `${outlet.com_outlet_code}|${outlet.com_terminal}`;
+const configKey = (config) => `${config.cac_outlet_id}|${config.cac_pos_vendor}`;
+
+// Secrets never appear in a preview, only whether they change
+const maskSecrets = (config) => exportConfigSecrets(config, null);
+
+const countActions = (entries) =>
+  entries.reduce((counts, entry) => ({ ...counts, [entry.action]: (counts[entry.action] || 0) + 1 }), {});
+
+/**
+ * A vendor's onboarding rows (pos_vendor_master, customer_outlet_mapping,
+ * customer_api_configs and its own pos_vendor_field_mapping rows) as one
+ * portable JSON/YAML bundle. Rows are matched on natural keys rather than
+ * ids, so importing the same bundle twice changes nothing the second time:
+ *
+ *   vendor          vendor_name
+ *   outlets         com_outlet_code + com_terminal
+ *   configs         cac_outlet_id + cac_pos_vendor
+ *   field_mappings  pvfm_tablename + pvfm_source_field
+ *
+ * plan() only computes the creates and updates; apply() writes them.
+ */
+class VendorBundle {
+  constructor() {
+    this.logger = createLogger('vendor-bundle');
+  }
+
+  /**
+   * Read a bundle from JSON or YAML text (format 'auto' tries JSON first).
+   */
+  static parse(text, format = 'auto') {
+    try {
+      if (format === 'json' || (format === 'auto' && /^\s*[{[]/.test(text))) return JSON.parse(text);
+      return YAML.parse(text);
+    } catch (error) {
+      const wrapped = new Error(`Bundle is not valid ${format === 'auto' ? 'JSON or YAML' : format.toUpperCase()}: ${error.message}`);
+      wrapped.code = 'INVALID_BUNDLE';
+      throw wrapped;
+    }
+  }
+
+  static serialize(bundle, format = 'json') {
+    return format === 'yaml'
+      ? YAML.stringify(bundle, { aliasDuplicateObjects: false, lineWidth: 0 })
+      : `${JSON.stringify(bundle, null, 2)}\n`;
+  }
+
+  /**
+   * Bundle for one vendor, or null when it does not exist. Secrets are
+   * encrypted under `passphrase`, or omitted when none is given.
+   */
+  async export(vendorId, { passphrase = null } = {}) {
+    const vendorResult = await pool.query('SELECT * FROM pos_vendor_master WHERE vendor_id::text = $1', [vendorId]);
+    const vendor = vendorResult.rows[0];
+    if (!vendor) return null;
+
+    const [template, outlets, configs, mappings] = await Promise.all([
+      vendor.mapping_template_id
+        ? pool.query('SELECT mt_name FROM mapping_templates WHERE mt_template_id = $1', [vendor.mapping_template_id])
+        : { rows: [] },
+      pool.query('SELECT * FROM customer_outlet_mapping WHERE com_customer_id = $1 ORDER BY com_outlet_code, com_terminal', [vendorId]),
+      pool.query('SELECT * FROM customer_api_configs WHERE cac_customer_id = $1 ORDER BY cac_outlet_id, cac_pos_vendor', [vendorId]),
+      ConfigModel.getVendorFieldMappings(vendorId)
+    ]);
+
+    return {
+      bundle_version: BUNDLE_VERSION,
+      exported_at: new Date().toISOString(),
+      secrets: passphrase ? 'encrypted' : 'omitted',
+      vendor: {
+        ...pick(vendor, VENDOR_FIELDS),
+        mapping_template: template.rows[0]?.mt_name ?? null
+      },
+      outlets: outlets.rows.map(outlet => pick(outlet, [...OUTLET_FIELDS, ...OUTLET_IDENTITY_FIELDS])),
+      configs: configs.rows.map(row => {
+        const config = pick(exportConfigSecrets(decryptConfigSecrets(row), passphrase), CONFIG_FIELDS);
+        for (const column of JSON_CONFIG_COLUMNS) {
+          if (column in config) config[column] = parseJson(config[column]);
+        }
+        if (config.cac_pos_vendor === vendorId) config.cac_pos_vendor = VENDOR_ID_PLACEHOLDER;
+        return config;
+      }),
+      field_mappings: mappings.map(mapping => pick(mapping, ['pvfm_tablename', 'pvfm_source_field', ...MAPPING_FIELDS]))
+    };
+  }
+
+  /**
+   * Structural problems with a bundle, as [{ path, msg }].
+   */
+  validate(bundle) {
+    const errors = [];
+    const error = (path, msg) => errors.push({ path, msg });
+    const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+    if (!bundle || typeof bundle !== 'object' || Array.isArray(bundle)) {
+      error('', 'Bundle must be an object');
+      return errors;
+    }
+    if (bundle.bundle_version !== BUNDLE_VERSION) {
+      error('bundle_version', `Unsupported bundle version, expected ${BUNDLE_VERSION}`);
+    }
+    if (!isText(bundle.vendor?.vendor_name)) {
+      error('vendor.vendor_name', 'Vendor name is required');
+    }
+    for (const problem of derivedFieldProblems(bundle.vendor?.derived_fields)) {
+      error(problem.field ? `vendor.derived_fields.${problem.field}` : 'vendor.derived_fields', problem.message);
+    }
+
+    const checkList = (name, keyOf, checkEntry) => {
+      const entries = bundle[name] ?? [];
+      if (!Array.isArray(entries)) {
+        error(name, `${name} must be an array`);
+        return;
+      }
+      const seen = new Map();
+      entries.forEach((entry, i) => {
+        const path = `${name}[${i}]`;
+        if (!entry || typeof entry !== 'object') {
+          error(path, 'Must be an object');
+          return;
+        }
+        checkEntry(entry, path);
+        const key = keyOf(entry);
+        if (seen.has(key)) error(path, `Duplicates ${name}[${seen.get(key)}] (${key})`);
+        else seen.set(key, i);
+      });
+    };
+
+    checkList('outlets', outletKey, (outlet, path) => {
+      if (!isText(outlet.com_outlet_code)) error(`${path}.com_outlet_code`, 'Outlet code is required');
+      if (!isText(outlet.com_terminal)) error(`${path}.com_terminal`, 'Terminal is required');
+    });
+
+    checkList('configs', configKey, (config, path) => {
+      if (!isText(config.cac_outlet_id)) error(`${path}.cac_outlet_id`, 'Outlet ID is required');
+      if (!isText(config.cac_pos_vendor)) error(`${path}.cac_pos_vendor`, 'POS vendor is required');
+      if (!isKnownSourceType(config.cac_jsonordb)) {
+        error(`${path}.cac_jsonordb`, 'Invalid source type');
+        return;
+      }
+      for (const problem of validateConnectorConfig(config)) error(`${path}.${problem.path}`, problem.msg);
+      for (const problem of rollupProblems(parseJson(config.cac_totals_rollup))) {
+        error(problem.field ? `${path}.cac_totals_rollup.${problem.field}` : `${path}.cac_totals_rollup`, problem.message);
+      }
+      if (!isMissing(config.cac_source_timezone) && !isValidTimezone(config.cac_source_timezone)) {
+        error(`${path}.cac_source_timezone`, 'Must be an IANA timezone such as Asia/Kolkata');
+      }
+      for (const problem of dateFormatProblems(parseJson(config.cac_date_formats))) {
+        error(problem.index === null ? `${path}.cac_date_formats` : `${path}.cac_date_formats[${problem.index}]`, problem.message);
+      }
+    });
+
+    checkList('field_mappings', mappingKey, (mapping, path) => {
+      if (!MAPPING_TABLES.includes(mapping.pvfm_tablename)) {
+        error(`${path}.pvfm_tablename`, `pvfm_tablename must be one of ${MAPPING_TABLES.join(', ')}`);
+      }
+      if (!isText(mapping.pvfm_source_field)) error(`${path}.pvfm_source_field`, 'pvfm_source_field is required');
+      for (const [field, check] of [
+        ['pvfm_json_path', assertMappingPath],
+        ['pvfm_row_root_json_path', assertJsonPath],
+        ['pvfm_transform_rule', assertTransformRule]
+      ]) {
+        try {
+          check(mapping[field]);
+        } catch (problem) {
+          error(`${path}.${field}`, problem.message);
+        }
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Match a bundle against the database. Returns { preview, operations }:
+   * the preview (creates, updates and warnings, secrets masked) is safe to
+   * show; operations carry the values apply() writes.
+   */
+  async plan(bundle, { passphrase = null } = {}) {
+    const errors = this.validate(bundle);
+    if (errors.length > 0) {
+      const error = new Error('Bundle failed validation');
+      error.code = 'INVALID_BUNDLE';
+      error.errors = errors;
+      throw error;
+    }
+
+    const warnings = [];
+    const vendor = await this.planVendor(bundle.vendor, warnings);
+    const vendorId = vendor.vendor_id;
+
+    const [outlets, configs, fieldMappings] = await Promise.all([
+      this.planOutlets(bundle.outlets ?? [], vendorId),
+      this.planConfigs(bundle.configs ?? [], vendorId, passphrase, warnings),
+      this.planFieldMappings(bundle.field_mappings ?? [], vendorId)
+    ]);
+
+    const outletCodes = new Set([
+      ...outlets.map(outlet => outlet.values.com_outlet_code),
+      ...outlets.flatMap(outlet => outlet.current ? [outlet.current.com_outlet_code] : [])
+    ]);
+    for (const config of configs) {
+      if (!outletCodes.has(config.values.cac_outlet_id)) {
+        warnings.push(`Config ${config.key} has no outlet with code ${config.values.cac_outlet_id}`);
+      }
+    }
+
+    const describe = ({ key, action, id, changes }) => ({ key, action, id, ...(changes && { changes }) });
+    const preview = {
+      vendor: { action: vendor.action, vendor_id: vendorId, vendor_name: vendor.values.vendor_name, changes: vendor.changes },
+      outlets: outlets.map(describe),
+      configs: configs.map(describe),
+      field_mappings: fieldMappings.entries.map(describe),
+      kept_field_mappings: fieldMappings.kept,
+      summary: {
+        vendor: vendor.action,
+        outlets: countActions(outlets),
+        configs: countActions(configs),
+        field_mappings: countActions(fieldMappings.entries)
+      },
+      warnings
+    };
+
+    return { preview, operations: { vendor, outlets, configs, fieldMappings: fieldMappings.entries } };
+  }
+
+  async planVendor(entry, warnings) {
+    const values = pick(entry, VENDOR_FIELDS);
+
+    // Templates are shared, so they are linked by name and never created here
+    if (entry.mapping_template === null) {
+      values.mapping_template_id = null;
+    } else if (entry.mapping_template !== undefined) {
+      const template = await pool.query('SELECT mt_template_id FROM mapping_templates WHERE mt_name = $1', [entry.mapping_template]);
+      if (template.rows[0]) {
+        values.mapping_template_id = template.rows[0].mt_template_id;
+      } else {
+        warnings.push(`Mapping template "${entry.mapping_template}" does not exist here; the template link is left unchanged`);
+      }
+    }
+
+    const result = await pool.query('SELECT * FROM pos_vendor_master WHERE vendor_name = $1', [values.vendor_name]);
+    const current = result.rows[0];
+    if (!current) {
+      return { action: 'create', vendor_id: uuidv4(), values };
+    }
+
+    const changes = diffValues(current, values, [...VENDOR_FIELDS, 'mapping_template_id']);
+    return {
+      action: Object.keys(changes).length > 0 ? 'update' : 'unchanged',
+      vendor_id: current.vendor_id,
+      values,
+      changes
+    };
+  }
+
+  async planOutlets(entries, vendorId) {
+    const result = await pool.query('SELECT * FROM customer_outlet_mapping WHERE com_customer_id = $1', [vendorId]);
+    const existing = new Map(result.rows.map(row => [outletKey(row), row]));
+
+    return entries.map(entry => {
+      const key = outletKey(entry);
+      const values = pick(entry, [...OUTLET_FIELDS, ...OUTLET_IDENTITY_FIELDS]);
+      const current = existing.get(key);
+      if (!current) return { key, action: 'create', values };
+
+      const changes = diffValues(current, values, OUTLET_FIELDS);
+      return {
+        key,
+        action: Object.keys(changes).length > 0 ? 'update' : 'unchanged',
+        id: current.com_id,
+        current,
+        values,
+        changes
+      };
+    });
+  }
+
+  async planConfigs(entries, vendorId, passphrase, warnings) {
+    const result = await pool.query('SELECT * FROM customer_api_configs WHERE cac_customer_id = $1', [vendorId]);
+    const existing = new Map(result.rows.map(row => [configKey(row), row]));
+
+    return entries.map((entry, i) => {
+      const resolved = { ...entry };
+      if (resolved.cac_pos_vendor === VENDOR_ID_PLACEHOLDER) resolved.cac_pos_vendor = vendorId;
+
+      const key = configKey(resolved);
+      const row = existing.get(key);
+      const current = row ? decryptConfigSecrets(row) : null;
+
+      const { config, missing } = importConfigSecrets(pick(resolved, CONFIG_FIELDS), { passphrase, existing: current });
+      for (const path of missing) {
+        warnings.push(`configs[${i}] (${key}): ${path} is not in the bundle and must be set after import`);
+      }
+
+      if (!current) return { key, action: 'create', values: config };
+
+      const changes = diffValues(current, config, CONFIG_FIELDS, maskSecrets);
+      return {
+        key,
+        action: Object.keys(changes).length > 0 ? 'update' : 'unchanged',
+        id: current.cac_config_id,
+        values: config,
+        changes
+      };
+    });
+  }
+
+  async planFieldMappings(entries, vendorId) {
+    const existing = new Map((await ConfigModel.getVendorFieldMappings(vendorId)).map(row => [mappingKey(row), row]));
+
+    const planned = entries.map(entry => {
+      const key = mappingKey(entry);
+      const current = existing.get(key);
+      existing.delete(key);
+      if (!current) return { key, action: 'create', values: entry };
+
+      const changes = diffMapping(current, entry);
+      return {
+        key,
+        action: Object.keys(changes).length > 0 ? 'update' : 'unchanged',
+        id: current.pvfm_mapping_id,
+        values: entry,
+        changes
+      };
+    });
+
+    // Mappings the bundle does not mention are left alone
+    return { entries: planned, kept: [...existing.keys()] };
+  }
+
+  /**
+   * Write a plan in one transaction, versioning the vendor's field mappings.
+   */
+  async apply({ preview, operations }, meta) {
+    const { vendor, outlets, configs, fieldMappings } = operations;
+    const vendorId = vendor.vendor_id;
+
+    await MappingVersionModel.track([vendorId], meta, async (client) => {
+      if (vendor.action === 'create') {
+        await this.insert(client, 'pos_vendor_master', { vendor_id: vendorId, ...vendor.values });
+      } else if (vendor.action === 'update') {
+        await this.update(client, 'pos_vendor_master', 'vendor_id', vendorId, pick(vendor.values, Object.keys(vendor.changes)), 'updated_at');
+      }
+
+      for (const outlet of outlets) {
+        if (outlet.action === 'create') {
+          await this.insert(client, 'customer_outlet_mapping', {
+            com_id: uuidv4(),
+            com_customer_id: vendorId,
+            ...outlet.values,
+            com_outlet_id: outlet.values.com_outlet_id || uuidv4(),
+            com_brand_id: outlet.values.com_brand_id || uuidv4(),
+            com_is_active: outlet.values.com_is_active !== false
+          });
+        } else if (outlet.action === 'update') {
+          await this.update(client, 'customer_outlet_mapping', 'com_id', outlet.id, pick(outlet.values, Object.keys(outlet.changes)), 'com_updated_at');
+        }
+      }
+
+      for (const config of configs) {
+        const values = encryptConfigSecrets(config.values);
+        const row = Object.fromEntries(Object.entries(values).map(([column, value]) => [column, toColumnValue(column, value)]));
+        if (config.action === 'create') {
+          await this.insert(client, 'customer_api_configs', {
+            cac_config_id: uuidv4(),
+            cac_customer_id: vendorId,
+            ...CONFIG_DEFAULTS,
+            ...row
+          });
+        } else if (config.action === 'update') {
+          await this.update(client, 'customer_api_configs', 'cac_config_id', config.id, pick(row, Object.keys(config.changes)), 'cac_updated_at');
+        }
+      }
+
+      for (const mapping of fieldMappings) {
+        const values = Object.fromEntries(MAPPING_FIELDS.map(field => [
+          field,
+          field === 'pvfm_is_required' ? Boolean(mapping.values[field]) : mapping.values[field] ?? null
+        ]));
+        if (mapping.action === 'create') {
+          await this.insert(client, 'pos_vendor_field_mapping', {
+            pvfm_mapping_id: uuidv4(),
+            pvfm_vendor_id: vendorId,
+            pvfm_tablename: mapping.values.pvfm_tablename,
+            pvfm_source_field: mapping.values.pvfm_source_field,
+            ...values
+          });
+        } else if (mapping.action === 'update') {
+          await this.update(client, 'pos_vendor_field_mapping', 'pvfm_mapping_id', mapping.id, values, 'pvfm_updated_at');
+        }
+      }
+    });
+
+    this.logger.info('Vendor bundle imported', { vendor_id: vendorId, vendor_name: preview.vendor.vendor_name, ...preview.summary });
+  }
+
+  async insert(client, table, row) {
+    const columns = Object.keys(row);
+    await client.query(
+      `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})`,
+      Object.values(row)
+    );
+  }
+
+  async update(client, table, idColumn, id, changes, updatedAtColumn) {
+    const columns = Object.keys(changes);
+    if (columns.length === 0) return;
+    await client.query(
+      `UPDATE ${table} SET ${columns.map((column, i) => `${column} = $${i + 2}`).join(', ')}, ${updatedAtColumn} = NOW()
+       WHERE ${idColumn} = $1`,
+      [id, ...Object.values(changes)]
+    );
+  }
+}
+
+VendorBundle.BUNDLE_VERSION = BUNDLE_VERSION;
+VendorBundle.VENDOR_ID_PLACEHOLDER = VENDOR_ID_PLACEHOLDER;
+
+module.exports = VendorBundle;
@@ -3,12 +3,51 @@ const path = require('path');
 const pool = require('../config/database');
 const createLogger = require('../config/logger');
 const { v4: uuidv4 } = require('uuid');
-const { encrypt } = require('../utils/encryption');
+const { loadVendorManifest } = require('../config/vendorManifest');
+const MappingSuggester = require('./MappingSuggester');
+const MappingVersionModel = require('../models/mappingVersionModel');
+const VendorBundle = require('./VendorBundle');
+
+// Only confident name matches are seeded; the rest are left for review
+const SEED_MIN_CONFIDENCE = 0.6;
+
+// Gate the old pipe-delimited file defaulted to when a terminal names none
+const DEFAULT_GATE = 'GATE01';
+
+/**
+ * A manifest vendor as a VendorBundle, so seeding shares the bundle
+ * import's matching: one outlet row per terminal, one config per outlet.
+ */
+const toBundle = (vendor) => ({
+  bundle_version: VendorBundle.BUNDLE_VERSION,
+  vendor: {
+    vendor_name: vendor.name,
+    ...Object.fromEntries(['contact_email', 'contact_phone', 'base_format', 'remarks']
+      .filter(field => vendor[field] !== undefined)
+      .map(field => [field, vendor[field]])),
+    ...(vendor.mapping_template !== undefined && { mapping_template: vendor.mapping_template }),
+    ...(vendor.derived_fields !== undefined && { derived_fields: vendor.derived_fields })
+  },
+  outlets: vendor.outlets.flatMap(outlet => outlet.terminals.map(terminal => ({
+    com_outlet_code: outlet.code,
+    com_terminal: terminal.name,
+    com_gate: terminal.gate ?? outlet.gate ?? DEFAULT_GATE,
+    brand_name: outlet.brand_name ?? vendor.name,
+    com_is_active: terminal.active ?? outlet.active ?? true
+  }))),
+  configs: vendor.outlets.filter(outlet => outlet.config).map(outlet => ({
+    cac_pos_vendor: VendorBundle.VENDOR_ID_PLACEHOLDER,
+    ...outlet.config,
+    cac_outlet_id: outlet.code
+  })),
+  field_mappings: []
+});
 
 class VendorDataSeeder {
   constructor() {
     this.logger = createLogger('vendor-seeder');
-    this.vendorFilePath = path.join(__dirname, '../../vendor_details/vendordetails.txt');
+    this.bundles = new VendorBundle();
+    this.samplesDir = path.join(__dirname, '../../vendor_details/samples');
   }
 
   async seedVendorData() {
@@ -16,60 +55,70 @@ class VendorDataSeeder {
     this.logger.info('Starting vendor data seeding process');
 
     try {
-      // Step 1: Read vendor details file
-      const vendorData = await this.readVendorFile();
-      
-      if (!vendorData || vendorData.length === 0) {
-        console.log('⚠️  No vendor data found in vendordetails.txt');
-        this.logger.warn('No vendor data found in file');
+      // Step 1: Read and validate the vendor manifest
+      let manifest;
+      try {
+        manifest = await loadVendorManifest();
+      } catch (error) {
+        if (error.code !== 'INVALID_MANIFEST') throw error;
+        this.logger.error('Vendor manifest is invalid', { file: error.file, errors: error.errors });
+        console.error(`\n❌ ${error.message}\n`);
+        return { success: false, message: 'Vendor manifest is invalid', errors: error.errors };
+      }
+
+      if (!manifest || manifest.vendors.length === 0) {
+        console.log('⚠️  No vendor manifest found in vendor_details (vendors.yaml)');
+        this.logger.warn('No vendors to seed', { file: manifest?.file ?? null });
         return { success: true, message: 'No vendor data to seed' };
       }
 
-      console.log(`📄 Found ${vendorData.length} vendor configuration(s) in file\n`);
-      this.logger.info(`Found ${vendorData.length} vendor configurations`);
+      const source = path.basename(manifest.file);
+      console.log(`📄 Found ${manifest.vendors.length} vendor(s) in ${source}\n`);
+      this.logger.info(`Found ${manifest.vendors.length} vendors`, { file: manifest.file });
 
       // Step 2: Process each vendor
-      let insertedCount = 0;
-      let existingCount = 0;
+      let createdCount = 0;
+      let updatedCount = 0;
+      let unchangedCount = 0;
       let errorCount = 0;
 
-      for (const vendor of vendorData) {
+      for (const vendor of manifest.vendors) {
         try {
-          const result = await this.processVendor(vendor);
-          if (result.inserted) {
-            insertedCount += result.insertedRecords;
-          }
-          if (result.existing) {
-            existingCount++;
-          }
+          const result = await this.processVendor(vendor, source);
+          createdCount += result.created;
+          updatedCount += result.updated;
+          if (result.created === 0 && result.updated === 0) unchangedCount++;
         } catch (error) {
           errorCount++;
-          this.logger.error('Failed to process vendor', { vendor, error: error.message });
-          console.error(`❌ Failed to process vendor ${vendor.vendor_name}: ${error.message}`);
+          this.logger.error('Failed to process vendor', { vendor: vendor.name, error: error.message, errors: error.errors });
+          console.error(`❌ Failed to process vendor ${vendor.name}: ${error.message}`);
         }
       }
 
       // Step 3: Summary
       console.log('\n━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
       console.log('📊 Vendor Data Seeding Summary:');
-      console.log(`   ✅ Vendors processed: ${vendorData.length}`);
-      console.log(`   ➕ New records inserted: ${insertedCount}`);
-      console.log(`   ✓ Existing vendors: ${existingCount}`);
+      console.log(`   ✅ Vendors processed: ${manifest.vendors.length}`);
+      console.log(`   ➕ Records created: ${createdCount}`);
+      console.log(`   ✏️  Records updated: ${updatedCount}`);
+      console.log(`   ✓ Unchanged vendors: ${unchangedCount}`);
       console.log(`   ❌ Errors: ${errorCount}`);
       console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n');
 
       this.logger.info('Vendor data seeding completed', {
-        total: vendorData.length,
-        inserted: insertedCount,
-        existing: existingCount,
+        total: manifest.vendors.length,
+        created: createdCount,
+        updated: updatedCount,
+        unchanged: unchangedCount,
         errors: errorCount
       });
 
       return {
         success: errorCount === 0,
-        total: vendorData.length,
-        inserted: insertedCount,
-        existing: existingCount,
+        total: manifest.vendors.length,
+        created: createdCount,
+        updated: updatedCount,
+        unchanged: unchangedCount,
         errors: errorCount
       };
 
@@ -80,229 +129,49 @@ class VendorDataSeeder {
     }
   }
 
-  async readVendorFile() {
-    try {
-      const fileContent = await fs.readFile(this.vendorFilePath, 'utf-8');
-      const lines = fileContent.split('\n').filter(line => line.trim() && !line.startsWith('#'));
-      
-      const vendors = [];
-      
-      for (const line of lines) {
-        const parts = line.split('|').map(p => p.trim());
-        
-        if (parts.length >= 3) {
-          vendors.push({
-            vendor_name: parts[0],
-            outlet_name: parts[1],
-            terminal_name: parts[2],
-            customer_id: parts[3] || `CUST_${parts[0].replace(/\s+/g, '_').toUpperCase()}`,
-            outlet_code: parts[4] || `OUTLET_${parts[1].replace(/\s+/g, '_').toUpperCase()}`,
-            brand_name: parts[5] || parts[0],
-            gate: parts[6] || 'GATE01',
-            api_url: parts[7] || null,
-            db_host: parts[8] || null,
-            db_port: parts[9] ? parseInt(parts[9]) : null,
-            db_name: parts[10] || null,
-            source_type: parts[11] || 'api'
-          });
-        }
-      }
-
-      return vendors;
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        this.logger.warn('Vendor details file not found', { path: this.vendorFilePath });
-        console.log(`⚠️  Vendor details file not found: ${this.vendorFilePath}`);
-        return [];
-      }
-      throw error;
-    }
-  }
-
-  async processVendor(vendorData) {
-    console.log(`\n🔍 Processing: ${vendorData.vendor_name} - ${vendorData.outlet_name} - ${vendorData.terminal_name}`);
-    
-    let insertedRecords = 0;
-    let isExisting = true;
-
-    // Step 1: Check and insert vendor master
-    const vendorId = await this.ensureVendorMaster(vendorData);
-    if (vendorId.inserted) {
-      insertedRecords++;
-      isExisting = false;
-    }
-
-    // Step 2: Check and insert outlet mapping
-    const outletMappingId = await this.ensureOutletMapping(vendorData, vendorId.id);
-    if (outletMappingId.inserted) {
-      insertedRecords++;
-      isExisting = false;
+  /**
+   * Create or update one vendor's master, outlet and config rows to match
+   * the manifest. Resolves to { created, updated } record counts.
+   */
+  async processVendor(vendor, source) {
+    console.log(`\n🔍 Processing: ${vendor.name} (${vendor.outlets.length} outlet(s))`);
+
+    const plan = await this.bundles.plan(toBundle(vendor));
+    const { preview } = plan;
+    for (const warning of preview.warnings) {
+      this.logger.warn('Manifest warning', { vendor: vendor.name, warning });
+      console.log(`   ⚠️  ${warning}`);
     }
 
-    // Step 3: Check and insert API config
-    const configId = await this.ensureApiConfig(vendorData, vendorId.id, outletMappingId.outlet_id, outletMappingId.brand_id);
-    if (configId.inserted) {
-      insertedRecords++;
-      isExisting = false;
+    const entries = [
+      { ...preview.vendor, label: 'vendor' },
+      ...preview.outlets.map(outlet => ({ ...outlet, label: `outlet ${outlet.key.replace('|', ' / ')}` })),
+      ...preview.configs.map((config, i) => ({ ...config, label: `config for ${plan.operations.configs[i].values.cac_outlet_id}` }))
+    ];
+    let created = entries.filter(entry => entry.action === 'create').length;
+    const updated = entries.filter(entry => entry.action === 'update').length;
+
+    if (created + updated > 0) {
+      await this.bundles.apply(plan, { author: 'seeder', reason: `Seeded from ${source}` });
+      for (const entry of entries.filter(e => e.action !== 'unchanged')) {
+        const changed = entry.changes ? ` (${Object.keys(entry.changes).join(', ')})` : '';
+        console.log(`   ${entry.action === 'create' ? '➕ Created' : '✏️  Updated'} ${entry.label}${changed}`);
+      }
     }
 
-    // Step 4: Check and insert field mappings (default mappings)
-    const mappingsInserted = await this.ensureFieldMappings(vendorId.id);
-    if (mappingsInserted > 0) {
-      insertedRecords += mappingsInserted;
-      isExisting = false;
-    }
+    // Field mappings (suggested from a sample payload) only for vendors without any
+    created += await this.ensureFieldMappings(preview.vendor.vendor_id, vendor.name);
 
-    if (isExisting) {
-      console.log(`   ✓ All records already exist`);
+    if (created + updated === 0) {
+      console.log('   ✓ All records up to date');
     } else {
-      console.log(`   ✅ Inserted ${insertedRecords} new record(s)`);
-    }
-
-    return { inserted: !isExisting, existing: isExisting, insertedRecords };
-  }
-
-  async ensureVendorMaster(vendorData) {
-    const checkQuery = 'SELECT vendor_id FROM pos_vendor_master WHERE vendor_name = $1';
-    const checkResult = await pool.query(checkQuery, [vendorData.vendor_name]);
-
-    if (checkResult.rows.length > 0) {
-      this.logger.debug('Vendor master exists', { vendor_name: vendorData.vendor_name });
-      return { id: checkResult.rows[0].vendor_id, inserted: false };
-    }
-
-    // Insert new vendor
-    const vendorId = uuidv4();
-    const insertQuery = `
-      INSERT INTO pos_vendor_master (vendor_id, vendor_name, contact_email, remarks)
-      VALUES ($1, $2, $3, $4)
-      RETURNING vendor_id
-    `;
-    
-    await pool.query(insertQuery, [
-      vendorId,
-      vendorData.vendor_name,
-      `contact@${vendorData.vendor_name.toLowerCase().replace(/\s+/g, '')}.com`,
-      `Auto-seeded from vendor details file`
-    ]);
-
-    this.logger.info('Vendor master created', { vendor_id: vendorId, vendor_name: vendorData.vendor_name });
-    console.log(`   ➕ Created vendor master: ${vendorData.vendor_name}`);
-    
-    return { id: vendorId, inserted: true };
-  }
-
-  async ensureOutletMapping(vendorData, vendorId) {
-    const checkQuery = `
-      SELECT com_id, com_outlet_id, com_brand_id 
-      FROM customer_outlet_mapping 
-      WHERE com_customer_id = $1 AND com_outlet_code = $2 AND com_terminal = $3
-    `;
-    const checkResult = await pool.query(checkQuery, [
-      vendorData.customer_id,
-      vendorData.outlet_code,
-      vendorData.terminal_name
-    ]);
-
-    if (checkResult.rows.length > 0) {
-      this.logger.debug('Outlet mapping exists', { outlet_code: vendorData.outlet_code });
-      return {
-        id: checkResult.rows[0].com_id,
-        outlet_id: checkResult.rows[0].com_outlet_id,
-        brand_id: checkResult.rows[0].com_brand_id,
-        inserted: false
-      };
-    }
-
-    // Insert new outlet mapping
-    const mappingId = uuidv4();
-    const outletId = uuidv4();
-    const brandId = uuidv4();
-    
-    const insertQuery = `
-      INSERT INTO customer_outlet_mapping (
-        com_id, com_customer_id, com_outlet_code, com_outlet_id, com_brand_id,
-        com_terminal, com_gate, brand_name, com_is_active
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-      RETURNING com_id, com_outlet_id, com_brand_id
-    `;
-    
-    const result = await pool.query(insertQuery, [
-      mappingId,
-      vendorData.customer_id,
-      vendorData.outlet_code,
-      outletId,
-      brandId,
-      vendorData.terminal_name,
-      vendorData.gate,
-      vendorData.brand_name,
-      true
-    ]);
-
-    this.logger.info('Outlet mapping created', { mapping_id: mappingId, outlet: vendorData.outlet_name });
-    console.log(`   ➕ Created outlet mapping: ${vendorData.outlet_name}`);
-    
-    return {
-      id: result.rows[0].com_id,
-      outlet_id: result.rows[0].com_outlet_id,
-      brand_id: result.rows[0].com_brand_id,
-      inserted: true
-    };
-  }
-
-  async ensureApiConfig(vendorData, vendorId, outletId, brandId) {
-    const checkQuery = `
-      SELECT cac_config_id 
-      FROM customer_api_configs 
-      WHERE cac_customer_id = $1 AND cac_outlet_id = $2 AND cac_pos_vendor = $3
-    `;
-    const checkResult = await pool.query(checkQuery, [
-      vendorData.customer_id,
-      vendorData.outlet_code,
-      vendorId
-    ]);
-
-    if (checkResult.rows.length > 0) {
-      this.logger.debug('API config exists', { config_id: checkResult.rows[0].cac_config_id });
-      return { id: checkResult.rows[0].cac_config_id, inserted: false };
+      console.log(`   ✅ ${created} created, ${updated} updated`);
     }
 
-    // Insert new API config
-    const configId = uuidv4();
-    const sourceType = vendorData.source_type.toLowerCase();
-    
-    const insertQuery = `
-      INSERT INTO customer_api_configs (
-        cac_config_id, cac_customer_id, cac_outlet_id, cac_pos_vendor,
-        cac_api_url, cac_http_method, cac_auth_type, cac_db_host, cac_db_port,
-        cac_db_name, cac_sync_interval_minutes, cac_is_active, cac_jsonordb
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
-      RETURNING cac_config_id
-    `;
-    
-    await pool.query(insertQuery, [
-      configId,
-      vendorData.customer_id,
-      vendorData.outlet_code,
-      vendorId,
-      vendorData.api_url,
-      'GET',
-      'Bearer',
-      vendorData.db_host,
-      vendorData.db_port,
-      vendorData.db_name,
-      5,
-      true,
-      sourceType
-    ]);
-
-    this.logger.info('API config created', { config_id: configId, source_type: sourceType });
-    console.log(`   ➕ Created API config (${sourceType})`);
-    
-    return { id: configId, inserted: true };
+    return { created, updated };
   }
 
-  async ensureFieldMappings(vendorId) {
+  async ensureFieldMappings(vendorId, vendorName) {
     // Check if any field mappings exist for this vendor
     const checkQuery = 'SELECT COUNT(*) as count FROM pos_vendor_field_mapping WHERE pvfm_vendor_id = $1';
     const checkResult = await pool.query(checkQuery, [vendorId]);
@@ -312,67 +181,70 @@ class VendorDataSeeder {
       return 0;
     }
 
-    // Insert default field mappings for transactions
-    const defaultMappings = [
-      {
-        source_field: 'transaction_id',
-        target_field: 'source_transaction_ref',
-        json_path: 'transaction.id',
-        tablename: 'raw_transactions',
-        is_required: true
-      },
-      {
-        source_field: 'transaction_time',
-        target_field: 'transaction_time',
-        json_path: 'transaction.timestamp',
-        tablename: 'raw_transactions',
-        is_required: true
-      },
-      {
-        source_field: 'net_amount',
-        target_field: 'net_amount',
-        json_path: 'transaction.total',
-        tablename: 'raw_transactions',
-        is_required: true
-      },
-      {
-        source_field: 'transaction_type',
-        target_field: 'transaction_type',
-        json_path: 'transaction.type',
-        tablename: 'raw_transactions',
-        is_required: false
-      }
-    ];
+    // Seed from vendor_details/samples/<vendor>.json|xml when one is provided;
+    // otherwise leave mappings to POST /api/field-mappings/suggest + review
+    const sample = await this.readSamplePayload(vendorName);
+    if (!sample) {
+      this.logger.info('No sample payload, field mappings not seeded', { vendor_id: vendorId, vendor_name: vendorName });
+      console.log(`   ⚠️  No sample payload for ${vendorName}; add field mappings via /api/field-mappings/suggest`);
+      return 0;
+    }
+
+    const { suggestions } = await new MappingSuggester().suggest(sample.content, {
+      format: sample.format,
+      minConfidence: SEED_MIN_CONFIDENCE
+    });
 
     let insertedCount = 0;
-    
-    for (const mapping of defaultMappings) {
-      const mappingId = uuidv4();
-      const insertQuery = `
-        INSERT INTO pos_vendor_field_mapping (
-          pvfm_mapping_id, pvfm_vendor_id, pvfm_source_field, pvfm_target_field,
-          pvfm_json_path, pvfm_tablename, pvfm_is_required
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-      `;
-      
-      await pool.query(insertQuery, [
-        mappingId,
-        vendorId,
-        mapping.source_field,
-        mapping.target_field,
-        mapping.json_path,
-        mapping.tablename,
-        mapping.is_required
-      ]);
-      
-      insertedCount++;
-    }
 
-    this.logger.info('Field mappings created', { vendor_id: vendorId, count: insertedCount });
-    console.log(`   ➕ Created ${insertedCount} default field mapping(s)`);
+    await MappingVersionModel.track(
+      [vendorId],
+      { author: 'seeder', reason: `Seeded from ${path.basename(sample.file)}` },
+      async (client) => {
+        for (const mapping of suggestions) {
+          const mappingId = uuidv4();
+          const insertQuery = `
+            INSERT INTO pos_vendor_field_mapping (
+              pvfm_mapping_id, pvfm_vendor_id, pvfm_source_field, pvfm_target_field,
+              pvfm_json_path, pvfm_row_root_json_path, pvfm_tablename, pvfm_is_required
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+          `;
+
+          await client.query(insertQuery, [
+            mappingId,
+            vendorId,
+            mapping.pvfm_source_field,
+            mapping.pvfm_target_field,
+            mapping.pvfm_json_path,
+            mapping.pvfm_row_root_json_path,
+            mapping.pvfm_tablename,
+            mapping.pvfm_is_required
+          ]);
+
+          insertedCount++;
+        }
+      }
+    );
+
+    this.logger.info('Field mappings created', { vendor_id: vendorId, count: insertedCount, sample: sample.file });
+    console.log(`   ➕ Created ${insertedCount} suggested field mapping(s) from ${path.basename(sample.file)}`);
     
     return insertedCount;
   }
+
+  async readSamplePayload(vendorName) {
+    const base = vendorName.replace(/[^A-Za-z0-9_-]+/g, '_');
+
+    for (const format of ['json', 'xml']) {
+      const file = path.join(this.samplesDir, `${base}.${format}`);
+      try {
+        return { file, format, content: await fs.readFile(file, 'utf-8') };
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+    return null;
+  }
 }
 
 module.exports = VendorDataSeeder;
\ No newline at end of file
@@ -0,0 +1,18 @@
+// Header the console / gateway sets to the signed-in user
+const AUTHOR_HEADER = 'x-user';
+const REASON_HEADER = 'x-change-reason';
+const MAX_LENGTH = 200;
+
+const headerValue = (req, name) => (req.get(name) || '').trim().slice(0, MAX_LENGTH) || null;
+
+/**
+ * Author and reason to record for a change made through the API. The
+ * author falls back to 'api' when the caller does not identify itself;
+ * an X-Change-Reason header replaces the default reason.
+ */
+const changeMeta = (req, defaultReason) => ({
+  author: headerValue(req, AUTHOR_HEADER) || 'api',
+  reason: headerValue(req, REASON_HEADER) || defaultReason
+});
+
+module.exports = { changeMeta };
@@ -0,0 +1,94 @@
+/**
+ * Promise pool with a global limit and optional per-key limits.
+ * run(key, task) queues task until both the global slot count and the
+ * limit for `key` allow it, then resolves/rejects with the task's result.
+ */
+class ConcurrencyLimiter {
+  constructor({ limit = 4, keyLimits = {} } = {}) {
+    this.limit = Math.max(parseInt(limit) || 1, 1);
+    this.keyLimits = {};
+    for (const [key, value] of Object.entries(keyLimits)) {
+      this.keyLimits[key.toUpperCase()] = Math.max(parseInt(value) || 1, 1);
+    }
+    this.active = 0;
+    this.activeByKey = new Map();
+    this.queue = [];
+  }
+
+  run(key, task) {
+    const normalizedKey = String(key || 'DEFAULT').toUpperCase();
+
+    return new Promise((resolve, reject) => {
+      this.queue.push({ key: normalizedKey, task, resolve, reject });
+      this.drain();
+    });
+  }
+
+  canStart(key) {
+    if (this.active >= this.limit) return false;
+    const keyLimit = this.keyLimits[key];
+    return !keyLimit || (this.activeByKey.get(key) || 0) < keyLimit;
+  }
+
+  drain() {
+    for (let i = 0; i < this.queue.length && this.active < this.limit;) {
+      const job = this.queue[i];
+
+      if (!this.canStart(job.key)) {
+        i++;
+        continue;
+      }
+
+      this.queue.splice(i, 1);
+      this.active++;
+      this.activeByKey.set(job.key, (this.activeByKey.get(job.key) || 0) + 1);
+
+      Promise.resolve()
+        .then(job.task)
+        .then(job.resolve, job.reject)
+        .finally(() => {
+          this.active--;
+          this.activeByKey.set(job.key, this.activeByKey.get(job.key) - 1);
+          this.drain();
+        });
+    }
+  }
+
+  stats() {
+    return { limit: this.limit, active: this.active, queued: this.queue.length };
+  }
+}
+
+const invalidKeyLimits = (message) => {
+  const error = new Error(`Invalid per-key limits: ${message}`);
+  error.code = 'INVALID_KEY_LIMITS';
+  return error;
+};
+
+/**
+ * Parse a JSON object of per-key limits from an env var, e.g.
+ * INGESTION_VENDOR_LIMITS='{"MISS JO": 1, "HIDESIGN": 2}'. Throws
+ * INVALID_KEY_LIMITS when it is set but malformed, rather than quietly
+ * running without limits.
+ */
+const parseKeyLimits = (raw) => {
+  if (!raw) return {};
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw invalidKeyLimits(`not valid JSON (${error.message})`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw invalidKeyLimits('must be a JSON object of { key: limit }');
+  }
+
+  const invalid = Object.entries(parsed).filter(([, value]) => !Number.isInteger(value) || value < 1);
+  if (invalid.length > 0) {
+    throw invalidKeyLimits(`limits must be positive integers (${invalid.map(([key]) => key).join(', ')})`);
+  }
+  return parsed;
+};
+
+module.exports = { ConcurrencyLimiter, parseKeyLimits };
@@ -0,0 +1,25 @@
+// Every customer_api_configs column the fetcher, connectors and mappers read
+const CONFIG_COLUMNS = [
+  'cac_customer_id', 'cac_outlet_id', 'cac_pos_vendor', 'cac_jsonordb', 'cac_api_url', 'cac_http_method',
+  'cac_auth_type', 'cac_auth_header_key', 'cac_auth_header_value',
+  'cac_authtokenurl', 'cac_authtokenfieldmapping', 'cac_tokenhttp', 'cac_tokenresponse', 'cac_authtoken_body_type',
+  'auth_body_type_no_token', 'cac_xmlbody', 'cac_multiple_apis', 'cac_soap_action', 'cac_soap_timeout',
+  'cac_db_host', 'cac_db_port', 'cac_db_name', 'cac_db_username', 'cac_db_password', 'cac_dbtype', 'cac_sql_text',
+  'cac_wizapp_group_code', 'cac_wizapp_user_id', 'cac_wizapp_password',
+  'cac_sample_json', 'cac_field_mapping', 'cac_apidbmapping', 'cac_calculate_totals_from_items', 'cac_totals_rollup', 'dateformat',
+  'cac_source_timezone', 'cac_date_formats', 'cac_sync_interval_minutes', 'cac_is_active'
+];
+
+const JSON_CONFIG_COLUMNS = ['cac_sample_json', 'cac_field_mapping', 'cac_authtokenfieldmapping', 'cac_multiple_apis', 'cac_totals_rollup', 'cac_date_formats'];
+
+// JSON values go in as text so arrays are not turned into PG arrays
+const toColumnValue = (column, value) =>
+  JSON_CONFIG_COLUMNS.includes(column) && value !== null && typeof value !== 'string'
+    ? JSON.stringify(value)
+    : value;
+
+module.exports = {
+  CONFIG_COLUMNS,
+  JSON_CONFIG_COLUMNS,
+  toColumnValue
+};
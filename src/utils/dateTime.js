@@ -0,0 +1,255 @@
+const dayjs = require('dayjs');
+const customParseFormat = require('dayjs/plugin/customParseFormat');
+const utc = require('dayjs/plugin/utc');
+const timezone = require('dayjs/plugin/timezone');
+
+dayjs.extend(customParseFormat);
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Every date the agent reads or writes goes through here. Vendor values
+ * are parsed with the config's source timezone and format list, and come
+ * out as Asia/Kolkata wall time:
+ *
+ *   cac_source_timezone  IANA zone vendor times are in (default APP_TIMEZONE)
+ *   cac_date_formats     formats to try, in order (default DEFAULT_FORMATS):
+ *                        any dayjs format ('DD/MM/YYYY hh:mm:ss A'), or
+ *                        'iso', 'epoch' (seconds or ms, by size),
+ *                        'epoch_s', 'epoch_ms', 'excel' (serial day number)
+ *   dateformat           how window dates are written into vendor requests
+ *
+ * Values that carry their own offset (ISO with Z/+05:30, epochs, formats
+ * with Z) are instants; anything else is read as source-timezone wall time.
+ */
+const APP_TIMEZONE = 'Asia/Kolkata';
+
+// Timestamps with their offset, so timestamptz casts never depend on the session zone
+const TIMESTAMP_FORMAT = 'YYYY-MM-DD HH:mm:ssZ';
+const DATE_FORMAT = 'YYYY-MM-DD';
+const TIME_FORMAT = 'HH:mm:ss';
+
+const SPECIAL_FORMATS = ['iso', 'epoch', 'epoch_s', 'epoch_ms', 'excel'];
+const NUMERIC_FORMATS = ['epoch', 'epoch_s', 'epoch_ms', 'excel'];
+
+const DEFAULT_FORMATS = [
+  'iso',
+  'YYYY-MM-DD HH:mm:ss',
+  'YYYY-MM-DD',
+  'DD/MM/YYYY hh:mm:ss A',
+  'DD/MM/YYYY HH:mm:ss',
+  'DD/MM/YYYY',
+  'DD-MMM-YYYY HH:mm:ss',
+  'DD-MMM-YYYY',
+  'YYYYMMDD HHmmss',
+  'YYYYMMDD',
+  'epoch'
+];
+
+// Time-of-day shapes buildTimestamp-style date + time pairs use
+const TIME_FORMATS = ['HH:mm:ss', 'H:m:s', 'HH:mm', 'H:mm', 'HHmmss', 'hh:mm:ss A', 'h:mm:ss A', 'hh:mm A', 'h:mm A'];
+
+// Excel's day 0 (1900 date system, including its phantom 29 Feb 1900)
+const EXCEL_EPOCH = Date.UTC(1899, 11, 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidTimezone = (zone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const ISO_PATTERN = /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)?(Z|[+-]\d{2}:?\d{2})?$/i;
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+
+const fromNumber = (number, format, zone) => {
+  switch (format) {
+    case 'epoch': return dayjs(Math.abs(number) >= 1e11 ? number : number * 1000);
+    case 'epoch_s': return dayjs(number * 1000);
+    case 'epoch_ms': return dayjs(number);
+    default: {
+      // A serial is a day count plus a fraction of the day, in local wall time
+      const wall = dayjs.utc(EXCEL_EPOCH + Math.round(number * DAY_MS / 1000) * 1000);
+      return dayjs.tz(wall.format('YYYY-MM-DD HH:mm:ss'), 'YYYY-MM-DD HH:mm:ss', zone);
+    }
+  }
+};
+
+const MONTH_NAME = /(?<![A-Za-z])(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*(?![A-Za-z])/gi;
+const MERIDIEM = /(?<![A-Za-z])[ap]m(?![A-Za-z])/gi;
+
+// Strict parsing only takes month names and AM/PM in dayjs' own case (Dec,
+// December, PM), while vendors send 10-DEC-2025 and 01:30 pm
+const normaliseCase = (text, format) => {
+  const tokens = format.replace(/\[[^\]]*\]/g, '');
+  let normalised = text;
+  if (tokens.includes('MMM')) {
+    normalised = normalised.replace(MONTH_NAME, (name) => name[0].toUpperCase() + name.slice(1).toLowerCase());
+  }
+  if (tokens.includes('A')) normalised = normalised.replace(MERIDIEM, (meridiem) => meridiem.toUpperCase());
+  else if (tokens.includes('a')) normalised = normalised.replace(MERIDIEM, (meridiem) => meridiem.toLowerCase());
+  return normalised;
+};
+
+// One format against one value; an invalid dayjs when it does not fit
+const parseWith = (value, format, zone) => {
+  const text = typeof value === 'string' ? value.trim() : String(value);
+
+  if (NUMERIC_FORMATS.includes(format)) {
+    return NUMERIC_PATTERN.test(text) ? fromNumber(Number(text), format, zone) : dayjs(NaN);
+  }
+  if (format === 'iso') {
+    const match = ISO_PATTERN.exec(text);
+    if (!match) return dayjs(NaN);
+    return match[1] ? dayjs(text) : dayjs.tz(text.replace(' ', 'T'), zone);
+  }
+
+  // dayjs' strict mode compares against the server's offset, so formats
+  // carrying an offset are parsed leniently
+  const cased = normaliseCase(text, format);
+  if (/Z/.test(format.replace(/\[[^\]]*\]/g, ''))) return dayjs(cased, format);
+  if (!dayjs(cased, format, true).isValid()) return dayjs(NaN);
+  return dayjs.tz(cased, format, zone);
+};
+
+/**
+ * A vendor value as a dayjs in APP_TIMEZONE, or null when no format fits.
+ * Date objects are taken as they are. options: { timezone, formats }.
+ */
+const parseDateTime = (value, { timezone: zone = APP_TIMEZONE, formats = DEFAULT_FORMATS } = {}) => {
+  if (value === undefined || value === null || value === '') return null;
+  if (value instanceof Date || dayjs.isDayjs(value)) {
+    const parsed = dayjs(value);
+    return parsed.isValid() ? parsed.tz(APP_TIMEZONE) : null;
+  }
+
+  for (const format of formats) {
+    const parsed = parseWith(value, format, zone);
+    if (parsed.isValid()) return parsed.tz(APP_TIMEZONE);
+  }
+  return null;
+};
+
+// A vendor value as text in APP_TIMEZONE (TIMESTAMP_FORMAT by default), or null
+const formatDateTime = (value, outputFormat = TIMESTAMP_FORMAT, options = {}) =>
+  parseDateTime(value, options)?.format(outputFormat) ?? null;
+
+// { transaction_date, transaction_time } in APP_TIMEZONE; both null when unparseable
+const splitDateTime = (value, options = {}) => {
+  const parsed = parseDateTime(value, options);
+  return {
+    transaction_date: parsed ? parsed.format(DATE_FORMAT) : null,
+    transaction_time: parsed ? parsed.format(TIME_FORMAT) : null
+  };
+};
+
+/**
+ * A timestamp from separate date and time values (e.g. 20240105 + 133000,
+ * or 05/01/2024 + 01:30:00 PM), or null when either part does not parse.
+ */
+const combineDateTime = (date, time, options = {}) => {
+  // Date-only shapes may not be in a format list written for full timestamps,
+  // and numeric formats go last so 20240105 is a day, not an epoch
+  const numeric = (format) => NUMERIC_FORMATS.includes(format);
+  const candidates = [...new Set([...(options.formats || []), ...DEFAULT_FORMATS])];
+  const formats = [...candidates.filter(format => !numeric(format)), ...candidates.filter(numeric)];
+  const day = formatDateTime(date, DATE_FORMAT, { formats, timezone: APP_TIMEZONE });
+  if (!day || time === undefined || time === null || time === '') return null;
+
+  // Fractional seconds (13:30:00.000123) add nothing to a timestamp
+  const text = String(time).trim().replace(/^(\d{1,2}:\d{2}:\d{2})\.\d+/, '$1');
+  const clock = TIME_FORMATS.map(format => dayjs(text, format, true)).find(parsed => parsed.isValid());
+  if (!clock) return null;
+
+  return formatDateTime(`${day} ${clock.format(TIME_FORMAT)}`, TIMESTAMP_FORMAT, { ...options, formats: ['YYYY-MM-DD HH:mm:ss'] });
+};
+
+/**
+ * A Date as text for a vendor request, in the vendor's timezone. MMM is
+ * written upper case (10-DEC-25), as the vendors using it expect.
+ */
+const formatForSource = (date, format = DATE_FORMAT, zone = APP_TIMEZONE) => {
+  if (!date) return null;
+  const value = dayjs(date).tz(zone);
+  if (!value.isValid()) return null;
+  const month = `[${value.format('MMM').toUpperCase()}]`;
+  return value.format(format.replace(/(^|[^M])MMM(?!M)/g, `$1${month}`));
+};
+
+// Parse options for a config (see the columns above)
+const dateOptions = (config = {}) => ({
+  timezone: config.cac_source_timezone || APP_TIMEZONE,
+  formats: Array.isArray(config.cac_date_formats) && config.cac_date_formats.length > 0
+    ? config.cac_date_formats
+    : DEFAULT_FORMATS
+});
+
+// dayjs parse/format tokens, longest first; other letters must be [escaped]
+// (T, as in ISO-like formats, is let through as a literal)
+const FORMAT_TOKENS = [
+  'YYYY', 'YY', 'MMMM', 'MMM', 'MM', 'M', 'Do', 'DD', 'D', 'dddd', 'ddd', 'dd', 'd',
+  'HH', 'H', 'hh', 'h', 'mm', 'm', 'ss', 's', 'SSS', 'SS', 'S', 'A', 'a', 'ZZ', 'Z', 'X', 'x'
+];
+const FORMAT_PART = new RegExp(`\\[[^\\]]*\\]|${FORMAT_TOKENS.join('|')}|[A-Za-z]`, 'g');
+
+// Why a cac_date_formats entry cannot be used, or null when it can
+const formatProblem = (format) => {
+  const expected = `a dayjs format or one of ${SPECIAL_FORMATS.join(', ')}`;
+  if (typeof format !== 'string' || format.trim() === '') return `Must be ${expected}`;
+  if (SPECIAL_FORMATS.includes(format)) return null;
+
+  const parts = format.match(FORMAT_PART) || [];
+  const unknown = parts.find(part => /^[A-Za-z]$/.test(part) && !FORMAT_TOKENS.includes(part) && part !== 'T');
+  if (unknown) return `"${format}" is not ${expected}: "${unknown}" is not a dayjs token (escape literal text as [text])`;
+  if (!parts.some(part => FORMAT_TOKENS.includes(part))) return `"${format}" is not ${expected}: it has no dayjs tokens`;
+  return null;
+};
+
+/**
+ * Problems with cac_date_formats, as [{ index, message }] (index null when
+ * the value as a whole is wrong). Each entry must be one of SPECIAL_FORMATS
+ * or be made of dayjs tokens, so typos such as 'epochs' or 'YYY-MM-DD' are
+ * reported instead of never matching.
+ */
+const dateFormatProblems = (formats) => {
+  if (formats === null || formats === undefined) return [];
+  if (!Array.isArray(formats)) return [{ index: null, message: 'Must be a list of formats' }];
+  return formats.flatMap((format, index) => {
+    const message = formatProblem(format);
+    return message ? [{ index, message }] : [];
+  });
+};
+
+// express-validator custom checks
+const assertTimezone = (zone) => {
+  if (!isValidTimezone(zone)) throw new Error(`Unknown timezone "${zone}"; use an IANA name such as ${APP_TIMEZONE}`);
+  return true;
+};
+
+const assertDateFormats = (formats) => {
+  const problems = dateFormatProblems(formats);
+  if (problems.length > 0) {
+    throw new Error(problems.map(problem => (problem.index === null ? problem.message : `[${problem.index}]: ${problem.message}`)).join('; '));
+  }
+  return true;
+};
+
+module.exports = {
+  APP_TIMEZONE,
+  TIMESTAMP_FORMAT,
+  DEFAULT_FORMATS,
+  SPECIAL_FORMATS,
+  isValidTimezone,
+  parseDateTime,
+  formatDateTime,
+  splitDateTime,
+  combineDateTime,
+  formatForSource,
+  dateOptions,
+  dateFormatProblems,
+  assertTimezone,
+  assertDateFormats
+};
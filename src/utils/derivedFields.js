@@ -0,0 +1,160 @@
+/**
+ * raw_transactions columns that can be computed from the mapped header,
+ * items and payments when the vendor does not send them. Each derive()
+ * returns null when there is nothing to compute from.
+ */
+
+// What pos_vendor_master.derived_fields can set per field
+const DERIVATION_POLICIES = {
+  vendor: 'Keep the vendor value; derive only when it is missing',
+  derive: 'Always store the derived value',
+  derive_and_flag: 'Store the derived value and flag a differing vendor value'
+};
+const DEFAULT_POLICY = 'vendor';
+
+// Amounts closer than this are the same amount
+const TOLERANCE = 0.01;
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+const toNumber = (value) => {
+  if (isMissing(value)) return null;
+  const number = Number(typeof value === 'string' ? value.replace(/,/g, '') : value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const round2 = (number) => Math.round((number + Math.sign(number) * Number.EPSILON) * 100) / 100;
+
+const sum = (values) => values.reduce((total, value) => total + (toNumber(value) ?? 0), 0);
+
+const listOf = (value) => (Array.isArray(value) && value.length > 0 ? value : null);
+
+const paymentType = (payment) => (isMissing(payment.payment_type) ? null : String(payment.payment_type).trim().toUpperCase());
+
+// Line value: line_total, else quantity x unit_price
+const lineValue = (item) => {
+  const total = toNumber(item.line_total);
+  if (total !== null) return total;
+  const price = toNumber(item.unit_price);
+  return price === null ? null : price * (toNumber(item.quantity) ?? 1);
+};
+
+const TAX_COMPONENTS = ['cgst', 'sgst', 'igst', 'cess'];
+
+const DERIVED_FIELDS = {
+  // gross - discount + tax
+  net_amount: (transaction) => {
+    const gross = toNumber(transaction.gross_amount);
+    if (gross === null) return null;
+    return round2(gross - (toNumber(transaction.discount_amount) ?? 0) + (toNumber(transaction.tax_amount) ?? 0));
+  },
+
+  item_count: (transaction) => listOf(transaction.items)?.length ?? null,
+
+  // Item value per unit sold
+  avg_item_price: (transaction) => {
+    const items = listOf(transaction.items)?.filter(item => lineValue(item) !== null);
+    if (!items?.length) return null;
+    const quantity = sum(items.map(item => item.quantity ?? 1));
+    return quantity === 0 ? null : round2(sum(items.map(lineValue)) / quantity);
+  },
+
+  tender_types: (transaction) => {
+    const types = listOf(transaction.payments)?.map(paymentType).filter(Boolean);
+    return types?.length ? [...new Set(types)] : null;
+  },
+
+  // { CASH: 120, CARD: 80.5 }
+  payment_summary: (transaction) => {
+    const payments = listOf(transaction.payments)?.filter(paymentType);
+    if (!payments?.length) return null;
+    const summary = {};
+    for (const payment of payments) {
+      const type = paymentType(payment);
+      summary[type] = round2((summary[type] ?? 0) + (toNumber(payment.amount) ?? 0));
+    }
+    return summary;
+  },
+
+  // { cgst, sgst, igst, cess, total } over the components any item carries
+  tax_breakdown: (transaction) => {
+    const items = listOf(transaction.items);
+    const components = TAX_COMPONENTS.filter(component => items?.some(item => toNumber(item[component]) !== null));
+    if (components.length === 0) return null;
+    const breakdown = Object.fromEntries(components.map(component => [component, round2(sum(items.map(item => item[component])))]));
+    breakdown.total = round2(sum(Object.values(breakdown)));
+    return breakdown;
+  }
+};
+
+/**
+ * Whether a vendor value and a derived one agree: amounts within
+ * TOLERANCE, lists in any order, objects key by key. Vendor JSON may
+ * arrive as text and tender lists as "CASH,CARD".
+ */
+const sameValue = (vendorValue, derived) => {
+  let value = vendorValue;
+  if (typeof value === 'string' && derived !== null && typeof derived === 'object') {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      value = Array.isArray(derived) ? value.split(',') : value;
+    }
+  }
+
+  if (Array.isArray(derived)) {
+    if (!Array.isArray(value)) return false;
+    const normalise = (list) => [...new Set(list.map(entry => String(entry).trim().toUpperCase()))].sort().join('|');
+    return normalise(value) === normalise(derived);
+  }
+  if (derived !== null && typeof derived === 'object') {
+    if (value === null || typeof value !== 'object') return false;
+    const keys = new Set([...Object.keys(value).map(key => key.toUpperCase()), ...Object.keys(derived).map(key => key.toUpperCase())]);
+    const lookup = (object, key) => Object.entries(object).find(([name]) => name.toUpperCase() === key)?.[1] ?? 0;
+    return [...keys].every(key => sameValue(lookup(value, key), lookup(derived, key)));
+  }
+
+  const a = toNumber(value);
+  const b = toNumber(derived);
+  if (a !== null && b !== null) return Math.abs(a - b) < TOLERANCE + Number.EPSILON;
+  return String(value).trim() === String(derived).trim();
+};
+
+/**
+ * Problems with a derived_fields setting ({ field: policy }), as
+ * [{ field, message }] (field null when the value as a whole is wrong).
+ */
+const derivedFieldProblems = (value) => {
+  if (value === null || value === undefined) return [];
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return [{ field: null, message: 'Must be an object of { field: policy }' }];
+  }
+  return Object.entries(value).flatMap(([field, policy]) => {
+    if (!Object.prototype.hasOwnProperty.call(DERIVED_FIELDS, field)) {
+      return [{ field, message: `Unknown derived field "${field}"; expected one of ${Object.keys(DERIVED_FIELDS).join(', ')}` }];
+    }
+    if (!Object.prototype.hasOwnProperty.call(DERIVATION_POLICIES, policy)) {
+      return [{ field, message: `Policy must be one of ${Object.keys(DERIVATION_POLICIES).join(', ')}` }];
+    }
+    return [];
+  });
+};
+
+// express-validator custom check for derived_fields
+const assertDerivedFields = (value) => {
+  const problems = derivedFieldProblems(value);
+  if (problems.length > 0) {
+    throw new Error(problems.map(problem => (problem.field ? `${problem.field}: ${problem.message}` : problem.message)).join('; '));
+  }
+  return true;
+};
+
+module.exports = {
+  DERIVED_FIELDS,
+  DERIVATION_POLICIES,
+  DEFAULT_POLICY,
+  isMissing,
+  sameValue,
+  derivedFieldProblems,
+  assertDerivedFields
+};
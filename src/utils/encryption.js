@@ -1,17 +1,223 @@
+const crypto = require('crypto');
 const CryptoJS = require('crypto-js');
 require('dotenv').config();
 
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'default-key-change-this-in-prod';
+/**
+ * Secrets are stored as versioned AES-256-GCM envelopes:
+ *
+ *   enc:v1:<keyId>:<iv>:<authTag>:<ciphertext>     (base64url parts)
+ *
+ * ENCRYPTION_KEY / ENCRYPTION_KEY_ID is the current key, used for all new
+ * encryption. ENCRYPTION_PREVIOUS_KEYS='{"2025-01": "old secret"}' holds
+ * retired keys that are still accepted for decryption until
+ * `npm run reencrypt-secrets` has moved everything to the current key.
+ *
+ * Values written by the old CryptoJS passphrase scheme ("U2FsdGVkX1...")
+ * are still readable with any configured key.
+ */
+const ENVELOPE_PREFIX = 'enc:v1:';
+const LEGACY_PREFIX = 'U2FsdGVkX1';
+const LEGACY_DEFAULT_KEY = 'default-key-change-this-in-prod';
+// Placeholder keys from samples and old defaults; anyone can decrypt with them
+const KNOWN_DEFAULT_KEYS = new Set([
+  LEGACY_DEFAULT_KEY,
+  'changeme',
+  'change-me',
+  'change-this',
+  'default',
+  'secret',
+  'password',
+  'encryption-key',
+  'your-encryption-key',
+  'your-secret-key'
+]);
+const ALGORITHM = 'aes-256-gcm';
+const IV_BYTES = 12;
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+const parsePreviousKeys = (raw) => {
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch {
+    throw new Error('ENCRYPTION_PREVIOUS_KEYS must be a JSON object of { keyId: secret }');
+  }
+};
+
+// Key ids are part of the envelope, so keep them to a safe alphabet
+const assertKeyId = (keyId) => {
+  if (!/^[A-Za-z0-9._-]+$/.test(keyId)) {
+    throw new Error(`Invalid encryption key id: ${keyId}`);
+  }
+};
+
+const deriveKey = (keyId, secret) => crypto.scryptSync(String(secret), `pos-integrator:${keyId}`, 32);
+
+let keyring = null;
+
+const loadKeyring = () => {
+  if (keyring) return keyring;
+
+  const secret = process.env.ENCRYPTION_KEY;
+  if (!secret && isProduction()) {
+    throw new Error('ENCRYPTION_KEY must be set in production');
+  }
+
+  const currentId = process.env.ENCRYPTION_KEY_ID || 'default';
+  assertKeyId(currentId);
+
+  const secrets = { ...parsePreviousKeys(process.env.ENCRYPTION_PREVIOUS_KEYS) };
+  secrets[currentId] = secret || LEGACY_DEFAULT_KEY;
+
+  const keys = new Map();
+  for (const [keyId, keySecret] of Object.entries(secrets)) {
+    assertKeyId(keyId);
+    keys.set(keyId, { secret: String(keySecret), key: deriveKey(keyId, keySecret) });
+  }
+
+  keyring = { currentId, keys };
+  return keyring;
+};
+
+/**
+ * Fail fast at process start rather than on the first secret. Also refuses
+ * an ENCRYPTION_KEY that is a known default, since secrets encrypted with it
+ * are readable by anyone with this code.
+ */
+const assertEncryptionReady = () => {
+  const secret = process.env.ENCRYPTION_KEY;
+  if (secret !== undefined && KNOWN_DEFAULT_KEYS.has(secret.trim().toLowerCase())) {
+    throw new Error('ENCRYPTION_KEY is a known default value; set it to a unique secret');
+  }
+  loadKeyring();
+};
+
+const isEncrypted = (value) =>
+  typeof value === 'string' && (value.startsWith(ENVELOPE_PREFIX) || value.startsWith(LEGACY_PREFIX));
+
+const keyIdOf = (value) =>
+  typeof value === 'string' && value.startsWith(ENVELOPE_PREFIX)
+    ? value.slice(ENVELOPE_PREFIX.length).split(':')[0]
+    : null;
+
+/**
+ * True when a stored value is not an envelope under the current key
+ * (legacy CryptoJS output or an older key id).
+ */
+const needsReencryption = (value) =>
+  isEncrypted(value) && keyIdOf(value) !== loadKeyring().currentId;
+
+const seal = (text, keyId, key) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(`v1:${keyId}`));
+
+  const ciphertext = Buffer.concat([cipher.update(String(text), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return `${ENVELOPE_PREFIX}${keyId}:${iv.toString('base64url')}:${tag.toString('base64url')}:${ciphertext.toString('base64url')}`;
+};
 
 const encrypt = (text) => {
   if (!text) return null;
-  return CryptoJS.AES.encrypt(text, ENCRYPTION_KEY).toString();
+
+  const { currentId, keys } = loadKeyring();
+  return seal(text, currentId, keys.get(currentId).key);
+};
+
+// keyFor(keyId) returns the key to open an envelope with, or throws
+const openEnvelope = (envelope, keyFor) => {
+  const [keyId, iv, tag, ciphertext] = envelope.slice(ENVELOPE_PREFIX.length).split(':');
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, keyFor(keyId), Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(`v1:${keyId}`));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, 'base64url')),
+    decipher.final()
+  ]).toString('utf8');
+};
+
+const decryptEnvelope = (envelope) =>
+  openEnvelope(envelope, (keyId) => {
+    const entry = loadKeyring().keys.get(keyId);
+    if (!entry) {
+      throw new Error(`Unknown encryption key id: ${keyId}`);
+    }
+    return entry.key;
+  });
+
+const strictUtf8 = new TextDecoder('utf-8', { fatal: true });
+
+// CryptoJS does not authenticate, so a wrong passphrase yields random bytes
+// rather than an error; only non-empty, valid UTF-8 counts as a match
+const legacyPlaintext = (ciphertext, secret) => {
+  try {
+    const words = CryptoJS.AES.decrypt(ciphertext, secret);
+    if (words.sigBytes <= 0) return null;
+    return strictUtf8.decode(Buffer.from(words.toString(CryptoJS.enc.Hex), 'hex')) || null;
+  } catch {
+    return null;
+  }
+};
+
+// CryptoJS output carries no key id, so try every configured passphrase
+const decryptLegacy = (ciphertext) => {
+  const secrets = [...loadKeyring().keys.values()].map(k => k.secret);
+  if (!isProduction()) secrets.push(LEGACY_DEFAULT_KEY);
+
+  for (const secret of new Set(secrets)) {
+    const text = legacyPlaintext(ciphertext, secret);
+    if (text !== null) return text;
+  }
+  throw new Error('Unable to decrypt legacy value with any configured key');
 };
 
 const decrypt = (ciphertext) => {
   if (!ciphertext) return null;
-  const bytes = CryptoJS.AES.decrypt(ciphertext, ENCRYPTION_KEY);
-  return bytes.toString(CryptoJS.enc.Utf8);
+  if (ciphertext.startsWith(ENVELOPE_PREFIX)) return decryptEnvelope(ciphertext);
+  return decryptLegacy(ciphertext);
+};
+
+/**
+ * Onboarding bundles carry secrets under a passphrase agreed for the
+ * transfer, so neither environment's ENCRYPTION_KEY has to leave it.
+ */
+const PASSPHRASE_KEY_ID = 'passphrase';
+
+let passphraseKey = { passphrase: null, key: null };
+
+// scrypt is slow on purpose; a bundle seals every secret with the same passphrase
+const keyForPassphrase = (passphrase) => {
+  if (passphraseKey.passphrase !== passphrase) {
+    passphraseKey = { passphrase, key: deriveKey(PASSPHRASE_KEY_ID, passphrase) };
+  }
+  return passphraseKey.key;
 };
 
-module.exports = { encrypt, decrypt };
\ No newline at end of file
+const encryptWithPassphrase = (text, passphrase) =>
+  text ? seal(text, PASSPHRASE_KEY_ID, keyForPassphrase(passphrase)) : null;
+
+const decryptWithPassphrase = (envelope, passphrase) => {
+  if (keyIdOf(envelope) !== PASSPHRASE_KEY_ID) {
+    throw new Error('Value is not passphrase-encrypted');
+  }
+  try {
+    return openEnvelope(envelope, () => keyForPassphrase(passphrase));
+  } catch {
+    throw new Error('Wrong passphrase or corrupted value');
+  }
+};
+
+module.exports = {
+  encrypt,
+  decrypt,
+  encryptWithPassphrase,
+  decryptWithPassphrase,
+  isEncrypted,
+  needsReencryption,
+  assertEncryptionReady
+};
@@ -0,0 +1,100 @@
+// pos_vendor_field_mapping columns that define how a field is mapped
+// (everything except ids, vendor and timestamps)
+const MAPPING_FIELDS = [
+  'pvfm_target_field',
+  'pvfm_json_path',
+  'pvfm_row_root_json_path',
+  'pvfm_transform_rule',
+  'pvfm_is_required'
+];
+
+const MAPPING_TABLES = ['raw_transactions', 'raw_transaction_items', 'raw_payment'];
+
+// A vendor has at most one mapping per canonical field of a table
+const mappingKey = (mapping) => `${mapping.pvfm_tablename}:${mapping.pvfm_source_field}`;
+
+const normaliseField = (field, value) =>
+  field === 'pvfm_is_required' ? Boolean(value) : (value ?? null);
+
+/**
+ * Fields whose values differ between two mappings, as
+ * { field: { from, to } }. Empty when they map the same way.
+ */
+const diffMapping = (from, to) => {
+  const changes = {};
+  for (const field of MAPPING_FIELDS) {
+    const before = normaliseField(field, from[field]);
+    const after = normaliseField(field, to[field]);
+    if (before !== after) changes[field] = { from: before, to: after };
+  }
+  return changes;
+};
+
+/**
+ * Mapping-set diff keyed by table + field: { added, removed, changed }.
+ */
+const diffMappingSets = (fromRows, toRows) => {
+  const from = new Map(fromRows.map(row => [mappingKey(row), row]));
+  const to = new Map(toRows.map(row => [mappingKey(row), row]));
+  const diff = { added: [], removed: [], changed: [] };
+
+  for (const [key, row] of to) {
+    if (!from.has(key)) {
+      diff.added.push({ key, mapping: row });
+      continue;
+    }
+    const changes = diffMapping(from.get(key), row);
+    if (Object.keys(changes).length > 0) diff.changed.push({ key, changes });
+  }
+  for (const [key, row] of from) {
+    if (!to.has(key)) diff.removed.push({ key, mapping: row });
+  }
+  return diff;
+};
+
+/**
+ * Template mappings overlaid with a vendor's own: a vendor row replaces the
+ * template row for the same table + field. Sorted the way the mappers
+ * expect (by table, required first) since they take the row root from a
+ * table's first mapping.
+ */
+const mergeMappings = (templateRows, vendorRows) => {
+  const merged = new Map(templateRows.map(row => [mappingKey(row), row]));
+  for (const row of vendorRows) merged.set(mappingKey(row), row);
+
+  return [...merged.values()].sort((a, b) =>
+    a.pvfm_tablename.localeCompare(b.pvfm_tablename) ||
+    Number(Boolean(b.pvfm_is_required)) - Number(Boolean(a.pvfm_is_required)));
+};
+
+/**
+ * The parts of a mapping row that decide how it maps, in a stable shape
+ * (no timestamps), for snapshots and comparisons.
+ */
+const pickMapping = (mapping) => ({
+  pvfm_mapping_id: mapping.pvfm_mapping_id ?? null,
+  ...(mapping.pvfm_template_id && { pvfm_template_id: mapping.pvfm_template_id }),
+  pvfm_tablename: mapping.pvfm_tablename,
+  pvfm_source_field: mapping.pvfm_source_field,
+  ...Object.fromEntries(MAPPING_FIELDS.map(field => [field, normaliseField(field, mapping[field])]))
+});
+
+// { raw_transactions: [...], raw_transaction_items: [...], raw_payment: [...] }
+const groupByTable = (mappings) => {
+  const grouped = Object.fromEntries(MAPPING_TABLES.map(table => [table, []]));
+  for (const mapping of mappings) {
+    grouped[mapping.pvfm_tablename]?.push(mapping);
+  }
+  return grouped;
+};
+
+module.exports = {
+  MAPPING_FIELDS,
+  MAPPING_TABLES,
+  mappingKey,
+  diffMapping,
+  diffMappingSets,
+  mergeMappings,
+  pickMapping,
+  groupByTable
+};
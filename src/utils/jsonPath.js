@@ -0,0 +1,442 @@
+/**
+ * The JSONPath subset field mappings (pvfm_json_path, pvfm_row_root_json_path)
+ * are written in, shared by FieldMapper, DbTransactionMapper, the preview
+ * tracer and the mapping suggester.
+ *
+ *   $                        the record (optional: `a.b` is the same as `$.a.b`)
+ *   .key  ['key']  ["key"]   child; quote keys with spaces, dots or brackets
+ *   .*  [*]                  every array item / object value
+ *   [0]  [-1]  [0,2]         array indexes (negative counts from the end)
+ *   [1:3]  [::2]  [-2:]      slices, [start:end:step] as in Python
+ *   ['a','b']                several keys
+ *   ..key  ..*  ..[0]        recursive descent: matches at any depth
+ *   [?(@.mode == 'CARD')]    filter items / values; parentheses optional
+ *
+ * Filters compare with == != < <= > >= and combine with && || !; operands
+ * are @ (the current item) or $ paths, 'strings', numbers, true, false and
+ * null. A bare path (`[?(@.discount)]`) tests that the field exists. A
+ * number and a numeric string compare as numbers, since vendors send both.
+ *
+ * Plain dot paths behave as they always have, including numeric keys into
+ * arrays (`items.0.qty`) and `$` keys from xml2js attributes mid-path
+ * (`Order.$.id`). A leading `$` is the root, so the record's own
+ * attributes are `['$'].id`, except in XML and SOAP mappings, where `$.id`
+ * keeps its old meaning (see xmlAttributePath).
+ */
+
+const CACHE_LIMIT = 1000;
+const cache = new Map();
+
+const COMPARATORS = ['==', '!=', '<=', '>=', '<', '>'];
+
+const isObjectLike = (value) => value !== null && typeof value === 'object';
+const hasOwn = (value, key) => Object.prototype.hasOwnProperty.call(value, key);
+
+const syntaxError = (source, position, message) => {
+  const error = new Error(`Invalid JSONPath "${source}": ${message} at position ${position}`);
+  error.code = 'INVALID_JSON_PATH';
+  error.path = source;
+  error.position = position;
+  return error;
+};
+
+/* ========================= PARSER ========================== */
+
+class Parser {
+  constructor(source) {
+    this.source = source;
+    this.pos = 0;
+  }
+
+  fail(message, position = this.pos) {
+    throw syntaxError(this.source, position, message);
+  }
+
+  peek(text) {
+    return this.source.startsWith(text, this.pos);
+  }
+
+  eat(text) {
+    if (!this.peek(text)) return false;
+    this.pos += text.length;
+    return true;
+  }
+
+  expect(text) {
+    if (!this.eat(text)) this.fail(`expected "${text}"${this.atEnd() ? ' before the end' : ` but found "${this.source[this.pos]}"`}`);
+  }
+
+  atEnd() {
+    return this.pos >= this.source.length;
+  }
+
+  skipSpace() {
+    while (/\s/.test(this.source[this.pos] || '')) this.pos++;
+  }
+
+  // path := ['$'] segment*  |  key segment*
+  parsePath() {
+    if (this.source.trim() === '') this.fail('path is empty', 0);
+
+    let segments;
+    if (this.source === '$' || this.peek('$.') || this.peek('$[')) {
+      this.pos = 1;
+      segments = this.parseSegments({ inFilter: false });
+    } else if (this.peek('.') && !this.peek('..')) {
+      this.fail('expected a key before "."');
+    } else if (this.peek('[') || this.peek('..')) {
+      segments = this.parseSegments({ inFilter: false });
+    } else {
+      segments = [{ descendant: false, selectors: [this.parseDotKey({ inFilter: false })] }, ...this.parseSegments({ inFilter: false })];
+    }
+
+    if (!this.atEnd()) this.fail(`unexpected "${this.source[this.pos]}"`);
+    return segments;
+  }
+
+  parseSegments({ inFilter }) {
+    const segments = [];
+    for (;;) {
+      if (this.eat('..')) {
+        const selectors = this.peek('[') ? this.parseBracket() : [this.parseDotKey({ inFilter })];
+        segments.push({ descendant: true, selectors });
+      } else if (this.eat('.')) {
+        segments.push({ descendant: false, selectors: [this.parseDotKey({ inFilter })] });
+      } else if (this.peek('[')) {
+        segments.push({ descendant: false, selectors: this.parseBracket() });
+      } else {
+        return segments;
+      }
+    }
+  }
+
+  // Keys after a dot run to the next ".", "[" or "]" (spaces allowed, as
+  // before); inside filters they also stop at operators, parentheses and spaces
+  parseDotKey({ inFilter }) {
+    if (this.eat('*')) return { type: 'wildcard' };
+
+    const stop = inFilter ? /[\s.[\]()=!<>&|,'"]/ : /[.[\]]/;
+    const start = this.pos;
+    while (!this.atEnd() && !stop.test(this.source[this.pos])) this.pos++;
+    if (this.pos === start) this.fail('expected a key');
+    return { type: 'name', name: this.source.slice(start, this.pos) };
+  }
+
+  parseBracket() {
+    const open = this.pos;
+    this.expect('[');
+    const selectors = [];
+    do {
+      this.skipSpace();
+      selectors.push(this.parseSelector());
+      this.skipSpace();
+    } while (this.eat(','));
+    if (!this.eat(']')) {
+      if (this.atEnd()) this.fail('unclosed "["', open);
+      this.fail(`expected "]" or "," but found "${this.source[this.pos]}"`);
+    }
+    return selectors;
+  }
+
+  parseSelector() {
+    if (this.eat('*')) return { type: 'wildcard' };
+    if (this.peek("'") || this.peek('"')) return { type: 'name', name: this.parseString() };
+    if (this.eat('?')) {
+      this.skipSpace();
+      return { type: 'filter', expression: this.parseOr() };
+    }
+
+    const start = this.parseInteger();
+    if (!this.peek(':')) {
+      if (start === null) this.fail(this.atEnd() ? 'expected a selector' : `unexpected "${this.source[this.pos]}"`);
+      return { type: 'index', index: start };
+    }
+    this.eat(':');
+    this.skipSpace();
+    const end = this.parseInteger();
+    let step = null;
+    if (this.eat(':')) {
+      this.skipSpace();
+      step = this.parseInteger();
+    }
+    return { type: 'slice', start, end, step: step ?? 1 };
+  }
+
+  parseInteger() {
+    const match = /^-?\d+/.exec(this.source.slice(this.pos));
+    if (!match) return null;
+    this.pos += match[0].length;
+    this.skipSpace();
+    return Number(match[0]);
+  }
+
+  parseString() {
+    const quote = this.source[this.pos];
+    const start = this.pos;
+    this.pos++;
+    let text = '';
+    while (!this.atEnd() && this.source[this.pos] !== quote) {
+      if (this.source[this.pos] === '\\') {
+        this.pos++;
+        if (this.atEnd()) break;
+      }
+      text += this.source[this.pos++];
+    }
+    if (!this.eat(quote)) this.fail('unclosed string', start);
+    return text;
+  }
+
+  /* ---- filter expressions ---- */
+
+  parseOr() {
+    let node = this.parseAnd();
+    this.skipSpace();
+    while (this.eat('||')) {
+      this.skipSpace();
+      node = { type: 'or', left: node, right: this.parseAnd() };
+      this.skipSpace();
+    }
+    return node;
+  }
+
+  parseAnd() {
+    let node = this.parseUnary();
+    this.skipSpace();
+    while (this.eat('&&')) {
+      this.skipSpace();
+      node = { type: 'and', left: node, right: this.parseUnary() };
+      this.skipSpace();
+    }
+    return node;
+  }
+
+  parseUnary() {
+    this.skipSpace();
+    if (this.peek('!') && !this.peek('!=')) {
+      this.pos++;
+      return { type: 'not', operand: this.parseUnary() };
+    }
+    if (this.eat('(')) {
+      this.skipSpace();
+      const node = this.parseOr();
+      this.skipSpace();
+      this.expect(')');
+      return node;
+    }
+
+    const operandStart = this.pos;
+    const left = this.parseOperand();
+    this.skipSpace();
+    const operator = COMPARATORS.find(candidate => this.peek(candidate));
+    if (!operator) {
+      if (left.type !== 'query') this.fail('expected a comparison after a literal', operandStart);
+      return { type: 'exists', query: left };
+    }
+    this.pos += operator.length;
+    this.skipSpace();
+    return { type: 'compare', operator, left, right: this.parseOperand() };
+  }
+
+  parseOperand() {
+    if (this.peek('@') || this.peek('$')) {
+      const root = this.source[this.pos++] === '$';
+      return { type: 'query', root, segments: this.parseSegments({ inFilter: true }) };
+    }
+    if (this.peek("'") || this.peek('"')) return { type: 'literal', value: this.parseString() };
+
+    const match = /^(-?\d+(\.\d+)?([eE][+-]?\d+)?|true|false|null)/.exec(this.source.slice(this.pos));
+    if (!match) this.fail(this.atEnd() ? 'expected a value before the end' : `expected @, $, a string, number, true, false or null but found "${this.source[this.pos]}"`);
+    this.pos += match[0].length;
+    return { type: 'literal', value: JSON.parse(match[0]) };
+  }
+}
+
+/* ========================= EVALUATION ========================== */
+
+const childrenOf = (node) => {
+  if (Array.isArray(node)) return node;
+  return isObjectLike(node) ? Object.values(node) : [];
+};
+
+const sliceIndexes = (length, { start, end, step }) => {
+  if (step === 0) return [];
+  const clamp = (value, fallback) => {
+    if (value === null) return fallback;
+    const index = value < 0 ? length + value : value;
+    return step > 0 ? Math.min(Math.max(index, 0), length) : Math.min(Math.max(index, -1), length - 1);
+  };
+  const indexes = [];
+  if (step > 0) {
+    for (let i = clamp(start, 0); i < clamp(end, length); i += step) indexes.push(i);
+  } else {
+    for (let i = clamp(start, length - 1); i > clamp(end, -1); i += step) indexes.push(i);
+  }
+  return indexes;
+};
+
+// Numbers and numeric strings compare as numbers; anything else strictly
+const comparable = (left, right) => {
+  const isNumeric = (value) => typeof value === 'number' ||
+    (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value)));
+  if ((typeof left === 'number' || typeof right === 'number') && isNumeric(left) && isNumeric(right)) {
+    return [Number(left), Number(right)];
+  }
+  return [left, right];
+};
+
+const compare = (operator, rawLeft, rawRight) => {
+  const [left, right] = comparable(rawLeft, rawRight);
+  switch (operator) {
+    case '==': return left === right;
+    case '!=': return left !== right;
+  }
+  const ordered = (typeof left === 'number' && typeof right === 'number') ||
+    (typeof left === 'string' && typeof right === 'string');
+  if (!ordered) return false;
+  switch (operator) {
+    case '<': return left < right;
+    case '<=': return left <= right;
+    case '>': return left > right;
+    default: return left >= right;
+  }
+};
+
+let applySegments;
+
+const evaluate = (expression, current, root) => {
+  switch (expression.type) {
+    case 'or': return evaluate(expression.left, current, root) || evaluate(expression.right, current, root);
+    case 'and': return evaluate(expression.left, current, root) && evaluate(expression.right, current, root);
+    case 'not': return !evaluate(expression.operand, current, root);
+    case 'exists': return applySegments([expression.query.root ? root : current], expression.query.segments, root).length > 0;
+    default: {
+      // A path that matches nothing (or several values) compares as missing
+      const valueOf = (operand) => {
+        if (operand.type === 'literal') return operand.value;
+        const matches = applySegments([operand.root ? root : current], operand.segments, root);
+        return matches.length === 1 ? matches[0] : undefined;
+      };
+      return compare(expression.operator, valueOf(expression.left), valueOf(expression.right));
+    }
+  }
+};
+
+const select = (node, selector, root) => {
+  switch (selector.type) {
+    case 'name':
+      return isObjectLike(node) && hasOwn(node, selector.name) ? [node[selector.name]] : [];
+    case 'wildcard':
+      return childrenOf(node);
+    case 'index': {
+      if (!Array.isArray(node)) return [];
+      const index = selector.index < 0 ? node.length + selector.index : selector.index;
+      return index >= 0 && index < node.length ? [node[index]] : [];
+    }
+    case 'slice':
+      return Array.isArray(node) ? sliceIndexes(node.length, selector).map(i => node[i]) : [];
+    default:
+      return childrenOf(node).filter(child => evaluate(selector.expression, child, root));
+  }
+};
+
+const descendants = (node) => [node, ...childrenOf(node).flatMap(descendants)];
+
+applySegments = (nodes, segments, root) => segments.reduce((current, segment) => {
+  const targets = segment.descendant ? current.flatMap(descendants) : current;
+  return targets.flatMap(node => segment.selectors.flatMap(selector => select(node, selector, root)));
+}, nodes);
+
+/* ========================= PUBLIC ========================== */
+
+/**
+ * Parse a path (cached). Throws INVALID_JSON_PATH, with `position`, when it
+ * is not valid.
+ */
+const compileJsonPath = (path) => {
+  if (cache.has(path)) return cache.get(path);
+  if (typeof path !== 'string') throw syntaxError(String(path), 0, 'path must be a string');
+
+  const compiled = { source: path, segments: new Parser(path).parsePath() };
+  if (cache.size >= CACHE_LIMIT) cache.delete(cache.keys().next().value);
+  cache.set(path, compiled);
+  return compiled;
+};
+
+/**
+ * Every value the path matches in `obj`, in document order.
+ */
+const queryJsonPath = (obj, path) => {
+  const { segments } = compileJsonPath(path);
+  return applySegments([obj], segments, obj);
+};
+
+/**
+ * The mappers' lookup: null when nothing matches, the value itself for a
+ * single match, otherwise an array of the matches.
+ */
+const extractByJsonPath = (obj, path) => {
+  if (!obj || !path) return null;
+  const matches = queryJsonPath(obj, path);
+  if (matches.length === 0) return null;
+  return matches.length === 1 ? matches[0] : matches;
+};
+
+/**
+ * A mapping path is one path or a `date|time` pair (FieldMapper.buildTimestamp);
+ * `||` inside a filter is not a separator.
+ */
+const splitMappingPath = (value) => String(value).split(/(?<!\|)\|(?!\|)/);
+
+/**
+ * XML and SOAP mappings were written when a leading `$.` could only be the
+ * xml2js attributes of the record, so for those sources it still is.
+ * `$[...]` and a lone `$` never meant that and keep their root meaning.
+ */
+const xmlAttributePath = (path) =>
+  (typeof path === 'string' && path.startsWith('$.') ? `['$']${path.slice(1)}` : path);
+
+/**
+ * express-validator custom checks for pvfm_row_root_json_path (one path) and
+ * pvfm_json_path (a path or date|time pair). They throw the syntax error so
+ * it is reported when the mapping is saved.
+ */
+const assertJsonPath = (value) => {
+  if (value === null || value === undefined || value === '') return true;
+  compileJsonPath(value);
+  return true;
+};
+
+const assertMappingPath = (value) => {
+  if (value === null || value === undefined || value === '') return true;
+  for (const part of splitMappingPath(value)) compileJsonPath(part);
+  return true;
+};
+
+// Path to `key` under `parent`, quoting keys that are not plain names
+const appendKey = (parent, key) => {
+  const plain = /^[A-Za-z_][\w$ -]*$/.test(key) && key.trim() === key;
+  if (plain) return parent ? `${parent}.${key}` : key;
+  return `${parent || '$'}['${String(key).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}']`;
+};
+
+// Last key a path names (for matching it to a column), or null
+const lastKey = (path) => {
+  const { segments } = compileJsonPath(path);
+  for (let i = segments.length - 1; i >= 0; i--) {
+    const named = segments[i].selectors.find(selector => selector.type === 'name');
+    if (named) return named.name;
+  }
+  return null;
+};
+
+module.exports = {
+  compileJsonPath,
+  queryJsonPath,
+  extractByJsonPath,
+  splitMappingPath,
+  xmlAttributePath,
+  assertJsonPath,
+  assertMappingPath,
+  appendKey,
+  lastKey
+};
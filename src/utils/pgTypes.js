@@ -0,0 +1,116 @@
+const pool = require('../config/database');
+
+const INTEGER_RANGES = {
+  int2: [-32768, 32767],
+  int4: [-2147483648, 2147483647],
+  int8: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER]
+};
+
+const NUMERIC_PATTERN = /^\s*[+-]?(\d+(\.\d*)?|\.\d+)([eE][+-]?\d+)?\s*$/;
+const INTEGER_PATTERN = /^\s*[+-]?\d+\s*$/;
+const BOOLEAN_VALUES = new Set(['t', 'f', 'true', 'false', 'y', 'n', 'yes', 'no', 'on', 'off', '1', '0']);
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const TIME_PATTERN = /^\d{1,2}:\d{2}(:\d{2}(\.\d+)?)?(\s*[AP]M)?$/i;
+
+/**
+ * Column types of the given tables from information_schema, as
+ * { table: { column: { type, maxLength } } }. Array columns keep PG's
+ * underscore prefix (`_numeric`).
+ */
+const loadColumnTypes = async (tables) => {
+  const result = await pool.query(
+    `SELECT table_name, column_name, udt_name, character_maximum_length
+     FROM information_schema.columns
+     WHERE table_name = ANY($1)`,
+    [tables]
+  );
+
+  const types = Object.fromEntries(tables.map(table => [table, {}]));
+  for (const row of result.rows) {
+    types[row.table_name][row.column_name] = {
+      type: row.udt_name,
+      maxLength: row.character_maximum_length
+    };
+  }
+  return types;
+};
+
+const isDateLike = (value) => {
+  if (value instanceof Date) return !Number.isNaN(value.getTime());
+  if (typeof value !== 'string') return false;
+  // Date.parse alone accepts bare numbers like "2399" as a year
+  if (!/\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4}/.test(value)) return false;
+  return !Number.isNaN(Date.parse(value.replace(' ', 'T'))) || /^\d{4}-\d{2}-\d{2}/.test(value);
+};
+
+const checkScalar = (value, type, maxLength) => {
+  if (INTEGER_RANGES[type]) {
+    const [min, max] = INTEGER_RANGES[type];
+    const ok = typeof value === 'number'
+      ? Number.isInteger(value)
+      : typeof value === 'string' && INTEGER_PATTERN.test(value);
+    if (!ok) return `expected an integer (${type})`;
+    if (Number(value) < min || Number(value) > max) return `integer out of range for ${type}`;
+    return null;
+  }
+
+  switch (type) {
+    case 'numeric':
+    case 'float4':
+    case 'float8':
+      return (typeof value === 'number' && Number.isFinite(value)) || (typeof value === 'string' && NUMERIC_PATTERN.test(value))
+        ? null
+        : `expected a number (${type})`;
+    case 'bool':
+      return typeof value === 'boolean' || BOOLEAN_VALUES.has(String(value).trim().toLowerCase())
+        ? null
+        : 'expected a boolean';
+    case 'date':
+    case 'timestamp':
+    case 'timestamptz':
+      return isDateLike(value) ? null : `expected a date/time (${type})`;
+    case 'time':
+    case 'timetz':
+      return typeof value === 'string' && TIME_PATTERN.test(value.trim()) ? null : `expected a time (${type})`;
+    case 'uuid':
+      return typeof value === 'string' && UUID_PATTERN.test(value) ? null : 'expected a UUID';
+    case 'varchar':
+    case 'bpchar':
+      if (typeof value === 'object') return `expected text (${type})`;
+      return maxLength && String(value).length > maxLength
+        ? `longer than ${maxLength} characters`
+        : null;
+    case 'text':
+      return typeof value === 'object' ? 'expected text' : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Why `value` would be rejected by a column of `column.type`, or null when
+ * PG would accept it. null/undefined always pass (nullability is not
+ * checked); json/jsonb accept anything. For array columns every element is
+ * checked against the element type.
+ */
+const checkColumnValue = (value, column) => {
+  if (value === null || value === undefined || !column) return null;
+
+  const { type, maxLength } = column;
+  if (type === 'json' || type === 'jsonb') return null;
+
+  if (type.startsWith('_')) {
+    const elements = Array.isArray(value) ? value : [value];
+    for (const element of elements) {
+      if (element === null || element === undefined) continue;
+      const reason = checkScalar(element, type.slice(1), maxLength);
+      if (reason) return `array element ${JSON.stringify(element)}: ${reason}`;
+    }
+    return null;
+  }
+
+  if (Array.isArray(value)) return `array given for a ${type} column`;
+  return checkScalar(value, type, maxLength);
+};
+
+module.exports = { loadColumnTypes, checkColumnValue };
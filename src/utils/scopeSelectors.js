@@ -0,0 +1,50 @@
+// What a scope selector can narrow on; a field left out matches anything
+const SCOPE_FIELDS = ['vendor', 'outlet', 'terminal', 'gate'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Problems with one selector, as [{ field, message }] (field null when the
+ * selector as a whole is wrong). A selector is a vendor name or a mapping
+ * of SCOPE_FIELDS.
+ */
+const selectorProblems = (selector) => {
+  if (typeof selector === 'string') {
+    return isBlank(selector) ? [{ field: null, message: 'Vendor name is required' }] : [];
+  }
+  if (!isObject(selector)) {
+    return [{ field: null, message: `Must be a vendor name or a mapping of ${SCOPE_FIELDS.join(', ')}` }];
+  }
+
+  const problems = [];
+  for (const key of Object.keys(selector)) {
+    if (!SCOPE_FIELDS.includes(key)) problems.push({ field: key, message: `Unknown field "${key}"` });
+  }
+  for (const field of SCOPE_FIELDS) {
+    const value = selector[field];
+    if (!isBlank(value) && !['string', 'number'].includes(typeof value)) {
+      problems.push({ field, message: 'Must be a string' });
+    }
+  }
+  if (SCOPE_FIELDS.every(field => isBlank(selector[field]))) {
+    problems.push({ field: null, message: `Set at least one of ${SCOPE_FIELDS.join(', ')}` });
+  }
+  return problems;
+};
+
+// { vendor, outlet, terminal, gate } with trimmed text, null for "any"
+const normaliseSelector = (selector) => {
+  const entry = typeof selector === 'string' ? { vendor: selector } : selector;
+  return Object.fromEntries(SCOPE_FIELDS.map(field => [field, isBlank(entry[field]) ? null : String(entry[field]).trim()]));
+};
+
+// "DC BOOKS / DOMESTIC 2 / TERMINAL 2 / *"
+const describeSelector = (selector) => SCOPE_FIELDS.map(field => selector[field] ?? '*').join(' / ');
+
+module.exports = {
+  SCOPE_FIELDS,
+  selectorProblems,
+  normaliseSelector,
+  describeSelector
+};
@@ -0,0 +1,211 @@
+const {
+  encrypt,
+  decrypt,
+  encryptWithPassphrase,
+  decryptWithPassphrase,
+  isEncrypted,
+  needsReencryption
+} = require('./encryption');
+
+// Plain secret columns on customer_api_configs
+const SECRET_COLUMNS = ['cac_auth_header_value', 'cac_db_password', 'cac_wizapp_password'];
+
+// JSON columns whose nested values are secret when their key looks like one
+// (token request bodies, API headers, Zoho public_key entries, ...)
+const JSON_SECRET_COLUMNS = ['cac_field_mapping', 'cac_authtokenfieldmapping', 'cac_multiple_apis'];
+
+const SECRET_KEY_PATTERN = /pass(word)?|pwd|secret|(public|private|api|access)[-_]?key|token|authorization/i;
+
+// Stands in for a secret left out of an onboarding bundle
+const OMITTED_SECRET = '<omitted>';
+
+// {{FROM_DATE}} style values are filled at runtime, not secrets
+const isPlaceholder = (value) => typeof value === 'string' && /^\s*\{\{[^}]+\}\}\s*$/.test(value);
+
+const encryptValue = (value) => {
+  if (value === null || value === undefined || value === '' || isEncrypted(value)) return value;
+  return encrypt(String(value));
+};
+
+const decryptValue = (value, label) => {
+  if (!isEncrypted(value)) return value;
+
+  try {
+    return decrypt(value);
+  } catch (error) {
+    throw new Error(`Failed to decrypt ${label}: ${error.message}`);
+  }
+};
+
+/**
+ * Apply fn to every secret-looking leaf of a JSON blob. Columns may arrive
+ * as objects (json/jsonb) or as JSON text; the result keeps the same shape.
+ */
+const transformJson = (blob, fn, label) => {
+  if (blob === null || blob === undefined) return blob;
+
+  let value = blob;
+  if (typeof blob === 'string') {
+    try {
+      value = JSON.parse(blob);
+    } catch {
+      return blob;
+    }
+  }
+
+  const walk = (node, path) => {
+    if (Array.isArray(node)) {
+      return node.map((item, i) => walk(item, `${path}[${i}]`));
+    }
+    if (node && typeof node === 'object') {
+      const out = {};
+      for (const [key, child] of Object.entries(node)) {
+        const childPath = `${path}.${key}`;
+        out[key] = SECRET_KEY_PATTERN.test(key) && (typeof child === 'string' || typeof child === 'number') && !isPlaceholder(child)
+          ? fn(child, childPath)
+          : walk(child, childPath);
+      }
+      return out;
+    }
+    return node;
+  };
+
+  const result = walk(value, label);
+  return typeof blob === 'string' ? JSON.stringify(result) : result;
+};
+
+const transformConfig = (config, fn) => {
+  if (!config) return config;
+
+  const result = { ...config };
+  for (const column of SECRET_COLUMNS) {
+    if (column in result) result[column] = fn(result[column], column);
+  }
+  for (const column of JSON_SECRET_COLUMNS) {
+    if (column in result) result[column] = transformJson(result[column], fn, column);
+  }
+  return result;
+};
+
+/**
+ * Encrypt every secret on a config row (or request body) before it is
+ * written. Values that are already encrypted are left alone.
+ */
+const encryptConfigSecrets = (config) => transformConfig(config, encryptValue);
+
+/**
+ * Decrypt every secret on a loaded config row. Legacy plaintext values are
+ * passed through unchanged.
+ */
+const decryptConfigSecrets = (config) =>
+  transformConfig(config, (value, path) => decryptValue(value, `${config.cac_config_id || 'config'} ${path}`));
+
+/**
+ * Move every secret onto the current key: plaintext is encrypted, legacy
+ * or older-key values are decrypted and encrypted again.
+ */
+const reencryptConfigSecrets = (config) =>
+  transformConfig(config, (value, path) =>
+    needsReencryption(value)
+      ? encrypt(decryptValue(value, `${config.cac_config_id || 'config'} ${path}`))
+      : encryptValue(value)
+  );
+
+/**
+ * Paths of secrets that are still stored in plaintext.
+ */
+const findPlaintextSecrets = (config) => {
+  const found = [];
+  transformConfig(config, (value, path) => {
+    if (value !== null && value !== undefined && value !== '' && !isEncrypted(value)) found.push(path);
+    return value;
+  });
+  return found;
+};
+
+/**
+ * Paths of secrets that are plaintext or not yet on the current key.
+ */
+const findStaleSecrets = (config) => {
+  const found = [];
+  transformConfig(config, (value, path) => {
+    if (value !== null && value !== undefined && value !== '' && (!isEncrypted(value) || needsReencryption(value))) {
+      found.push(path);
+    }
+    return value;
+  });
+  return found;
+};
+
+const isBlank = (value) => value === null || value === undefined || value === '';
+
+// Value at a transformConfig path such as cac_field_mapping.headers.token or cac_multiple_apis[0].key
+const valueAtPath = (config, path) => {
+  const [column, ...steps] = path.split(/(?=[.[])/);
+  let node = config[column];
+  if (typeof node === 'string' && steps.length > 0) {
+    try {
+      node = JSON.parse(node);
+    } catch {
+      return undefined;
+    }
+  }
+  for (const step of steps) {
+    if (node === null || typeof node !== 'object') return undefined;
+    node = step.startsWith('[') ? node[parseInt(step.slice(1), 10)] : node[step.slice(1)];
+  }
+  return node;
+};
+
+/**
+ * Secrets of a decrypted config as they go into a bundle: encrypted under
+ * `passphrase`, or replaced by OMITTED_SECRET when there is none.
+ */
+const exportConfigSecrets = (config, passphrase = null) =>
+  transformConfig(config, (value) => {
+    if (isBlank(value)) return value;
+    return passphrase ? encryptWithPassphrase(String(value), passphrase) : OMITTED_SECRET;
+  });
+
+/**
+ * Plaintext secrets of a config read from a bundle. Passphrase-encrypted
+ * values are opened with `passphrase`; omitted ones are carried over from
+ * `existing` (the decrypted row being updated). Returns { config, missing },
+ * missing being the omitted secrets there was nothing to carry over from.
+ */
+const importConfigSecrets = (config, { passphrase = null, existing = null } = {}) => {
+  const missing = [];
+  const result = transformConfig(config, (value, path) => {
+    if (value === OMITTED_SECRET) {
+      const current = existing ? valueAtPath(existing, path) : undefined;
+      if (isBlank(current)) {
+        missing.push(path);
+        return null;
+      }
+      return current;
+    }
+    if (isEncrypted(value)) {
+      if (!passphrase) throw new Error(`${path} is encrypted; the bundle passphrase is required`);
+      try {
+        return decryptWithPassphrase(value, passphrase);
+      } catch (error) {
+        throw new Error(`Failed to decrypt ${path}: ${error.message}`);
+      }
+    }
+    return value;
+  });
+  return { config: result, missing };
+};
+
+module.exports = {
+  SECRET_COLUMNS,
+  JSON_SECRET_COLUMNS,
+  OMITTED_SECRET,
+  encryptConfigSecrets,
+  decryptConfigSecrets,
+  reencryptConfigSecrets,
+  findPlaintextSecrets,
+  findStaleSecrets,
+  exportConfigSecrets,
+  importConfigSecrets
+};
@@ -0,0 +1,79 @@
+/**
+ * Fetch windows for direct database sources. The vendor SQL names the
+ * window with {{FROM_DATE}} and {{TO_DATE}}, the same placeholders API
+ * bodies use, and bindWindow turns them into bound parameters in the
+ * driver's own syntax:
+ *
+ *   SELECT * FROM bills
+ *   WHERE bill_time >= {{FROM_DATE}} AND bill_time <= {{TO_DATE}}
+ *
+ * Values are wall-clock 'YYYY-MM-DD HH:mm:ss' text in the vendor's timezone,
+ * cast to a timestamp on the database side.
+ */
+const WINDOW_PLACEHOLDERS = ['FROM_DATE', 'TO_DATE'];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(FROM_DATE|TO_DATE)\s*\}\}/g;
+
+// Used when a config has no SQL of its own
+const DEFAULT_WINDOW_QUERY = `
+      SELECT * FROM transactions
+      WHERE transaction_date >= {{FROM_DATE}}
+        AND transaction_date <= {{TO_DATE}}
+      ORDER BY transaction_time DESC
+    `;
+
+// Placeholder for the n-th bound value (1-based) called `name`
+const BIND_SYNTAX = {
+  pgsql: (name, n) => `$${n}::timestamp`,
+  mysql: () => 'CAST(? AS DATETIME)',
+  mssql: (name) => `CAST(@${name} AS DATETIME2)`,
+  oracle: (name) => `TO_TIMESTAMP(:${name}, 'YYYY-MM-DD HH24:MI:SS')`
+};
+
+const missingWindowPlaceholders = (sqlText) => {
+  const used = new Set([...String(sqlText || '').matchAll(PLACEHOLDER_PATTERN)].map(match => match[1]));
+  return WINDOW_PLACEHOLDERS.filter(name => !used.has(name));
+};
+
+/**
+ * The SQL with its window placeholders bound for `dbType`. Resolves to
+ * { text, values, named }: `values` in placeholder order for positional
+ * drivers (pgsql, mysql), `named` ({ FROM_DATE, TO_DATE }) for mssql and
+ * oracle. Throws INVALID_WINDOW_QUERY when the SQL does not use both
+ * placeholders, so an unbounded query never runs.
+ */
+const bindWindow = (sqlText, dbType, named) => {
+  const bind = BIND_SYNTAX[dbType];
+  if (!bind) throw new Error(`Unsupported database type: ${dbType}`);
+
+  const missing = missingWindowPlaceholders(sqlText);
+  if (missing.length > 0) {
+    const error = new Error(`Database query must use ${missing.map(name => `{{${name}}}`).join(' and ')} to bound the fetch window`);
+    error.code = 'INVALID_WINDOW_QUERY';
+    throw error;
+  }
+
+  const values = [];
+  // Postgres numbers each distinct name once; MySQL binds every occurrence
+  const numbers = new Map();
+  const text = sqlText.replace(PLACEHOLDER_PATTERN, (_, name) => {
+    if (dbType === 'pgsql') {
+      if (!numbers.has(name)) {
+        values.push(named[name]);
+        numbers.set(name, values.length);
+      }
+      return bind(name, numbers.get(name));
+    }
+    if (dbType === 'mysql') values.push(named[name]);
+    return bind(name, values.length);
+  });
+
+  return { text, values, named };
+};
+
+module.exports = {
+  WINDOW_PLACEHOLDERS,
+  DEFAULT_WINDOW_QUERY,
+  missingWindowPlaceholders,
+  bindWindow
+};
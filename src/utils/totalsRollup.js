@@ -0,0 +1,102 @@
+const { compileTransform, runTransform, toNumber } = require('./transformRules');
+
+/**
+ * Header totals rolled up from the mapped items when a config sets
+ * cac_calculate_totals_from_items. Each total is a transform rule
+ * expression (see utils/transformRules) evaluated on every mapped item,
+ * with names reading the item's canonical fields, and summed:
+ *
+ *   { "gross_amount": "quantity * unit_price", "tax_amount": "cgst + sgst" }
+ *
+ * A rule that is only a name (`line_tax`) sums that field.
+ * cac_totals_rollup overrides DEFAULT_ROLLUP per total; null drops one.
+ */
+const DEFAULT_ROLLUP = {
+  gross_amount: 'default(line_total, quantity * unit_price)',
+  discount_amount: 'line_discount',
+  tax_amount: 'line_tax',
+  net_amount: 'default(line_total, quantity * unit_price) - default(line_discount, 0) + default(line_tax, 0)'
+};
+
+// raw_transactions amounts a rollup may set
+const ROLLUP_FIELDS = ['gross_amount', 'discount_amount', 'tax_amount', 'net_amount', 'service_charge', 'fees_amount', 'salesret_amt'];
+
+// Rollup rules have no piped value, so a bare name can only mean a field
+const RULE_OPTIONS = { bareFields: true };
+
+const rollupRules = (overrides) => {
+  const rules = { ...DEFAULT_ROLLUP, ...(overrides || {}) };
+  return Object.entries(rules).filter(([, rule]) => rule !== null && rule !== '');
+};
+
+/**
+ * Problems with a cac_totals_rollup value, as [{ field, message }] (field
+ * null when the value as a whole is wrong).
+ */
+const rollupProblems = (value) => {
+  if (value === null || value === undefined) return [];
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return [{ field: null, message: 'Must be an object of { total: rule }' }];
+  }
+  return Object.entries(value).flatMap(([field, rule]) => {
+    if (!ROLLUP_FIELDS.includes(field)) {
+      return [{ field, message: `Unknown total "${field}"; expected one of ${ROLLUP_FIELDS.join(', ')}` }];
+    }
+    if (rule === null) return [];
+    if (typeof rule !== 'string') return [{ field, message: 'Rule must be a string or null' }];
+    try {
+      compileTransform(rule, RULE_OPTIONS);
+      return [];
+    } catch (error) {
+      return [{ field, message: error.message }];
+    }
+  });
+};
+
+// express-validator custom check for cac_totals_rollup
+const assertTotalsRollup = (value) => {
+  const problems = rollupProblems(value);
+  if (problems.length > 0) {
+    throw new Error(problems.map(problem => (problem.field ? `${problem.field}: ${problem.message}` : problem.message)).join('; '));
+  }
+  return true;
+};
+
+/**
+ * Sum each rule over the items. Items where a rule yields nothing are
+ * skipped, and a total no item contributes to is left out. A rule that
+ * throws or yields something other than a number ('1,000.00' is one) is
+ * reported through onError(field, error) and left out too.
+ */
+const rollupTotals = (items, overrides, { lookups = {}, onError = () => {} } = {}) => {
+  const totals = {};
+
+  for (const [field, rule] of rollupRules(overrides)) {
+    let total = null;
+    try {
+      for (const item of items) {
+        const result = runTransform(rule, null, { record: item, lookups }, RULE_OPTIONS);
+        if (result === null || result === undefined || result === '') continue;
+        const value = toNumber(result);
+        if (value === null) {
+          throw Object.assign(new Error(`Rule "${rule}" yielded ${JSON.stringify(result)}, not a number`), { code: 'TRANSFORM_FAILED' });
+        }
+        total = (total ?? 0) + value;
+      }
+    } catch (error) {
+      onError(field, error);
+      continue;
+    }
+    if (total !== null) totals[field] = Math.round((total + Math.sign(total) * Number.EPSILON) * 100) / 100;
+  }
+
+  return totals;
+};
+
+module.exports = {
+  DEFAULT_ROLLUP,
+  ROLLUP_FIELDS,
+  rollupProblems,
+  assertTotalsRollup,
+  rollupTotals
+};
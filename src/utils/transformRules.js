@@ -0,0 +1,506 @@
+const { extractByJsonPath } = require('./jsonPath');
+const { formatDateTime } = require('./dateTime');
+
+/**
+ * pvfm_transform_rule language. A rule is a pipeline of stages separated by
+ * `|`; each stage receives the previous stage's result (the mapped value
+ * for the first one) as `value`:
+ *
+ *   trim | parseFloat | round(2)
+ *   date('DD/MM/YYYY hh:mm:ss A')
+ *   default(0) | multiply(-1)
+ *   lookup('payment_modes', 'OTHER')
+ *   qty * rate | round(2)
+ *   value < 0 ? 'REFUND' : 'SALE'
+ *   field('Bill No') + '-' + value
+ *
+ * A stage that is a function call (or a bare function name) gets `value` as
+ * its first argument; anything else is an expression. A stage that is only
+ * a name must be a function, so a misspelt `uppr` is an error rather than
+ * an empty field; use field('uppr') for a field on its own. In expressions,
+ * names (`qty`, `Totals.Net`) and field('any JSONPath') read the source
+ * record the mapping is applied to; there are + - * / %, comparisons,
+ * && || !, `cond ? a : b`, 'strings', numbers, true, false and null.
+ * Arithmetic treats numeric strings as numbers and yields null when an
+ * operand is missing.
+ *
+ * Rules are parsed into a tree and interpreted; nothing is ever eval'd.
+ */
+
+const CACHE_LIMIT = 500;
+const cache = new Map();
+
+const isMissing = (value) => value === undefined || value === null || value === '';
+
+// How rules read numbers: '1,000.50' is 1000.5, text that is not a number is null
+const toNumber = (value) => {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'boolean') return Number(value);
+  if (typeof value !== 'string' || value.trim() === '') return null;
+  const number = Number(value.trim().replace(/,/g, ''));
+  return Number.isFinite(number) ? number : null;
+};
+
+// multiply(-1) on 0 should not store -0
+const noNegativeZero = (number) => (Object.is(number, -0) ? 0 : number);
+
+const numeric = (fn) => (input, ...args) => {
+  const numbers = [input, ...args].map(toNumber);
+  return numbers.includes(null) ? null : noNegativeZero(fn(...numbers));
+};
+
+const parsed = (number) => (Number.isNaN(number) ? null : number);
+
+/**
+ * Built-in functions: arity includes the piped value. `nullSafe` functions
+ * pass a missing input straight through instead of being called.
+ */
+const FUNCTIONS = {
+  trim: { arity: [1, 1], nullSafe: true, fn: (value) => String(value).trim() },
+  upper: { arity: [1, 1], nullSafe: true, fn: (value) => String(value).toUpperCase() },
+  lower: { arity: [1, 1], nullSafe: true, fn: (value) => String(value).toLowerCase() },
+  parseFloat: { arity: [1, 1], nullSafe: true, fn: (value) => parsed(parseFloat(String(value).replace(/,/g, ''))) },
+  parseInt: { arity: [1, 1], nullSafe: true, fn: (value) => parsed(parseInt(String(value).replace(/,/g, ''), 10)) },
+  round: {
+    arity: [1, 2],
+    nullSafe: true,
+    fn: numeric((value, digits = 0) => {
+      const factor = 10 ** digits;
+      return Math.round((value + Math.sign(value) * Number.EPSILON) * factor) / factor;
+    })
+  },
+  abs: { arity: [1, 1], nullSafe: true, fn: numeric(Math.abs) },
+  add: { arity: [2, 2], nullSafe: true, fn: numeric((value, n) => value + n) },
+  subtract: { arity: [2, 2], nullSafe: true, fn: numeric((value, n) => value - n) },
+  multiply: { arity: [2, 2], nullSafe: true, fn: numeric((value, n) => value * n) },
+  divide: { arity: [2, 2], nullSafe: true, fn: numeric((value, n) => (n === 0 ? null : value / n)) },
+  default: { arity: [2, 2], fn: (value, fallback) => (isMissing(value) ? fallback : value) },
+  substring: {
+    arity: [2, 3],
+    nullSafe: true,
+    fn: (value, start, end) => String(value).substring(toNumber(start) ?? 0, end === undefined ? undefined : toNumber(end) ?? undefined)
+  },
+  replace: { arity: [3, 3], nullSafe: true, fn: (value, search, replacement) => String(value).split(String(search)).join(String(replacement ?? '')) },
+  date: {
+    arity: [2, 3],
+    nullSafe: true,
+    // inputFormat is a dayjs format or iso/epoch/epoch_s/epoch_ms/excel (see utils/dateTime)
+    fn: (value, inputFormat, outputFormat = 'YYYY-MM-DD HH:mm:ss') =>
+      formatDateTime(value, String(outputFormat), { formats: [String(inputFormat)] })
+  },
+  // lookup(table, fallback?) reads context.lookups, see call()
+  lookup: { arity: [2, 3] },
+  toISOString: { arity: [1, 1], nullSafe: true, fn: (value) => new Date(value).toISOString() }
+};
+FUNCTIONS.toUpperCase = FUNCTIONS.upper;
+FUNCTIONS.toLowerCase = FUNCTIONS.lower;
+
+// Older single-word rules each mapper implements itself (passed as `functions`)
+const HOST_FUNCTIONS = ['parseDateTime', 'normalizeVendorDate', 'normalizeVendorDateTime', 'epochToDate', 'epochToTimestamp'];
+
+/**
+ * Names the mappers used to look for anywhere in a rule (rule.includes),
+ * longest first so normalizeVendorDateTime is not read as
+ * normalizeVendorDate. Rules written that way, such as value.toUpperCase()
+ * or this.parseDateTime(value), do not parse; they still run as the one
+ * function they name.
+ */
+const LEGACY_NAMES = [
+  'normalizeVendorDateTime',
+  'normalizeVendorDate',
+  'epochToDate',
+  'epochToTimestamp',
+  'toUpperCase',
+  'toLowerCase',
+  'parseFloat',
+  'parseInt',
+  'toISOString',
+  'parseDateTime'
+];
+
+const legacyName = (rule) => LEGACY_NAMES.find(name => rule.includes(name)) ?? null;
+
+const isFunction = (name) => Object.prototype.hasOwnProperty.call(FUNCTIONS, name) || HOST_FUNCTIONS.includes(name);
+
+const ruleError = (source, position, message) => {
+  const error = new Error(`Invalid transform rule "${source}": ${message} at position ${position}`);
+  error.code = 'INVALID_TRANSFORM';
+  error.rule = source;
+  error.position = position;
+  return error;
+};
+
+/* ========================= TOKENS ========================== */
+
+const PUNCTUATION = ['||', '&&', '==', '!=', '<=', '>=', '|', '<', '>', '!', '+', '-', '*', '/', '%', '(', ')', ',', '.', '?', ':'];
+
+const tokenize = (source) => {
+  const tokens = [];
+  let pos = 0;
+
+  while (pos < source.length) {
+    const char = source[pos];
+    if (/\s/.test(char)) {
+      pos++;
+      continue;
+    }
+
+    const start = pos;
+    if (char === "'" || char === '"') {
+      let text = '';
+      pos++;
+      while (pos < source.length && source[pos] !== char) {
+        if (source[pos] === '\\' && pos + 1 < source.length) pos++;
+        text += source[pos++];
+      }
+      if (pos >= source.length) throw ruleError(source, start, 'unclosed string');
+      pos++;
+      tokens.push({ type: 'string', value: text, pos: start });
+      continue;
+    }
+
+    const number = /^\d+(\.\d+)?/.exec(source.slice(pos));
+    if (number) {
+      pos += number[0].length;
+      tokens.push({ type: 'number', value: Number(number[0]), pos: start });
+      continue;
+    }
+
+    const name = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(pos));
+    if (name) {
+      pos += name[0].length;
+      tokens.push({ type: 'name', value: name[0], pos: start });
+      continue;
+    }
+
+    const punctuation = PUNCTUATION.find(candidate => source.startsWith(candidate, pos));
+    if (!punctuation) throw ruleError(source, pos, `unexpected "${char}"`);
+    pos += punctuation.length;
+    tokens.push({ type: punctuation, pos: start });
+  }
+
+  tokens.push({ type: 'end', pos: source.length });
+  return tokens;
+};
+
+/* ========================= PARSER ========================== */
+
+class Parser {
+  constructor(source, { bareFields = false } = {}) {
+    this.source = source;
+    this.bareFields = bareFields;
+    this.tokens = tokenize(source);
+    this.index = 0;
+  }
+
+  get current() {
+    return this.tokens[this.index];
+  }
+
+  fail(message, token = this.current) {
+    throw ruleError(this.source, token.pos, message);
+  }
+
+  describe(token) {
+    if (token.type === 'end') return 'the end of the rule';
+    if (token.type === 'name' || token.type === 'number') return `"${token.value}"`;
+    if (token.type === 'string') return `'${token.value}'`;
+    return `"${token.type}"`;
+  }
+
+  eat(type) {
+    if (this.current.type !== type) return null;
+    return this.tokens[this.index++];
+  }
+
+  expect(type) {
+    return this.eat(type) || this.fail(`expected "${type}" but found ${this.describe(this.current)}`);
+  }
+
+  parseRule() {
+    if (this.current.type === 'end') this.fail('rule is empty');
+    const stages = [this.parseStage()];
+    while (this.eat('|')) stages.push(this.parseStage());
+    if (this.current.type !== 'end') this.fail(`unexpected ${this.describe(this.current)}`);
+    return stages;
+  }
+
+  // A call (or bare function name) at the top of a stage takes the piped value first
+  parseStage() {
+    const start = this.current;
+    const node = this.parseExpression();
+    if (node.type === 'call') return { ...node, piped: true };
+    if (node.type === 'field' && node.bare && !(this.bareFields && !isFunction(node.path))) {
+      return this.checkCall({ type: 'call', name: node.path, args: [], piped: true }, start);
+    }
+    return node;
+  }
+
+  parseExpression() {
+    const test = this.parseOr();
+    if (!this.eat('?')) return test;
+    const then = this.parseExpression();
+    this.expect(':');
+    return { type: 'ternary', test, then, otherwise: this.parseExpression() };
+  }
+
+  parseBinary(operators, next) {
+    let node = next();
+    for (;;) {
+      const operator = operators.find(candidate => this.current.type === candidate);
+      if (!operator) return node;
+      this.index++;
+      node = { type: 'binary', operator, left: node, right: next() };
+    }
+  }
+
+  parseOr() {
+    return this.parseBinary(['||'], () => this.parseAnd());
+  }
+
+  parseAnd() {
+    return this.parseBinary(['&&'], () => this.parseComparison());
+  }
+
+  parseComparison() {
+    return this.parseBinary(['==', '!=', '<=', '>=', '<', '>'], () => this.parseAdditive());
+  }
+
+  parseAdditive() {
+    return this.parseBinary(['+', '-'], () => this.parseTerm());
+  }
+
+  parseTerm() {
+    return this.parseBinary(['*', '/', '%'], () => this.parseUnary());
+  }
+
+  parseUnary() {
+    if (this.eat('!')) return { type: 'not', operand: this.parseUnary() };
+    if (this.eat('-')) return { type: 'negate', operand: this.parseUnary() };
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.current;
+    if (this.eat('number') || this.eat('string')) return { type: 'literal', value: token.value };
+    if (this.eat('(')) {
+      const { bare, ...node } = this.parseExpression();
+      this.expect(')');
+      return node;
+    }
+    if (!this.eat('name')) this.fail(`expected a value but found ${this.describe(token)}`);
+
+    switch (token.value) {
+      case 'true': return { type: 'literal', value: true };
+      case 'false': return { type: 'literal', value: false };
+      case 'null': return { type: 'literal', value: null };
+      case 'value': return { type: 'value' };
+    }
+
+    if (this.eat('(')) {
+      const args = [];
+      if (!this.eat(')')) {
+        do args.push(this.parseExpression()); while (this.eat(','));
+        this.expect(')');
+      }
+      if (token.value === 'field') {
+        if (args.length !== 1 || args[0].type !== 'literal' || typeof args[0].value !== 'string') {
+          this.fail("field() takes one quoted path, e.g. field('Bill No')", token);
+        }
+        return { type: 'field', path: args[0].value };
+      }
+      return this.checkCall({ type: 'call', name: token.value, args }, token);
+    }
+
+    // Dotted names read nested fields: Totals.Net
+    let path = token.value;
+    while (this.current.type === '.' && this.tokens[this.index + 1].type === 'name') {
+      this.index++;
+      path += `.${this.eat('name').value}`;
+    }
+    return path === token.value ? { type: 'field', path, bare: true } : { type: 'field', path };
+  }
+
+  checkCall(node, token) {
+    if (!isFunction(node.name)) this.fail(`unknown function "${node.name}"`, token);
+    return { ...node, pos: token.pos };
+  }
+}
+
+// A piped call whose arguments only fit without the piped value, such as
+// round(qty * rate, 2), is taken as a plain call
+const checkArity = (source, stages) => {
+  const visit = (node) => {
+    if (!node || typeof node !== 'object') return;
+    if (node.type === 'call') {
+      const [low, high] = FUNCTIONS[node.name]?.arity ?? [1, 1];
+      const fits = (n) => n >= low && n <= high;
+      if (node.piped && !fits(node.args.length + 1) && fits(node.args.length)) node.piped = false;
+      const count = node.args.length + (node.piped ? 1 : 0);
+      const [min, max] = FUNCTIONS[node.name]?.arity ?? [1, 1];
+      if (count < min || count > max) {
+        const shown = (n) => (node.piped ? n - 1 : n);
+        const expected = min === max ? `${shown(min)}` : `${shown(min)} to ${shown(max)}`;
+        throw ruleError(source, node.pos, `${node.name} takes ${expected} argument(s)${node.piped ? ' after the piped value' : ''}, got ${node.args.length}`);
+      }
+    }
+    Object.values(node).forEach(child => (Array.isArray(child) ? child.forEach(visit) : visit(child)));
+  };
+  stages.forEach(visit);
+};
+
+/* ========================= EVALUATION ========================== */
+
+const compareValues = (operator, left, right) => {
+  const leftNumber = toNumber(left);
+  const rightNumber = toNumber(right);
+  const bothNumeric = leftNumber !== null && rightNumber !== null;
+  const a = bothNumeric ? leftNumber : left ?? null;
+  const b = bothNumeric ? rightNumber : right ?? null;
+
+  switch (operator) {
+    case '==': return a === b;
+    case '!=': return a !== b;
+  }
+  if (a === null || b === null) return false;
+  switch (operator) {
+    case '<': return a < b;
+    case '<=': return a <= b;
+    case '>': return a > b;
+    default: return a >= b;
+  }
+};
+
+const arithmetic = (operator, left, right) => {
+  const a = toNumber(left);
+  const b = toNumber(right);
+  if (operator === '+' && (a === null || b === null)) {
+    return isMissing(left) || isMissing(right) ? null : `${left}${right}`;
+  }
+  if (a === null || b === null) return null;
+  switch (operator) {
+    case '+': return a + b;
+    case '-': return a - b;
+    case '*': return noNegativeZero(a * b);
+    case '/': return b === 0 ? null : noNegativeZero(a / b);
+    default: return b === 0 ? null : noNegativeZero(a % b);
+  }
+};
+
+const evaluate = (node, input, context) => {
+  switch (node.type) {
+    case 'literal': return node.value;
+    case 'value': return input;
+    case 'field': {
+      const value = context.record ? extractByJsonPath(context.record, node.path) : null;
+      return value ?? null;
+    }
+    case 'not': return !evaluate(node.operand, input, context);
+    case 'negate': {
+      const number = toNumber(evaluate(node.operand, input, context));
+      return number === null ? null : noNegativeZero(-number);
+    }
+    case 'ternary':
+      return evaluate(node.test, input, context)
+        ? evaluate(node.then, input, context)
+        : evaluate(node.otherwise, input, context);
+    case 'binary': {
+      const left = evaluate(node.left, input, context);
+      if (node.operator === '&&') return left ? evaluate(node.right, input, context) : left;
+      if (node.operator === '||') return left || evaluate(node.right, input, context);
+      const right = evaluate(node.right, input, context);
+      return ['+', '-', '*', '/', '%'].includes(node.operator)
+        ? arithmetic(node.operator, left, right)
+        : compareValues(node.operator, left, right);
+    }
+    default:
+      return call(node, input, context);
+  }
+};
+
+const call = (node, input, context) => {
+  const args = node.args.map(arg => evaluate(arg, input, context));
+  if (node.piped) args.unshift(input);
+
+  if (node.name === 'lookup') {
+    const [value, table, ...fallback] = args;
+    const entries = context.lookups?.[table];
+    if (!entries) {
+      throw Object.assign(new Error(`Lookup table "${table}" does not exist`), { code: 'TRANSFORM_FAILED' });
+    }
+    const key = isMissing(value) ? null : String(value).trim();
+    if (key !== null && Object.prototype.hasOwnProperty.call(entries, key)) return entries[key];
+    return fallback.length > 0 ? fallback[0] : value;
+  }
+
+  if (HOST_FUNCTIONS.includes(node.name)) {
+    const host = context.functions?.[node.name];
+    if (!host) {
+      throw Object.assign(new Error(`${node.name} is not available for this mapper`), { code: 'TRANSFORM_FAILED' });
+    }
+    return args[0] === undefined || args[0] === null ? args[0] : host(args[0]);
+  }
+
+  const { fn, nullSafe } = FUNCTIONS[node.name];
+  if (nullSafe && (args[0] === undefined || args[0] === null)) return args[0];
+  return fn(...args);
+};
+
+/* ========================= PUBLIC ========================== */
+
+/**
+ * Parse and check a rule (cached). Throws INVALID_TRANSFORM, with
+ * `position`, for syntax errors, unknown functions and wrong argument counts.
+ *
+ * With `legacy`, for rules already stored, a rule that does not parse but
+ * names one of the LEGACY_NAMES runs as that function and comes back with
+ * the name as `legacy`. New rules are compiled without it, so a typo such
+ * as `parseFloat | round(2` is reported instead of running as parseFloat.
+ * With `bareFields`, for rules that have no piped value (totals rollups),
+ * a stage that is only a name reads that field.
+ */
+const compileTransform = (rule, { legacy: allowLegacy = false, bareFields = false } = {}) => {
+  const key = `${allowLegacy ? 'stored' : 'new'}:${bareFields ? 'fields' : 'calls'}:${rule}`;
+  if (cache.has(key)) return cache.get(key);
+  if (typeof rule !== 'string') throw ruleError(String(rule), 0, 'rule must be a string');
+
+  let stages;
+  let legacy = null;
+  try {
+    stages = new Parser(rule, { bareFields }).parseRule();
+    checkArity(rule, stages);
+  } catch (error) {
+    legacy = allowLegacy ? legacyName(rule) : null;
+    if (!legacy) throw error;
+    stages = new Parser(legacy).parseRule();
+  }
+
+  const compiled = { source: rule, stages, legacy };
+  if (cache.size >= CACHE_LIMIT) cache.delete(cache.keys().next().value);
+  cache.set(key, compiled);
+  return compiled;
+};
+
+/**
+ * Run a stored rule on a mapped value. context: { record, lookups,
+ * functions } where record is the source row names resolve against,
+ * lookups maps table names to { key: value } and functions supplies
+ * HOST_FUNCTIONS. options are compileTransform's.
+ */
+const runTransform = (rule, value, context = {}, options = { legacy: true }) =>
+  compileTransform(rule, options).stages.reduce((input, stage) => evaluate(stage, input, context), value);
+
+// express-validator custom check for pvfm_transform_rule: new rules get no legacy fallback
+const assertTransformRule = (value) => {
+  if (value === null || value === undefined || value === '') return true;
+  compileTransform(value);
+  return true;
+};
+
+module.exports = {
+  HOST_FUNCTIONS,
+  toNumber,
+  compileTransform,
+  runTransform,
+  assertTransformRule
+};
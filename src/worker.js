@@ -2,7 +2,9 @@ require('dotenv').config();
 const vendorQueue = require('./queue/vendorQueue');
 const DbTransactionMapper = require('./services/DbTransactionMapper');
 const DataInserter = require('./services/DataInserter');
+const TransactionDeriver = require('./services/TransactionDeriver');
 const ConfigModel = require('./models/configModel');
+const TransformLookupModel = require('./models/transformLookupModel');
 const logger = require('./config/logger');
 
 const CONCURRENCY = parseInt(process.env.QUEUE_CONCURRENCY) || 5;
@@ -27,6 +29,7 @@ async function processVendorData(job) {
     job.progress(20);
 
     const fieldMappings = await ConfigModel.getAllFieldMappings(config.cac_customer_id);
+    const lookups = await TransformLookupModel.getAll();
     
     job.progress(40);
 
@@ -34,9 +37,10 @@ async function processVendorData(job) {
       ...fieldMappings.raw_transactions,
       ...fieldMappings.raw_transaction_items,
       ...fieldMappings.raw_payment
-    ]);
+    ], { lookups });
 
     const transactions = mapper.mapTransactions(data);
+    new TransactionDeriver(config).derive(transactions);
     
     logger.info('Data mapped successfully', {
       jobId: job.id,
@@ -0,0 +1,68 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadAgentScope, describeScope } = require('../../src/config/agentScope');
+
+describe('loadAgentScope', () => {
+  const dirs = [];
+  const writeManifest = (data) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'scope-'));
+    dirs.push(dir);
+    const file = path.join(dir, 'vendors.json');
+    fs.writeFileSync(file, JSON.stringify({ version: 1, ...data }));
+    return file;
+  };
+
+  afterEach(() => {
+    for (const dir of dirs.splice(0)) fs.rmSync(dir, { recursive: true, force: true });
+    delete process.env.AGENT_SCOPE;
+    delete process.env.VENDOR_MANIFEST;
+  });
+
+  it('takes AGENT_SCOPE over the manifest', async () => {
+    process.env.VENDOR_MANIFEST = writeManifest({ vendors: [{ name: 'HIDESIGN' }] });
+    process.env.AGENT_SCOPE = '["DC BOOKS", {"vendor": "MISS JO", "terminal": "T1"}]';
+
+    const scope = await loadAgentScope();
+    assert.equal(scope.source, 'env');
+    assert.deepEqual(describeScope(scope).selectors, ['DC BOOKS / * / * / *', 'MISS JO / * / T1 / *']);
+  });
+
+  it('refuses an invalid AGENT_SCOPE instead of ingesting everything', async () => {
+    process.env.AGENT_SCOPE = '"DC BOOKS"';
+    await assert.rejects(loadAgentScope(), { code: 'INVALID_SCOPE', message: /Must be a JSON list/ });
+
+    process.env.AGENT_SCOPE = '["DC BOOKS", {"vendr": "X"}]';
+    await assert.rejects(loadAgentScope(), (error) => {
+      assert.equal(error.code, 'INVALID_SCOPE');
+      assert.deepEqual(error.errors.map(e => e.path), ['[1].vendr', '[1]']);
+      return true;
+    });
+
+    process.env.AGENT_SCOPE = '[DC BOOKS]';
+    await assert.rejects(loadAgentScope(), { code: 'INVALID_SCOPE', message: /Not valid JSON/ });
+  });
+
+  it('does not narrow to the manifest vendors when the manifest sets no scope', async () => {
+    const file = writeManifest({
+      vendors: [{ name: 'DC BOOKS', outlets: [{ code: 'DOM2', terminals: ['T1'] }] }]
+    });
+    process.env.VENDOR_MANIFEST = file;
+
+    assert.deepEqual(await loadAgentScope(), { source: 'none', file, selectors: null });
+  });
+
+  it('uses the manifest scope when it sets one', async () => {
+    process.env.VENDOR_MANIFEST = writeManifest({ vendors: [{ name: 'DC BOOKS' }], scope: [{ gate: 'GATE01' }] });
+    assert.deepEqual((await loadAgentScope()).selectors, [{ vendor: null, outlet: null, terminal: null, gate: 'GATE01' }]);
+  });
+
+  it('is unrestricted without env or manifest', async () => {
+    process.env.VENDOR_MANIFEST = path.join(os.tmpdir(), 'no-such-manifest.json');
+    const scope = await loadAgentScope();
+    assert.equal(scope.selectors, null);
+    assert.deepEqual(describeScope(scope), { source: 'none', file: null, restricted: false, selectors: [] });
+  });
+});
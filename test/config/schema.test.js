@@ -0,0 +1,56 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Encryption refuses to run without a key when .env says production
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+const pool = require('../../src/config/database');
+const { encrypt, decrypt } = require('../../src/utils/encryption');
+const { migrateWizappCredentials } = require('../../src/config/schema');
+
+describe('migrateWizappCredentials', () => {
+  // Answers the SELECT with `rows` and records every UPDATE
+  const fakePool = (t, rows) => {
+    const updates = [];
+    t.mock.method(pool, 'query', async (sql, params) => {
+      if (/^\s*SELECT/.test(sql)) return { rows };
+      updates.push(params);
+      return { rows: [] };
+    });
+    return updates;
+  };
+
+  it('copies the stored credentials without inventing any', async (t) => {
+    const encrypted = encrypt('pw');
+    const updates = fakePool(t, [
+      { cac_config_id: 'a', cac_db_host: 'GRP01', cac_db_username: 'user', cac_db_password: encrypted },
+      { cac_config_id: 'b', cac_db_host: 'GRP02', cac_db_username: '', cac_db_password: null }
+    ]);
+
+    assert.equal(await migrateWizappCredentials(), 2);
+    assert.deepEqual(updates, [
+      ['a', 'GRP01', 'user', encrypted],
+      ['b', 'GRP02', null, null]
+    ]);
+  });
+
+  it('encrypts a password still stored in plaintext', async (t) => {
+    const updates = fakePool(t, [
+      { cac_config_id: 'a', cac_db_host: 'GRP01', cac_db_username: 'user', cac_db_password: 'plain-pw' }
+    ]);
+
+    await migrateWizappCredentials();
+    const [, , , password] = updates[0];
+    assert.notEqual(password, 'plain-pw');
+    assert.equal(decrypt(password), 'plain-pw');
+  });
+
+  it('only selects Wizapp stores that have something to copy', async (t) => {
+    fakePool(t, []);
+    assert.equal(await migrateWizappCredentials(), 0);
+
+    const [sql] = pool.query.mock.calls[0].arguments;
+    assert.match(sql, /LOWER\(cac_jsonordb\) = 'soap'/);
+    assert.match(sql, /cac_wizapp_password IS NULL/);
+    assert.match(sql, /COALESCE\(NULLIF\(cac_db_host, ''\)/);
+  });
+});
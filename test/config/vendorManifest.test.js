@@ -0,0 +1,150 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadVendorManifest, validateManifest } = require('../../src/config/vendorManifest');
+
+const noLines = () => 1;
+const problems = (data) => validateManifest(data, noLines).map(e => `${e.path}: ${e.message}`);
+
+const outlet = (extra = {}) => ({ code: 'DOM2', terminals: ['TERMINAL 2'], ...extra });
+const manifest = (vendors) => ({ version: 1, vendors });
+
+describe('validateManifest', () => {
+  it('accepts a minimal manifest', () => {
+    assert.deepEqual(problems(manifest([{ name: 'DC BOOKS', outlets: [outlet()] }])), []);
+  });
+
+  it('reports the path of each problem', () => {
+    assert.deepEqual(problems({ version: 2, vendors: [{ outlets: [{ code: 'A', terminals: [], colour: 'red' }] }] }), [
+      'version: Must be 1',
+      'vendors[0].name: Is required',
+      'vendors[0].outlets[0].colour: Unknown field "colour"',
+      'vendors[0].outlets[0].terminals: At least one terminal is required'
+    ]);
+  });
+
+  it('flags duplicate vendors case-insensitively and duplicate outlets', () => {
+    assert.deepEqual(problems(manifest([
+      { name: 'DC BOOKS', outlets: [outlet(), outlet()] },
+      { name: 'dc books' }
+    ])), [
+      'vendors[0].outlets[1]: Duplicates vendors[0].outlets[0] (DOM2)',
+      'vendors[1]: Duplicates vendors[0] (DC BOOKS)'
+    ]);
+  });
+
+  it('reads numeric codes and terminal names as text', () => {
+    assert.deepEqual(problems(manifest([{ name: 'A', outlets: [{ code: 101, terminals: [1, { name: 2, active: 'yes' }] }] }])), [
+      'vendors[0].outlets[0].terminals[1].active: Must be true or false'
+    ]);
+  });
+
+  it('checks config columns against the source type', () => {
+    assert.deepEqual(problems(manifest([{ name: 'A', outlets: [outlet({ config: { cac_jsonordb: 'ftp' } })] }])), [
+      'vendors[0].outlets[0].config.cac_jsonordb: Is required and must be a known source type'
+    ]);
+    assert.deepEqual(problems(manifest([{ name: 'A', outlets: [outlet({ config: { cac_jsonordb: 'api', cac_outlet_id: 'X' } })] }])), [
+      'vendors[0].outlets[0].config.cac_outlet_id: Unknown field "cac_outlet_id"',
+      'vendors[0].outlets[0].config.cac_api_url: cac_api_url is required for an API source'
+    ]);
+  });
+
+  it('allows one active terminal on an outlet with a config', () => {
+    const config = { cac_jsonordb: 'api', cac_api_url: 'https://pos.example.com/bills' };
+    const shared = outlet({ terminals: ['T1', 'T2'], config });
+
+    assert.deepEqual(problems(manifest([{ name: 'A', outlets: [shared] }])), [
+      'vendors[0].outlets[0].terminals: An outlet with a config can have only one active terminal'
+    ]);
+    assert.deepEqual(problems(manifest([{ name: 'A', outlets: [{ ...shared, terminals: ['T1', { name: 'T2', active: false }] }] }])), []);
+    assert.deepEqual(problems(manifest([{ name: 'A', outlets: [{ ...shared, active: false }] }])), []);
+    assert.deepEqual(problems(manifest([{ name: 'A', outlets: [outlet({ terminals: ['T1', 'T2'] })] }])), []);
+  });
+
+  it('checks scope selectors', () => {
+    assert.deepEqual(problems({ ...manifest([]), scope: ['DC BOOKS', { vendor: 'dc books' }, { outlet: 'DOM2', colour: 'red' }, {}, 7] }), [
+      'scope[1]: Duplicates scope[0] (DC BOOKS / * / * / *)',
+      'scope[2].colour: Unknown field "colour"',
+      'scope[3]: Set at least one of vendor, outlet, terminal, gate',
+      'scope[4]: Must be a vendor name or a mapping of vendor, outlet, terminal, gate'
+    ]);
+  });
+});
+
+describe('loadVendorManifest', () => {
+  const dirs = [];
+  const write = (name, text) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'manifest-'));
+    dirs.push(dir);
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, text);
+    return file;
+  };
+
+  afterEach(() => {
+    for (const dir of dirs.splice(0)) fs.rmSync(dir, { recursive: true, force: true });
+    delete process.env.VENDOR_MANIFEST;
+  });
+
+  it('normalises terminals and numeric codes', async () => {
+    const file = write('vendors.yaml', [
+      'version: 1',
+      'vendors:',
+      '  - name: DC BOOKS',
+      '    outlets:',
+      '      - code: 101',
+      '        terminals:',
+      '          - TERMINAL 2',
+      '          - { name: 3, gate: G1 }'
+    ].join('\n'));
+
+    const { vendors } = await loadVendorManifest(file);
+    assert.deepEqual(vendors[0].outlets[0], {
+      code: '101',
+      terminals: [{ name: 'TERMINAL 2' }, { name: '3', gate: 'G1' }]
+    });
+  });
+
+  it('reports problems with their line numbers', async () => {
+    const file = write('vendors.yaml', [
+      'version: 1',
+      'vendors:',
+      '  - name: DC BOOKS',
+      '    outlets:',
+      '      - code: DOM2',
+      '        terminals: []',
+      '  - nmae: HIDESIGN'
+    ].join('\n'));
+
+    await assert.rejects(loadVendorManifest(file), (error) => {
+      assert.equal(error.code, 'INVALID_MANIFEST');
+      assert.deepEqual(error.errors.map(e => [e.line, e.path]), [
+        [6, 'vendors[0].outlets[0].terminals'],
+        [7, 'vendors[1].nmae'],
+        [7, 'vendors[1].name']
+      ]);
+      assert.match(error.message, /vendors\.yaml:6: vendors\[0\]\.outlets\[0\]\.terminals: At least one terminal/);
+      return true;
+    });
+  });
+
+  it('reports YAML syntax errors', async () => {
+    const file = write('vendors.yaml', 'version: 1\nvendors:\n  - name: "DC BOOKS\n');
+    await assert.rejects(loadVendorManifest(file), { code: 'INVALID_MANIFEST' });
+  });
+
+  it('reads JSON and the file named by VENDOR_MANIFEST', async () => {
+    process.env.VENDOR_MANIFEST = write('vendors.json', JSON.stringify(manifest([{ name: 'A' }])));
+    const loaded = await loadVendorManifest();
+    assert.equal(loaded.file, process.env.VENDOR_MANIFEST);
+    assert.deepEqual(loaded.vendors, [{ name: 'A', outlets: [] }]);
+    assert.equal(loaded.scope, null);
+  });
+
+  it('resolves to null when there is no manifest', async () => {
+    process.env.VENDOR_MANIFEST = path.join(os.tmpdir(), 'no-such-manifest.yaml');
+    assert.equal(await loadVendorManifest(), null);
+  });
+});
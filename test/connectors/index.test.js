@@ -0,0 +1,115 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  registerConnector,
+  resolveConnector,
+  listSourceTypes,
+  isKnownSourceType,
+  validateConnectorConfig,
+  listConnectors
+} = require('../../src/connectors');
+const DataFetcher = require('../../src/services/DataFetcher');
+
+const window = { from: new Date('2025-01-01T00:00:00Z'), to: new Date('2025-01-02T00:00:00Z') };
+
+describe('connector registry', () => {
+  it('resolves built-in connectors by source type, case-insensitively', () => {
+    assert.equal(resolveConnector({ cac_jsonordb: 'JSON' }).name, 'api');
+    assert.equal(resolveConnector({ cac_jsonordb: 'multiapizoho' }).name, 'zoho-creator');
+    assert.equal(resolveConnector({ cac_jsonordb: 'database' }).name, 'database');
+    assert.equal(resolveConnector({ cac_jsonordb: 'ftp' }), null);
+  });
+
+  it('picks between connectors sharing a type with matches()', () => {
+    assert.equal(resolveConnector({ cac_jsonordb: 'soap', cac_db_name: 'BJ01' }).name, 'wizapp-soap');
+    assert.equal(resolveConnector({ cac_jsonordb: 'soap' }).name, 'eshopaid-soap');
+  });
+
+  it('lists known source types once each', () => {
+    const types = listSourceTypes();
+    assert.equal(new Set(types).size, types.length);
+    assert.equal(isKnownSourceType('XML'), true);
+    assert.equal(isKnownSourceType('ftp'), false);
+    assert.equal(isKnownSourceType(undefined), false);
+    assert.ok(listConnectors().every(c => c.name && c.types && !c.fetch));
+  });
+
+  it('rejects incomplete and duplicate connectors', () => {
+    assert.throws(() => registerConnector({ name: 'broken', types: ['x'] }), /must have a name, a types array and a fetch function/);
+    assert.throws(() => registerConnector({ name: 'api', types: ['x'], fetch: async () => [] }), /already registered: api/);
+  });
+});
+
+describe('validateConnectorConfig', () => {
+  const paths = (config) => validateConnectorConfig(config).map(error => error.path);
+
+  it('rejects an unknown source type', () => {
+    assert.deepEqual(paths({ cac_jsonordb: 'ftp' }), ['cac_jsonordb']);
+  });
+
+  it('requires the Wizapp service credentials for a Wizapp store', () => {
+    const store = { cac_jsonordb: 'soap', cac_db_name: 'BJ01', cac_api_url: 'https://wizapp.example/Service.asmx' };
+    assert.deepEqual(paths(store), ['cac_wizapp_group_code', 'cac_wizapp_user_id', 'cac_wizapp_password']);
+    assert.deepEqual(paths({ ...store, cac_wizapp_group_code: 'G', cac_wizapp_user_id: 'U', cac_wizapp_password: 'P' }), []);
+  });
+
+  it('asks for a complete auth token setup or none', () => {
+    const api = { cac_jsonordb: 'json', cac_api_url: 'https://vendor.example/bills' };
+    assert.deepEqual(paths(api), []);
+    assert.deepEqual(paths({ ...api, cac_authtokenurl: 'https://vendor.example/token' }),
+      ['cac_authtokenfieldmapping', 'cac_tokenhttp']);
+  });
+
+  it('requires database SQL to be bounded by the fetch window', () => {
+    const db = { cac_jsonordb: 'db', cac_dbtype: 'pgsql', cac_db_host: 'h', cac_db_name: 'n', cac_db_username: 'u' };
+    assert.deepEqual(paths(db), ['cac_sql_text']);
+    assert.deepEqual(paths({ ...db, cac_sql_text: 'SELECT * FROM bills WHERE billed_at >= {{FROM_DATE}}' }), ['cac_sql_text']);
+    assert.deepEqual(paths({ ...db, cac_sql_text: 'SELECT * FROM bills WHERE billed_at BETWEEN {{FROM_DATE}} AND {{TO_DATE}}' }), []);
+    assert.deepEqual(paths({ ...db, cac_dbtype: 'mssql', cac_sample_json: { query: 'SELECT * FROM bills' } }), ['cac_sample_json.query']);
+  });
+});
+
+describe('DataFetcher.fetchData cursor capture', () => {
+  registerConnector({
+    name: 'test-merged',
+    types: ['test-merged'],
+    async fetch(fetcher) {
+      const pages = [{ rows: [1], meta: { next: 'page-2' } }, { rows: [2] }];
+      pages.forEach(page => fetcher.captureCursor(page));
+      return pages.flatMap(page => page.rows);
+    }
+  });
+  registerConnector({
+    name: 'test-single',
+    types: ['test-single'],
+    async fetch() {
+      return { rows: [1, 2], meta: { next: 42 } };
+    }
+  });
+
+  const fetcherFor = (sourceType) => new DataFetcher({
+    cac_config_id: 'config-1',
+    cac_jsonordb: sourceType,
+    cac_field_mapping: { cursor_path: 'meta.next' }
+  });
+
+  it('keeps a cursor a connector captured from one of its responses', async () => {
+    const fetcher = fetcherFor('test-merged');
+    assert.deepEqual(await fetcher.fetchData(window), [1, 2]);
+    assert.equal(fetcher.nextCursor, 'page-2');
+  });
+
+  it('looks the cursor up in the returned data otherwise', async () => {
+    const fetcher = fetcherFor('test-single');
+    await fetcher.fetchData(window);
+    assert.equal(fetcher.nextCursor, '42');
+  });
+
+  it('starts every fetch without a cursor', async () => {
+    const fetcher = fetcherFor('test-single');
+    fetcher.nextCursor = 'stale';
+    fetcher.config.cac_field_mapping.cursor_path = 'meta.missing';
+    await fetcher.fetchData(window);
+    assert.equal(fetcher.nextCursor, null);
+  });
+});
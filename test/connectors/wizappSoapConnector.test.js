@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const wizapp = require('../../src/connectors/wizappSoapConnector');
+
+const store = {
+  cac_config_id: 'config-1',
+  cac_api_url: ' https://mirror.example.test/Service.asmx ',
+  cac_wizapp_group_code: 'GRP01',
+  cac_wizapp_user_id: 'mall-user',
+  // ConfigModel has already decrypted it
+  cac_wizapp_password: 's3cret&<>',
+  cac_db_name: 'STORE7'
+};
+
+describe('wizappSoapConnector', () => {
+  it('reads the service credentials from the config row', () => {
+    assert.deepEqual(wizapp.getCredentials(store), {
+      url: 'https://mirror.example.test/Service.asmx',
+      groupCode: 'GRP01',
+      userId: 'mall-user',
+      password: 's3cret&<>',
+      storeCode: 'STORE7'
+    });
+  });
+
+  it('names every missing credential instead of calling with blanks', () => {
+    const config = { ...store, cac_wizapp_group_code: null, cac_wizapp_password: '' };
+    assert.throws(() => wizapp.getCredentials(config), /Wizapp config config-1 is missing: groupCode, password/);
+  });
+
+  it('builds the envelope from the store, escaping XML', () => {
+    const envelope = wizapp.buildSoapEnvelopemyjo(wizapp.getCredentials(store), '2025-01-01', '2025-01-02');
+
+    assert.match(envelope, /<cGrpCode>GRP01<\/cGrpCode>/);
+    assert.match(envelope, /<cPassword>s3cret&amp;&lt;&gt;<\/cPassword>/);
+    assert.match(envelope, /<cStoreCode>STORE7<\/cStoreCode>/);
+    assert.match(envelope, /<cFromDt>2025-01-01<\/cFromDt>\s*<ToDt>2025-01-02<\/ToDt>/);
+    assert.doesNotMatch(envelope, /BJ@WZBJ000001|ONLINE/);
+  });
+
+  it('turns the header row into object keys', () => {
+    assert.deepEqual(
+      wizapp.rowsToObjects([['Bill No', 'Net Amount'], ['B1', 10], ['B2', 20]]),
+      [{ Bill_No: 'B1', Net_Amount: 10 }, { Bill_No: 'B2', Net_Amount: 20 }]
+    );
+  });
+});
@@ -0,0 +1,47 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const pool = require('../../src/config/database');
+const ConfigModel = require('../../src/models/configModel');
+
+describe('ConfigModel.getActiveConfigs', () => {
+  const capture = (t) => {
+    const calls = [];
+    t.mock.method(pool, 'query', async (sql, params) => {
+      calls.push({ sql, params });
+      return { rows: [] };
+    });
+    return calls;
+  };
+
+  it('does not restrict without a scope', async (t) => {
+    const calls = capture(t);
+    await ConfigModel.getActiveConfigs(null);
+    assert.deepEqual(calls[0].params, []);
+    assert.doesNotMatch(calls[0].sql, /UPPER\(TRIM/);
+  });
+
+  it('matches any selector on every field it sets', async (t) => {
+    const calls = capture(t);
+    await ConfigModel.getActiveConfigs([
+      'dc books',
+      { vendor: 'MISS JO', outlet: null, terminal: ' T1 ', gate: null }
+    ]);
+
+    assert.deepEqual(calls[0].params, ['DC BOOKS', 'MISS JO', 'T1']);
+    assert.match(calls[0].sql, /AND \(\(UPPER\(TRIM\(pvm\.vendor_name\)\) = \$1\) OR \(UPPER\(TRIM\(pvm\.vendor_name\)\) = \$2 AND UPPER\(TRIM\(com\.com_terminal\)\) = \$3\)\)/);
+  });
+
+  it('matches nothing with an empty scope', async (t) => {
+    const calls = capture(t);
+    await ConfigModel.getActiveConfigs([]);
+    assert.match(calls[0].sql, /AND \(FALSE\)/);
+  });
+
+  it('counts a config\'s terminals apart from the scope', async (t) => {
+    const calls = capture(t);
+    await ConfigModel.getActiveConfigs([{ terminal: 'T1' }]);
+    // a window over the scoped rows would see only T1
+    assert.doesNotMatch(calls[0].sql, /OVER \(/);
+    assert.match(calls[0].sql, /SELECT COUNT\(\*\) FROM customer_outlet_mapping terminals/);
+  });
+});
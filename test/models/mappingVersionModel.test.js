@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MappingTemplateModel = require('../../src/models/mappingTemplateModel');
+const MappingVersionModel = require('../../src/models/mappingVersionModel');
+
+const own = [
+  { pvfm_mapping_id: 'm2', pvfm_tablename: 'raw_transactions', pvfm_source_field: 'net_amount', pvfm_json_path: 'Net' },
+  { pvfm_mapping_id: 'm1', pvfm_tablename: 'raw_payment', pvfm_source_field: 'amount', pvfm_json_path: 'Amount' }
+];
+
+// A client over one vendor's mapping rows, template link and latest version
+const fakeClient = ({ rows = own, templateId = null, latest = null } = {}) => {
+  const inserts = [];
+  const client = {
+    inserts,
+    query: async (sql, params) => {
+      if (sql.includes('FROM pos_vendor_field_mapping')) return { rows };
+      if (sql.includes('FROM pos_vendor_master')) return { rows: [{ mapping_template_id: templateId }] };
+      if (sql.includes('FROM field_mapping_versions')) return { rows: latest ? [latest] : [] };
+      if (sql.includes('INSERT INTO field_mapping_versions')) {
+        inserts.push(params);
+        return { rows: [{ fmv_version: params[2], fmv_checksum: params[6], fmv_reason: params[8] }] };
+      }
+      return { rows: [] };
+    }
+  };
+  return client;
+};
+
+describe('MappingVersionModel', () => {
+  it('snapshots own rows over the template, in a stable order', async (t) => {
+    t.mock.method(MappingTemplateModel, 'getFields', async () => [
+      { pvfm_template_id: 't1', pvfm_tablename: 'raw_payment', pvfm_source_field: 'amount', pvfm_json_path: 'Amt' },
+      { pvfm_template_id: 't1', pvfm_tablename: 'raw_payment', pvfm_source_field: 'payment_type', pvfm_json_path: 'Mode' }
+    ]);
+
+    const snapshot = await MappingVersionModel.snapshot('V1', fakeClient({ templateId: 't1' }));
+    const reordered = await MappingVersionModel.snapshot('V1', fakeClient({ rows: [...own].reverse(), templateId: 't1' }));
+
+    assert.equal(snapshot.templateId, 't1');
+    assert.deepEqual(snapshot.vendorMappings.map(m => m.pvfm_mapping_id), ['m1', 'm2']);
+    assert.deepEqual(snapshot.effectiveMappings.map(m => [m.pvfm_source_field, m.pvfm_json_path]), [
+      ['amount', 'Amount'], ['payment_type', 'Mode'], ['net_amount', 'Net']
+    ]);
+    assert.equal(reordered.checksum, snapshot.checksum);
+  });
+
+  it('numbers a new version only when the mappings changed', async () => {
+    const first = fakeClient();
+    const { version, created } = await MappingVersionModel.record(first, 'V1', { author: 'asha' });
+    assert.equal(created, true);
+    assert.equal(version.fmv_version, 1);
+    assert.equal(version.fmv_reason, 'Initial version');
+
+    const same = fakeClient({ latest: version });
+    assert.equal((await MappingVersionModel.record(same, 'V1', { author: 'asha' })).created, false);
+    assert.equal(same.inserts.length, 0);
+
+    const changed = fakeClient({ rows: own.slice(1), latest: version });
+    const next = await MappingVersionModel.record(changed, 'V1', { author: 'system' });
+    assert.equal(next.version.fmv_version, 2);
+    assert.equal(next.version.fmv_reason, 'Changed outside the API');
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const pool = require('../../src/config/database');
+const { updateRow } = require('../../src/models/partialUpdate');
+
+const STAMP = '2025-01-01T10:00:00.123Z';
+
+const request = (changes, extra = {}) => ({
+  table: 'pos_vendor_master',
+  idColumn: 'id',
+  id: 'v1',
+  columns: ['name', 'settings'],
+  changes,
+  updatedAtColumn: 'updated_at',
+  expectedUpdatedAt: STAMP,
+  jsonColumns: ['settings'],
+  ...extra
+});
+
+// `updated` answers the guarded UPDATE, `current` the follow-up SELECT
+const fakePool = (t, { updated = [], current = [] }) => {
+  const calls = [];
+  t.mock.method(pool, 'query', async (sql, params) => {
+    calls.push({ sql, params });
+    return { rows: /^\s*UPDATE/.test(sql) ? updated : current };
+  });
+  return calls;
+};
+
+describe('updateRow', () => {
+  it('writes only the supplied columns, guarded by the updated_at the caller read', async (t) => {
+    const calls = fakePool(t, { updated: [{ id: 'v1', name: 'New' }] });
+
+    const result = await updateRow(request({ name: 'New', ignored: 'x' }));
+
+    assert.deepEqual(result, { status: 'UPDATED', row: { id: 'v1', name: 'New' } });
+    assert.equal(calls.length, 1);
+    assert.match(calls[0].sql, /name = \$2,\s+updated_at = NOW\(\)/);
+    assert.doesNotMatch(calls[0].sql, /settings =|ignored/);
+    assert.match(calls[0].sql, /date_trunc\('milliseconds', updated_at\) = \$3::timestamptz/);
+    assert.deepEqual(calls[0].params, ['v1', 'New', STAMP]);
+  });
+
+  it('sends JSON columns as text and lets null through', async (t) => {
+    const calls = fakePool(t, { updated: [{ id: 'v1' }] });
+
+    await updateRow(request({ settings: ['a', 'b'] }));
+    await updateRow(request({ settings: '{"a":1}' }));
+    await updateRow(request({ settings: null }));
+
+    assert.deepEqual(calls.map(call => call.params[1]), ['["a","b"]', '{"a":1}', null]);
+  });
+
+  it('reports a conflict with the newer row when the updated_at no longer matches', async (t) => {
+    const newer = { id: 'v1', name: 'Theirs', updated_at: '2025-01-01T10:05:00.000Z' };
+    const calls = fakePool(t, { current: [newer] });
+
+    assert.deepEqual(await updateRow(request({ name: 'Mine' })), { status: 'CONFLICT', row: newer });
+    assert.equal(calls.length, 2);
+    assert.deepEqual(calls[1].params, ['v1']);
+  });
+
+  it('reports a missing row as not found', async (t) => {
+    fakePool(t, {});
+    assert.deepEqual(await updateRow(request({ name: 'Mine' })), { status: 'NOT_FOUND', row: null });
+  });
+
+  it('only matches a row that never had an updated_at when none is expected', async (t) => {
+    const calls = fakePool(t, { updated: [{ id: 'v1' }] });
+
+    await updateRow(request({ name: 'New' }, { expectedUpdatedAt: undefined }));
+
+    assert.match(calls[0].sql, /\$3::timestamptz IS NULL AND updated_at IS NULL/);
+    assert.equal(calls[0].params[2], null);
+  });
+
+  it('does not touch the database without an updatable change', async (t) => {
+    const calls = fakePool(t, {});
+    assert.deepEqual(await updateRow(request({ ignored: 'x', name: undefined })), { status: 'NO_CHANGES', row: null });
+    assert.equal(calls.length, 0);
+  });
+});
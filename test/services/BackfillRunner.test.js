@@ -0,0 +1,102 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BackfillRunner = require('../../src/services/BackfillRunner');
+
+const iso = (windows) => windows.map(window => [window.from.toISOString(), window.to.toISOString()]);
+
+// Let pending promise callbacks run between mocked timer ticks
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('BackfillRunner', () => {
+  describe('buildWindows', () => {
+    it('splits a range into Asia/Kolkata days, whatever the host timezone', () => {
+      assert.deepEqual(iso(BackfillRunner.buildWindows('2025-01-01', '2025-01-02')), [
+        ['2024-12-31T18:30:00.000Z', '2025-01-01T18:29:59.999Z'],
+        ['2025-01-01T18:30:00.000Z', '2025-01-02T18:29:59.999Z']
+      ]);
+    });
+
+    it('groups days into chunks and clips the last one', () => {
+      assert.deepEqual(iso(BackfillRunner.buildWindows('2025-01-01', '2025-01-05', 2)), [
+        ['2024-12-31T18:30:00.000Z', '2025-01-02T18:29:59.999Z'],
+        ['2025-01-02T18:30:00.000Z', '2025-01-04T18:29:59.999Z'],
+        ['2025-01-04T18:30:00.000Z', '2025-01-05T18:29:59.999Z']
+      ]);
+    });
+
+    it('treats a bad chunk size as one day', () => {
+      assert.equal(BackfillRunner.buildWindows('2025-01-01', '2025-01-03', 'x').length, 3);
+      assert.equal(BackfillRunner.buildWindows('2025-01-01', '2025-01-03', -2).length, 3);
+    });
+
+    it('rejects invalid, reversed and oversized ranges', () => {
+      assert.throws(() => BackfillRunner.buildWindows('nope', '2025-01-01'), /must be valid dates/);
+      assert.throws(() => BackfillRunner.buildWindows('2025-01-02', '2025-01-01'), /must not be after/);
+      assert.throws(() => BackfillRunner.buildWindows('2025-01-01', '2025-12-31'), /at most 90 days/);
+      assert.equal(BackfillRunner.buildWindows('2025-01-01', '2025-03-31').length, 90);
+    });
+  });
+
+  describe('jobs', () => {
+    it('only forgets finished jobs once more than 50 are tracked', () => {
+      const runner = new BackfillRunner();
+      const running = runner.createJob({ configId: 'c-running', fromDate: '2025-01-01', toDate: '2025-01-01' });
+
+      for (let i = 0; i < 60; i++) {
+        const job = runner.createJob({ configId: `c-${i}`, fromDate: '2025-01-01', toDate: '2025-01-01' });
+        job.finishedAt = new Date();
+      }
+
+      assert.equal(BackfillRunner.getJob(running.id), running);
+      assert.equal(BackfillRunner.listJobs().length, 50);
+      assert.equal(BackfillRunner.listJobs().at(-1), running);
+    });
+  });
+
+  describe('processWindow', () => {
+    const window = { from: new Date('2025-01-01T00:00:00Z'), to: new Date('2025-01-01T23:59:59Z') };
+
+    const runnerReturning = (statuses) => {
+      const runner = new BackfillRunner();
+      const calls = [];
+      runner.orchestrator = {
+        processConfig: async (config, options) => {
+          calls.push(options);
+          return { status: statuses.length > 1 ? statuses.shift() : statuses[0] };
+        }
+      };
+      return { runner, calls };
+    };
+
+    const settle = async (t, pending) => {
+      let result;
+      pending.then(value => { result = value; });
+      while (result === undefined) {
+        await flush();
+        t.mock.timers.tick(5000);
+      }
+      return result;
+    };
+
+    it('runs the window as a backfill of exactly that range', async () => {
+      const { runner, calls } = runnerReturning(['SUCCESS']);
+      assert.equal((await runner.processWindow({}, window)).status, 'SUCCESS');
+      assert.deepEqual(calls, [{ window: { from: window.from, to: window.to } }]);
+    });
+
+    it('retries while another run holds the config lock', async (t) => {
+      t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+      const { runner, calls } = runnerReturning(['SKIPPED', 'SKIPPED', 'SUCCESS']);
+      assert.equal((await settle(t, runner.processWindow({}, window))).status, 'SUCCESS');
+      assert.equal(calls.length, 3);
+    });
+
+    it('gives up once the wait runs out', async (t) => {
+      t.mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+      const { runner, calls } = runnerReturning(['SKIPPED']);
+      assert.equal((await settle(t, runner.processWindow({}, window))).status, 'SKIPPED');
+      // 300 s of waiting in 5 s polls, plus the first attempt
+      assert.equal(calls.length, 61);
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const CircuitBreakerModel = require('../../src/models/circuitBreakerModel');
+const CircuitBreaker = require('../../src/services/CircuitBreaker');
+
+describe('CircuitBreaker', () => {
+  // In-memory config_circuit_breaker rows, keyed by config id
+  let rows;
+
+  beforeEach((t) => {
+    rows = new Map();
+    t.mock.method(CircuitBreakerModel, 'getState', async (id) => rows.get(id) || null);
+    t.mock.method(CircuitBreakerModel, 'recordFailure', async (id, message) => {
+      const row = rows.get(id) || { ccb_state: 'CLOSED', ccb_failure_count: 0 };
+      rows.set(id, { ...row, ccb_failure_count: row.ccb_failure_count + 1, ccb_last_error: message });
+      return rows.get(id);
+    });
+    t.mock.method(CircuitBreakerModel, 'open', async (id, minutes) => {
+      rows.set(id, { ...rows.get(id), ccb_state: 'OPEN', ccb_open_until: new Date(Date.now() + minutes * 60000) });
+      return rows.get(id);
+    });
+    t.mock.method(CircuitBreakerModel, 'halfOpen', async (id) => {
+      rows.set(id, { ...rows.get(id), ccb_state: 'HALF_OPEN' });
+      return rows.get(id);
+    });
+    t.mock.method(CircuitBreakerModel, 'close', async (id) => {
+      rows.set(id, { ...rows.get(id), ccb_state: 'CLOSED', ccb_failure_count: 0, ccb_open_until: null });
+      return rows.get(id);
+    });
+  });
+
+  const breaker = () => new CircuitBreaker({ cac_config_id: 'config-1', vendor_name: 'TEST' });
+  const fail = (times) => Array.from({ length: times }).reduce(
+    (previous) => previous.then(() => breaker().recordFailure(new Error('timeout'))),
+    Promise.resolve()
+  );
+
+  it('opens after five consecutive failures', async () => {
+    await fail(4);
+    await breaker().assertClosed();
+    assert.equal(rows.get('config-1').ccb_state, 'CLOSED');
+
+    await fail(1);
+    assert.equal(rows.get('config-1').ccb_state, 'OPEN');
+    await assert.rejects(breaker().assertClosed(), { code: 'CIRCUIT_OPEN' });
+  });
+
+  it('resets the failure count on success', async () => {
+    await fail(4);
+    await breaker().recordSuccess();
+    await fail(4);
+    assert.equal(rows.get('config-1').ccb_state, 'CLOSED');
+  });
+
+  it('allows one trial call once the cool-down has passed', async () => {
+    await fail(5);
+    rows.get('config-1').ccb_open_until = new Date(Date.now() - 1000);
+
+    await breaker().assertClosed();
+    assert.equal(rows.get('config-1').ccb_state, 'HALF_OPEN');
+  });
+
+  it('closes when the trial call succeeds', async () => {
+    rows.set('config-1', { ccb_state: 'HALF_OPEN', ccb_failure_count: 5 });
+    await breaker().recordSuccess();
+    assert.equal(rows.get('config-1').ccb_state, 'CLOSED');
+    assert.equal(rows.get('config-1').ccb_failure_count, 0);
+  });
+
+  it('reopens when the trial call fails', async () => {
+    rows.set('config-1', { ccb_state: 'HALF_OPEN', ccb_failure_count: 0 });
+    await fail(1);
+    assert.equal(rows.get('config-1').ccb_state, 'OPEN');
+  });
+
+  it('does nothing for a config without an id', async () => {
+    const anonymous = new CircuitBreaker({});
+    await anonymous.recordFailure(new Error('timeout'));
+    await anonymous.assertClosed();
+    assert.equal(CircuitBreakerModel.recordFailure.mock.callCount(), 0);
+  });
+});
@@ -0,0 +1,59 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ConfigDryRun = require('../../src/services/ConfigDryRun');
+
+const dryRun = () => new ConfigDryRun({ cac_config_id: 'config-1', vendor_name: 'TEST' });
+
+describe('ConfigDryRun', () => {
+  describe('describePayload', () => {
+    it('lists the keys and array lengths of an object payload', () => {
+      const shape = dryRun().describePayload({ bills: [1, 2], meta: { pages: [1] }, ok: true });
+      assert.deepEqual(shape, {
+        type: 'object',
+        top_level_keys: ['bills', 'meta', 'ok'],
+        row_counts: { bills: 2, 'meta.pages': 1 }
+      });
+    });
+
+    it('describes arrays by their first row and strings by their length', () => {
+      assert.deepEqual(dryRun().describePayload([null, { a: 1, b: 2 }]), {
+        type: 'array',
+        top_level_keys: ['a', 'b'],
+        row_counts: { $: 2 }
+      });
+      assert.equal(dryRun().describePayload('<xml/>').length, 6);
+      assert.equal(dryRun().describePayload(null).type, 'null');
+    });
+  });
+
+  describe('findTypeViolations', () => {
+    const columnTypes = {
+      raw_transactions: { invoice_no: { type: 'varchar', maxLength: 5 }, net_amount: { type: 'numeric' } },
+      raw_transaction_items: { invoice_no: { type: 'varchar', maxLength: 5 }, item_name: { type: 'varchar', maxLength: 3 } },
+      raw_payment: { amount: { type: 'numeric' } }
+    };
+
+    it('reports values PG would reject, under the column they reach', () => {
+      const transactions = [{
+        invoice_no: 'INV-1',
+        net_amount: 'n/a',
+        received_at: 'yesterday',
+        items: [{ invoice_no: 'INV-1', sku_title: 'Long name' }],
+        payments: [{ amount: '10.50' }]
+      }];
+
+      const violations = dryRun().findTypeViolations(transactions, columnTypes);
+      assert.deepEqual(violations.map(v => [v.table, v.field, v.column, v.reason]), [
+        ['raw_transactions', 'net_amount', 'net_amount', 'expected a number (numeric)'],
+        ['raw_transactions', 'received_at', 'transaction_date', 'expected a date/time (timestamptz)'],
+        ['raw_transaction_items', 'sku_title', 'item_name', 'longer than 3 characters']
+      ]);
+      assert.ok(violations.every(v => v.invoice_no === 'INV-1'));
+    });
+
+    it('reports header values copied onto items only once', () => {
+      const transactions = [{ invoice_no: 'INV-123', items: [{ invoice_no: 'INV-123' }] }];
+      assert.equal(dryRun().findTypeViolations(transactions, columnTypes).length, 1);
+    });
+  });
+});
@@ -0,0 +1,22 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const pool = require('../../src/config/database');
+const ConfigValidator = require('../../src/services/Configvalidator');
+
+describe('ConfigValidator.checkTransformRules', () => {
+  const row = (rule) => ({ owner: 'vendor', owner_id: '7', tablename: 'transactions', source_field: 'amount', rule });
+
+  it('lists stored rules that run through legacy matching or do not compile', async (t) => {
+    t.mock.method(console, 'log', () => {});
+    t.mock.method(pool, 'query', async () => ({
+      rows: [row('trim | parseFloat'), row('value.toUpperCase()'), row('trim | parseFloat | round(2'), row('uppr')]
+    }));
+
+    const { invalid, legacy } = await new ConfigValidator().checkTransformRules();
+    assert.deepEqual(legacy.map(rule => [rule.rule, rule.runsAs]), [
+      ['value.toUpperCase()', 'toUpperCase'],
+      ['trim | parseFloat | round(2', 'parseFloat']
+    ]);
+    assert.deepEqual(invalid.map(rule => rule.rule), ['uppr']);
+  });
+});
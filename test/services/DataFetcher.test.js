@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const pool = require('../../src/config/database');
+const SyncStateModel = require('../../src/models/syncStateModel');
+const DataFetcher = require('../../src/services/DataFetcher');
+
+const config = (extra = {}) => ({
+  cac_config_id: 'cfg-1',
+  vendor_name: 'VENDOR',
+  com_brand_id: 'BR1',
+  cac_outlet_id: 'OUTLET',
+  com_terminal: 'T1',
+  cac_pos_vendor: 'POS',
+  ...extra
+});
+
+describe('DataFetcher', () => {
+  describe('getMaxTransactionDate', () => {
+    it('starts from the stored watermark without querying raw_transactions', async (t) => {
+      t.mock.method(SyncStateModel, 'getState', async () => ({ css_last_window_end: '2025-01-02T10:00:00.000Z' }));
+      const query = t.mock.method(pool, 'query', async () => ({ rows: [] }));
+
+      const date = await new DataFetcher(config()).getMaxTransactionDate();
+      assert.equal(date.toISOString(), '2025-01-02T10:00:00.000Z');
+      assert.equal(query.mock.callCount(), 0);
+    });
+
+    it('bootstraps from MAX(transaction_date) when the config has never synced', async (t) => {
+      t.mock.method(SyncStateModel, 'getState', async () => null);
+      const query = t.mock.method(pool, 'query', async () => ({ rows: [{ max_date: '2025-01-01T08:00:00.000Z' }] }));
+
+      const date = await new DataFetcher(config()).getMaxTransactionDate();
+      assert.equal(date.toISOString(), '2025-01-01T08:00:00.000Z');
+      assert.deepEqual(query.mock.calls[0].arguments[1], ['BR1', 'OUTLET', 'T1', 'POS']);
+    });
+
+    it('throws rather than guessing a start when the state cannot be read', async (t) => {
+      t.mock.method(SyncStateModel, 'getState', async () => { throw new Error('connection refused'); });
+      await assert.rejects(new DataFetcher(config()).getMaxTransactionDate(), /connection refused/);
+
+      t.mock.method(SyncStateModel, 'getState', async () => null);
+      t.mock.method(pool, 'query', async () => { throw new Error('statement timeout'); });
+      await assert.rejects(new DataFetcher(config()).getMaxTransactionDate(), /statement timeout/);
+    });
+  });
+
+  describe('captureCursor', () => {
+    const fetcher = () => {
+      const instance = new DataFetcher(config({ cac_field_mapping: { cursor_path: 'meta.next' } }));
+      instance.nextCursor = null;
+      return instance;
+    };
+
+    it('keeps the token found at cursor_path as text', () => {
+      const instance = fetcher();
+      instance.captureCursor({ meta: { next: 42 } });
+      assert.equal(instance.nextCursor, '42');
+    });
+
+    it('ignores missing, empty and non-scalar tokens', () => {
+      const instance = fetcher();
+      for (const meta of [{}, { next: '' }, { next: null }, { next: { page: 2 } }]) {
+        instance.captureCursor({ meta });
+      }
+      instance.captureCursor(null);
+      assert.equal(instance.nextCursor, null);
+    });
+  });
+});
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const pool = require('../../src/config/database');
+const DataInserter = require('../../src/services/DataInserter');
+
+// A pooled client that records its statements
+const fakeClient = () => {
+  const client = {
+    statements: [],
+    released: false,
+    query: async (sql) => {
+      client.statements.push(sql.trim().split(/\s+/).slice(0, 3).join(' '));
+      return { rows: [] };
+    },
+    release: () => { client.released = true; }
+  };
+  return client;
+};
+
+const bill = (invoiceNo) => ({ transaction_id: `t-${invoiceNo}`, invoice_no: invoiceNo, brand_name: 'B', outlet_name: 'O' });
+
+describe('DataInserter', () => {
+  const setup = (t, { failing = [], existing = [], exceptionError = null } = {}) => {
+    const client = fakeClient();
+    const exceptions = [];
+    t.mock.method(pool, 'connect', async () => client);
+    t.mock.method(pool, 'query', async (sql, params) => {
+      if (exceptionError) throw exceptionError;
+      exceptions.push(params);
+      return { rows: [] };
+    });
+
+    const inserter = new DataInserter({ vendor_name: 'VENDOR' });
+    t.mock.method(inserter, 'checkTransactionExists', async (c, transaction) => existing.includes(transaction.invoice_no));
+    t.mock.method(inserter, 'insertTransaction', async (c, transaction) => {
+      if (failing.includes(transaction.invoice_no)) throw new Error(`bad bill ${transaction.invoice_no}`);
+    });
+    return { client, exceptions, inserter };
+  };
+
+  it('rolls a failed bill back to its savepoint and commits the rest', async (t) => {
+    const { client, exceptions, inserter } = setup(t, { failing: ['B2'] });
+
+    const result = await inserter.insertTransactions([bill('B1'), bill('B2'), bill('B3')]);
+
+    assert.deepEqual(result, { successCount: 2, errorCount: 1, skippedCount: 0 });
+    assert.deepEqual(client.statements, [
+      'BEGIN',
+      'SAVEPOINT transaction_unit', 'RELEASE SAVEPOINT transaction_unit',
+      'SAVEPOINT transaction_unit', 'ROLLBACK TO SAVEPOINT',
+      'SAVEPOINT transaction_unit', 'RELEASE SAVEPOINT transaction_unit',
+      'COMMIT'
+    ]);
+    assert.equal(client.released, true);
+
+    // raw_exceptions goes through the pool, not the batch transaction
+    assert.equal(exceptions.length, 1);
+    assert.equal(exceptions[0][0], 't-B2');
+    assert.equal(exceptions[0][9], 'bad bill B2');
+  });
+
+  it('skips bills that already exist', async (t) => {
+    const { inserter } = setup(t, { existing: ['B1'] });
+    assert.deepEqual(await inserter.insertTransactions([bill('B1'), bill('B2')]), { successCount: 1, errorCount: 0, skippedCount: 1 });
+  });
+
+  it('keeps going when the exception itself cannot be logged', async (t) => {
+    const { client, inserter } = setup(t, { failing: ['B1'], exceptionError: new Error('pool exhausted') });
+
+    assert.deepEqual(await inserter.insertTransactions([bill('B1'), bill('B2')]), { successCount: 1, errorCount: 1, skippedCount: 0 });
+    assert.equal(client.statements.at(-1), 'COMMIT');
+  });
+});
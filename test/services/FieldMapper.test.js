@@ -0,0 +1,21 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const FieldMapper = require('../../src/services/FieldMapper');
+
+describe('FieldMapper.extractByJsonPath', () => {
+  const record = { $: { id: 'R-1' }, id: 'root-id' };
+
+  it('reads a leading $. as the record attributes for XML and SOAP sources', () => {
+    for (const type of ['xml', 'SOAP']) {
+      assert.equal(new FieldMapper({ cac_jsonordb: type }, []).extractByJsonPath(record, '$.id'), 'R-1');
+    }
+  });
+
+  it('reads a leading $. as the root for JSON sources', () => {
+    assert.equal(new FieldMapper({ cac_jsonordb: 'api' }, []).extractByJsonPath(record, '$.id'), 'root-id');
+  });
+
+  it('returns null for a path that does not parse', () => {
+    assert.equal(new FieldMapper({ cac_jsonordb: 'api' }, []).extractByJsonPath(record, 'items[?(@.x ==]'), null);
+  });
+});
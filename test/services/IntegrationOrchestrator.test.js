@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SyncStateModel = require('../../src/models/syncStateModel');
+const IntegrationOrchestrator = require('../../src/services/IntegrationOrchestrator');
+
+const config = { cac_config_id: 'cfg-1' };
+const windowEnd = new Date('2025-01-02T00:00:00Z');
+
+describe('IntegrationOrchestrator', () => {
+  describe('advanceSyncState', () => {
+    it('moves the watermark to the end of the fetched window', async (t) => {
+      const markSuccess = t.mock.method(SyncStateModel, 'markSuccess', async () => {});
+
+      await new IntegrationOrchestrator().advanceSyncState(config, { syncWindow: { to: windowEnd }, nextCursor: 'c2' });
+      assert.deepEqual(markSuccess.mock.calls[0].arguments, ['cfg-1', { windowEnd, cursor: 'c2', lastError: null }]);
+    });
+
+    it('notes bills left in raw_exceptions', async (t) => {
+      const markSuccess = t.mock.method(SyncStateModel, 'markSuccess', async () => {});
+
+      await new IntegrationOrchestrator().advanceSyncState(config, { syncWindow: { to: windowEnd } }, 3);
+      assert.deepEqual(markSuccess.mock.calls[0].arguments[1], {
+        windowEnd,
+        cursor: null,
+        lastError: '3 bill(s) failed to insert; see raw_exceptions'
+      });
+    });
+
+    it('does nothing without a window and never throws', async (t) => {
+      const markSuccess = t.mock.method(SyncStateModel, 'markSuccess', async () => { throw new Error('deadlock'); });
+      const orchestrator = new IntegrationOrchestrator();
+
+      await orchestrator.advanceSyncState(config, {});
+      assert.equal(markSuccess.mock.callCount(), 0);
+
+      await orchestrator.advanceSyncState(config, { syncWindow: { to: windowEnd } });
+      assert.equal(markSuccess.mock.callCount(), 1);
+    });
+  });
+
+  describe('holdSyncState', () => {
+    it('records why the window will be retried and never throws', async (t) => {
+      const markFailure = t.mock.method(SyncStateModel, 'markFailure', async () => { throw new Error('deadlock'); });
+
+      await new IntegrationOrchestrator().holdSyncState(config, 2);
+      assert.deepEqual(markFailure.mock.calls[0].arguments, [
+        'cfg-1',
+        '2 failed bill(s) could not be logged to raw_exceptions; window will be retried'
+      ]);
+    });
+  });
+});
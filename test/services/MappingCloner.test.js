@@ -0,0 +1,90 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ConfigModel = require('../../src/models/configModel');
+const MappingCloner = require('../../src/services/MappingCloner');
+
+const mapping = (table, field, extra = {}) => ({ pvfm_tablename: table, pvfm_source_field: field, ...extra });
+const grouped = (rows) => ({
+  raw_transactions: rows.filter(row => row.pvfm_tablename === 'raw_transactions'),
+  raw_transaction_items: rows.filter(row => row.pvfm_tablename === 'raw_transaction_items'),
+  raw_payment: rows.filter(row => row.pvfm_tablename === 'raw_payment')
+});
+
+// Effective mappings per vendor id, and the target's own rows
+const fakeMappings = (t, { source, target, targetOwn }) => {
+  t.mock.method(ConfigModel, 'getAllFieldMappings', async (vendorId) => grouped(vendorId === 'SRC' ? source : target));
+  t.mock.method(ConfigModel, 'getVendorFieldMappings', async () => targetOwn);
+};
+
+describe('MappingCloner', () => {
+  const source = [
+    mapping('raw_transactions', 'invoice_no', { pvfm_json_path: 'BillNo', pvfm_is_required: true }),
+    mapping('raw_transactions', 'net_amount', { pvfm_json_path: 'Net' }),
+    mapping('raw_payment', 'amount', { pvfm_json_path: 'Amount' }),
+    mapping('raw_payment', 'payment_type', { pvfm_json_path: 'Mode' })
+  ];
+
+  it('plans adds, changes and template overrides against the target', async (t) => {
+    const ownNet = mapping('raw_transactions', 'net_amount', { pvfm_mapping_id: 'own-net', pvfm_json_path: 'NetAmt' });
+    const ownExtra = mapping('raw_transactions', 'currency', { pvfm_mapping_id: 'own-cur', pvfm_json_path: 'Cur' });
+    const inherited = mapping('raw_payment', 'amount', { pvfm_json_path: 'Amt', pvfm_template_id: 'tpl-1' });
+    const unchanged = mapping('raw_payment', 'payment_type', { pvfm_json_path: 'Mode', pvfm_template_id: 'tpl-1' });
+    fakeMappings(t, { source, target: [ownNet, ownExtra, inherited, unchanged], targetOwn: [ownNet, ownExtra] });
+
+    const plan = await new MappingCloner().plan({ sourceVendorId: 'SRC', targetVendorId: 'DST' });
+
+    assert.deepEqual(plan.summary, { added: 2, changed: 1, unchanged: 1, removed: 0, kept: 1 });
+    assert.deepEqual(plan.diff.added.map(row => [row.key, row.overrides_template]), [
+      ['raw_transactions:invoice_no', undefined],
+      ['raw_payment:amount', 'tpl-1']
+    ]);
+    assert.deepEqual(plan.diff.changed[0].changes, { pvfm_json_path: { from: 'NetAmt', to: 'Net' } });
+    assert.equal(plan.diff.changed[0].mapping_id, 'own-net');
+    assert.equal(plan.diff.kept[0].mapping_id, 'own-cur');
+  });
+
+  it('applies overrides and, with replace, removes what the source lacks', async (t) => {
+    const ownExtra = mapping('raw_transactions', 'currency', { pvfm_mapping_id: 'own-cur' });
+    fakeMappings(t, { source, target: [ownExtra], targetOwn: [ownExtra] });
+
+    const plan = await new MappingCloner().plan({
+      sourceVendorId: 'SRC',
+      targetVendorId: 'DST',
+      replace: true,
+      overrides: [
+        mapping('raw_transactions', 'net_amount', { pvfm_transform_rule: 'parseFloat' }),
+        mapping('raw_payment', 'payment_type', { remove: true }),
+        mapping('raw_transactions', 'shift', { pvfm_json_path: 'Shift' })
+      ]
+    });
+
+    const added = Object.fromEntries(plan.diff.added.map(row => [row.key, row.mapping]));
+    assert.deepEqual(Object.keys(added), ['raw_transactions:invoice_no', 'raw_transactions:net_amount', 'raw_payment:amount', 'raw_transactions:shift']);
+    assert.equal(added['raw_transactions:net_amount'].pvfm_json_path, 'Net');
+    assert.equal(added['raw_transactions:net_amount'].pvfm_transform_rule, 'parseFloat');
+    assert.equal(added['raw_transactions:shift'].pvfm_is_required, false);
+    assert.deepEqual(plan.diff.removed.map(row => row.mapping_id), ['own-cur']);
+  });
+
+  it('writes a plan on the caller\'s client', async () => {
+    const queries = [];
+    const client = {
+      query: async (sql, params) => queries.push([sql.trim().split(/\s+/)[0], params[0]])
+    };
+
+    const plan = {
+      source_vendor_id: 'SRC',
+      target_vendor_id: 'DST',
+      summary: {},
+      diff: {
+        added: [{ mapping: source[0] }],
+        changed: [{ mapping_id: 'own-net', mapping: source[1] }],
+        removed: [{ mapping_id: 'own-cur' }]
+      }
+    };
+
+    await new MappingCloner().apply(plan, client);
+    assert.deepEqual(queries.map(([verb]) => verb), ['INSERT', 'UPDATE', 'DELETE']);
+    assert.deepEqual(queries.slice(1).map(([, id]) => id), ['own-net', 'own-cur']);
+  });
+});
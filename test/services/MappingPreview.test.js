@@ -0,0 +1,63 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const MappingPreview = require('../../src/services/MappingPreview');
+const TransformLookupModel = require('../../src/models/transformLookupModel');
+
+const mappings = [
+  { pvfm_tablename: 'raw_transactions', pvfm_source_field: 'invoice_no', pvfm_json_path: 'bill' },
+  { pvfm_tablename: 'raw_transactions', pvfm_source_field: 'net_amount', pvfm_json_path: 'amt', pvfm_transform_rule: 'parseFloat' },
+  { pvfm_tablename: 'raw_transactions', pvfm_source_field: 'received_at', pvfm_json_path: 'd' }
+];
+
+const sample = [
+  { bill: 'A1', amt: '10.5', d: '2025-01-02 10:00:00' },
+  { bill: 'A2', d: '2025-01-02 11:00:00' }
+];
+
+const preview = (config = {}) => new MappingPreview({ cac_customer_id: 'VENDOR', ...config });
+
+describe('MappingPreview', () => {
+  beforeEach((t) => {
+    t.mock.method(TransformLookupModel, 'getAll', async () => ({}));
+  });
+
+  it('maps a sample and traces every mapping it applied', async () => {
+    const result = await preview().run({ sample: JSON.stringify(sample), mappings });
+
+    assert.equal(result.mapper, 'FieldMapper');
+    assert.equal(result.format, 'json');
+    assert.deepEqual(result.transactions.map(tx => [tx.invoice_no, tx.net_amount]), [['A1', 10.5], ['A2', 0]]);
+    assert.deepEqual(result.mappings.map(m => [m.field, m.attempts, m.misses]), [
+      ['invoice_no', 2, 0], ['net_amount', 2, 1], ['received_at', 2, 0]
+    ]);
+    assert.deepEqual(result.mapping_misses.map(m => m.field), ['net_amount']);
+
+    const amount = result.trace.find(entry => entry.field === 'net_amount');
+    assert.deepEqual(
+      { path: amount.path, raw: amount.raw_value, applied: amount.transform_applied, final: amount.final_value },
+      { path: 'amt', raw: '10.5', applied: true, final: 10.5 }
+    );
+  });
+
+  it('caps the trace and the transactions it returns', async () => {
+    const result = await preview().run({ sample, mappings, limit: 1, traceLimit: 2 });
+
+    assert.equal(result.transactions.length, 1);
+    assert.equal(result.truncated, true);
+    assert.equal(result.trace.length, 2);
+    assert.equal(result.trace_truncated, true);
+    assert.equal(result.mappings[0].attempts, 2);
+  });
+
+  it('rejects a text sample that is not JSON', async () => {
+    await assert.rejects(preview().run({ sample: '{ bill: A1', mappings }), { code: 'INVALID_SAMPLE' });
+  });
+
+  it('picks a source type matching the sample format', () => {
+    assert.equal(MappingPreview.parseSample('  <Bills/>').format, 'xml');
+    assert.equal(preview({ cac_jsonordb: 'SOAP' }).sourceTypeFor('xml'), 'soap');
+    assert.equal(preview({ cac_jsonordb: 'json' }).sourceTypeFor('xml'), 'xml');
+    assert.equal(preview({ cac_jsonordb: 'multiapi' }).sourceTypeFor('json'), 'multiapi');
+    assert.equal(preview({ cac_jsonordb: 'xml' }).sourceTypeFor('json'), 'json');
+  });
+});
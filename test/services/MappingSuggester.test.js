@@ -0,0 +1,83 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MappingSuggester = require('../../src/services/MappingSuggester');
+
+const bill = (no, amount, extra = {}) => ({
+  BillNo: no,
+  BillDate: '2025-01-02 10:00:00',
+  NetAmount: amount,
+  Cashier: 'Asha',
+  Items: [{ ItemCode: `SKU-${no}`, ItemName: 'Tea', Qty: 2, Rate: '50.00' }],
+  Payments: [{ Mode: 'CASH', Amount: amount }],
+  ...extra
+});
+
+const pairs = (result) => result.suggestions.map(s => [s.pvfm_tablename, s.pvfm_source_field, s.pvfm_json_path]);
+
+describe('MappingSuggester', () => {
+  it('finds the bill, item and payment arrays and maps their keys by name', async () => {
+    const result = await new MappingSuggester().suggest({ data: { bills: [bill('INV-1', '105.50'), bill('INV-2', '20.00')] } });
+
+    assert.deepEqual(result.row_roots, {
+      raw_transactions: 'data.bills[*]',
+      raw_transaction_items: 'Items[*]',
+      raw_payment: 'Payments[*]'
+    });
+    assert.equal(result.transaction_count, 2);
+    assert.deepEqual(pairs(result), [
+      ['raw_transactions', 'invoice_no', 'BillNo'],
+      ['raw_transactions', 'received_at', 'BillDate'],
+      ['raw_transactions', 'net_amount', 'NetAmount'],
+      ['raw_transactions', 'closed_by', 'Cashier'],
+      ['raw_transaction_items', 'sku', 'ItemCode'],
+      ['raw_transaction_items', 'item_name', 'ItemName'],
+      ['raw_transaction_items', 'quantity', 'Qty'],
+      ['raw_transaction_items', 'unit_price', 'Rate'],
+      ['raw_payment', 'payment_type', 'Mode'],
+      ['raw_payment', 'amount', 'Amount']
+    ]);
+
+    const invoice = result.suggestions[0];
+    assert.equal(invoice.pvfm_is_required, true);
+    assert.equal(invoice.pvfm_target_field, 'invoice_no');
+    assert.equal(invoice.sample_value, 'INV-1');
+  });
+
+  it('puts the vendor key in pvfm_target_field for db-style mappings', async () => {
+    const result = await new MappingSuggester().suggest([bill('INV-1', '10.00')], { mode: 'db' });
+    assert.equal(result.row_roots.raw_transactions, null);
+    assert.equal(result.suggestions[0].pvfm_target_field, 'BillNo');
+  });
+
+  it('lowers confidence when the value does not fit the column', async () => {
+    const result = await new MappingSuggester().suggest([bill('INV-1', 'ten rupees')]);
+    const amount = result.suggestions.find(s => s.pvfm_source_field === 'net_amount');
+    assert.equal(amount.confidence, 0.3);
+    assert.equal(amount.reason, 'name, but text value');
+
+    const strict = await new MappingSuggester().suggest([bill('INV-1', 'ten rupees')], { minConfidence: 0.5 });
+    assert.equal(strict.suggestions.some(s => s.pvfm_source_field === 'net_amount'), false);
+  });
+
+  it('reads XML samples with the paths FieldMapper uses', async () => {
+    const xml = '<Bills><Bill><BillNo>A1</BillNo><Total>10.00</Total></Bill><Bill><BillNo>A2</BillNo><Total>12.00</Total></Bill></Bills>';
+    const result = await new MappingSuggester().suggest(xml);
+
+    assert.equal(result.format, 'xml');
+    assert.equal(result.row_roots.raw_transactions, 'Bills.Bill[*]');
+    assert.deepEqual(pairs(result), [
+      ['raw_transactions', 'invoice_no', 'BillNo'],
+      ['raw_transactions', 'net_amount', 'Total']
+    ]);
+  });
+
+  it('does not offer bill totals as item or payment fields without an anchor column', async () => {
+    const result = await new MappingSuggester().suggest([{ BillNo: 'A1', Amount: '10.00', Discount: '1.00' }]);
+    assert.deepEqual(result.suggestions.map(s => s.pvfm_tablename), ['raw_transactions', 'raw_transactions', 'raw_transactions']);
+  });
+
+  it('rejects samples without records', async () => {
+    await assert.rejects(new MappingSuggester().suggest('<Bills'), { code: 'INVALID_SAMPLE', message: /not valid XML/ });
+    await assert.rejects(new MappingSuggester().suggest([1, 2]), { code: 'INVALID_SAMPLE', message: /No array of records/ });
+  });
+});
@@ -0,0 +1,127 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+
+// Keep retry waits short; read when the module loads
+process.env.OUTBOUND_RETRY_BASE_MS = '5';
+delete process.env.OUTBOUND_MAX_RETRIES;
+const OutboundClient = require('../../src/services/OutboundClient');
+
+// Breaker stand-in that records what the client reports
+const fakeBreaker = (assertClosed = async () => {}) => ({
+  successes: 0,
+  failures: [],
+  assertClosed,
+  async recordSuccess() { this.successes++; },
+  async recordFailure(error) { this.failures.push(error); }
+});
+
+describe('OutboundClient', () => {
+  let server;
+  let baseUrl;
+  // Status codes to answer with, one per request; the last one repeats
+  let replies = [];
+  let hits = 0;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      hits++;
+      const status = replies.length > 1 ? replies.shift() : replies[0];
+      res.writeHead(status, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ status }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+
+  const clientFor = (statuses, breaker = fakeBreaker()) => {
+    replies = [...statuses];
+    hits = 0;
+    const client = new OutboundClient({ cac_config_id: 'config-1', vendor_name: 'TEST' });
+    client.breaker = breaker;
+    return client;
+  };
+
+  it('retries retryable statuses and reports the success', async () => {
+    const client = clientFor([503, 429, 200]);
+    const response = await client.get(`${baseUrl}/bills`);
+
+    assert.equal(response.data.status, 200);
+    assert.equal(hits, 3);
+    assert.equal(client.breaker.successes, 1);
+    assert.equal(client.breaker.failures.length, 0);
+  });
+
+  it('gives up after OUTBOUND_MAX_RETRIES retries', async () => {
+    const client = clientFor([500]);
+    await assert.rejects(client.post(`${baseUrl}/bills`, { page: 1 }), (error) => error.response.status === 500);
+
+    assert.equal(hits, 3);
+    assert.equal(client.breaker.failures.length, 1);
+  });
+
+  it('does not retry client errors', async () => {
+    const client = clientFor([401]);
+    await assert.rejects(client.get(`${baseUrl}/bills`), (error) => error.response.status === 401);
+
+    assert.equal(hits, 1);
+    assert.equal(client.breaker.failures.length, 1);
+  });
+
+  it('does not call the vendor while the circuit is open', async () => {
+    const open = Object.assign(new Error('Circuit open'), { code: 'CIRCUIT_OPEN' });
+    const client = clientFor([200], fakeBreaker(async () => { throw open; }));
+
+    await assert.rejects(client.get(`${baseUrl}/bills`), { code: 'CIRCUIT_OPEN' });
+    assert.equal(hits, 0);
+  });
+
+  it('still calls the vendor when the breaker state cannot be read', async () => {
+    const client = clientFor([200], fakeBreaker(async () => { throw new Error('connection refused'); }));
+
+    assert.equal((await client.get(`${baseUrl}/bills`)).status, 200);
+    assert.equal(hits, 1);
+  });
+
+  describe('retryDelay', () => {
+    const client = new OutboundClient({ cac_config_id: 'config-1' });
+    const withRetryAfter = (value) => ({ response: { status: 429, headers: { 'retry-after': value } } });
+
+    it('honours Retry-After, capped at OUTBOUND_RETRY_MAX_MS', () => {
+      assert.equal(client.retryDelay(withRetryAfter('2'), 0), 2000);
+      assert.equal(client.retryDelay(withRetryAfter('600'), 0), 30000);
+    });
+
+    it('backs off exponentially with jitter in the upper half of the window', () => {
+      for (let attempt = 0; attempt < 4; attempt++) {
+        const window = 5 * 2 ** attempt;
+        const delay = client.retryDelay(new Error('reset'), attempt);
+        assert.ok(delay >= window / 2 && delay <= window, `attempt ${attempt}: ${delay}`);
+      }
+    });
+  });
+
+  describe('isRetryable', () => {
+    const client = new OutboundClient({ cac_config_id: 'config-1' });
+
+    it('retries throttling, timeouts, server errors and network failures', () => {
+      for (const status of [408, 429, 500, 502, 503]) {
+        assert.equal(client.isRetryable({ response: { status } }), true, String(status));
+      }
+      assert.equal(client.isRetryable({ code: 'ECONNRESET' }), true);
+      assert.equal(client.isRetryable({ code: 'ETIMEDOUT' }), true);
+    });
+
+    it('does not retry other client errors or unknown failures', () => {
+      for (const status of [400, 401, 404, 422]) {
+        assert.equal(client.isRetryable({ response: { status } }), false, String(status));
+      }
+      assert.equal(client.isRetryable(new Error('bad mapping')), false);
+    });
+  });
+});
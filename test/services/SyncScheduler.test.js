@@ -0,0 +1,128 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const SyncScheduler = require('../../src/services/SyncScheduler');
+
+// Let pending promise callbacks run between mocked timer ticks
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const config = (id, extra = {}) => ({
+  cac_config_id: id,
+  vendor_name: 'VENDOR',
+  cac_outlet_id: 'OUTLET',
+  com_terminal: 'T1',
+  terminal_count: '1',
+  cac_sync_interval_minutes: 5,
+  ...extra
+});
+
+const fakeOrchestrator = (loads) => {
+  const orchestrator = {
+    runs: [],
+    loadActiveConfigs: async () => {
+      const next = loads.length > 1 ? loads.shift() : loads[0];
+      if (next instanceof Error) throw next;
+      return next;
+    },
+    runConfig: async (row) => {
+      orchestrator.runs.push(row.cac_config_id);
+      return { status: 'SUCCESS' };
+    }
+  };
+  return orchestrator;
+};
+
+describe('SyncScheduler', () => {
+  let scheduler;
+
+  beforeEach((t) => {
+    t.mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'] });
+  });
+
+  afterEach(() => {
+    if (scheduler) scheduler.stop();
+    scheduler = null;
+  });
+
+  it('keeps refreshing after a failed first refresh', async (t) => {
+    const orchestrator = fakeOrchestrator([new Error('database is starting up'), [config('a')]]);
+    scheduler = new SyncScheduler(orchestrator, { refreshSeconds: 60 });
+
+    await scheduler.start();
+    assert.equal(scheduler.getStatus().length, 0);
+
+    t.mock.timers.tick(60 * 1000);
+    await flush();
+    assert.deepEqual(scheduler.getStatus().map(s => s.configId), ['a']);
+
+    t.mock.timers.tick(0);
+    await flush();
+    assert.deepEqual(orchestrator.runs, ['a']);
+  });
+
+  it('schedules a config once, whatever the number of rows it comes back as', async () => {
+    const orchestrator = fakeOrchestrator([[config('a'), config('a', { com_terminal: 'T2' }), config('b')]]);
+    scheduler = new SyncScheduler(orchestrator);
+
+    await scheduler.start();
+    assert.deepEqual(scheduler.getStatus().map(s => [s.configId, s.terminal]), [['a', 'T1'], ['b', 'T1']]);
+  });
+
+  it('does not schedule a config mapped to several active terminals', async () => {
+    const shared = { terminal_count: '2' };
+    const orchestrator = fakeOrchestrator([
+      [config('a'), config('b')],
+      [config('a'), config('b', shared), config('b', { ...shared, com_terminal: 'T2' })]
+    ]);
+    scheduler = new SyncScheduler(orchestrator);
+
+    await scheduler.start();
+    assert.equal(scheduler.getStatus().length, 2);
+
+    await scheduler.refresh();
+    assert.deepEqual(scheduler.getStatus().map(s => s.configId), ['a']);
+    assert.deepEqual([...scheduler.rejected], ['b']);
+  });
+
+  it('runs each config on its own interval and skips overlapping runs', async (t) => {
+    const orchestrator = fakeOrchestrator([[config('a', { cac_sync_interval_minutes: 1 }), config('b')]]);
+    let finish;
+    orchestrator.runConfig = async (row) => {
+      orchestrator.runs.push(row.cac_config_id);
+      if (row.cac_config_id === 'a') await new Promise(resolve => { finish = resolve; });
+      return { status: 'SUCCESS' };
+    };
+    scheduler = new SyncScheduler(orchestrator);
+
+    await scheduler.start();
+    t.mock.timers.tick(0);
+    await flush();
+    assert.deepEqual(orchestrator.runs, ['a', 'b']);
+
+    // a is still running when its next minute comes round
+    t.mock.timers.tick(60 * 1000);
+    await flush();
+    assert.equal(scheduler.getStatus()[0].skippedOverlaps, 1);
+
+    finish();
+    await flush();
+    t.mock.timers.tick(60 * 1000);
+    await flush();
+    assert.deepEqual(orchestrator.runs, ['a', 'b', 'a']);
+  });
+
+  it('counts the runs of each refresh period for the cycle summary', async (t) => {
+    const orchestrator = fakeOrchestrator([[config('a'), config('b')]]);
+    orchestrator.runConfig = async (row) => ({ status: row.cac_config_id === 'a' ? 'NO_DATA' : 'FAILED' });
+    scheduler = new SyncScheduler(orchestrator);
+
+    await scheduler.start();
+    t.mock.timers.tick(0);
+    await flush();
+    assert.equal(scheduler.cycle.total, 2);
+    assert.equal(scheduler.cycle.succeeded, 1);
+    assert.equal(scheduler.cycle.failed, 1);
+
+    await scheduler.refresh();
+    assert.equal(scheduler.cycle.total, 0);
+  });
+});
@@ -0,0 +1,38 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TransactionDeriver = require('../../src/services/TransactionDeriver');
+
+const bill = (extra = {}) => ({
+  invoice_no: 'B1',
+  items: [{ quantity: 2, line_total: 100 }, { quantity: 1, line_total: 50 }],
+  ...extra
+});
+
+describe('TransactionDeriver', () => {
+  it('keeps vendor values by default and fills the missing ones', () => {
+    const { transactions, stats } = new TransactionDeriver({}).derive([bill({ item_count: 5 })]);
+    assert.equal(transactions[0].item_count, 5);
+    assert.equal(stats.derived.item_count, undefined);
+    assert.equal(stats.derived.avg_item_price, 1);
+    assert.equal(transactions[0].avg_item_price, 50);
+  });
+
+  it('overwrites vendor values under derive', () => {
+    const deriver = new TransactionDeriver({ derived_fields: { item_count: 'derive' } });
+    const [transaction] = deriver.derive([bill({ item_count: 5 })]).transactions;
+    assert.equal(transaction.item_count, 2);
+    assert.equal(transaction.meta, undefined);
+  });
+
+  it('flags differing vendor values under derive_and_flag', () => {
+    const deriver = new TransactionDeriver({ derived_fields: { item_count: 'derive_and_flag' } });
+    const { transactions, stats } = deriver.derive([bill({ item_count: 5, meta: { source: 'api' } }), bill({ item_count: 2 })]);
+
+    assert.deepEqual(transactions[0].meta, {
+      source: 'api',
+      derivation_mismatches: [{ field: 'item_count', vendor_value: 5, derived_value: 2 }]
+    });
+    assert.equal(transactions[1].meta, undefined);
+    assert.equal(stats.mismatches.item_count, 1);
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Encryption refuses to run without a key when .env says production
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+const pool = require('../../src/config/database');
+const ConfigModel = require('../../src/models/configModel');
+const VendorBundle = require('../../src/services/VendorBundle');
+const { encrypt } = require('../../src/utils/encryption');
+
+const bundle = (extra = {}) => ({
+  bundle_version: 1,
+  vendor: { vendor_name: 'MISS JO' },
+  outlets: [{ com_outlet_code: 'BLR01', com_terminal: 'T1' }],
+  configs: [{ cac_outlet_id: 'BLR01', cac_pos_vendor: '{{VENDOR_ID}}', cac_jsonordb: 'json', cac_api_url: 'https://vendor.example/bills' }],
+  field_mappings: [{ pvfm_tablename: 'raw_transactions', pvfm_source_field: 'invoice_no', pvfm_json_path: 'BillNo' }],
+  ...extra
+});
+
+describe('VendorBundle', () => {
+  it('reads JSON and YAML and writes either back', () => {
+    const yaml = VendorBundle.serialize(bundle(), 'yaml');
+    assert.deepEqual(VendorBundle.parse(yaml), bundle());
+    assert.deepEqual(VendorBundle.parse(VendorBundle.serialize(bundle())), bundle());
+    assert.throws(() => VendorBundle.parse('{ "bundle_version": 1', 'json'), { code: 'INVALID_BUNDLE', message: /not valid JSON/ });
+  });
+
+  it('accepts a well-formed bundle', () => {
+    assert.deepEqual(new VendorBundle().validate(bundle()), []);
+  });
+
+  it('reports structural problems by path', () => {
+    const errors = new VendorBundle().validate(bundle({
+      bundle_version: 2,
+      vendor: {},
+      outlets: [{ com_outlet_code: 'BLR01', com_terminal: 'T1' }, { com_outlet_code: 'BLR01', com_terminal: 'T1' }],
+      configs: [{ cac_outlet_id: 'BLR01', cac_pos_vendor: 'X', cac_jsonordb: 'json' }, { cac_jsonordb: 'ftp' }],
+      field_mappings: 'none'
+    }));
+
+    assert.deepEqual(errors.map(error => error.path), [
+      'bundle_version',
+      'vendor.vendor_name',
+      'outlets[1]',
+      'configs[0].cac_api_url',
+      'configs[1].cac_outlet_id',
+      'configs[1].cac_pos_vendor',
+      'configs[1].cac_jsonordb',
+      'field_mappings'
+    ]);
+    assert.deepEqual(new VendorBundle().validate([]), [{ path: '', msg: 'Bundle must be an object' }]);
+  });
+
+  it('exports a vendor without its ids, with secrets omitted or sealed', async (t) => {
+    const vendorId = '7f8e1c52-1111-4c8e-9a55-000000000001';
+    const config = {
+      cac_config_id: 'c1',
+      cac_customer_id: vendorId,
+      cac_outlet_id: 'BLR01',
+      cac_pos_vendor: vendorId,
+      cac_jsonordb: 'json',
+      cac_db_password: encrypt('db-pw'),
+      cac_field_mapping: JSON.stringify({ headers: { Authorization: encrypt('Basic xyz') } })
+    };
+    t.mock.method(pool, 'query', async (sql) => {
+      if (sql.includes('pos_vendor_master')) return { rows: [{ vendor_id: vendorId, vendor_name: 'MISS JO', mapping_template_id: null }] };
+      if (sql.includes('customer_outlet_mapping')) return { rows: [{ com_outlet_id: 'o1', com_outlet_code: 'BLR01', com_terminal: 'T1' }] };
+      return { rows: [config] };
+    });
+    t.mock.method(ConfigModel, 'getVendorFieldMappings', async () => bundle().field_mappings);
+
+    const plain = await new VendorBundle().export(vendorId);
+    assert.equal(plain.secrets, 'omitted');
+    assert.deepEqual(plain.vendor, { vendor_name: 'MISS JO', mapping_template: null });
+    assert.deepEqual(plain.configs[0], {
+      cac_outlet_id: 'BLR01',
+      cac_pos_vendor: '{{VENDOR_ID}}',
+      cac_jsonordb: 'json',
+      cac_db_password: '<omitted>',
+      cac_field_mapping: { headers: { Authorization: '<omitted>' } }
+    });
+
+    const sealed = await new VendorBundle().export(vendorId, { passphrase: 'transfer-phrase' });
+    assert.equal(sealed.secrets, 'encrypted');
+    assert.match(sealed.configs[0].cac_db_password, /^enc:v1:passphrase:/);
+  });
+});
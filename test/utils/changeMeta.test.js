@@ -0,0 +1,22 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { changeMeta } = require('../../src/utils/changeMeta');
+
+const request = (headers) => ({ get: (name) => headers[name.toLowerCase()] });
+
+describe('changeMeta', () => {
+  it('takes the author and reason from the request headers', () => {
+    assert.deepEqual(changeMeta(request({ 'x-user': ' asha ', 'x-change-reason': 'New POS build' }), 'Updated'), {
+      author: 'asha',
+      reason: 'New POS build'
+    });
+  });
+
+  it('falls back to the api author and the default reason', () => {
+    assert.deepEqual(changeMeta(request({ 'x-user': '   ' }), 'Updated'), { author: 'api', reason: 'Updated' });
+  });
+
+  it('caps header values at 200 characters', () => {
+    assert.equal(changeMeta(request({ 'x-user': 'a'.repeat(300) }), 'Updated').author.length, 200);
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { ConcurrencyLimiter, parseKeyLimits } = require('../../src/utils/concurrency');
+
+// A task that stays running until release() is called
+const deferred = () => {
+  let release;
+  const done = new Promise(resolve => { release = resolve; });
+  return { done, release };
+};
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('ConcurrencyLimiter', () => {
+  it('runs at most `limit` tasks at once', async () => {
+    const limiter = new ConcurrencyLimiter({ limit: 2 });
+    const gates = [deferred(), deferred(), deferred()];
+    const started = [];
+
+    const runs = gates.map((gate, i) => limiter.run('A', () => {
+      started.push(i);
+      return gate.done.then(() => i);
+    }));
+
+    await flush();
+    assert.deepEqual(started, [0, 1]);
+    assert.deepEqual(limiter.stats(), { limit: 2, active: 2, queued: 1 });
+
+    gates[0].release();
+    await flush();
+    assert.deepEqual(started, [0, 1, 2]);
+
+    gates[1].release();
+    gates[2].release();
+    assert.deepEqual(await Promise.all(runs), [0, 1, 2]);
+    assert.deepEqual(limiter.stats(), { limit: 2, active: 0, queued: 0 });
+  });
+
+  it('lets other keys overtake one that is at its own limit', async () => {
+    const limiter = new ConcurrencyLimiter({ limit: 3, keyLimits: { 'miss jo': 1 } });
+    const slow = deferred();
+    const started = [];
+
+    limiter.run('MISS JO', () => { started.push('jo-1'); return slow.done; });
+    limiter.run('Miss Jo', () => { started.push('jo-2'); });
+    limiter.run('HIDESIGN', () => { started.push('hide'); });
+
+    await flush();
+    assert.deepEqual(started, ['jo-1', 'hide']);
+
+    slow.release();
+    await flush();
+    assert.deepEqual(started, ['jo-1', 'hide', 'jo-2']);
+  });
+
+  it('passes task failures to the caller and frees the slot', async () => {
+    const limiter = new ConcurrencyLimiter({ limit: 1 });
+
+    await assert.rejects(limiter.run('A', () => { throw new Error('boom'); }), /boom/);
+    assert.equal(await limiter.run('A', () => 'next'), 'next');
+  });
+
+  it('treats a bad global limit as 1', () => {
+    assert.equal(new ConcurrencyLimiter({ limit: 'x' }).limit, 1);
+    assert.equal(new ConcurrencyLimiter({ limit: 0 }).limit, 1);
+  });
+});
+
+describe('parseKeyLimits', () => {
+  it('returns no limits when unset', () => {
+    assert.deepEqual(parseKeyLimits(undefined), {});
+    assert.deepEqual(parseKeyLimits(''), {});
+  });
+
+  it('parses a JSON object of positive integers', () => {
+    assert.deepEqual(parseKeyLimits('{"MISS JO": 1, "HIDESIGN": 2}'), { 'MISS JO': 1, HIDESIGN: 2 });
+  });
+
+  it('rejects malformed values instead of ignoring them', () => {
+    const invalid = { code: 'INVALID_KEY_LIMITS' };
+    assert.throws(() => parseKeyLimits('{"MISS JO": 1'), { ...invalid, message: /not valid JSON/ });
+    assert.throws(() => parseKeyLimits('[1, 2]'), { ...invalid, message: /must be a JSON object/ });
+    assert.throws(() => parseKeyLimits('null'), invalid);
+    assert.throws(() => parseKeyLimits('{"A": 0, "B": "2", "C": 1.5, "D": 1}'), { ...invalid, message: /\(A, B, C\)/ });
+  });
+});
@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_FORMATS,
+  formatDateTime,
+  splitDateTime,
+  combineDateTime,
+  formatForSource,
+  dateOptions,
+  dateFormatProblems,
+  assertTimezone,
+  assertDateFormats
+} = require('../../src/utils/dateTime');
+
+const london = { timezone: 'Europe/London' };
+
+describe('dateTime', () => {
+  describe('parsing', () => {
+    it('reads the default formats as Asia/Kolkata wall time', () => {
+      assert.equal(formatDateTime('2024-01-05 08:00:00'), '2024-01-05 08:00:00+05:30');
+      assert.equal(formatDateTime('05/01/2024 01:30:00 PM'), '2024-01-05 13:30:00+05:30');
+      assert.equal(formatDateTime('20240105 133000'), '2024-01-05 13:30:00+05:30');
+      assert.equal(formatDateTime('10-Dec-2025'), '2025-12-10 00:00:00+05:30');
+    });
+
+    it('reads month names and AM/PM in any case', () => {
+      assert.equal(formatDateTime('10-DEC-2025'), '2025-12-10 00:00:00+05:30');
+      assert.equal(formatDateTime('10-dec-2025 13:05:00'), '2025-12-10 13:05:00+05:30');
+      assert.equal(formatDateTime('05/01/2024 01:30:00 pm'), '2024-01-05 13:30:00+05:30');
+      assert.equal(formatDateTime('10DECEMBER2025', 'YYYY-MM-DD', { formats: ['DDMMMMYYYY'] }), '2025-12-10');
+      assert.equal(formatDateTime('1:05 AM', 'HH:mm', { formats: ['h:mm a'] }), '01:05');
+    });
+
+    it('reads wall time in the source timezone', () => {
+      assert.equal(formatDateTime('2024-07-05 08:00:00', undefined, london), '2024-07-05 12:30:00+05:30');
+      assert.equal(formatDateTime('2024-01-05 08:00:00', undefined, london), '2024-01-05 13:30:00+05:30');
+    });
+
+    it('takes values with an offset as instants', () => {
+      assert.equal(formatDateTime('2024-01-05T08:00:00Z', undefined, london), '2024-01-05 13:30:00+05:30');
+      assert.equal(formatDateTime('2024-01-05T08:00:00+0100', 'YYYY-MM-DD HH:mm', { formats: ['YYYY-MM-DDTHH:mm:ssZ'] }), '2024-01-05 12:30');
+    });
+
+    it('reads epochs by size and Excel serials', () => {
+      assert.equal(formatDateTime(1704441600), '2024-01-05 13:30:00+05:30');
+      assert.equal(formatDateTime('1704441600000'), '2024-01-05 13:30:00+05:30');
+      assert.equal(formatDateTime('45296.5', undefined, { formats: ['excel'] }), '2024-01-05 12:00:00+05:30');
+    });
+
+    it('returns null when no format fits', () => {
+      assert.equal(formatDateTime('garbage'), null);
+      assert.equal(formatDateTime(''), null);
+      assert.equal(formatDateTime('10 DECEMBER 2025'), null);
+      assert.deepEqual(splitDateTime('x'), { transaction_date: null, transaction_time: null });
+    });
+  });
+
+  describe('date and time pairs', () => {
+    it('splits a value into date and time', () => {
+      assert.deepEqual(splitDateTime('05/01/2024 01:30:00 PM'), { transaction_date: '2024-01-05', transaction_time: '13:30:00' });
+    });
+
+    it('combines separate date and time values', () => {
+      assert.equal(combineDateTime('20240105', '133000'), '2024-01-05 13:30:00+05:30');
+      assert.equal(combineDateTime('05/01/2024', '01:30:00 PM'), '2024-01-05 13:30:00+05:30');
+      assert.equal(combineDateTime('2024-01-05', '13:30:00.000123', london), '2024-01-05 19:00:00+05:30');
+    });
+
+    it('returns null when either part does not parse', () => {
+      assert.equal(combineDateTime('2024-01-05', 'xx'), null);
+      assert.equal(combineDateTime('2024-01-05', null), null);
+      assert.equal(combineDateTime('nope', '13:30:00'), null);
+    });
+  });
+
+  describe('formatForSource', () => {
+    const instant = new Date('2025-12-10T20:00:00Z');
+
+    it('writes dates in the vendor timezone with upper-case MMM', () => {
+      assert.equal(formatForSource(instant, 'DD-MMM-YY'), '11-DEC-25');
+      assert.equal(formatForSource(instant, 'DD-MMM-YY', 'UTC'), '10-DEC-25');
+      assert.equal(formatForSource(instant, 'DD MMMM YYYY'), '11 December 2025');
+      assert.equal(formatForSource(null), null);
+    });
+  });
+
+  describe('config options', () => {
+    it('falls back to Asia/Kolkata and the default formats', () => {
+      assert.deepEqual(dateOptions({}), { timezone: 'Asia/Kolkata', formats: DEFAULT_FORMATS });
+      assert.deepEqual(dateOptions({ cac_source_timezone: 'UTC', cac_date_formats: ['iso'] }), { timezone: 'UTC', formats: ['iso'] });
+      assert.deepEqual(dateOptions({ cac_date_formats: [] }).formats, DEFAULT_FORMATS);
+    });
+
+    it('names the format entries that are wrong', () => {
+      assert.deepEqual(dateFormatProblems(['iso', '', 3]).map(problem => problem.index), [1, 2]);
+      assert.deepEqual(dateFormatProblems('iso'), [{ index: null, message: 'Must be a list of formats' }]);
+      assert.throws(() => assertDateFormats(['iso', '']), /^Error: \[1\]: Must be a dayjs format/);
+      assert.equal(assertDateFormats(null), true);
+    });
+
+    it('rejects typos that would never match', () => {
+      assert.deepEqual(dateFormatProblems(['epochs', 'YYY-MM-DD', '---', 'ISO']).map(problem => problem.index), [0, 1, 2, 3]);
+      assert.match(dateFormatProblems(['YYY-MM-DD'])[0].message, /"Y" is not a dayjs token/);
+      assert.deepEqual(dateFormatProblems(['epoch_ms', 'YYYY-MM-DDTHH:mm:ss', 'DD [de] MMMM YYYY', 'Do MMM YYYY hh:mm A', 'X']), []);
+    });
+
+    it('accepts IANA timezones only', () => {
+      assert.equal(assertTimezone('Europe/London'), true);
+      assert.throws(() => assertTimezone('Mars/Base'), /Unknown timezone "Mars\/Base"/);
+    });
+  });
+});
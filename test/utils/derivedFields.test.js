@@ -0,0 +1,105 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DERIVED_FIELDS,
+  sameValue,
+  derivedFieldProblems,
+  assertDerivedFields
+} = require('../../src/utils/derivedFields');
+
+const transaction = {
+  gross_amount: '1,000.00',
+  discount_amount: 50,
+  tax_amount: '18.5',
+  items: [
+    { quantity: 2, unit_price: '10', cgst: 0.9, sgst: 0.9 },
+    { quantity: 1, line_total: 30, cgst: '1.8', sgst: 1.8 },
+    { quantity: 1 }
+  ],
+  payments: [
+    { payment_type: ' cash', amount: 40 },
+    { payment_type: 'Card', amount: '20.255' },
+    { payment_type: 'CASH', amount: '10' },
+    { amount: 5 }
+  ]
+};
+
+const derive = (field, value = transaction) => DERIVED_FIELDS[field](value);
+
+describe('derivedFields', () => {
+  describe('DERIVED_FIELDS', () => {
+    it('computes net_amount from gross, discount and tax', () => {
+      assert.equal(derive('net_amount'), 968.5);
+      assert.equal(derive('net_amount', { gross_amount: 100 }), 100);
+    });
+
+    it('counts items and prices them per unit sold', () => {
+      assert.equal(derive('item_count'), 3);
+      // (2 x 10 + 30) over 3 units; the item without a value is left out
+      assert.equal(derive('avg_item_price'), 16.67);
+    });
+
+    it('collects tender types once each, upper case', () => {
+      assert.deepEqual(derive('tender_types'), ['CASH', 'CARD']);
+    });
+
+    it('sums payments per tender type', () => {
+      assert.deepEqual(derive('payment_summary'), { CASH: 50, CARD: 20.26 });
+    });
+
+    it('breaks tax down over the components items carry', () => {
+      assert.deepEqual(derive('tax_breakdown'), { cgst: 2.7, sgst: 2.7, total: 5.4 });
+    });
+
+    it('returns null when there is nothing to derive from', () => {
+      for (const field of Object.keys(DERIVED_FIELDS)) {
+        assert.equal(derive(field, { items: [], payments: [] }), null, field);
+      }
+      assert.equal(derive('avg_item_price', { items: [{ quantity: 0, unit_price: 5 }] }), null);
+    });
+  });
+
+  describe('sameValue', () => {
+    it('treats amounts within a paisa as equal', () => {
+      assert.equal(sameValue('100.00', 100.009), true);
+      assert.equal(sameValue('1,000', 1000), true);
+      assert.equal(sameValue(100, 100.02), false);
+    });
+
+    it('compares tender lists in any order, including comma text', () => {
+      assert.equal(sameValue('CASH,CARD', ['CARD', 'CASH']), true);
+      assert.equal(sameValue(['cash'], ['CASH', 'CARD']), false);
+    });
+
+    it('compares objects key by key, ignoring key case', () => {
+      assert.equal(sameValue('{"cash":50}', { CASH: 50.004 }), true);
+      assert.equal(sameValue({ CASH: 1 }, { CASH: 1, CARD: 2 }), false);
+      assert.equal(sameValue('not json', { CASH: 1 }), false);
+    });
+
+    it('compares anything else as trimmed text', () => {
+      assert.equal(sameValue(' x ', 'x'), true);
+      assert.equal(sameValue('x', 'y'), false);
+    });
+  });
+
+  describe('derivedFieldProblems', () => {
+    it('accepts known fields with known policies', () => {
+      assert.deepEqual(derivedFieldProblems({ net_amount: 'derive', tender_types: 'derive_and_flag' }), []);
+      assert.deepEqual(derivedFieldProblems(null), []);
+    });
+
+    it('names unknown fields and policies', () => {
+      const problems = derivedFieldProblems({ foo: 'vendor', item_count: 'always' });
+      assert.deepEqual(problems.map(problem => problem.field), ['foo', 'item_count']);
+      assert.match(problems[0].message, /Unknown derived field "foo"/);
+      assert.match(problems[1].message, /Policy must be one of vendor, derive, derive_and_flag/);
+    });
+
+    it('rejects values that are not an object', () => {
+      assert.deepEqual(derivedFieldProblems([]), [{ field: null, message: 'Must be an object of { field: policy }' }]);
+      assert.throws(() => assertDerivedFields('derive'), /Must be an object/);
+      assert.throws(() => assertDerivedFields({ foo: 'vendor' }), /^Error: foo: Unknown derived field/);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const CryptoJS = require('crypto-js');
+
+const MODULE = require.resolve('../../src/utils/encryption');
+const ENV_KEYS = ['ENCRYPTION_KEY', 'ENCRYPTION_KEY_ID', 'ENCRYPTION_PREVIOUS_KEYS', 'NODE_ENV'];
+const savedEnv = Object.fromEntries(ENV_KEYS.map(key => [key, process.env[key]]));
+
+// The keyring is read once per process, so load a fresh copy per environment
+const loadEncryption = (env) => {
+  for (const key of ENV_KEYS) {
+    if (env[key] === undefined) delete process.env[key];
+    else process.env[key] = env[key];
+  }
+  delete require.cache[MODULE];
+  return require(MODULE);
+};
+
+const current = { NODE_ENV: 'production', ENCRYPTION_KEY: 'k2-secret', ENCRYPTION_KEY_ID: 'k2' };
+
+describe('encryption', () => {
+  afterEach(() => {
+    for (const [key, value] of Object.entries(savedEnv)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+  });
+
+  describe('enc:v1 envelopes', () => {
+    it('round-trips through an envelope naming the current key', () => {
+      const { encrypt, decrypt, isEncrypted } = loadEncryption(current);
+      const envelope = encrypt('pässwörd');
+
+      assert.match(envelope, /^enc:v1:k2:[\w-]+:[\w-]+:[\w-]+$/);
+      assert.ok(isEncrypted(envelope));
+      assert.notEqual(encrypt('pässwörd'), envelope);
+      assert.equal(decrypt(envelope), 'pässwörd');
+      assert.equal(encrypt(''), null);
+      assert.equal(decrypt(null), null);
+    });
+
+    it('rejects a tampered envelope', () => {
+      const { encrypt, decrypt } = loadEncryption(current);
+      const parts = encrypt('secret').split(':');
+      parts[5] = Buffer.from('SECRET').toString('base64url');
+
+      assert.throws(() => decrypt(parts.join(':')));
+    });
+
+    it('rejects an envelope relabelled with another key id', () => {
+      const { encrypt, decrypt } = loadEncryption({
+        ...current,
+        ENCRYPTION_PREVIOUS_KEYS: JSON.stringify({ k1: 'k2-secret' })
+      });
+
+      assert.throws(() => decrypt(encrypt('secret').replace('enc:v1:k2:', 'enc:v1:k1:')));
+    });
+  });
+
+  describe('rotation', () => {
+    it('still reads values under a previous key and flags them for re-encryption', () => {
+      const old = loadEncryption({ NODE_ENV: 'production', ENCRYPTION_KEY: 'k1-secret', ENCRYPTION_KEY_ID: 'k1' });
+      const underK1 = old.encrypt('secret');
+
+      const rotated = loadEncryption({
+        ...current,
+        ENCRYPTION_PREVIOUS_KEYS: JSON.stringify({ k1: 'k1-secret' })
+      });
+      assert.equal(rotated.decrypt(underK1), 'secret');
+      assert.equal(rotated.needsReencryption(underK1), true);
+      assert.equal(rotated.needsReencryption(rotated.encrypt('secret')), false);
+      assert.equal(rotated.needsReencryption('plaintext'), false);
+    });
+
+    it('fails on a key id that is no longer configured', () => {
+      const old = loadEncryption({ NODE_ENV: 'production', ENCRYPTION_KEY: 'k1-secret', ENCRYPTION_KEY_ID: 'k1' });
+      const underK1 = old.encrypt('secret');
+
+      assert.throws(() => loadEncryption(current).decrypt(underK1), /Unknown encryption key id: k1/);
+    });
+  });
+
+  describe('legacy CryptoJS values', () => {
+    it('decrypts with any configured passphrase', () => {
+      const legacy = CryptoJS.AES.encrypt('db-pw', 'k1-secret').toString();
+      const { decrypt, isEncrypted, needsReencryption } = loadEncryption({
+        ...current,
+        ENCRYPTION_PREVIOUS_KEYS: JSON.stringify({ k1: 'k1-secret' })
+      });
+
+      assert.ok(isEncrypted(legacy));
+      assert.equal(needsReencryption(legacy), true);
+      assert.equal(decrypt(legacy), 'db-pw');
+    });
+
+    it('only accepts the old default passphrase outside production', () => {
+      const legacy = CryptoJS.AES.encrypt('db-pw', 'default-key-change-this-in-prod').toString();
+
+      assert.equal(loadEncryption({ ...current, NODE_ENV: 'development' }).decrypt(legacy), 'db-pw');
+      assert.throws(() => loadEncryption(current).decrypt(legacy), /Unable to decrypt legacy value/);
+    });
+
+    it('does not take garbage from a wrong passphrase for plaintext', () => {
+      // 'db-password' under another passphrase; with k2-secret it decrypts to
+      // 10 bytes that are not valid UTF-8
+      const legacy = 'U2FsdGVkX19qCrLYzlMSjxvsfaiUg14l+A4OKA8uqjc=';
+      assert.throws(() => loadEncryption(current).decrypt(legacy), /Unable to decrypt legacy value/);
+    });
+
+    it('does not accept a value that decrypts to nothing', () => {
+      const empty = CryptoJS.AES.encrypt('', 'k2-secret').toString();
+      assert.throws(() => loadEncryption(current).decrypt(empty), /Unable to decrypt legacy value/);
+    });
+  });
+
+  describe('passphrase envelopes', () => {
+    it('seal bundle secrets under a passphrase instead of the key', () => {
+      const { encryptWithPassphrase, decryptWithPassphrase, decrypt } = loadEncryption(current);
+      const sealed = encryptWithPassphrase('secret', 'transfer-phrase');
+
+      assert.match(sealed, /^enc:v1:passphrase:/);
+      assert.equal(decryptWithPassphrase(sealed, 'transfer-phrase'), 'secret');
+      assert.throws(() => decryptWithPassphrase(sealed, 'wrong-phrase'), /Wrong passphrase or corrupted value/);
+      assert.throws(() => decrypt(sealed), /Unknown encryption key id: passphrase/);
+    });
+
+    it('only open passphrase envelopes', () => {
+      const { encrypt, decryptWithPassphrase } = loadEncryption(current);
+      assert.throws(() => decryptWithPassphrase(encrypt('secret'), 'k2-secret'), /not passphrase-encrypted/);
+    });
+  });
+
+  describe('assertEncryptionReady', () => {
+    it('requires a key in production', () => {
+      const { assertEncryptionReady } = loadEncryption({ NODE_ENV: 'production' });
+      assert.throws(assertEncryptionReady, /ENCRYPTION_KEY must be set in production/);
+    });
+
+    it('refuses known default keys', () => {
+      for (const key of ['default-key-change-this-in-prod', 'changeme', ' CHANGEME ', 'your-secret-key']) {
+        const { assertEncryptionReady } = loadEncryption({ NODE_ENV: 'development', ENCRYPTION_KEY: key });
+        assert.throws(assertEncryptionReady, /known default value/, key);
+      }
+    });
+
+    it('refuses malformed key ids and previous keys', () => {
+      assert.throws(loadEncryption({ ...current, ENCRYPTION_KEY_ID: 'k:2' }).assertEncryptionReady, /Invalid encryption key id/);
+      assert.throws(loadEncryption({ ...current, ENCRYPTION_PREVIOUS_KEYS: '{oops' }).assertEncryptionReady, /must be a JSON object/);
+    });
+
+    it('accepts a unique key', () => {
+      assert.doesNotThrow(loadEncryption(current).assertEncryptionReady);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAPPING_TABLES,
+  mappingKey,
+  diffMapping,
+  diffMappingSets,
+  mergeMappings,
+  pickMapping,
+  groupByTable
+} = require('../../src/utils/fieldMappings');
+
+const mapping = (table, field, extra = {}) => ({ pvfm_tablename: table, pvfm_source_field: field, ...extra });
+
+describe('fieldMappings', () => {
+  it('keys a mapping by table and canonical field', () => {
+    assert.equal(mappingKey(mapping('raw_payment', 'amount')), 'raw_payment:amount');
+  });
+
+  it('diffs only the fields that define the mapping', () => {
+    const from = mapping('raw_payment', 'amount', { pvfm_json_path: 'Amt', pvfm_is_required: 0, pvfm_mapping_id: 'a' });
+    const to = mapping('raw_payment', 'amount', { pvfm_json_path: 'Amount', pvfm_is_required: false, pvfm_mapping_id: 'b' });
+
+    assert.deepEqual(diffMapping(from, to), { pvfm_json_path: { from: 'Amt', to: 'Amount' } });
+    assert.deepEqual(diffMapping({ ...from, pvfm_transform_rule: undefined }, { ...from, pvfm_transform_rule: null }), {});
+  });
+
+  it('lets vendor rows override template rows and sorts required first per table', () => {
+    const template = [
+      mapping('raw_transactions', 'invoice_no', { pvfm_json_path: 'BillNo', pvfm_is_required: true }),
+      mapping('raw_payment', 'amount', { pvfm_json_path: 'Amt' })
+    ];
+    const vendor = [
+      mapping('raw_payment', 'amount', { pvfm_json_path: 'Amount' }),
+      mapping('raw_transactions', 'net_amount', { pvfm_json_path: 'Net' })
+    ];
+
+    assert.deepEqual(mergeMappings(template, vendor).map(m => [mappingKey(m), m.pvfm_json_path]), [
+      ['raw_payment:amount', 'Amount'],
+      ['raw_transactions:invoice_no', 'BillNo'],
+      ['raw_transactions:net_amount', 'Net']
+    ]);
+  });
+
+  it('diffs two mapping sets by table and field', () => {
+    const from = [mapping('raw_payment', 'amount', { pvfm_json_path: 'Amt' }), mapping('raw_payment', 'mode')];
+    const to = [mapping('raw_payment', 'amount', { pvfm_json_path: 'Amount' }), mapping('raw_payment', 'bank')];
+
+    const diff = diffMappingSets(from, to);
+    assert.deepEqual(diff.added.map(row => row.key), ['raw_payment:bank']);
+    assert.deepEqual(diff.removed.map(row => row.key), ['raw_payment:mode']);
+    assert.deepEqual(diff.changed, [{ key: 'raw_payment:amount', changes: { pvfm_json_path: { from: 'Amt', to: 'Amount' } } }]);
+  });
+
+  it('picks a stable snapshot shape without timestamps', () => {
+    const row = mapping('raw_payment', 'amount', { pvfm_mapping_id: 'm1', pvfm_json_path: 'Amt', pvfm_updated_at: new Date() });
+    assert.deepEqual(pickMapping(row), {
+      pvfm_mapping_id: 'm1',
+      pvfm_tablename: 'raw_payment',
+      pvfm_source_field: 'amount',
+      pvfm_target_field: null,
+      pvfm_json_path: 'Amt',
+      pvfm_row_root_json_path: null,
+      pvfm_transform_rule: null,
+      pvfm_is_required: false
+    });
+    assert.equal(pickMapping({ ...row, pvfm_template_id: 't1' }).pvfm_template_id, 't1');
+  });
+
+  it('groups mappings by table and drops unknown tables', () => {
+    const grouped = groupByTable([mapping('raw_payment', 'amount'), mapping('elsewhere', 'x')]);
+    assert.deepEqual(Object.keys(grouped), MAPPING_TABLES);
+    assert.equal(grouped.raw_payment.length, 1);
+  });
+});
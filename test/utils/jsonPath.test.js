@@ -0,0 +1,211 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  compileJsonPath,
+  queryJsonPath,
+  extractByJsonPath,
+  splitMappingPath,
+  xmlAttributePath,
+  assertMappingPath,
+  appendKey,
+  lastKey
+} = require('../../src/utils/jsonPath');
+
+const bill = {
+  Bill_No: 'B-1',
+  'Bill Date': '2024-01-05',
+  customer: { name: 'Asha', 'e.mail': 'asha@example.com' },
+  items: [
+    { sku: 'A', qty: 2, rate: 50 },
+    { sku: 'B', qty: 1, rate: 120, discount: 20 },
+    { sku: 'C', qty: '3', rate: 10 },
+    { sku: 'D', qty: 5, rate: 8 }
+  ],
+  payments: [
+    { mode: 'CASH', amount: 100 },
+    { mode: 'CARD', amount: 150 },
+    { mode: 'CARD', amount: 40 }
+  ]
+};
+
+const syntaxErrorOf = (path) => {
+  try {
+    compileJsonPath(path);
+  } catch (error) {
+    return error;
+  }
+  assert.fail(`expected "${path}" to be rejected`);
+};
+
+describe('jsonPath', () => {
+  describe('parsing errors', () => {
+    it('reports the code, path and position of the problem', () => {
+      const error = syntaxErrorOf('items[0');
+      assert.equal(error.code, 'INVALID_JSON_PATH');
+      assert.equal(error.path, 'items[0');
+      assert.equal(error.position, 5);
+      assert.match(error.message, /unclosed "\[" at position 5/);
+    });
+
+    it('points at the offending character', () => {
+      assert.equal(syntaxErrorOf('items[0]]').position, 8);
+      assert.equal(syntaxErrorOf("items[?(@.mode == )]").position, 18);
+      assert.equal(syntaxErrorOf("customer['name").position, 9);
+    });
+
+    it('rejects empty paths and a leading dot', () => {
+      assert.match(syntaxErrorOf('').message, /path is empty at position 0/);
+      assert.match(syntaxErrorOf('.items').message, /expected a key before "\."/);
+    });
+
+    it('rejects a literal filter without a comparison', () => {
+      assert.match(syntaxErrorOf("items[?('x')]").message, /expected a comparison after a literal/);
+    });
+
+    it('validates both halves of a date|time mapping path', () => {
+      assert.equal(assertMappingPath('date|time'), true);
+      assert.equal(assertMappingPath(''), true);
+      assert.throws(() => assertMappingPath('date|time['), { code: 'INVALID_JSON_PATH' });
+    });
+  });
+
+  describe('children and indexes', () => {
+    it('reads dot and quoted keys, with or without $', () => {
+      assert.equal(extractByJsonPath(bill, 'Bill_No'), 'B-1');
+      assert.equal(extractByJsonPath(bill, '$.customer.name'), 'Asha');
+      assert.equal(extractByJsonPath(bill, "$['Bill Date']"), '2024-01-05');
+      assert.equal(extractByJsonPath(bill, 'customer["e.mail"]'), 'asha@example.com');
+    });
+
+    it('reads array indexes, negative ones from the end', () => {
+      assert.equal(extractByJsonPath(bill, 'items[0].sku'), 'A');
+      assert.equal(extractByJsonPath(bill, 'items[-1].sku'), 'D');
+      assert.deepEqual(extractByJsonPath(bill, 'items[0,2].sku'), ['A', 'C']);
+      assert.equal(extractByJsonPath(bill, 'items[9].sku'), null);
+      assert.equal(extractByJsonPath(bill, 'items[-9].sku'), null);
+    });
+
+    it('expands wildcards over arrays and objects', () => {
+      assert.deepEqual(extractByJsonPath(bill, 'items[*].sku'), ['A', 'B', 'C', 'D']);
+      assert.deepEqual(extractByJsonPath(bill, 'customer.*'), ['Asha', 'asha@example.com']);
+    });
+
+    it('selects several keys at once', () => {
+      assert.deepEqual(extractByJsonPath(bill, "items[0]['sku','qty']"), ['A', 2]);
+    });
+  });
+
+  describe('slices', () => {
+    const skus = (path) => queryJsonPath(bill, path).map(item => item.sku);
+
+    it('takes [start:end] with an exclusive end', () => {
+      assert.deepEqual(skus('items[1:3]'), ['B', 'C']);
+      assert.deepEqual(skus('items[:2]'), ['A', 'B']);
+    });
+
+    it('counts negative bounds from the end', () => {
+      assert.deepEqual(skus('items[-2:]'), ['C', 'D']);
+      assert.deepEqual(skus('items[:-3]'), ['A']);
+    });
+
+    it('steps forwards and backwards', () => {
+      assert.deepEqual(skus('items[::2]'), ['A', 'C']);
+      assert.deepEqual(skus('items[::-1]'), ['D', 'C', 'B', 'A']);
+      assert.deepEqual(skus('items[::0]'), []);
+    });
+
+    it('clamps bounds past either end', () => {
+      assert.deepEqual(skus('items[2:100]'), ['C', 'D']);
+      assert.deepEqual(skus('items[-100:1]'), ['A']);
+    });
+  });
+
+  describe('filters', () => {
+    it('compares fields with literals', () => {
+      assert.deepEqual(extractByJsonPath(bill, "payments[?(@.mode == 'CARD')].amount"), [150, 40]);
+      assert.deepEqual(extractByJsonPath(bill, "payments[?(@.mode != 'CARD')].amount"), 100);
+      assert.deepEqual(extractByJsonPath(bill, 'items[?(@.rate >= 50)].sku'), ['A', 'B']);
+    });
+
+    it('treats numeric strings as numbers', () => {
+      assert.equal(extractByJsonPath(bill, 'items[?(@.qty == 3)].sku'), 'C');
+      assert.deepEqual(extractByJsonPath(bill, 'items[?(@.qty > 1)].sku'), ['A', 'C', 'D']);
+    });
+
+    it('combines conditions and tests for existence', () => {
+      assert.equal(extractByJsonPath(bill, "payments[?(@.mode == 'CARD' && @.amount < 100)].amount"), 40);
+      assert.deepEqual(extractByJsonPath(bill, 'items[?(@.qty == 1 || @.rate == 8)].sku'), ['B', 'D']);
+      assert.equal(extractByJsonPath(bill, 'items[?(@.discount)].sku'), 'B');
+      assert.deepEqual(extractByJsonPath(bill, 'items[?(!@.discount)].sku'), ['A', 'C', 'D']);
+    });
+
+    it('accepts filters without parentheses and $ operands', () => {
+      assert.equal(extractByJsonPath(bill, "payments[?@.amount == 150].mode"), 'CARD');
+      assert.equal(extractByJsonPath(bill, "items[?(@.sku == $.items[1].sku)].rate"), 120);
+    });
+  });
+
+  describe('recursive descent', () => {
+    it('finds keys at any depth', () => {
+      assert.deepEqual(extractByJsonPath(bill, '..amount'), [100, 150, 40]);
+      assert.equal(extractByJsonPath(bill, '$..name'), 'Asha');
+    });
+
+    it('applies brackets and filters at any depth', () => {
+      assert.deepEqual(extractByJsonPath({ a: { b: [1, 2] }, c: [3] }, '..[0]'), [1, 3]);
+      assert.deepEqual(extractByJsonPath(bill, "..[?(@.mode == 'CASH')].amount"), 100);
+    });
+  });
+
+  describe('legacy dot paths', () => {
+    it('reads numeric keys into arrays', () => {
+      assert.equal(extractByJsonPath(bill, 'items.0.qty'), 2);
+      assert.equal(extractByJsonPath(bill, 'items.3.sku'), 'D');
+    });
+
+    it('reads xml2js $ attribute keys mid-path', () => {
+      const order = { Order: { $: { id: 'O-7' }, Total: '10' } };
+      assert.equal(extractByJsonPath(order, 'Order.$.id'), 'O-7');
+      assert.equal(extractByJsonPath({ $: { id: 'root' } }, "['$'].id"), 'root');
+    });
+
+    it('keeps a leading $. as the attribute key for XML sources', () => {
+      const record = { $: { id: 'R-1' }, Total: '10' };
+      assert.equal(extractByJsonPath(record, xmlAttributePath('$.id')), 'R-1');
+      assert.equal(extractByJsonPath(record, xmlAttributePath("$['$'].id")), 'R-1');
+      assert.equal(xmlAttributePath('$'), '$');
+      assert.equal(xmlAttributePath('Order.$.id'), 'Order.$.id');
+      assert.equal(xmlAttributePath(null), null);
+    });
+
+    it('keeps spaces inside dot keys', () => {
+      assert.equal(extractByJsonPath(bill, 'Bill Date'), '2024-01-05');
+    });
+
+    it('returns null for missing paths and empty input', () => {
+      assert.equal(extractByJsonPath(bill, 'customer.phone'), null);
+      assert.equal(extractByJsonPath(null, 'a'), null);
+      assert.equal(extractByJsonPath(bill, ''), null);
+    });
+  });
+
+  describe('helpers', () => {
+    it('splits date|time pairs but not || inside filters', () => {
+      assert.deepEqual(splitMappingPath('date|time'), ['date', 'time']);
+      assert.deepEqual(splitMappingPath("a[?(@.x == 1 || @.y == 2)]"), ["a[?(@.x == 1 || @.y == 2)]"]);
+    });
+
+    it('quotes keys that are not plain names', () => {
+      assert.equal(appendKey('items[0]', 'qty'), 'items[0].qty');
+      assert.equal(appendKey('', 'Bill Date'), 'Bill Date');
+      assert.equal(appendKey('customer', 'e.mail'), "customer['e.mail']");
+      assert.equal(appendKey(null, "it's"), "$['it\\'s']");
+    });
+
+    it('finds the last named key of a path', () => {
+      assert.equal(lastKey("payments[?(@.mode == 'CARD')].amount"), 'amount');
+      assert.equal(lastKey('items[*]'), 'items');
+      assert.equal(lastKey('$[0]'), null);
+    });
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const pool = require('../../src/config/database');
+const { loadColumnTypes, checkColumnValue } = require('../../src/utils/pgTypes');
+
+const column = (type, maxLength = null) => ({ type, maxLength });
+
+describe('checkColumnValue', () => {
+  it('checks integers and their range', () => {
+    assert.equal(checkColumnValue(12, column('int4')), null);
+    assert.equal(checkColumnValue(' -7 ', column('int2')), null);
+    assert.equal(checkColumnValue(1.5, column('int4')), 'expected an integer (int4)');
+    assert.equal(checkColumnValue('12a', column('int8')), 'expected an integer (int8)');
+    assert.equal(checkColumnValue(40000, column('int2')), 'integer out of range for int2');
+  });
+
+  it('checks numbers, booleans, dates, times and uuids', () => {
+    assert.equal(checkColumnValue('1.5e3', column('numeric')), null);
+    assert.equal(checkColumnValue('1,500.00', column('numeric')), 'expected a number (numeric)');
+    assert.equal(checkColumnValue(Infinity, column('float8')), 'expected a number (float8)');
+    assert.equal(checkColumnValue('Yes', column('bool')), null);
+    assert.equal(checkColumnValue('maybe', column('bool')), 'expected a boolean');
+    assert.equal(checkColumnValue('2025-01-01 10:00:00', column('timestamp')), null);
+    assert.equal(checkColumnValue('2399', column('date')), 'expected a date/time (date)');
+    assert.equal(checkColumnValue('10:30 PM', column('time')), null);
+    assert.equal(checkColumnValue('half past ten', column('time')), 'expected a time (time)');
+    assert.equal(checkColumnValue('not-a-uuid', column('uuid')), 'expected a UUID');
+  });
+
+  it('checks text length and shape', () => {
+    assert.equal(checkColumnValue('abc', column('varchar', 3)), null);
+    assert.equal(checkColumnValue('abcd', column('varchar', 3)), 'longer than 3 characters');
+    assert.equal(checkColumnValue({ a: 1 }, column('text')), 'expected text');
+    assert.equal(checkColumnValue({ a: 1 }, column('jsonb')), null);
+  });
+
+  it('checks each element of an array column', () => {
+    assert.equal(checkColumnValue(['1.5', null, 2], column('_numeric')), null);
+    assert.equal(checkColumnValue(['1.5', 'x'], column('_numeric')), 'array element "x": expected a number (numeric)');
+    assert.equal(checkColumnValue([1], column('numeric')), 'array given for a numeric column');
+  });
+
+  it('lets null and unknown columns through', () => {
+    assert.equal(checkColumnValue(null, column('int4')), null);
+    assert.equal(checkColumnValue('x', undefined), null);
+    assert.equal(checkColumnValue('x', column('inet')), null);
+  });
+});
+
+describe('loadColumnTypes', () => {
+  it('groups information_schema columns by table', async (t) => {
+    t.mock.method(pool, 'query', async () => ({
+      rows: [
+        { table_name: 'raw_payment', column_name: 'amount', udt_name: 'numeric', character_maximum_length: null },
+        { table_name: 'raw_payment', column_name: 'mode', udt_name: 'varchar', character_maximum_length: 50 }
+      ]
+    }));
+
+    assert.deepEqual(await loadColumnTypes(['raw_payment', 'raw_transactions']), {
+      raw_payment: { amount: column('numeric'), mode: column('varchar', 50) },
+      raw_transactions: {}
+    });
+  });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { selectorProblems, normaliseSelector, describeSelector } = require('../../src/utils/scopeSelectors');
+
+describe('scopeSelectors', () => {
+  it('accepts vendor names and mappings that set a field', () => {
+    assert.deepEqual(selectorProblems('DC BOOKS'), []);
+    assert.deepEqual(selectorProblems({ vendor: 'DC BOOKS', terminal: 2 }), []);
+  });
+
+  it('reports each problem with its field', () => {
+    assert.deepEqual(selectorProblems('  '), [{ field: null, message: 'Vendor name is required' }]);
+    assert.deepEqual(selectorProblems({ vendor: ['A'], outlt: 'DOM2' }), [
+      { field: 'outlt', message: 'Unknown field "outlt"' },
+      { field: 'vendor', message: 'Must be a string' }
+    ]);
+    assert.deepEqual(selectorProblems({ gate: '' }), [
+      { field: null, message: 'Set at least one of vendor, outlet, terminal, gate' }
+    ]);
+    assert.equal(selectorProblems(null).length, 1);
+    assert.equal(selectorProblems(['DC BOOKS']).length, 1);
+  });
+
+  it('normalises to trimmed text with null for any', () => {
+    assert.deepEqual(normaliseSelector(' DC BOOKS '), { vendor: 'DC BOOKS', outlet: null, terminal: null, gate: null });
+    assert.deepEqual(normaliseSelector({ outlet: 101, terminal: ' T2 ', gate: '' }), { vendor: null, outlet: '101', terminal: 'T2', gate: null });
+  });
+
+  it('describes a selector field by field', () => {
+    assert.equal(describeSelector(normaliseSelector({ vendor: 'DC BOOKS', terminal: 'T2' })), 'DC BOOKS / * / T2 / *');
+  });
+});
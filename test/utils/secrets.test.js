@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Encryption refuses to run without a key when .env says production
+process.env.ENCRYPTION_KEY = 'test-encryption-key';
+const CryptoJS = require('crypto-js');
+const { isEncrypted } = require('../../src/utils/encryption');
+const {
+  encryptConfigSecrets,
+  decryptConfigSecrets,
+  findPlaintextSecrets,
+  exportConfigSecrets,
+  importConfigSecrets,
+  OMITTED_SECRET
+} = require('../../src/utils/secrets');
+
+const config = {
+  cac_config_id: 'config-1',
+  cac_api_url: 'https://vendor.example.test',
+  cac_auth_header_value: 'Bearer abc',
+  cac_db_password: 'db-pw',
+  cac_wizapp_password: '',
+  cac_field_mapping: {
+    headers: { Authorization: 'Basic xyz', 'Content-Type': 'application/json' },
+    body: { from: '{{FROM_DATE}}', api_key: ' {{API_KEY}} ', page: 1 }
+  },
+  cac_authtokenfieldmapping: JSON.stringify({ body: { username: 'u', password: 'p' } }),
+  cac_multiple_apis: [{ api_name: 'items', path: 'items', public_key: 'zoho-key' }]
+};
+
+describe('secrets', () => {
+  it('encrypts secret columns and secret-looking keys in the JSON columns', () => {
+    const encrypted = encryptConfigSecrets(config);
+
+    assert.ok(isEncrypted(encrypted.cac_auth_header_value));
+    assert.ok(isEncrypted(encrypted.cac_db_password));
+    assert.ok(isEncrypted(encrypted.cac_field_mapping.headers.Authorization));
+    assert.ok(isEncrypted(encrypted.cac_multiple_apis[0].public_key));
+    assert.ok(isEncrypted(JSON.parse(encrypted.cac_authtokenfieldmapping).body.password));
+
+    // Everything else is left as it was
+    assert.equal(encrypted.cac_wizapp_password, '');
+    assert.equal(encrypted.cac_api_url, config.cac_api_url);
+    assert.equal(encrypted.cac_field_mapping.headers['Content-Type'], 'application/json');
+    assert.equal(encrypted.cac_field_mapping.body.from, '{{FROM_DATE}}');
+    assert.equal(encrypted.cac_field_mapping.body.api_key, ' {{API_KEY}} ');
+    assert.equal(encrypted.cac_multiple_apis[0].path, 'items');
+    assert.equal(JSON.parse(encrypted.cac_authtokenfieldmapping).body.username, 'u');
+    assert.equal(typeof encrypted.cac_authtokenfieldmapping, 'string');
+  });
+
+  it('does not encrypt twice', () => {
+    const once = encryptConfigSecrets(config);
+    assert.deepEqual(encryptConfigSecrets(once), once);
+  });
+
+  it('decrypts what it encrypted and passes legacy plaintext through', () => {
+    assert.deepEqual(decryptConfigSecrets(encryptConfigSecrets(config)), config);
+    assert.deepEqual(decryptConfigSecrets(config), config);
+  });
+
+  it('fails on a value encrypted with another key, naming it', () => {
+    const foreign = CryptoJS.AES.encrypt('db-pw', 'some-other-key').toString();
+    assert.throws(
+      () => decryptConfigSecrets({ ...config, cac_db_password: foreign }),
+      /Failed to decrypt config-1 cac_db_password/
+    );
+  });
+
+  it('lists the secrets still stored in plaintext', () => {
+    assert.deepEqual(findPlaintextSecrets(config), [
+      'cac_auth_header_value',
+      'cac_db_password',
+      'cac_field_mapping.headers.Authorization',
+      'cac_authtokenfieldmapping.body.password',
+      'cac_multiple_apis[0].public_key'
+    ]);
+    assert.deepEqual(findPlaintextSecrets(encryptConfigSecrets(config)), []);
+  });
+
+  it('leaves unparseable JSON text and missing columns alone', () => {
+    const row = { cac_config_id: 'config-2', cac_field_mapping: '{not json' };
+    assert.deepEqual(encryptConfigSecrets(row), row);
+    assert.equal(encryptConfigSecrets(null), null);
+  });
+
+  describe('bundles', () => {
+    it('round-trips secrets sealed under the bundle passphrase', () => {
+      const exported = exportConfigSecrets(config, 'transfer-phrase');
+      assert.match(exported.cac_db_password, /^enc:v1:passphrase:/);
+      assert.equal(exported.cac_api_url, config.cac_api_url);
+
+      const { config: imported, missing } = importConfigSecrets(exported, { passphrase: 'transfer-phrase' });
+      assert.deepEqual(imported, config);
+      assert.deepEqual(missing, []);
+      assert.throws(() => importConfigSecrets(exported), /cac_auth_header_value is encrypted; the bundle passphrase is required/);
+    });
+
+    it('omits secrets without a passphrase and keeps the current ones on import', () => {
+      const exported = exportConfigSecrets(config);
+      assert.equal(exported.cac_db_password, OMITTED_SECRET);
+      assert.equal(exported.cac_field_mapping.headers.Authorization, OMITTED_SECRET);
+
+      const existing = { ...config, cac_db_password: 'current-pw', cac_auth_header_value: null };
+      const { config: imported, missing } = importConfigSecrets(exported, { existing });
+      assert.equal(imported.cac_db_password, 'current-pw');
+      assert.equal(imported.cac_field_mapping.headers.Authorization, 'Basic xyz');
+      assert.equal(imported.cac_auth_header_value, null);
+      assert.deepEqual(missing, ['cac_auth_header_value']);
+    });
+  });
+});
@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_WINDOW_QUERY, missingWindowPlaceholders, bindWindow } = require('../../src/utils/sqlWindow');
+
+const named = { FROM_DATE: '2025-01-01 00:00:00', TO_DATE: '2025-01-01 23:59:59' };
+const sql = 'SELECT * FROM bills WHERE bill_time >= {{FROM_DATE}} AND bill_time <= {{ TO_DATE }} AND created >= {{FROM_DATE}}';
+
+describe('sqlWindow', () => {
+  describe('missingWindowPlaceholders', () => {
+    it('lists the window placeholders the SQL does not use', () => {
+      assert.deepEqual(missingWindowPlaceholders(sql), []);
+      assert.deepEqual(missingWindowPlaceholders('SELECT 1 WHERE x >= {{FROM_DATE}}'), ['TO_DATE']);
+      assert.deepEqual(missingWindowPlaceholders('SELECT * FROM bills'), ['FROM_DATE', 'TO_DATE']);
+      assert.deepEqual(missingWindowPlaceholders(null), ['FROM_DATE', 'TO_DATE']);
+    });
+  });
+
+  describe('bindWindow', () => {
+    it('numbers each name once for Postgres', () => {
+      const query = bindWindow(sql, 'pgsql', named);
+      assert.equal(query.text, 'SELECT * FROM bills WHERE bill_time >= $1::timestamp AND bill_time <= $2::timestamp AND created >= $1::timestamp');
+      assert.deepEqual(query.values, [named.FROM_DATE, named.TO_DATE]);
+    });
+
+    it('binds every occurrence for MySQL', () => {
+      const query = bindWindow(sql, 'mysql', named);
+      assert.equal(query.text.match(/CAST\(\? AS DATETIME\)/g).length, 3);
+      assert.deepEqual(query.values, [named.FROM_DATE, named.TO_DATE, named.FROM_DATE]);
+    });
+
+    it('uses named parameters for MSSQL and Oracle', () => {
+      const mssql = bindWindow(sql, 'mssql', named);
+      assert.match(mssql.text, /bill_time >= CAST\(@FROM_DATE AS DATETIME2\) AND bill_time <= CAST\(@TO_DATE AS DATETIME2\)/);
+      assert.deepEqual(mssql.named, named);
+
+      const oracle = bindWindow(sql, 'oracle', named);
+      assert.match(oracle.text, /bill_time <= TO_TIMESTAMP\(:TO_DATE, 'YYYY-MM-DD HH24:MI:SS'\)/);
+    });
+
+    it('never returns an unbounded query', () => {
+      assert.throws(
+        () => bindWindow('SELECT * FROM bills WHERE bill_time >= {{FROM_DATE}}', 'pgsql', named),
+        { code: 'INVALID_WINDOW_QUERY', message: /must use \{\{TO_DATE\}\}/ }
+      );
+    });
+
+    it('rejects unknown database types', () => {
+      assert.throws(() => bindWindow(sql, 'sqlite', named), /Unsupported database type: sqlite/);
+    });
+
+    it('binds the default query', () => {
+      assert.deepEqual(bindWindow(DEFAULT_WINDOW_QUERY, 'pgsql', named).values, [named.FROM_DATE, named.TO_DATE]);
+    });
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  rollupProblems,
+  assertTotalsRollup,
+  rollupTotals
+} = require('../../src/utils/totalsRollup');
+
+const items = [
+  { quantity: 1, unit_price: '1,000.00', line_total: '1,000.00', line_tax: '18' },
+  { quantity: '2', unit_price: '250.5', line_discount: 1.005 }
+];
+
+const collectErrors = () => {
+  const errors = [];
+  return { errors, onError: (field, error) => errors.push({ field, message: error.message }) };
+};
+
+describe('totalsRollup', () => {
+  describe('rollupTotals', () => {
+    it('sums the default rules over the items', () => {
+      assert.deepEqual(rollupTotals(items, null), {
+        gross_amount: 1501,
+        discount_amount: 1.01,
+        tax_amount: 18,
+        net_amount: 1518
+      });
+    });
+
+    it('reads amounts with thousands separators', () => {
+      assert.deepEqual(rollupTotals([{ line_total: '1,000.00' }, { line_total: '2,500' }], null), {
+        gross_amount: 3500,
+        net_amount: 3500
+      });
+    });
+
+    it('applies overrides and drops totals set to null', () => {
+      const totals = rollupTotals(items, { tax_amount: null, discount_amount: '', service_charge: 'quantity * 10' });
+      assert.equal(totals.service_charge, 30);
+      assert.equal('tax_amount' in totals, false);
+      assert.equal('discount_amount' in totals, false);
+    });
+
+    it('leaves out totals no item contributes to', () => {
+      assert.deepEqual(rollupTotals([{ sku: 'A' }], { gross_amount: 'line_total', net_amount: null }), {});
+    });
+
+    it('reports rules that fail or yield something other than a number', () => {
+      const { errors, onError } = collectErrors();
+      const totals = rollupTotals(items, { gross_amount: "lookup('nope')", discount_amount: "'N/A'" }, { onError });
+      assert.equal('gross_amount' in totals, false);
+      assert.equal('discount_amount' in totals, false);
+      assert.equal(totals.tax_amount, 18);
+      assert.deepEqual(errors, [
+        { field: 'gross_amount', message: 'Lookup table "nope" does not exist' },
+        { field: 'discount_amount', message: 'Rule "\'N/A\'" yielded "N/A", not a number' }
+      ]);
+    });
+  });
+
+  describe('rollupProblems', () => {
+    it('accepts known totals with rules or null', () => {
+      assert.deepEqual(rollupProblems({ gross_amount: 'quantity * unit_price', tax_amount: null, discount_amount: 'line_discount' }), []);
+      assert.deepEqual(rollupProblems(undefined), []);
+    });
+
+    it('names unknown totals, bad rules and non-string rules', () => {
+      const problems = rollupProblems({ foo: 'x', gross_amount: 'trim(', net_amount: 1 });
+      assert.deepEqual(problems.map(problem => problem.field), ['foo', 'gross_amount', 'net_amount']);
+      assert.match(problems[0].message, /Unknown total "foo"/);
+      assert.match(problems[1].message, /at position 5/);
+      assert.equal(problems[2].message, 'Rule must be a string or null');
+    });
+
+    it('rejects values that are not an object', () => {
+      assert.throws(() => assertTotalsRollup(['gross_amount']), /Must be an object of \{ total: rule \}/);
+      assert.equal(assertTotalsRollup(null), true);
+    });
+  });
+});
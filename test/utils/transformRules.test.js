@@ -0,0 +1,155 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  compileTransform,
+  runTransform,
+  assertTransformRule
+} = require('../../src/utils/transformRules');
+
+const ruleErrorOf = (rule) => {
+  try {
+    compileTransform(rule);
+  } catch (error) {
+    return error;
+  }
+  assert.fail(`expected "${rule}" to be rejected`);
+};
+
+describe('transformRules', () => {
+  describe('parsing errors', () => {
+    it('reports the code, rule and position of the problem', () => {
+      const error = ruleErrorOf('a # b');
+      assert.equal(error.code, 'INVALID_TRANSFORM');
+      assert.equal(error.rule, 'a # b');
+      assert.equal(error.position, 2);
+      assert.match(error.message, /unexpected "#" at position 2/);
+    });
+
+    it('points at where the rule stops making sense', () => {
+      assert.equal(ruleErrorOf('trim(').position, 5);
+      assert.equal(ruleErrorOf('trim | ').position, 7);
+      assert.match(ruleErrorOf('a ? b').message, /expected ":" but found the end of the rule/);
+      assert.match(ruleErrorOf("'abc").message, /unclosed string at position 0/);
+      assert.match(ruleErrorOf('').message, /rule is empty/);
+    });
+
+    it('rejects unknown functions and wrong argument counts', () => {
+      assert.match(ruleErrorOf('foo(1)').message, /unknown function "foo"/);
+      assert.match(ruleErrorOf('round(1, 2, 3)').message, /round takes 0 to 1 argument\(s\) after the piped value, got 3/);
+    });
+
+    it('rejects a stage that is only an unknown name', () => {
+      const error = ruleErrorOf('trim | uppr');
+      assert.match(error.message, /unknown function "uppr"/);
+      assert.equal(error.position, 7);
+      assert.equal(runTransform("field('uppr')", null, { record: { uppr: 'x' } }), 'x');
+      assert.equal(runTransform('(qty) | round', null, { record: { qty: '2.4' } }), 2);
+    });
+
+    it('lets empty rules through the validator', () => {
+      assert.equal(assertTransformRule(''), true);
+      assert.equal(assertTransformRule(null), true);
+      assert.equal(assertTransformRule('trim | upper'), true);
+      assert.throws(() => assertTransformRule('trim('), { code: 'INVALID_TRANSFORM' });
+    });
+
+    it('gives new rules no legacy fallback', () => {
+      for (const rule of ['trim | parseFloat | round(2', 'parseFloat | multiply(-1', 'default(0) | parseFloat)', 'value.toUpperCase()']) {
+        assert.throws(() => assertTransformRule(rule), { code: 'INVALID_TRANSFORM' }, rule);
+      }
+    });
+  });
+
+  describe('pipelines', () => {
+    it('passes each stage the previous result', () => {
+      assert.equal(runTransform('trim | parseFloat | round(2)', ' 1,234.567 '), 1234.57);
+      assert.equal(runTransform('upper | toLowerCase', 'AbC'), 'abc');
+      assert.equal(runTransform("substring(0, 3) | replace('b', '-')", 'abcdef'), 'a-c');
+    });
+
+    it('takes a call whose arguments only fit unpiped as a plain call', () => {
+      assert.equal(runTransform('round(qty * rate, 2)', null, { record: { qty: '3', rate: 1.005 } }), 3.01);
+    });
+
+    it('defaults missing values and never stores -0', () => {
+      assert.equal(runTransform('default(0) | multiply(-1)', null), 0);
+      assert.ok(Object.is(runTransform('default(0) | multiply(-1)', ''), 0));
+      assert.equal(runTransform('divide(0)', 5), null);
+    });
+
+    it('parses dates with an input format', () => {
+      assert.equal(runTransform("date('DD/MM/YYYY')", '05/01/2024'), '2024-01-05 00:00:00');
+    });
+  });
+
+  describe('expressions', () => {
+    it('reads names and field() from the source record', () => {
+      const record = { qty: 2, rate: '1.25', 'Bill No': 'B1' };
+      assert.equal(runTransform('qty * rate | round(2)', null, { record }), 2.5);
+      assert.equal(runTransform("field('Bill No') + '-' + value", 7, { record }), 'B1-7');
+    });
+
+    it('yields null when an arithmetic operand is missing', () => {
+      assert.equal(runTransform('qty + 1', null, { record: {} }), null);
+    });
+
+    it('evaluates comparisons, logic and conditionals', () => {
+      assert.equal(runTransform("value < 0 ? 'REFUND' : 'SALE'", -3), 'REFUND');
+      assert.equal(runTransform("value < 0 ? 'REFUND' : 'SALE'", '12'), 'SALE');
+      assert.equal(runTransform('value == 5 && !false', 5), true);
+    });
+  });
+
+  describe('lookups and host functions', () => {
+    const lookups = { modes: { CASH: 'C' } };
+
+    it('maps through a lookup table, trimming the key', () => {
+      assert.equal(runTransform("lookup('modes')", ' CASH ', { lookups }), 'C');
+      assert.equal(runTransform("lookup('modes', 'OTHER')", 'CC', { lookups }), 'OTHER');
+      assert.equal(runTransform("lookup('modes')", 'CC', { lookups }), 'CC');
+    });
+
+    it('fails on a missing table or host function', () => {
+      assert.throws(() => runTransform("lookup('nope')", 'x', { lookups }), { code: 'TRANSFORM_FAILED' });
+      assert.throws(() => runTransform('epochToDate', 1, {}), /epochToDate is not available/);
+    });
+
+    it('calls host functions the mapper supplies', () => {
+      const functions = { parseDateTime: (text) => `parsed ${text}` };
+      assert.equal(runTransform('parseDateTime', 'x', { functions }), 'parsed x');
+    });
+  });
+
+  describe('legacy rules', () => {
+    const functions = {
+      parseDateTime: (text) => `parsed ${text}`,
+      normalizeVendorDate: () => 'date',
+      normalizeVendorDateTime: () => 'datetime'
+    };
+
+    it('runs rules the old substring matching accepted as the function they name', () => {
+      assert.equal(runTransform('value.toUpperCase()', 'abc'), 'ABC');
+      assert.equal(runTransform('toUpperCase()', 'abc'), 'ABC');
+      assert.equal(runTransform('this.parseDateTime(value)', 'x', { functions }), 'parsed x');
+      assert.equal(runTransform('value.toFixed(2) | parseInt', '1,204.9'), 1204);
+    });
+
+    it('prefers the longer of two overlapping names', () => {
+      assert.equal(runTransform('this.normalizeVendorDateTime(value)', 'x', { functions }), 'datetime');
+      assert.equal(runTransform('this.normalizeVendorDate(value)', 'x', { functions }), 'date');
+    });
+
+    it('marks stored rules that only compile that way', () => {
+      const stored = { legacy: true };
+      assert.equal(compileTransform('value.toUpperCase()', stored).legacy, 'toUpperCase');
+      assert.equal(compileTransform('toUpperCase', stored).legacy, null);
+      assert.equal(compileTransform('parseFloat(value)', stored).legacy, null);
+      assert.throws(() => compileTransform('value.toUpperCase()'), { code: 'INVALID_TRANSFORM' });
+    });
+
+    it('still rejects rules naming none of them', () => {
+      assert.throws(() => compileTransform('value.trim()', { legacy: true }), { position: 5 });
+      assert.throws(() => runTransform('uppr', 'abc'), /unknown function "uppr"/);
+    });
+  });
+});